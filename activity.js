@@ -0,0 +1,158 @@
+import { usersRepo, activityRepo, currentUserId } from './repository.js';
+import { formatMoney, expenseAmountPaise, expenseSplitPaise, expenseCurrency, describeForeignAmount } from './money.js';
+import { describeSplit } from './splits.js';
+
+// Append-only activity log. Each entry records one action on a group or one of
+// its expenses and is never updated or deleted (see firestore-rules.txt):
+//   { groupId, expenseId, type, actorId, actorName, summary, changes, createdAt }
+// `summary` and `changes` ([{ field, from, to }]) are display text written at
+// the time of the action, so names and amounts read as they were back then.
+
+export const ACTIVITY_TYPES = {
+    group_created: { label: 'Group created', icon: 'fa-users' },
+    group_archived: { label: 'Group archived', icon: 'fa-archive' },
+    group_restored: { label: 'Group restored', icon: 'fa-undo' },
+    group_deleted: { label: 'Group deleted', icon: 'fa-trash' },
+    members_added: { label: 'Members added', icon: 'fa-user-plus' },
+    members_joined: { label: 'Members joined', icon: 'fa-user-check' },
+    invite_created: { label: 'Invite sent', icon: 'fa-envelope' },
+    invite_revoked: { label: 'Invite revoked', icon: 'fa-ban' },
+    member_left: { label: 'Member left', icon: 'fa-sign-out-alt' },
+    member_removed: { label: 'Member removed', icon: 'fa-user-minus' },
+    role_changed: { label: 'Role changed', icon: 'fa-user-shield' },
+    ownership_transferred: { label: 'Ownership transferred', icon: 'fa-crown' },
+    balance_written_off: { label: 'Balance written off', icon: 'fa-eraser' },
+    expense_created: { label: 'Expense added', icon: 'fa-plus' },
+    expense_generated: { label: 'Recurring expense added', icon: 'fa-redo' },
+    expense_edited: { label: 'Expense edited', icon: 'fa-pen' },
+    expense_deleted: { label: 'Expense deleted', icon: 'fa-trash' },
+    expenses_imported: { label: 'Expenses imported', icon: 'fa-file-import' },
+    recurring_created: { label: 'Recurring expense set up', icon: 'fa-redo' },
+    recurring_updated: { label: 'Recurring expense changed', icon: 'fa-redo' },
+    payment_recorded: { label: 'Payment recorded', icon: 'fa-check-circle' },
+    payment_claimed: { label: 'Payment marked as sent', icon: 'fa-paper-plane' },
+    payment_disputed: { label: 'Payment disputed', icon: 'fa-exclamation-circle' },
+    reminder_sent: { label: 'Reminder sent', icon: 'fa-bell' }
+};
+
+const nameCache = new Map();
+
+// A member's name as stored on their profile (cached per page load)
+export async function displayName(userId) {
+    if (!userId) return 'Unknown';
+    if (!nameCache.has(userId)) {
+        let name = `User ${userId.substring(0, 6)}`;
+        try {
+            const user = await usersRepo.get(userId);
+            if (user && user.name) name = user.name;
+        } catch (error) {
+            console.error('Error loading user name:', error);
+        }
+        nameCache.set(userId, name);
+    }
+    return nameCache.get(userId);
+}
+
+// Append an entry for the signed-in user. Logging is best-effort: a failed
+// write is reported to the console but never undoes the action itself.
+export async function logActivity({ groupId, expenseId = '', type, summary = '', changes = [] }) {
+    try {
+        const actorId = (await currentUserId()) || '';
+        await activityRepo.add({
+            groupId: groupId,
+            expenseId: expenseId,
+            type: type,
+            actorId: actorId,
+            actorName: await displayName(actorId),
+            summary: summary,
+            changes: changes,
+            createdAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error logging activity:', error);
+    }
+}
+
+// Field-by-field differences between two versions of an expense
+export async function describeExpenseChanges(before, after) {
+    const changes = [];
+    const add = (field, from, to) => {
+        if (from !== to) changes.push({ field, from, to });
+    };
+    add('Description', before.description || '', after.description || '');
+    add('Amount', amountText(before), amountText(after));
+    add('Date', before.date || '', after.date || '');
+    if (before.paidBy !== after.paidBy) {
+        add('Paid by', await displayName(before.paidBy), await displayName(after.paidBy));
+    }
+    add('Split', await splitText(before), await splitText(after));
+    return changes;
+}
+
+function amountText(expense) {
+    const base = formatMoney(expenseAmountPaise(expense), expenseCurrency(expense));
+    const foreign = describeForeignAmount(expense);
+    return foreign ? `${base} (${foreign})` : base;
+}
+
+async function splitText(expense) {
+    const parts = [];
+    for (const [memberId, share] of Object.entries(expenseSplitPaise(expense))) {
+        parts.push(`${await displayName(memberId)} ${formatMoney(share, expenseCurrency(expense))}`);
+    }
+    return `${describeSplit(expense)}: ${parts.join(', ')}`;
+}
+
+// Entries of a group (or of one expense when `expenseId` is given), newest first
+export async function getActivity(groupId, expenseId = null) {
+    const filters = [['groupId', '==', groupId]];
+    if (expenseId) filters.push(['expenseId', '==', expenseId]);
+    return newestFirst(await activityRepo.find(filters));
+}
+
+// Live version of getActivity for a group: onChange(entries) runs now and on
+// every new entry. Returns a function that stops listening.
+export function watchActivity(groupId, onChange) {
+    return activityRepo.watch([['groupId', '==', groupId]], {}, entries => onChange(newestFirst(entries)));
+}
+
+// Sorted here rather than with orderBy so no composite index is needed
+function newestFirst(entries) {
+    return entries.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+// Summaries and changes quote what members typed (descriptions, names, notes)
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Timeline markup for a list of entries; the signed-in user shows as "You"
+export function buildTimelineHtml(entries, currentUserId) {
+    if (entries.length === 0) {
+        return '<p class="empty-state">No activity recorded yet.</p>';
+    }
+    const items = entries.map(entry => {
+        const type = ACTIVITY_TYPES[entry.type] || { label: 'Activity', icon: 'fa-circle' };
+        const actor = entry.actorId === currentUserId ? 'You' : escapeHtml(entry.actorName || 'Unknown');
+        const when = entry.createdAt ? new Date(entry.createdAt).toLocaleString() : '';
+        const changes = (entry.changes || [])
+            .map(c => `<li>${escapeHtml(c.field)}: ${escapeHtml(c.from || '—')} → ${escapeHtml(c.to || '—')}</li>`)
+            .join('');
+        return `
+            <li class="activity-entry">
+                <i class="fas ${type.icon}"></i>
+                <div>
+                    <div><strong>${type.label}</strong>${entry.summary ? ` · ${escapeHtml(entry.summary)}` : ''}</div>
+                    <div class="activity-meta">by ${actor} · ${when}</div>
+                    ${changes ? `<ul class="activity-changes">${changes}</ul>` : ''}
+                </div>
+            </li>
+        `;
+    });
+    return `<ul class="activity-timeline">${items.join('')}</ul>`;
+}
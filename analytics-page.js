@@ -1,9 +1,11 @@
 import { requireAuth, getUserData } from './auth.js';
 import { getLeaderboard, getMonthlySpending, getGroupSpending } from './analytics.js';
+import { DEFAULT_CURRENCY, fromPaise, formatMoney } from './money.js';
 
 let currentUser = null;
 let spendingChart = null;
 let categoryChart = null;
+let analyticsCurrency = DEFAULT_CURRENCY; // Currency the charts are drawn in
 
 // Initialize analytics page
 async function initAnalytics() {
@@ -109,7 +111,7 @@ async function loadLeaderboard() {
 // Load monthly data
 async function loadMonthlyData(year, month) {
     try {
-        const data = await getMonthlySpending(currentUser.uid, month, year);
+        const data = await getMonthlySpending(currentUser.uid, month, year, analyticsCurrency);
         
         // Update spending chart
         updateSpendingChart(data);
@@ -141,7 +143,7 @@ function updateSpendingChart(data) {
         months.push(date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }));
         // For demo, use current month's data for all months
         // In production, fetch data for each month
-        amounts.push(i === 0 ? data.total : 0);
+        amounts.push(i === 0 ? fromPaise(data.total) : 0);
     }
     
     spendingChart = new Chart(ctx, {
@@ -149,7 +151,7 @@ function updateSpendingChart(data) {
         data: {
             labels: months,
             datasets: [{
-                label: 'Spending (₹)',
+                label: `Spending (${analyticsCurrency})`,
                 data: amounts,
                 borderColor: '#6366f1',
                 backgroundColor: 'rgba(99, 102, 241, 0.1)',
@@ -184,7 +186,7 @@ function updateCategoryChart(categories) {
     }
     
     const labels = Object.keys(categories);
-    const values = Object.values(categories);
+    const values = Object.values(categories).map(fromPaise);
     
     if (labels.length === 0) {
         ctx.parentElement.innerHTML = '<p class="empty-state">No category data available.</p>';
@@ -229,6 +231,8 @@ async function loadGroupSpending() {
             return;
         }
         
+        setupCurrencyFilter(groupSpending.map(group => group.currency));
+        
         groupSpendingDiv.innerHTML = '';
         groupSpending.forEach(group => {
             const item = document.createElement('div');
@@ -238,7 +242,7 @@ async function loadGroupSpending() {
                     <strong>${group.groupName}</strong>
                 </div>
                 <div style="color: var(--primary-color); font-weight: 600;">
-                    ₹${group.total.toFixed(2)}
+                    ${formatMoney(group.total, group.currency)}
                 </div>
             `;
             groupSpendingDiv.appendChild(item);
@@ -248,6 +252,30 @@ async function loadGroupSpending() {
     }
 }
 
+// Offer a currency picker when the user's groups use more than one base currency
+function setupCurrencyFilter(currencies) {
+    const currencySelect = document.getElementById('analyticsCurrency');
+    if (!currencySelect) return;
+    
+    const unique = Array.from(new Set(currencies));
+    if (!unique.includes(analyticsCurrency)) analyticsCurrency = unique[0];
+    if (unique.length < 2) return;
+    
+    currencySelect.innerHTML = unique
+        .map(code => `<option value="${code}" ${code === analyticsCurrency ? 'selected' : ''}>${code}</option>`)
+        .join('');
+    currencySelect.style.display = 'inline-block';
+    currencySelect.addEventListener('change', (e) => {
+        analyticsCurrency = e.target.value;
+        const monthValue = document.getElementById('analyticsMonth')?.value;
+        const now = new Date();
+        const [year, month] = monthValue
+            ? monthValue.split('-').map(Number)
+            : [now.getFullYear(), now.getMonth() + 1];
+        loadMonthlyData(year, month);
+    });
+}
+
 // Setup month filter
 function setupMonthFilter() {
     const monthSelect = document.getElementById('analyticsMonth');
@@ -1,25 +1,16 @@
-import { db } from './firebase-config.js';
-import { 
-    collection, 
-    query, 
-    where, 
-    getDocs, 
-    doc, 
-    getDoc, 
-    updateDoc,
-    addDoc,
-    orderBy,
-    limit
-} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+import { usersRepo, groupsRepo, expensesRepo, settlementsRepo } from './repository.js';
+import { DEFAULT_CURRENCY, expenseSplitPaise, expenseCurrency, settlementAmountPaise } from './money.js';
+import { migrateExpensePayments } from './ledger.js';
+import { getUserGroups } from './archive.js';
 
 // Calculate settlements for a group after adding expense
 export async function calculateSettlements(groupId, expense) {
     try {
         const paidBy = expense.paidBy;
-        const splitAmounts = expense.splitAmounts || {};
+        const splitPaise = expenseSplitPaise(expense);
         
         // Create settlements for each member who owes
-        for (const [memberId, amount] of Object.entries(splitAmounts)) {
+        for (const [memberId, amount] of Object.entries(splitPaise)) {
             if (memberId === paidBy) continue; // Skip the payer
             
             const settlementData = {
@@ -27,19 +18,20 @@ export async function calculateSettlements(groupId, expense) {
                 expenseId: expense.id || '',
                 userId: memberId,
                 owedTo: paidBy,
-                amount: amount, // Positive means user owes
+                amountPaise: amount, // Positive means user owes
+                currency: expenseCurrency(expense),
                 description: expense.description || 'Expense',
                 status: 'pending',
                 createdAt: new Date().toISOString()
             };
             
-            await addDoc(collection(db, 'settlements'), settlementData);
+            await settlementsRepo.add(settlementData);
         }
         
         // Create settlement for the payer (negative amount means they are owed)
-        const totalOwed = Object.values(splitAmounts)
-            .filter((_, index) => Object.keys(splitAmounts)[index] !== paidBy)
-            .reduce((sum, amount) => sum + amount, 0);
+        const totalOwed = Object.entries(splitPaise)
+            .filter(([memberId]) => memberId !== paidBy)
+            .reduce((sum, [, amount]) => sum + amount, 0);
         
         if (totalOwed > 0) {
             const payerSettlement = {
@@ -47,31 +39,72 @@ export async function calculateSettlements(groupId, expense) {
                 expenseId: expense.id || '',
                 userId: paidBy,
                 owedTo: paidBy,
-                amount: -totalOwed, // Negative means user is owed
+                amountPaise: -totalOwed, // Negative means user is owed
+                currency: expenseCurrency(expense),
                 description: expense.description || 'Expense',
                 status: 'pending',
                 createdAt: new Date().toISOString()
             };
             
-            await addDoc(collection(db, 'settlements'), payerSettlement);
+            await settlementsRepo.add(payerSettlement);
         }
     } catch (error) {
         console.error('Error calculating settlements:', error);
     }
 }
 
+// Retire the settlement docs of an edited or deleted expense and regenerate
+// them for the new version (`expense` is null when the expense was deleted).
+// Pending docs are marked 'void' rather than deleted so the history survives.
+// Paid docs are money already handed to the payer: they are kept, still count
+// in the group's Settle Up balances, and are deducted from the member's new
+// share, as are part payments of the voided docs (their `paidPaise`). Legacy
+// `settlementStatus` marks are moved into the ledger first.
+export async function recalculateSettlements(groupId, previous, expense) {
+    const expenseId = previous.id;
+    await migrateExpensePayments(expenseId, previous);
+
+    const now = new Date().toISOString();
+    const settlements = await settlementsRepo.find([
+        ['groupId', '==', groupId],
+        ['expenseId', '==', expenseId]
+    ]);
+
+    const paidToPayer = {};
+    for (const s of settlements) {
+        // Part payment docs are counted through their obligation
+        const toPayer = expense && s.userId && s.userId !== s.owedTo && s.owedTo === expense.paidBy && s.type !== 'payment';
+        if (s.status === 'paid') {
+            if (!toPayer) continue;
+            paidToPayer[s.userId] = (paidToPayer[s.userId] || 0) + Math.abs(settlementAmountPaise(s));
+        } else if (s.status !== 'void') {
+            if (toPayer && s.paidPaise) paidToPayer[s.userId] = (paidToPayer[s.userId] || 0) + s.paidPaise;
+            await settlementsRepo.update(s.id, { status: 'void', voidedAt: now });
+        }
+    }
+
+    if (!expense) return;
+
+    // Only what is still outstanding becomes a pending settlement
+    const outstanding = {};
+    Object.entries(expenseSplitPaise(expense)).forEach(([memberId, share]) => {
+        const remaining = memberId === expense.paidBy ? share : share - (paidToPayer[memberId] || 0);
+        if (remaining > 0) outstanding[memberId] = remaining;
+    });
+    await calculateSettlements(groupId, { ...expense, id: expenseId, splitPaise: outstanding });
+}
+
 // Award XP points to user
 export async function awardXP(userId, points) {
     try {
-        const userDoc = await getDoc(doc(db, 'users', userId));
-        if (!userDoc.exists()) return;
+        const userData = await usersRepo.get(userId);
+        if (!userData) return;
         
-        const userData = userDoc.data();
         const currentXP = userData.xpPoints || 0;
         const newXP = currentXP + points;
         const newLevel = Math.floor(newXP / 100) + 1; // Level up every 100 XP
         
-        await updateDoc(doc(db, 'users', userId), {
+        await usersRepo.update(userId, {
             xpPoints: newXP,
             level: newLevel
         });
@@ -89,10 +122,9 @@ export async function awardXP(userId, points) {
 // Check and award badges
 async function checkBadges(userId, xp, level) {
     try {
-        const userDoc = await getDoc(doc(db, 'users', userId));
-        if (!userDoc.exists()) return;
+        const userData = await usersRepo.get(userId);
+        if (!userData) return;
         
-        const userData = userDoc.data();
         const currentBadges = userData.badges || [];
         const newBadges = [];
         
@@ -103,21 +135,15 @@ async function checkBadges(userId, xp, level) {
             { id: 'level_5', name: 'Level 5', icon: 'fa-medal', condition: () => level >= 5 },
             { id: 'level_10', name: 'Level 10', icon: 'fa-crown', condition: () => level >= 10 },
             { id: 'settler', name: 'Settler', icon: 'fa-check-circle', condition: async () => {
-                const settlementsQuery = query(
-                    collection(db, 'settlements'),
-                    where('userId', '==', userId),
-                    where('status', '==', 'paid')
-                );
-                const settlementsSnapshot = await getDocs(settlementsQuery);
-                return settlementsSnapshot.size >= 5;
+                const paid = await settlementsRepo.find([
+                    ['userId', '==', userId],
+                    ['status', '==', 'paid']
+                ]);
+                return paid.length >= 5;
             }},
             { id: 'group_creator', name: 'Group Creator', icon: 'fa-users', condition: async () => {
-                const groupsQuery = query(
-                    collection(db, 'groups'),
-                    where('createdBy', '==', userId)
-                );
-                const groupsSnapshot = await getDocs(groupsQuery);
-                return groupsSnapshot.size >= 3;
+                const created = await groupsRepo.find([['createdBy', '==', userId]]);
+                return created.length >= 3;
             }}
         ];
         
@@ -134,7 +160,7 @@ async function checkBadges(userId, xp, level) {
         }
         
         if (newBadges.length > 0) {
-            await updateDoc(doc(db, 'users', userId), {
+            await usersRepo.update(userId, {
                 badges: [...currentBadges, ...newBadges]
             });
             
@@ -160,19 +186,13 @@ function showBadgeNotification(badges) {
 // Get leaderboard
 export async function getLeaderboard(limitCount = 10) {
     try {
-        const usersQuery = query(
-            collection(db, 'users'),
-            orderBy('xpPoints', 'desc'),
-            limit(limitCount)
-        );
-        const usersSnapshot = await getDocs(usersQuery);
+        const users = await usersRepo.find([], { orderBy: ['xpPoints', 'desc'], limit: limitCount });
         
         const leaderboard = [];
-        usersSnapshot.forEach((doc, index) => {
-            const userData = doc.data();
+        users.forEach((userData, index) => {
             leaderboard.push({
                 rank: index + 1,
-                userId: doc.id,
+                userId: userData.id,
                 name: userData.name || 'Unknown',
                 xpPoints: userData.xpPoints || 0,
                 level: userData.level || 1,
@@ -187,46 +207,35 @@ export async function getLeaderboard(limitCount = 10) {
     }
 }
 
-// Get monthly spending analytics
-export async function getMonthlySpending(userId, month, year) {
+// Get monthly spending analytics (totals in paise). Only expenses accounted
+// in `currency` are counted, since groups can use different base currencies.
+export async function getMonthlySpending(userId, month, year, currency = DEFAULT_CURRENCY) {
     try {
         const startDate = new Date(year, month - 1, 1).toISOString();
         const endDate = new Date(year, month, 0, 23, 59, 59).toISOString();
         
-        // Get all expenses where user is involved
-        const groupsQuery = query(
-            collection(db, 'groups'),
-            where('members', 'array-contains', userId)
-        );
-        const groupsSnapshot = await getDocs(groupsQuery);
-        const groupIds = [];
-        groupsSnapshot.forEach(doc => groupIds.push(doc.id));
+        // Get all expenses where user is involved (archived groups are history too)
+        const groupIds = (await getUserGroups(userId, { includeArchived: true })).map(group => group.id);
         
         if (groupIds.length === 0) return { total: 0, expenses: [] };
         
-        const expensesQuery = query(
-            collection(db, 'expenses'),
-            where('groupId', 'in', groupIds),
-            orderBy('date', 'desc')
-        );
-        const expensesSnapshot = await getDocs(expensesQuery);
+        const groupExpenses = await expensesRepo.find([['groupId', 'in', groupIds]], { orderBy: ['date', 'desc'] });
         
         let total = 0;
         const expenses = [];
         const categoryMap = {};
         
-        expensesSnapshot.forEach(doc => {
-            const expense = doc.data();
+        groupExpenses.forEach(expense => {
             const expenseDate = new Date(expense.date);
             
+            if (expenseCurrency(expense) !== currency) return;
+            
             if (expenseDate >= new Date(startDate) && expenseDate <= new Date(endDate)) {
                 // Calculate user's share
-                const splitAmounts = expense.splitAmounts || {};
-                const userShare = splitAmounts[userId] || 0;
+                const userShare = expenseSplitPaise(expense)[userId] || 0;
                 
                 total += userShare;
                 expenses.push({
-                    id: doc.id,
                     ...expense,
                     userShare
                 });
@@ -264,35 +273,25 @@ function categorizeExpense(description) {
     }
 }
 
-// Get group-wise spending
+// Get group-wise spending (totals in paise of each group's base currency)
 export async function getGroupSpending(userId) {
     try {
-        const groupsQuery = query(
-            collection(db, 'groups'),
-            where('members', 'array-contains', userId)
-        );
-        const groupsSnapshot = await getDocs(groupsQuery);
+        const groups = await getUserGroups(userId, { includeArchived: true });
         
         const groupSpending = [];
         
-        for (const groupDoc of groupsSnapshot.docs) {
-            const group = groupDoc.data();
-            const expensesQuery = query(
-                collection(db, 'expenses'),
-                where('groupId', '==', groupDoc.id)
-            );
-            const expensesSnapshot = await getDocs(expensesQuery);
+        for (const group of groups) {
+            const expenses = await expensesRepo.find([['groupId', '==', group.id]]);
             
             let total = 0;
-            expensesSnapshot.forEach(expenseDoc => {
-                const expense = expenseDoc.data();
-                const splitAmounts = expense.splitAmounts || {};
-                total += splitAmounts[userId] || 0;
+            expenses.forEach(expense => {
+                total += expenseSplitPaise(expense)[userId] || 0;
             });
             
             groupSpending.push({
-                groupId: groupDoc.id,
+                groupId: group.id,
                 groupName: group.name,
+                currency: group.baseCurrency || DEFAULT_CURRENCY,
                 total: total
             });
         }
@@ -1,17 +1,43 @@
-import { requireAuth, getUserData } from './auth.js';
-import { db } from './firebase-config.js';
-import { 
-    collection, 
-    query, 
-    where, 
-    getDocs, 
-    orderBy, 
-    limit,
-    doc,
-    getDoc
-} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+import { requireAuth, getUserData, syncAccountProfile, resendVerificationEmail } from './auth.js';
+import { expensesRepo, settlementsRepo, createSubscriptions } from './repository.js';
+import {
+    DEFAULT_CURRENCY,
+    formatMoney,
+    formatMoneyTotals,
+    expenseAmountPaise,
+    expenseCurrency,
+    toPaise,
+    fromPaise,
+    settlementAmountPaise,
+    settlementRemainingPaise,
+    settlementUnclaimedPaise,
+    settlementCurrency
+} from './money.js';
+import { generateDueRecurringExpenses } from './recurring.js';
+import {
+    migrateLegacyPayments,
+    confirmSettlementPayment,
+    disputeSettlementPayment,
+    recordPaymentReceived,
+    describeSettlementState
+} from './ledger.js';
+import { openSettleDialog, openPaymentProof } from './settle-dialog.js';
+import { createPaymentLink, paymentLinkUrl } from './payment-links.js';
+import { watchGroupLedger, collectPayments, computeNetBalances, isOpenSettlement } from './balances.js';
+import { acceptPendingInvites } from './invites.js';
+import { watchUserGroups } from './archive.js';
+import {
+    AUTO_REMINDER_DAYS,
+    sendDueAutoReminders,
+    setAutoReminderDays,
+    watchReminderInbox,
+    markReminderRead
+} from './reminders.js';
 
 let currentUser = null;
+let activeGroups = []; // Archived and trashed groups stay out of totals and pending lists
+const ledgers = new Map(); // groupId → { expenses, settlements } of each active group
+const subscriptions = createSubscriptions();
 
 // Initialize dashboard
 async function initDashboard() {
@@ -25,80 +51,129 @@ async function initDashboard() {
         document.getElementById('xpPoints').textContent = `${userData.xpPoints || 0} XP`;
     }
 
-    // Load dashboard data
-    await loadDashboardStats();
-    await loadRecentExpenses();
-    await loadPendingSettlements();
-    await loadUserGroups();
+    // Until the email is verified, others can't add this account to groups
+    currentUser = await syncAccountProfile(currentUser, userData);
+    document.getElementById('verifyEmailBanner').style.display = currentUser.emailVerified ? 'none' : 'block';
+    // Join groups that invited this email (only once it is verified)
+    const joined = await acceptPendingInvites(currentUser);
+    if (joined.length > 0) {
+        alert(`You were added to ${joined.map(name => `"${name}"`).join(', ')}.`);
+    }
+
+    // Create any recurring expenses that fell due since the last visit
+    await generateDueRecurringExpenses(currentUser.uid);
+    // Move payments marked on older expenses into the ledger (runs once)
+    await migrateLegacyPayments(currentUser.uid);
+    // Nudge people whose debts to you passed your auto-remind threshold
+    await sendDueAutoReminders(currentUser.uid);
+
+    // Dashboard data is live from here on
+    setupAutoReminderSetting(userData);
+    watchDashboard();
+    window.addEventListener('pagehide', () => subscriptions.stopAll());
+    // A page restored from the back/forward cache listens again
+    window.addEventListener('pageshow', (e) => {
+        if (e.persisted) watchDashboard();
+    });
 }
 
-// Load dashboard statistics
-async function loadDashboardStats() {
-    try {
-        const expensesQuery = query(
-            collection(db, 'expenses'),
-            where('paidBy', '==', currentUser.uid),
-            orderBy('date', 'desc')
-        );
-        const expensesSnapshot = await getDocs(expensesQuery);
-        
-        let totalSpent = 0;
-        expensesSnapshot.forEach(doc => {
-            totalSpent += doc.data().amount || 0;
+// Follow the user's groups, the ledger of each active group, recent expenses
+// and reminders. Each section re-renders in place when its data changes.
+function watchDashboard() {
+    subscriptions.set('groups', watchUserGroups(currentUser.uid, {}, groups => {
+        activeGroups = groups;
+        watchLedgers(groups);
+        renderUserGroups(groups);
+        renderLedgerSections();
+    }));
+    subscriptions.set('recentExpenses', expensesRepo.watch(
+        [['paidBy', '==', currentUser.uid]],
+        { orderBy: ['date', 'desc'], limit: 5 },
+        renderRecentExpenses
+    ));
+    subscriptions.set('reminders', watchReminderInbox(currentUser.uid, renderReminderInbox));
+}
+
+// Keep one ledger listener per active group, dropping those of groups the
+// user left or that were archived
+function watchLedgers(groups) {
+    const groupIds = new Set(groups.map(group => group.id));
+    subscriptions.names()
+        .filter(name => name.startsWith('ledger:'))
+        .map(name => name.slice('ledger:'.length))
+        .filter(groupId => !groupIds.has(groupId))
+        .forEach(groupId => {
+            subscriptions.stop(`ledger:${groupId}`);
+            ledgers.delete(groupId);
         });
+    groupIds.forEach(groupId => {
+        if (subscriptions.has(`ledger:${groupId}`)) return;
+        subscriptions.set(`ledger:${groupId}`, watchGroupLedger(groupId, ledger => {
+            ledgers.set(groupId, ledger);
+            renderLedgerSections();
+        }));
+    });
+}
 
-        // Calculate owed amounts
-        const settlementsQuery = query(
-            collection(db, 'settlements'),
-            where('userId', '==', currentUser.uid),
-            where('status', '==', 'pending')
-        );
-        const settlementsSnapshot = await getDocs(settlementsQuery);
-        
-        let totalOwed = 0;
-        let totalOwedToYou = 0;
-        settlementsSnapshot.forEach(doc => {
-            const data = doc.data();
-            if (data.amount > 0) {
-                totalOwed += data.amount;
-            } else {
-                totalOwedToYou += Math.abs(data.amount);
+// Stats and pending settlements wait for every group's ledger, so totals
+// never show a partial sum while the listeners load
+function renderLedgerSections() {
+    if (activeGroups.some(group => !ledgers.has(group.id))) return;
+    renderDashboardStats();
+    renderPendingSettlements();
+}
+
+// Render dashboard statistics
+function renderDashboardStats() {
+    try {
+        // Totals are kept per currency; groups can use different base currencies
+        const totalSpent = {};
+        // Owed amounts are the net group balances from the ledger, so they
+        // match each group's Settle Up (payments and transfers included)
+        const totalOwed = {};
+        const totalOwedToYou = {};
+        activeGroups.forEach(group => {
+            const { expenses, settlements } = ledgers.get(group.id);
+            expenses.forEach(expense => {
+                if (expense.paidBy !== currentUser.uid) return;
+                const currency = expenseCurrency(expense);
+                totalSpent[currency] = (totalSpent[currency] || 0) + expenseAmountPaise(expense);
+            });
+
+            const currency = group.baseCurrency || DEFAULT_CURRENCY;
+            const balance = computeNetBalances(expenses, collectPayments(expenses, settlements))[currentUser.uid] || 0;
+            if (balance < 0) {
+                totalOwed[currency] = (totalOwed[currency] || 0) - balance;
+            } else if (balance > 0) {
+                totalOwedToYou[currency] = (totalOwedToYou[currency] || 0) + balance;
             }
         });
 
-        document.getElementById('totalSpent').textContent = `₹${totalSpent.toFixed(2)}`;
-        document.getElementById('totalOwed').textContent = `₹${totalOwed.toFixed(2)}`;
-        document.getElementById('totalOwedToYou').textContent = `₹${totalOwedToYou.toFixed(2)}`;
+        document.getElementById('totalSpent').textContent = formatMoneyTotals(totalSpent);
+        document.getElementById('totalOwed').textContent = formatMoneyTotals(totalOwed);
+        document.getElementById('totalOwedToYou').textContent = formatMoneyTotals(totalOwedToYou);
     } catch (error) {
-        console.error('Error loading dashboard stats:', error);
+        console.error('Error rendering dashboard stats:', error);
     }
 }
 
-// Load recent expenses
-async function loadRecentExpenses() {
+// Render the five latest expenses the user paid
+function renderRecentExpenses(expenses) {
     try {
-        const expensesQuery = query(
-            collection(db, 'expenses'),
-            where('paidBy', '==', currentUser.uid),
-            orderBy('date', 'desc'),
-            limit(5)
-        );
-        const expensesSnapshot = await getDocs(expensesQuery);
         const expensesList = document.getElementById('recentExpenses');
         
-        if (expensesSnapshot.empty) {
+        if (expenses.length === 0) {
             expensesList.innerHTML = '<p class="empty-state">No expenses yet. Add your first expense!</p>';
             return;
         }
 
         expensesList.innerHTML = '';
-        expensesSnapshot.forEach(doc => {
-            const expense = doc.data();
-            const expenseItem = createExpenseItem(expense, doc.id);
+        expenses.forEach(expense => {
+            const expenseItem = createExpenseItem(expense, expense.id);
             expensesList.appendChild(expenseItem);
         });
     } catch (error) {
-        console.error('Error loading recent expenses:', error);
+        console.error('Error rendering recent expenses:', error);
     }
 }
 
@@ -109,7 +184,7 @@ function createExpenseItem(expense, expenseId) {
     item.innerHTML = `
         <div class="expense-item-header">
             <span class="expense-item-title">${expense.description || 'Expense'}</span>
-            <span class="expense-item-amount">₹${expense.amount?.toFixed(2) || '0.00'}</span>
+            <span class="expense-item-amount">${formatMoney(expenseAmountPaise(expense), expenseCurrency(expense))}</span>
         </div>
         <div class="expense-item-meta">
             <span>${new Date(expense.date).toLocaleDateString()}</span>
@@ -119,95 +194,228 @@ function createExpenseItem(expense, expenseId) {
     return item;
 }
 
-// Load pending settlements
-async function loadPendingSettlements() {
+// Render unpaid settlements of active groups: debts you owe, and debts owed
+// to you, with payments marked as sent still waiting for confirmation
+function renderPendingSettlements() {
     try {
-        const settlementsQuery = query(
-            collection(db, 'settlements'),
-            where('userId', '==', currentUser.uid),
-            where('status', '==', 'pending'),
-            orderBy('createdAt', 'desc')
-        );
-        const settlementsSnapshot = await getDocs(settlementsQuery);
         const settlementsList = document.getElementById('pendingSettlements');
         
-        if (settlementsSnapshot.empty) {
+        // Payer-side summary docs (userId === owedTo) are not debts
+        const pending = [];
+        ledgers.forEach(({ settlements }) => {
+            settlements.forEach(settlement => {
+                if (!isOpenSettlement(settlement) || settlement.userId === settlement.owedTo) return;
+                if (settlement.userId === currentUser.uid) {
+                    pending.push({ id: settlement.id, settlement, isOwed: true });
+                } else if (settlement.owedTo === currentUser.uid) {
+                    pending.push({ id: settlement.id, settlement, isOwed: false });
+                }
+            });
+        });
+        pending.sort((a, b) => (b.settlement.createdAt || '').localeCompare(a.settlement.createdAt || ''));
+        
+        if (pending.length === 0) {
             settlementsList.innerHTML = '<p class="empty-state">No pending settlements</p>';
             return;
         }
 
         settlementsList.innerHTML = '';
-        settlementsSnapshot.forEach(doc => {
-            const settlement = doc.data();
-            const settlementItem = createSettlementItem(settlement, doc.id);
-            settlementsList.appendChild(settlementItem);
+        pending.forEach(({ id, settlement, isOwed }) => {
+            settlementsList.appendChild(createSettlementItem(settlement, id, isOwed));
         });
     } catch (error) {
-        console.error('Error loading pending settlements:', error);
+        console.error('Error rendering pending settlements:', error);
     }
 }
 
-// Create settlement item element
-function createSettlementItem(settlement, settlementId) {
+// Create settlement item element; `isOwed` means the signed-in user owes it
+function createSettlementItem(settlement, settlementId, isOwed) {
     const item = document.createElement('div');
     item.className = 'settlement-item';
-    const amount = settlement.amount || 0;
-    const isOwed = amount > 0;
+    const currency = settlementCurrency(settlement);
+    // What is left after part payments (see settlementRemainingPaise)
+    const amount = settlementRemainingPaise(settlement);
+    const partPaid = settlement.paidPaise
+        ? `<span>${formatMoney(settlement.paidPaise, currency)} of ${formatMoney(Math.abs(settlementAmountPaise(settlement)), currency)} paid</span>`
+        : '';
+    
+    // A payment the debtor marked as sent waits for the payee to confirm or dispute it
+    const claimed = settlement.status === 'claimed';
+    const state = describeSettlementState(settlement, isOwed ? 'the payee' : 'you');
+    // The state may quote the payee's dispute note, so it is set as text below
+    const stateInfo = state ? `<div class="settlement-state ${settlement.status}"></div>` : '';
     
     const settleButton = isOwed ? `
-        <button class="btn btn-primary" style="margin-top: 8px; width: auto;" onclick="settlePayment('${settlementId}', ${Math.abs(amount)})">
-            Settle Payment
+        <button class="btn btn-primary" style="margin-top: 8px; width: auto;" onclick="settlePayment('${settlementId}')">
+            ${claimed ? 'Payment Details' : 'Settle Payment'}
+        </button>
+    ` : '';
+    
+    const claimButtons = !isOwed && claimed ? `
+        <button class="btn btn-success" style="margin-top: 8px; width: auto;" onclick="confirmPaymentReceived('${settlementId}')">
+            <i class="fas fa-check"></i> Confirm Received
+        </button>
+        <button class="btn btn-danger" style="margin-top: 8px; width: auto;" onclick="disputePayment('${settlementId}')">
+            <i class="fas fa-times"></i> Not Received
+        </button>
+    ` : '';
+    
+    const proofButton = settlement.hasProof ? `
+        <button class="btn btn-secondary" style="margin-top: 8px; width: auto;" onclick="viewPaymentProof('${settlementId}')">
+            <i class="fas fa-image"></i> View Proof
+        </button>
+    ` : '';
+    
+    // Money the payee got outside the app, all of what is left or a part of it
+    const recordButton = !isOwed && !claimed && !settlement.type ? `
+        <button class="btn btn-success" style="margin-top: 8px; width: auto;" onclick="recordPayment('${settlementId}')">
+            <i class="fas fa-hand-holding-usd"></i> Record Payment
         </button>
     ` : '';
     
     // For settlements where user is owed, send reminder to the person who owes
-    const reminderButton = !isOwed ? `
+    const reminderButton = !isOwed && !claimed ? `
         <button class="btn btn-secondary" style="margin-top: 8px; width: auto; margin-left: 8px;" onclick="sendReminderToDebtor('${settlementId}')">
             <i class="fas fa-bell"></i> Send Reminder
         </button>
     ` : '';
     
+    // A link the debtor can open to see what they owe and pay it
+    const linkButton = !isOwed && !claimed ? `
+        <button class="btn btn-secondary" style="margin-top: 8px; width: auto;" onclick="sharePayLink('${settlementId}')">
+            <i class="fas fa-share-alt"></i> Share Pay Link
+        </button>
+    ` : '';
+    
     item.innerHTML = `
         <div class="expense-item-header">
             <span class="expense-item-title">${settlement.description || 'Settlement'}</span>
             <span class="expense-item-amount" style="color: ${isOwed ? 'var(--danger-color)' : 'var(--success-color)'}">
-                ${isOwed ? 'You owe' : 'Owed to you'}: ₹${Math.abs(amount).toFixed(2)}
+                ${isOwed ? 'You owe' : 'Owed to you'}: ${formatMoney(amount, currency)}
             </span>
         </div>
         <div class="expense-item-meta">
             <span>${settlement.groupName || 'No Group'}</span>
+            ${partPaid}
+            ${!isOwed && settlement.lastRemindedAt ? `<span>Last reminded: ${new Date(settlement.lastRemindedAt).toLocaleDateString()}</span>` : ''}
         </div>
+        ${stateInfo}
         <div style="display: flex; gap: 8px;">
             ${settleButton}
+            ${claimButtons}
+            ${recordButton}
+            ${proofButton}
             ${reminderButton}
+            ${linkButton}
         </div>
     `;
+    if (state) item.querySelector('.settlement-state').textContent = state;
     return item;
 }
 
-// Load user groups
-async function loadUserGroups() {
+// Render the reminders other members sent you, newest first
+function renderReminderInbox(reminders) {
+    try {
+        const inbox = document.getElementById('reminderInbox');
+        if (!inbox) return;
+        
+        const unread = reminders.filter(r => !r.read).length;
+        const badge = document.getElementById('reminderUnread');
+        badge.textContent = `${unread} new`;
+        badge.style.display = unread > 0 ? 'inline' : 'none';
+        
+        if (reminders.length === 0) {
+            inbox.innerHTML = '<p class="empty-state">No reminders</p>';
+            return;
+        }
+        inbox.innerHTML = '';
+        reminders.forEach(reminder => inbox.appendChild(createReminderItem(reminder)));
+    } catch (error) {
+        console.error('Error rendering reminders:', error);
+    }
+}
+
+// Create reminder inbox item element
+function createReminderItem(reminder) {
+    const item = document.createElement('div');
+    item.className = `settlement-item${reminder.read ? ' reminder-read' : ''}`;
+    item.innerHTML = `
+        <div class="expense-item-header">
+            <span class="expense-item-title">${reminder.message}</span>
+        </div>
+        <div class="expense-item-meta">
+            <span>${new Date(reminder.createdAt).toLocaleString()}</span>
+            ${reminder.type === 'auto' ? '<span>Automatic</span>' : ''}
+        </div>
+        <div style="display: flex; gap: 8px;">
+            <button class="btn btn-primary" style="margin-top: 8px; width: auto;" onclick="settlePayment('${reminder.settlementId}')">
+                Settle Payment
+            </button>
+            ${reminder.read ? '' : `
+                <button class="btn btn-secondary" style="margin-top: 8px; width: auto;" onclick="markReminderRead('${reminder.id}')">
+                    Mark as Read
+                </button>
+            `}
+        </div>
+    `;
+    return item;
+}
+
+// Fill and wire the "auto-remind after N days" setting
+function setupAutoReminderSetting(userData) {
+    const select = document.getElementById('autoReminderDays');
+    if (!select) return;
+    select.innerHTML = AUTO_REMINDER_DAYS
+        .map(days => `<option value="${days}">${days === 0 ? 'Off' : `After ${days} days`}</option>`)
+        .join('');
+    select.value = String(userData?.autoReminderDays || 0);
+    select.addEventListener('change', async () => {
+        try {
+            await setAutoReminderDays(currentUser.uid, select.value);
+        } catch (error) {
+            console.error('Error saving reminder setting:', error);
+            alert('Error saving reminder setting: ' + error.message);
+        }
+    });
+}
+
+// Resend the verification email (global for onclick)
+window.resendVerification = async function() {
+    const result = await resendVerificationEmail();
+    if (result.success) {
+        alert(`Verification email sent to ${currentUser.email}.`);
+    } else {
+        alert(result.error);
+    }
+};
+
+// Mark a reminder read (global for onclick)
+window.markReminderRead = async function(reminderId) {
+    try {
+        await markReminderRead(reminderId);
+    } catch (error) {
+        console.error('Error updating reminder:', error);
+        alert('Error updating reminder: ' + error.message);
+    }
+};
+
+// Render the user's active groups
+function renderUserGroups(groups) {
     try {
-        const groupsQuery = query(
-            collection(db, 'groups'),
-            where('members', 'array-contains', currentUser.uid)
-        );
-        const groupsSnapshot = await getDocs(groupsQuery);
         const groupsList = document.getElementById('userGroups');
         
-        if (groupsSnapshot.empty) {
+        if (groups.length === 0) {
             groupsList.innerHTML = '<p class="empty-state">No groups yet. Create your first group!</p>';
             return;
         }
 
         groupsList.innerHTML = '';
-        groupsSnapshot.forEach(doc => {
-            const group = doc.data();
-            const groupItem = createGroupItem(group, doc.id);
+        groups.forEach(group => {
+            const groupItem = createGroupItem(group, group.id);
             groupsList.appendChild(groupItem);
         });
     } catch (error) {
-        console.error('Error loading user groups:', error);
+        console.error('Error rendering user groups:', error);
     }
 }
 
@@ -227,39 +435,112 @@ function createGroupItem(group, groupId) {
     return item;
 }
 
-// Settle payment function (global for onclick)
-window.settlePayment = async function(settlementId, amount) {
+// Settle payment function (global for onclick): UPI, another way (for the
+// payee to confirm) or Razorpay, see settle-dialog.js. The pending list
+// follows the result through its listeners.
+window.settlePayment = async function(settlementId) {
     try {
-        const { initiatePayment } = await import('./payments.js');
-        const settlementDoc = await getDoc(doc(db, 'settlements', settlementId));
-        if (!settlementDoc.exists()) {
+        const settlement = await settlementsRepo.get(settlementId);
+        if (!settlement) {
             alert('Settlement not found');
             return;
         }
         
-        const settlement = settlementDoc.data();
-        await initiatePayment(
-            amount,
-            settlement.description || 'Settlement',
-            currentUser.uid,
-            settlementId
-        );
+        if (!isOpenSettlement(settlement)) {
+            alert('This settlement is already settled.');
+            return;
+        }
+        await openSettleDialog(settlement, currentUser.uid);
     } catch (error) {
         console.error('Error settling payment:', error);
         alert('Error settling payment: ' + error.message);
     }
 };
 
+// Record money received outside the app, all that is left or a part
+// payment; the settlement closes once nothing is left (global for onclick)
+window.recordPayment = async function(settlementId) {
+    try {
+        const settlement = await settlementsRepo.get(settlementId);
+        if (!settlement) {
+            alert('Settlement not found');
+            return;
+        }
+        const currency = settlementCurrency(settlement);
+        // Parts the debtor marked paid are confirmed separately
+        const unclaimed = settlementUnclaimedPaise(settlement);
+        const input = prompt(`How much did you receive? ${formatMoney(unclaimed, currency)} is left to pay and not yet marked paid.`, fromPaise(unclaimed));
+        if (input === null) return;
+        const updated = await recordPaymentReceived(settlementId, currentUser.uid, toPaise(input));
+        if (updated.status !== 'paid') {
+            alert(`Payment recorded. ${formatMoney(settlementRemainingPaise(updated), currency)} is still left to pay.`);
+        }
+    } catch (error) {
+        console.error('Error recording payment:', error);
+        alert('Error recording payment: ' + error.message);
+    }
+};
+
+// Confirm a payment the debtor marked as sent (global for onclick)
+window.confirmPaymentReceived = async function(settlementId) {
+    try {
+        const settlement = await settlementsRepo.get(settlementId);
+        if (!settlement) {
+            alert('Settlement not found');
+            return;
+        }
+        const reference = settlement.paymentReference ? ` (ref ${settlement.paymentReference})` : '';
+        const amount = formatMoney(settlementRemainingPaise(settlement), settlementCurrency(settlement));
+        if (!confirm(`Did you receive ${amount}${reference}? Check your bank or UPI app before confirming.`)) return;
+        await confirmSettlementPayment(settlementId, currentUser.uid);
+    } catch (error) {
+        console.error('Error confirming payment:', error);
+        alert('Error confirming payment: ' + error.message);
+    }
+};
+
+// Dispute a payment the debtor marked as sent (global for onclick)
+window.disputePayment = async function(settlementId) {
+    try {
+        const reason = prompt('What is wrong with this payment? The member who owes it will see your note.', 'Not received yet');
+        if (reason === null) return;
+        await disputeSettlementPayment(settlementId, currentUser.uid, reason);
+    } catch (error) {
+        console.error('Error disputing payment:', error);
+        alert('Error disputing payment: ' + error.message);
+    }
+};
+
+// Open the pay link page for a settlement, with its share buttons (global for onclick)
+window.sharePayLink = async function(settlementId) {
+    try {
+        const code = await createPaymentLink(settlementId, currentUser.uid);
+        window.location.href = paymentLinkUrl(code);
+    } catch (error) {
+        console.error('Error creating pay link:', error);
+        alert('Error creating pay link: ' + error.message);
+    }
+};
+
+// Show the proof attached to a claimed payment (global for onclick)
+window.viewPaymentProof = async function(settlementId) {
+    try {
+        await openPaymentProof(settlementId);
+    } catch (error) {
+        console.error('Error loading payment proof:', error);
+        alert('Error loading proof: ' + error.message);
+    }
+};
+
 // Send reminder function (global for onclick)
 window.sendReminderToDebtor = async function(settlementId) {
     try {
-        const settlementDoc = await getDoc(doc(db, 'settlements', settlementId));
-        if (!settlementDoc.exists()) {
+        const settlement = await settlementsRepo.get(settlementId);
+        if (!settlement) {
             alert('Settlement not found');
             return;
         }
         
-        const settlement = settlementDoc.data();
         // The userId in settlement is the person who owes (debtor)
         const debtorId = settlement.userId;
         
@@ -0,0 +1,194 @@
+import {
+    groupsRepo,
+    expensesRepo,
+    settlementsRepo,
+    remindersRepo,
+    recurringRepo,
+    invitesRepo,
+    paymentProofsRepo,
+    paymentLinksRepo,
+    deleteField
+} from './repository.js';
+import { logActivity } from './activity.js';
+import { isGroupAdmin } from './membership.js';
+
+// Archiving and deleting groups.
+// - Archived groups (`archivedAt`) are finished, e.g. a trip that is over:
+//   read-only, listed apart from active groups and left out of dashboard
+//   totals. Admins can restore them at any time.
+// - Deleting a group moves it to the trash (`deletedAt`, `purgeAfter`):
+//   it disappears for every member, and the owner can restore it for
+//   TRASH_GRACE_DAYS. After that purgeExpiredTrash deletes the group with its
+//   expenses, settlements, reminders, recurring templates and invites. There
+//   is no server, so this runs when the owner opens the groups page.
+// The activity log is append-only and is kept.
+
+export const TRASH_GRACE_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function isArchived(group) {
+    return !!group.archivedAt;
+}
+
+export function isInTrash(group) {
+    return !!group.deletedAt;
+}
+
+export function isActiveGroup(group) {
+    return !isArchived(group) && !isInTrash(group);
+}
+
+// Groups the user belongs to as [{ id, ...group }]. Trashed groups are left
+// out; archived ones too unless `includeArchived` is set.
+export async function getUserGroups(userId, { includeArchived = false } = {}) {
+    const groups = await groupsRepo.find([['members', 'array-contains', userId]]);
+    return selectUserGroups(groups, { includeArchived });
+}
+
+// Groups in the trash that `userId` owns (and so may restore), soonest purge first
+export async function getTrashedGroups(userId) {
+    const groups = await groupsRepo.find([['members', 'array-contains', userId]]);
+    return selectTrashedGroups(groups, userId);
+}
+
+// Live versions of the two above: onChange(groups) runs now and whenever one
+// of the user's groups changes. Returns a function that stops listening.
+export function watchUserGroups(userId, { includeArchived = false } = {}, onChange) {
+    return groupsRepo.watch([['members', 'array-contains', userId]], {}, groups => {
+        onChange(selectUserGroups(groups, { includeArchived }));
+    });
+}
+
+export function watchTrashedGroups(userId, onChange) {
+    return groupsRepo.watch([['members', 'array-contains', userId]], {}, groups => {
+        onChange(selectTrashedGroups(groups, userId));
+    });
+}
+
+function selectUserGroups(groups, { includeArchived }) {
+    return groups.filter(group => !isInTrash(group) && (includeArchived || !isArchived(group)));
+}
+
+function selectTrashedGroups(groups, userId) {
+    return groups
+        .filter(group => isInTrash(group) && group.createdBy === userId)
+        .sort((a, b) => (a.purgeAfter || '').localeCompare(b.purgeAfter || ''));
+}
+
+async function loadGroup(groupId) {
+    const group = await groupsRepo.get(groupId);
+    if (!group) throw new Error('Group not found.');
+    return group;
+}
+
+// Archive a group (admins only). Returns { success: true } or { success: false, error }.
+export async function archiveGroup(groupId, userId) {
+    try {
+        const group = await loadGroup(groupId);
+        if (!isGroupAdmin(group, userId)) {
+            return { success: false, error: 'Only group admins can archive the group.' };
+        }
+        await groupsRepo.update(groupId, {
+            archivedAt: new Date().toISOString(),
+            archivedBy: userId
+        });
+        await logActivity({ groupId, type: 'group_archived', summary: `"${group.name || 'Group'}"` });
+        return { success: true };
+    } catch (error) {
+        console.error('Error archiving group:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Bring an archived group back to the active list (admins only)
+export async function unarchiveGroup(groupId, userId) {
+    try {
+        const group = await loadGroup(groupId);
+        if (!isGroupAdmin(group, userId)) {
+            return { success: false, error: 'Only group admins can restore the group.' };
+        }
+        await groupsRepo.update(groupId, {
+            archivedAt: deleteField(),
+            archivedBy: deleteField()
+        });
+        await logActivity({ groupId, type: 'group_restored', summary: `"${group.name || 'Group'}" from the archive` });
+        return { success: true };
+    } catch (error) {
+        console.error('Error restoring group:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Move a group to the trash (owner only)
+export async function moveGroupToTrash(groupId, userId) {
+    try {
+        const group = await loadGroup(groupId);
+        if (group.createdBy !== userId) {
+            return { success: false, error: 'Only the group owner can delete this group.' };
+        }
+        const now = Date.now();
+        await groupsRepo.update(groupId, {
+            deletedAt: new Date(now).toISOString(),
+            deletedBy: userId,
+            purgeAfter: new Date(now + TRASH_GRACE_DAYS * DAY_MS).toISOString()
+        });
+        await logActivity({ groupId, type: 'group_deleted', summary: `"${group.name || 'Group'}" moved to trash` });
+        return { success: true };
+    } catch (error) {
+        console.error('Error deleting group:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Take a group out of the trash (owner only); it comes back as it was
+export async function restoreGroupFromTrash(groupId, userId) {
+    try {
+        const group = await loadGroup(groupId);
+        if (group.createdBy !== userId) {
+            return { success: false, error: 'Only the group owner can restore this group.' };
+        }
+        await groupsRepo.update(groupId, {
+            deletedAt: deleteField(),
+            deletedBy: deleteField(),
+            purgeAfter: deleteField()
+        });
+        await logActivity({ groupId, type: 'group_restored', summary: `"${group.name || 'Group'}" from the trash` });
+        return { success: true };
+    } catch (error) {
+        console.error('Error restoring group:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Delete every doc of `repo` that belongs to the group
+async function deleteGroupDocs(repo, groupId) {
+    const docs = await repo.find([['groupId', '==', groupId]]);
+    await Promise.all(docs.map(d => repo.remove(d.id)));
+}
+
+// Permanently delete a trashed group and everything that belongs to it.
+// The group doc goes last: the rules check it to allow the other deletions.
+export async function purgeGroup(groupId) {
+    for (const repo of [expensesRepo, settlementsRepo, paymentProofsRepo, paymentLinksRepo, remindersRepo, recurringRepo, invitesRepo]) {
+        await deleteGroupDocs(repo, groupId);
+    }
+    await groupsRepo.remove(groupId);
+}
+
+// Purge the user's trashed groups whose grace period is over.
+// Returns the number of groups deleted.
+export async function purgeExpiredTrash(userId) {
+    let purged = 0;
+    try {
+        const now = new Date().toISOString();
+        for (const group of await getTrashedGroups(userId)) {
+            if (!group.purgeAfter || group.purgeAfter > now) continue;
+            await purgeGroup(group.id);
+            purged++;
+        }
+    } catch (error) {
+        console.error('Error emptying trash:', error);
+    }
+    return purged;
+}
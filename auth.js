@@ -3,11 +3,59 @@ import {
     createUserWithEmailAndPassword,   
     signInWithEmailAndPassword,       
     signOut,                          
-    onAuthStateChanged                
+    onAuthStateChanged,
+    sendEmailVerification,
+    sendPasswordResetEmail,
+    reload,
+    EmailAuthProvider,
+    reauthenticateWithCredential,
+    updatePassword,
+    verifyBeforeUpdateEmail
 } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js';
 
-import { doc, setDoc, getDoc } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
-import { db } from './firebase-config.js';
+import { usersRepo } from './repository.js';
+
+/**
+ * ============================================
+ * CONSTANT: AUTH_ERROR_MESSAGES
+ * ============================================
+ * Firebase error codes mapped to messages people can act on.
+ * Sign-in deliberately uses one message for a wrong email or password,
+ * so the form doesn't reveal which accounts exist.
+ */
+const AUTH_ERROR_MESSAGES = {
+    'auth/invalid-email': 'Please enter a valid email address.',
+    'auth/missing-email': 'Please enter your email address.',
+    'auth/missing-password': 'Please enter your password.',
+    'auth/user-not-found': 'Incorrect email or password.',
+    'auth/wrong-password': 'Incorrect email or password.',
+    'auth/invalid-credential': 'Incorrect email or password.',
+    'auth/invalid-login-credentials': 'Incorrect email or password.',
+    'auth/user-disabled': 'This account has been disabled. Please contact support.',
+    'auth/email-already-in-use': 'An account with this email already exists. Try logging in instead.',
+    'auth/weak-password': 'Password must be at least 6 characters long.',
+    'auth/too-many-requests': 'Too many attempts. Please wait a few minutes and try again.',
+    'auth/network-request-failed': 'Network error. Check your connection and try again.',
+    'auth/requires-recent-login': 'Please log in again before making this change.',
+    'auth/expired-action-code': 'This link has expired. Please request a new one.',
+    'auth/invalid-action-code': 'This link is invalid or has already been used.',
+    'auth/operation-not-allowed': 'Email and password sign-in is not enabled for this app.'
+};
+
+/**
+ * ============================================
+ * FUNCTION: describeAuthError(error)
+ * ============================================
+ * What it does: Turns a Firebase auth error into a human-readable message
+ * Returns: The message to show in the form
+ */
+export function describeAuthError(error) {
+    if (error?.code && AUTH_ERROR_MESSAGES[error.code]) {
+        return AUTH_ERROR_MESSAGES[error.code];
+    }
+    console.error('Unexpected auth error:', error);
+    return 'Something went wrong. Please try again.';
+}
 
 export function checkAuth() {
     return new Promise((resolve) => {
@@ -25,7 +73,8 @@ export async function requireAuth() {
     const user = await checkAuth();
 
     if (!user && !window.location.pathname.includes('index.html')) {
-
+        // Come back here after signing in (e.g. to an invite link)
+        sessionStorage.setItem('redirectAfterLogin', window.location.href);
         window.location.href = 'index.html';
         return null;
     }
@@ -39,18 +88,165 @@ export async function signUp(email, password, name) {
         const userCredential = await createUserWithEmailAndPassword(auth, normalizedEmail, password);
         const user = userCredential.user;
         
-        await setDoc(doc(db, 'users', user.uid), {
+        await usersRepo.set(user.uid, {
             name: name,                              
             email: normalizedEmail,                  
             xpPoints: 0,                             
             level: 1,                                
             badges: [],                              // Badges/achievements (starts empty)
+            emailVerified: false,                    // Groups can add you (and invites are accepted) once verified
             createdAt: new Date().toISOString()      
         });
         
+        // Best-effort: the account works even if the email can't be sent now
+        try {
+            await sendEmailVerification(user);
+        } catch (error) {
+            console.error('Error sending verification email:', error);
+        }
+        
         return { success: true, user };
     } catch (error) {
-        return { success: false, error: error.message };
+        return { success: false, error: describeAuthError(error) };
+    }
+}
+
+/**
+ * ============================================
+ * FUNCTION: signIn(email, password)
+ * ============================================
+ * What it does: Logs a user in with their email and password
+ * Returns: { success: true, user } or { success: false, error }
+ */
+export async function signIn(email, password) {
+    try {
+        const normalizedEmail = (email || '').trim().toLowerCase();
+        const userCredential = await signInWithEmailAndPassword(auth, normalizedEmail, password);
+        return { success: true, user: userCredential.user };
+    } catch (error) {
+        return { success: false, error: describeAuthError(error) };
+    }
+}
+
+/**
+ * ============================================
+ * FUNCTION: sendPasswordReset(email)
+ * ============================================
+ * What it does: Emails a password reset link
+ * Returns: { success: true } or { success: false, error }
+ */
+export async function sendPasswordReset(email) {
+    try {
+        const normalizedEmail = (email || '').trim().toLowerCase();
+        await sendPasswordResetEmail(auth, normalizedEmail);
+        return { success: true };
+    } catch (error) {
+        // Don't reveal whether an account exists for this email
+        if (error.code === 'auth/user-not-found') return { success: true };
+        return { success: false, error: describeAuthError(error) };
+    }
+}
+
+/**
+ * ============================================
+ * FUNCTION: resendVerificationEmail()
+ * ============================================
+ * What it does: Sends the logged-in user another verification email
+ * Returns: { success: true } or { success: false, error }
+ */
+export async function resendVerificationEmail() {
+    try {
+        if (!auth.currentUser) return { success: false, error: 'Please log in first.' };
+        await sendEmailVerification(auth.currentUser);
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: describeAuthError(error) };
+    }
+}
+
+/**
+ * ============================================
+ * FUNCTION: isVerifiedProfile(userData)
+ * ============================================
+ * What it does: Tells whether a user profile may be added to groups
+ * - Accounts created since verification was introduced start with
+ *   emailVerified: false until they confirm their email
+ * - Older profiles without the flag are treated as verified (the rules
+ *   stop newer ones from dropping it)
+ */
+export function isVerifiedProfile(userData) {
+    return !!userData && userData.emailVerified !== false;
+}
+
+/**
+ * ============================================
+ * FUNCTION: syncAccountProfile(user, userData)
+ * ============================================
+ * What it does: Copies the latest login details onto the user's profile
+ * - emailVerified, once they click the link in the verification email
+ * - email, once they confirm a change of email address
+ * Other members find people by these profile fields when adding them to groups.
+ * Returns: The refreshed Firebase user
+ */
+export async function syncAccountProfile(user, userData) {
+    try {
+        await reload(user); // Pick up verification done in another tab
+        const changes = {};
+        const email = (user.email || '').toLowerCase();
+        if (userData && email && userData.email !== email) changes.email = email;
+        if (userData && userData.emailVerified !== user.emailVerified) changes.emailVerified = user.emailVerified;
+        // The rules read email_verified from the ID token, which reload() leaves stale
+        if (user.emailVerified && changes.emailVerified) await user.getIdToken(true);
+        if (Object.keys(changes).length > 0) {
+            await usersRepo.update(user.uid, changes);
+        }
+    } catch (error) {
+        console.error('Error syncing profile:', error);
+    }
+    return auth.currentUser || user;
+}
+
+/**
+ * ============================================
+ * FUNCTION: changePassword(currentPassword, newPassword)
+ * ============================================
+ * What it does: Confirms the current password, then sets a new one
+ * Returns: { success: true } or { success: false, error }
+ */
+export async function changePassword(currentPassword, newPassword) {
+    try {
+        const user = auth.currentUser;
+        if (!user) return { success: false, error: 'Please log in first.' };
+        await reauthenticateWithCredential(user, EmailAuthProvider.credential(user.email, currentPassword));
+        await updatePassword(user, newPassword);
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: describeAuthError(error) };
+    }
+}
+
+/**
+ * ============================================
+ * FUNCTION: changeEmail(currentPassword, newEmail)
+ * ============================================
+ * What it does: Confirms the current password, then emails a link to the
+ * new address. The email changes once that link is clicked; the profile
+ * picks it up on the next syncAccountProfile.
+ * Returns: { success: true } or { success: false, error }
+ */
+export async function changeEmail(currentPassword, newEmail) {
+    try {
+        const user = auth.currentUser;
+        if (!user) return { success: false, error: 'Please log in first.' };
+        const normalizedEmail = (newEmail || '').trim().toLowerCase();
+        if (normalizedEmail === (user.email || '').toLowerCase()) {
+            return { success: false, error: 'That is already your email address.' };
+        }
+        await reauthenticateWithCredential(user, EmailAuthProvider.credential(user.email, currentPassword));
+        await verifyBeforeUpdateEmail(user, normalizedEmail);
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: describeAuthError(error) };
     }
 }
 
@@ -77,18 +273,26 @@ export async function signOutUser() {
 export async function getUserData(userId) {
     try {
         // Get the user's profile from database
-        const userDoc = await getDoc(doc(db, 'users', userId));
-        if (userDoc.exists()) {
-            // Return the user's data
-            return userDoc.data();
-        }
-        return null;
+        return await usersRepo.get(userId);
     } catch (error) {
         console.error('Error getting user data:', error);
         return null;
     }
 }
 
+/**
+ * ============================================
+ * FUNCTION: redirectAfterAuth()
+ * ============================================
+ * What it does: Sends a user who just signed in or up to the page that
+ * asked them to (saved by requireAuth), or to the dashboard
+ */
+function redirectAfterAuth() {
+    const target = sessionStorage.getItem('redirectAfterLogin');
+    sessionStorage.removeItem('redirectAfterLogin');
+    window.location.href = target || 'dashboard.html';
+}
+
 /**
  * ============================================
  * SECTION: Login Form Handler
@@ -108,8 +312,8 @@ if (document.getElementById('loginFormElement')) {
         // Try to sign in
         const result = await signIn(email, password);
         if (result.success) {
-            // Login worked! Take them to dashboard
-            window.location.href = 'dashboard.html';
+            // Login worked! Take them to dashboard (or the page that sent them here)
+            redirectAfterAuth();
         } else {
             // Login failed - show the error message
             errorDiv.textContent = result.error;
@@ -138,8 +342,8 @@ if (document.getElementById('signupFormElement')) {
         // Try to sign up
         const result = await signUp(email, password, name);
         if (result.success) {
-            // Signup worked! Take them to dashboard
-            window.location.href = 'dashboard.html';
+            // Signup worked! Take them to dashboard (or the page that sent them here)
+            redirectAfterAuth();
         } else {
             // Signup failed - show the error message
             errorDiv.textContent = result.error;
@@ -150,38 +354,73 @@ if (document.getElementById('signupFormElement')) {
 
 /**
  * ============================================
- * SECTION: Toggle Login/Signup Form
+ * SECTION: Password Reset Form Handler
  * ============================================
- * What it does: When user clicks "Create new account", switch to signup form
+ * What it does: When user submits the reset form, email them a reset link
  */
-if (document.getElementById('showSignup')) {
-    document.getElementById('showSignup').addEventListener('click', (e) => {
-        e.preventDefault();
-        // Hide login form, show signup form
-        document.getElementById('loginForm').classList.remove('active');
-        document.getElementById('signupForm').classList.add('active');
-        // Hide any error messages
-        document.getElementById('authError').classList.remove('show');
+if (document.getElementById('resetFormElement')) {
+    document.getElementById('resetFormElement').addEventListener('submit', async (e) => {
+        e.preventDefault(); // Stop form from reloading page
+        
+        const email = document.getElementById('resetEmail').value;
+        const errorDiv = document.getElementById('authError');
+        const messageDiv = document.getElementById('authMessage');
+        errorDiv.classList.remove('show');
+        
+        const result = await sendPasswordReset(email);
+        if (result.success) {
+            // Same message whether or not the account exists
+            messageDiv.textContent = 'If an account exists for this email, a reset link is on its way. Check your inbox.';
+            messageDiv.classList.add('show');
+        } else {
+            errorDiv.textContent = result.error;
+            errorDiv.classList.add('show');
+        }
     });
 }
 
 /**
  * ============================================
- * SECTION: Toggle Signup/Login Form
+ * FUNCTION: switchAuthForm(formId)
  * ============================================
- * What it does: When user clicks "Already have an account?", switch to login form
+ * What it does: Shows one of the login/signup/reset forms and hides the
+ * others, clearing any error or success message
  */
-if (document.getElementById('showLogin')) {
-    document.getElementById('showLogin').addEventListener('click', (e) => {
-        e.preventDefault();
-        // Hide signup form, show login form
-        document.getElementById('signupForm').classList.remove('active');
-        document.getElementById('loginForm').classList.add('active');
-        // Hide any error messages
-        document.getElementById('authError').classList.remove('show');
+function switchAuthForm(formId) {
+    ['loginForm', 'signupForm', 'resetForm'].forEach(id => {
+        document.getElementById(id)?.classList.toggle('active', id === formId);
     });
+    document.getElementById('authError').classList.remove('show');
+    document.getElementById('authMessage')?.classList.remove('show');
 }
 
+/**
+ * ============================================
+ * SECTION: Toggle Login/Signup/Reset Forms
+ * ============================================
+ * What it does: Each link switches to the form it names
+ * - "Sign up" shows the signup form
+ * - "Login" (from signup or reset) shows the login form
+ * - "Forgot password?" shows the reset form, prefilled with the login email
+ */
+const authFormLinks = {
+    showSignup: 'signupForm',
+    showLogin: 'loginForm',
+    showLoginFromReset: 'loginForm',
+    showReset: 'resetForm'
+};
+Object.entries(authFormLinks).forEach(([linkId, formId]) => {
+    const link = document.getElementById(linkId);
+    if (!link) return;
+    link.addEventListener('click', (e) => {
+        e.preventDefault();
+        if (formId === 'resetForm') {
+            document.getElementById('resetEmail').value = document.getElementById('loginEmail').value;
+        }
+        switchAuthForm(formId);
+    });
+});
+
 /**
  * ============================================
  * SECTION: Logout Button Handler
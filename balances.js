@@ -0,0 +1,257 @@
+import { groupsRepo, expensesRepo, settlementsRepo, commitBatch } from './repository.js';
+import { DEFAULT_CURRENCY, formatMoney, expenseSplitPaise, settlementAmountPaise, settlementRemainingPaise } from './money.js';
+import { logActivity, displayName } from './activity.js';
+
+// All amounts in this module are integer paise of the group's base currency
+
+// Settlement statuses whose money is still owed: 'claimed' and 'disputed'
+// payments count only once the payee confirms them (see ledger.js)
+export const OPEN_STATUSES = ['pending', 'claimed', 'disputed'];
+
+export function isOpenSettlement(settlement) {
+    return OPEN_STATUSES.includes(settlement.status);
+}
+
+// Extract recorded payments from a group's expenses and settlement docs.
+// A payment is { from, to, amount }: `from` handed `amount` to `to`. It also
+// names its source for exports: { date, settlementId, expenseId }.
+export function collectPayments(expenses, settlements) {
+    const payments = [];
+    const seen = new Set();
+
+    settlements.forEach(s => {
+        if (s.status !== 'paid') return;
+        // Payer-side summary docs (userId === owedTo) carry no money movement
+        if (!s.userId || !s.owedTo || s.userId === s.owedTo) return;
+        // Obligations closed by a settle-up transfer: the transfer itself is the payment
+        if (s.coveredByTransfer) return;
+        // Part payments (`paidPaise`) are counted from their own docs and
+        // transfers, so a paid obligation adds only the rest
+        const amount = s.type === 'payment' ? Math.abs(settlementAmountPaise(s)) : settlementRemainingPaise(s);
+        if (amount <= 0) return;
+        if (s.expenseId) seen.add(`${s.expenseId}:${s.userId}`);
+        payments.push({
+            from: s.userId,
+            to: s.owedTo,
+            amount,
+            date: s.paidAt || s.createdAt || '',
+            settlementId: s.id || '',
+            expenseId: s.expenseId || ''
+        });
+    });
+
+    // Legacy: shares marked paid on the expense itself, until migrateLegacyPayments
+    // (ledger.js) has moved them into settlement docs
+    expenses.forEach(expense => {
+        const status = expense.settlementStatus || {};
+        const split = expenseSplitPaise(expense);
+        Object.entries(status).forEach(([memberId, value]) => {
+            if (value !== 'paid' || memberId === expense.paidBy) return;
+            if (seen.has(`${expense.id}:${memberId}`)) return;
+            const amount = split[memberId] || 0;
+            if (amount <= 0) return;
+            payments.push({
+                from: memberId,
+                to: expense.paidBy,
+                amount,
+                date: expense.date || '',
+                settlementId: '',
+                expenseId: expense.id || ''
+            });
+        });
+    });
+
+    return payments;
+}
+
+// Fold expenses and payments into a net balance per member.
+// Positive means the member is owed money, negative means they owe.
+export function computeNetBalances(expenses, payments = []) {
+    const balances = {};
+    const add = (memberId, delta) => {
+        if (!memberId) return;
+        balances[memberId] = (balances[memberId] || 0) + delta;
+    };
+
+    expenses.forEach(expense => {
+        const split = expenseSplitPaise(expense);
+        Object.entries(split).forEach(([memberId, amount]) => {
+            if (memberId === expense.paidBy || amount <= 0) return;
+            add(expense.paidBy, amount);
+            add(memberId, -amount);
+        });
+    });
+
+    payments.forEach(p => {
+        add(p.from, p.amount);
+        add(p.to, -p.amount);
+    });
+
+    return balances;
+}
+
+// Turn net balances into a short list of transfers { from, to, amount }.
+// Greedily pairs the largest debtor with the largest creditor, so a group of
+// n members never needs more than n - 1 transfers.
+export function simplifyDebts(balances) {
+    const debtors = [];
+    const creditors = [];
+    Object.entries(balances).forEach(([memberId, balance]) => {
+        if (balance < 0) debtors.push({ memberId, amount: -balance });
+        else if (balance > 0) creditors.push({ memberId, amount: balance });
+    });
+
+    // Sort by amount, then id, so the same balances always yield the same plan
+    const byAmount = (a, b) => (b.amount - a.amount) || a.memberId.localeCompare(b.memberId);
+    debtors.sort(byAmount);
+    creditors.sort(byAmount);
+
+    const transfers = [];
+    let i = 0;
+    let j = 0;
+    while (i < debtors.length && j < creditors.length) {
+        const debtor = debtors[i];
+        const creditor = creditors[j];
+        const amount = Math.min(debtor.amount, creditor.amount);
+        transfers.push({ from: debtor.memberId, to: creditor.memberId, amount });
+        debtor.amount -= amount;
+        creditor.amount -= amount;
+        if (debtor.amount === 0) i++;
+        if (creditor.amount === 0) j++;
+    }
+    return transfers;
+}
+
+// Load every expense and settlement doc of a group
+export async function getGroupLedger(groupId) {
+    const [expenses, settlements] = await Promise.all([
+        expensesRepo.find([['groupId', '==', groupId]]),
+        settlementsRepo.find([['groupId', '==', groupId]])
+    ]);
+    return { expenses, settlements };
+}
+
+// Live version of getGroupLedger: onChange({ expenses, settlements }) runs once
+// both have loaded and again whenever either changes. Returns a function that
+// stops listening.
+export function watchGroupLedger(groupId, onChange) {
+    const ledger = { expenses: null, settlements: null };
+    const update = (key) => (docs) => {
+        ledger[key] = docs;
+        if (ledger.expenses && ledger.settlements) onChange({ ...ledger });
+    };
+    const stops = [
+        expensesRepo.watch([['groupId', '==', groupId]], {}, update('expenses')),
+        settlementsRepo.watch([['groupId', '==', groupId]], {}, update('settlements'))
+    ];
+    return () => stops.forEach(stop => stop());
+}
+
+// Net balances and the minimal transfer plan for a group, in its base currency
+export async function getSettleUpPlan(groupId) {
+    const [{ expenses, settlements }, group] = await Promise.all([
+        getGroupLedger(groupId),
+        groupsRepo.get(groupId)
+    ]);
+    return buildSettleUpPlan(expenses, settlements, (group && group.baseCurrency) || DEFAULT_CURRENCY);
+}
+
+// The settle-up plan for a ledger that is already loaded
+export function buildSettleUpPlan(expenses, settlements, currency = DEFAULT_CURRENCY) {
+    const payments = collectPayments(expenses, settlements);
+    const balances = computeNetBalances(expenses, payments);
+    return { balances, transfers: simplifyDebts(balances), currency };
+}
+
+// Record a settle-up transfer as a paid settlement doc, closing the
+// obligations it covers (closeCoveredObligations).
+// With { writeOff: true } no money changed hands: `to` forgives `from` the
+// amount (used when a member leaves or is removed, see membership.js).
+export async function recordTransfer(groupId, from, to, amount, currency = DEFAULT_CURRENCY, { writeOff = false } = {}) {
+    const now = new Date().toISOString();
+    const transferId = await settlementsRepo.add(transferDoc(groupId, from, to, amount, currency, writeOff, now));
+    await afterTransfer(groupId, from, to, amount, currency, writeOff, transferId, now);
+    return transferId;
+}
+
+// Write off `transfers` (from the settle-up plan) in one batch with
+// `writes`. An admin removing a member (membership.js) passes the removal,
+// which the rules check the write-offs against.
+export async function recordWriteOffs(groupId, transfers, currency = DEFAULT_CURRENCY, writes = []) {
+    const now = new Date().toISOString();
+    const ids = await Promise.all(transfers.map(() => settlementsRepo.newId()));
+    await commitBatch([
+        ...transfers.map((t, i) => ({
+            op: 'set',
+            collection: 'settlements',
+            id: ids[i],
+            data: transferDoc(groupId, t.from, t.to, t.amount, currency, true, now)
+        })),
+        ...writes
+    ]);
+    for (const [i, t] of transfers.entries()) {
+        await afterTransfer(groupId, t.from, t.to, t.amount, currency, true, ids[i], now);
+    }
+    return ids;
+}
+
+function transferDoc(groupId, from, to, amount, currency, writeOff, now) {
+    return {
+        groupId: groupId,
+        expenseId: '',
+        type: writeOff ? 'write_off' : 'transfer',
+        userId: from,
+        owedTo: to,
+        amountPaise: amount,
+        currency: currency,
+        description: writeOff ? 'Written off' : 'Settle up',
+        status: 'paid',
+        createdAt: now,
+        paidAt: now
+    };
+}
+
+// Log a written transfer and close the obligations it covers
+async function afterTransfer(groupId, from, to, amount, currency, writeOff, transferId, now) {
+    await logActivity({
+        groupId,
+        type: writeOff ? 'balance_written_off' : 'payment_recorded',
+        summary: writeOff
+            ? `${formatMoney(amount, currency)} that ${await displayName(from)} owed ${await displayName(to)}`
+            : `${await displayName(from)} paid ${await displayName(to)} ${formatMoney(amount, currency)} (settle up)`
+    });
+
+    await closeCoveredObligations(groupId, from, to, amount, transferId, now);
+}
+
+// Close `from`'s open obligations to `to` that a paid transfer of `amount`
+// covers in full (oldest first), so expense breakdowns and the dashboard's
+// pending list agree with the balances. They are tagged with the transfer so
+// collectPayments counts the money once. What is left of the transfer is a
+// part payment of the next obligation (tagged `partCoveredBy`).
+export async function closeCoveredObligations(groupId, from, to, amount, transferId, paidAt) {
+    const open = await settlementsRepo.find([
+        ['groupId', '==', groupId],
+        ['userId', '==', from],
+        ['status', 'in', OPEN_STATUSES]
+    ]);
+    const obligations = open
+        .filter(s => s.owedTo === to && s.expenseId && !s.type)
+        .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+    let remaining = amount;
+    for (const obligation of obligations) {
+        if (remaining <= 0) break;
+        const owed = settlementRemainingPaise(obligation);
+        if (owed <= 0) continue;
+        if (owed <= remaining) {
+            await settlementsRepo.update(obligation.id, { status: 'paid', paidAt: paidAt, coveredByTransfer: transferId });
+            remaining -= owed;
+        } else {
+            await settlementsRepo.update(obligation.id, {
+                paidPaise: (obligation.paidPaise || 0) + remaining,
+                partCoveredBy: transferId
+            });
+            remaining = 0;
+        }
+    }
+}
@@ -6,23 +6,47 @@
  * - Who paid the money
  * - How much each person owes
  * - Lets users settle their debts with a button
+ * - Lets group members edit or delete the expense
+ * - Shows the expense's activity timeline (who did what, and when)
  */
 
 // Import login checker and user data fetcher from auth.js
 import { requireAuth, getUserData } from './auth.js';
-// Import database connection from firebase-config.js
-import { db } from './firebase-config.js';
-// Import database operations we need
+// Import the data layer: expenses, groups, users and settlements
+import { usersRepo, groupsRepo, expensesRepo, settlementsRepo } from './repository.js';
+// Import split helpers: descriptions for each share, and the split maths for editing
+import { SPLIT_TYPES, computeSplit, describeSplit, describeSplitInput } from './splits.js';
+// Import settlement regeneration for edited and deleted expenses
+import { recalculateSettlements } from './analytics.js';
+// Import the activity log: every change here is recorded, and shown as a timeline
+import { logActivity, describeExpenseChanges, getActivity, buildTimelineHtml } from './activity.js';
+// Import the ledger: settlement docs record every debt and payment
 import {
-    collection,      // Get a reference to a collection (like a table)
-    query,           // Create a search query
-    where,           // Filter results (like WHERE in SQL)
-    getDocs,         // Get multiple documents
-    doc,             // Get a reference to a single document
-    getDoc,          // Get data from a single document
-    updateDoc,       // Update an existing document
-    setDoc           // Create a new document
-} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+    getOrCreateObligation,
+    migrateExpensePayments,
+    confirmSettlementPayment,
+    disputeSettlementPayment,
+    describeSettlementState
+} from './ledger.js';
+// Import the settle dialog shared with the dashboard (UPI or Razorpay)
+import { openSettleDialog, openPaymentProof } from './settle-dialog.js';
+// Import the archive check: archived groups are read-only
+import { isArchived } from './archive.js';
+// Import money helpers: all amounts here are whole paise
+import {
+    formatMoney,
+    toPaise,
+    fromPaise,
+    convertAmount,
+    allocate,
+    expenseAmountPaise,
+    expenseSplitPaise,
+    expenseCurrency,
+    describeForeignAmount,
+    settlementAmountPaise,
+    settlementRemainingPaise,
+    settlementCurrency
+} from './money.js';
 
 /**
  * ============================================
@@ -30,6 +54,10 @@ import {
  * ============================================
  */
 let currentUser = null; // Stores who is logged in
+let currentExpense = null; // The expense on screen, with its ID
+let currentGroup = null; // Its group (only set for members, who may edit it)
+let paidSoFar = {}; // memberId -> paise already paid to the payer for this expense
+let editMemberNames = {}; // memberId -> name, for the edit form
 
 /**
  * ============================================
@@ -57,7 +85,8 @@ async function initExpenseDetails() {
         return;
     }
 
-    // Step 3: Load the expense details
+    // Step 3: Connect the edit form, then load the expense details
+    setupEditModal();
     await loadExpenseDetails(expenseId);
 }
 
@@ -76,13 +105,24 @@ async function loadExpenseDetails(expenseId) {
         // ==========================================
         // STEP 1: Get the Expense Information
         // ==========================================
-        const expenseSnap = await getDoc(doc(db, 'expenses', expenseId));
-        if (!expenseSnap.exists()) {
+        const expense = await expensesRepo.get(expenseId);
+        if (!expense) {
             document.getElementById('expenseTitle').textContent = 'Expense Not Found';
             return;
         }
-        const expense = expenseSnap.data();
-        // Now we have: expense.amount, expense.paidBy, expense.description, etc.
+        // Now we have: expense.amountPaise, expense.paidBy, expense.description, etc.
+
+        // Older expenses marked paid shares on the expense itself:
+        // move those marks into the ledger before reading it
+        if (expense.settlementStatus !== undefined) {
+            try {
+                await migrateExpensePayments(expenseId, expense);
+                delete expense.settlementStatus;
+            } catch (error) {
+                console.error('Error migrating legacy payments:', error);
+            }
+        }
+        currentExpense = { id: expenseId, ...expense };
         
         // Set the page title to the expense description
         document.getElementById('expenseTitle').textContent = expense.description || 'Expense';
@@ -92,7 +132,10 @@ async function loadExpenseDetails(expenseId) {
         // ==========================================
         // Show: Amount, Date, Who Paid
         const meta = document.getElementById('expenseMeta');
-        const amount = `₹${(expense.amount || 0).toFixed(2)}`; // Format money
+        // Amounts are shown in the group's base currency
+        const currency = expenseCurrency(expense);
+        const amount = formatMoney(expenseAmountPaise(expense), currency); // Format money
+        const foreignInfo = describeForeignAmount(expense); // e.g. "Paid $50.00 at 83.2"
         const dateStr = expense.date ? new Date(expense.date).toLocaleDateString() : '';
         meta.innerHTML = `
             <div class="expense-item-header">
@@ -102,9 +145,15 @@ async function loadExpenseDetails(expenseId) {
             <div class="expense-item-meta">
                 <span>${dateStr}</span>
                 <span>Paid by: ${await resolveName(expense.paidBy)}</span>
+                <span>${describeSplit(expense)}</span>
+                ${foreignInfo ? `<span>${foreignInfo}</span>` : ''}
             </div>
         `;
 
+        // Members of the group get Edit and Delete buttons, and the activity timeline
+        await setupExpenseActions(currentExpense);
+        await loadExpenseActivity(currentExpense);
+
         // ==========================================
         // STEP 3: Calculate Who Owes What
         // ==========================================
@@ -113,7 +162,9 @@ async function loadExpenseDetails(expenseId) {
         
         let settlements = [];  // List of who owes whom
         const payer = expense.paidBy;  // The person who paid
-        let split = expense.splitAmounts || {};  // How the amount is split
+        let split = expenseSplitPaise(expense);  // How the amount is split (paise)
+        paidSoFar = await getPaidAmounts(expenseId, expense);  // Payments already recorded
+        const claims = await getPaymentClaims(expenseId, expense);  // Payments marked as sent, not yet confirmed
 
         // If we don't have split information, we need to calculate it
         if (!split || Object.keys(split).length === 0) {
@@ -122,19 +173,18 @@ async function loadExpenseDetails(expenseId) {
             // Try to get the group's members if we don't have them
             if (!members || members.length === 0) {
                 try {
-                    const groupSnap = await getDoc(doc(db, 'groups', expense.groupId));
-                    if (groupSnap.exists()) {
-                        const g = groupSnap.data();
+                    const g = await groupsRepo.get(expense.groupId);
+                    if (g) {
                         const memberIds = new Set(g.members || []);
                         const memberEmails = Array.isArray(g.memberEmails) ? g.memberEmails : [];
                         
                         // Convert email addresses to user IDs
                         for (const email of memberEmails) {
                             const lc = (email || '').toLowerCase();
-                            const s1 = await getDocs(query(collection(db, 'users'), where('email', '==', lc)));
+                            const s1 = await usersRepo.find([['email', '==', lc]]);
                             s1.forEach(u => memberIds.add(u.id));
                             if (lc !== email) {
-                                const s2 = await getDocs(query(collection(db, 'users'), where('email', '==', email)));
+                                const s2 = await usersRepo.find([['email', '==', email]]);
                                 s2.forEach(u => memberIds.add(u.id));
                             }
                         }
@@ -148,22 +198,13 @@ async function loadExpenseDetails(expenseId) {
             // Remove the payer from the list (they don't owe themselves)
             members = members.filter(m => m && m !== payer);
             
-            // Calculate equal split
-            if ((expense.splitType || 'equal') === 'equal' && members.length > 0) {
-                const perPerson = (Number(expense.amount) || 0) / members.length;
-                const derived = {};
-                members.forEach(m => { derived[m] = perPerson; });
-                split = derived;
+            // Split equally among members (leftover paise handled by allocate)
+            if (members.length > 0) {
+                const weights = {};
+                members.forEach(m => { weights[m] = 1; });
+                split = allocate(expenseAmountPaise(expense), weights);
             } else {
-                // Fallback: split equally among members
-                if (members.length > 0) {
-                    const perPerson = (Number(expense.amount) || 0) / members.length;
-                    const derived = {};
-                    members.forEach(m => { derived[m] = perPerson; });
-                    split = derived;
-                } else {
-                    split = {};
-                }
+                split = {};
             }
         }
 
@@ -175,7 +216,7 @@ async function loadExpenseDetails(expenseId) {
             // Skip if no member or if payer owes themselves
             if (!memberId || memberId === payer) return;
             
-            const amountNum = Number(amt) || 0;
+            const amountNum = Number(amt) || 0; // Paise
             if (amountNum <= 0) return; // Skip zero amounts
             
             // Create settlement entry
@@ -212,9 +253,23 @@ async function loadExpenseDetails(expenseId) {
             const isYou = s.userId === currentUser.uid;
             const title = `${await resolveName(s.userId)} owes ${await resolveName(s.owedTo)}`;
             
+            // How this share was worked out (e.g. "40%", "2 shares", "+₹200.00")
+            const splitInputs = expense.splitInputs || {};
+            let basis = s.userId in splitInputs
+                ? describeSplitInput(expense.splitType, splitInputs[s.userId], expense.currency || currency)
+                : '';
+            // Itemized bills: list the items this member shared
+            if (expense.splitType === 'itemized') {
+                basis = (expense.splitItems || [])
+                    .filter(item => (item.members || []).includes(s.userId))
+                    .map(item => item.name || 'Item')
+                    .join(', ');
+            }
+            
             // Check if this settlement has been paid
-            const settlementStatus = expense.settlementStatus && expense.settlementStatus[s.userId];
-            const status = settlementStatus || 'pending'; // Default to pending if not specified
+            // (covered by payments recorded against it in the ledger)
+            const paid = paidSoFar[s.userId] || 0;
+            const status = paid >= amount ? 'paid' : (claims[s.userId]?.status || 'pending');
             
             // Create HTML for this settlement
             const item = document.createElement('div');
@@ -223,20 +278,55 @@ async function loadExpenseDetails(expenseId) {
                 <div class="expense-item-header">
                     <span class="expense-item-title">${title}</span>
                     <span class="expense-item-amount" style="color:${amount > 0 ? 'var(--danger-color)' : 'var(--success-color)'}">
-                        ₹${Math.abs(amount).toFixed(2)}
+                        ${formatMoney(Math.abs(amount), currency)}
                     </span>
                 </div>
                 <div class="expense-item-meta">
                     <span>${s.description || 'Settlement'}</span>
+                    ${basis ? '<span class="split-basis"></span>' : ''}
+                    ${paid > 0 && status !== 'paid' ? `<span>Paid so far: ${formatMoney(paid, currency)}, ${formatMoney(amount - paid, currency)} left</span>` : ''}
                     <span>Status: <strong style="color:${status === 'paid' ? 'var(--success-color)' : 'var(--danger-color)'}">${status}</strong></span>
                 </div>
             `;
+            // Item names are user text, so the basis is set as text
+            if (basis) item.querySelector('.split-basis').textContent = `Split: ${basis}`;
+            
+            // A payment the debtor marked as sent waits for the payee to
+            // confirm or dispute it
+            const claim = status !== 'paid' ? claims[s.userId] : null;
+            if (claim) {
+                const payeeName = s.owedTo === currentUser.uid ? 'you' : await resolveName(s.owedTo);
+                const claimInfo = document.createElement('div');
+                claimInfo.className = `settlement-state ${claim.status}`;
+                claimInfo.textContent = describeSettlementState(claim, payeeName);
+                item.appendChild(claimInfo);
+                const addButton = (className, html, onclick) => {
+                    const button = document.createElement('button');
+                    button.className = `btn ${className}`;
+                    button.style.marginTop = '8px';
+                    button.style.marginRight = '8px';
+                    button.style.width = 'auto';
+                    button.innerHTML = html;
+                    button.onclick = onclick;
+                    item.appendChild(button);
+                };
+                if (s.owedTo === currentUser.uid && claim.status === 'claimed') {
+                    addButton('btn-success', '<i class="fas fa-check"></i> Confirm Received', () => confirmPaymentReceived(expenseId, claim));
+                    addButton('btn-danger', '<i class="fas fa-times"></i> Not Received', () => disputePayment(expenseId, claim));
+                }
+                if (claim.hasProof) {
+                    addButton('btn-secondary', '<i class="fas fa-image"></i> View Proof', () => openPaymentProof(claim.id).catch(error => {
+                        console.error('Error loading payment proof:', error);
+                        alert('Error loading proof: ' + error.message);
+                    }));
+                }
+            }
             peopleDiv.appendChild(item);
 
             // Calculate totals for current user
             // Only count unpaid amounts
-            if (isYou && amount > 0 && status !== 'paid') youOwe += amount;
-            if (s.owedTo === currentUser.uid && amount > 0) owedToYou += amount;
+            if (isYou && amount > 0 && status !== 'paid') youOwe += amount - paid;
+            if (s.owedTo === currentUser.uid && amount > 0 && status !== 'paid') owedToYou += Math.max(0, amount - paid);
         }
 
         // ==========================================
@@ -249,8 +339,8 @@ async function loadExpenseDetails(expenseId) {
                 <span class="expense-item-title">Your Balance</span>
             </div>
             <div class="expense-item-meta">
-                <span>You owe: <strong style="color:var(--danger-color)">₹${youOwe.toFixed(2)}</strong></span>
-                <span>Owed to you: <strong style="color:var(--success-color)">₹${owedToYou.toFixed(2)}</strong></span>
+                <span>You owe: <strong style="color:var(--danger-color)">${formatMoney(youOwe, currency)}</strong></span>
+                <span>Owed to you: <strong style="color:var(--success-color)">${formatMoney(owedToYou, currency)}</strong></span>
             </div>
         `;
 
@@ -260,17 +350,17 @@ async function loadExpenseDetails(expenseId) {
         // Only show button if user owes money
         const settleContainer = document.getElementById('settleButtonContainer');
         console.log('youOwe:', youOwe, 'settleContainer:', settleContainer);
+        settleContainer.innerHTML = '';
         if (youOwe > 0) {
             const settleButton = document.createElement('button');
             settleButton.className = 'btn btn-success';
-            settleButton.textContent = `Settle Payment (₹${youOwe.toFixed(2)})`;
+            settleButton.textContent = `Settle Payment (${formatMoney(youOwe, currency)})`;
             settleButton.style.marginTop = '16px';
             // When clicked, settle the payment
-            settleButton.onclick = () => settlePayment(expenseId, youOwe);
+            settleButton.onclick = () => settlePayment(expenseId);
             settleContainer.appendChild(settleButton);
             console.log('Button added to container');
         } else {
-            settleContainer.innerHTML = '';
             console.log('User does not owe money');
         }
     } catch (error) {
@@ -301,10 +391,10 @@ async function resolveName(userId) {
         if (currentUser && userId === currentUser.uid) return 'You';
         
         // Get the user's profile from database
-        const userSnap = await getDoc(doc(db, 'users', userId));
-        if (userSnap.exists()) {
+        const user = await usersRepo.get(userId);
+        if (user) {
             // Return their display name
-            return userSnap.data().name || 'Unknown';
+            return user.name || 'Unknown';
         }
         // If user not found, show first 6 characters of ID
         return `User ${userId.substring(0, 6)}`;
@@ -316,19 +406,20 @@ async function resolveName(userId) {
 
 /**
  * ============================================
- * FUNCTION: settlePayment(expenseId, amount)
+ * FUNCTION: settlePayment(expenseId)
  * ============================================
  * What it does:
- * - Records that the logged-in user has paid their debt
- * - Updates the expense to show the debt as "paid"
- * - Shows a success message
- * - Reloads the page to show updated status
+ * - Finds the logged-in user's pending settlement for this expense
+ *   (creating one for older expenses that never had it)
+ * - Opens the settle dialog the dashboard uses: pay by UPI or another
+ *   way and mark it paid (the payee then confirms), or pay through Razorpay
+ * - All that is left can be paid, or just a part of it
+ * - Shows the updated breakdown once something changed
  * 
  * Parameters:
  * - expenseId: Which expense is being settled
- * - amount: How much is being paid
  */
-async function settlePayment(expenseId, amount) {
+async function settlePayment(expenseId) {
     // Safety check: Make sure user is logged in
     if (!currentUser) {
         alert('User not authenticated');
@@ -337,13 +428,12 @@ async function settlePayment(expenseId, amount) {
 
     try {
         // Get the expense details from the database
-        const expenseSnap = await getDoc(doc(db, 'expenses', expenseId));
-        if (!expenseSnap.exists()) {
+        const expense = await expensesRepo.get(expenseId);
+        if (!expense) {
             alert('Expense not found');
             return;
         }
 
-        const expense = expenseSnap.data();
         const payee = expense.paidBy; // Who should receive the payment
 
         // Don't allow users to settle their own expense
@@ -352,37 +442,527 @@ async function settlePayment(expenseId, amount) {
             return;
         }
 
-        // Update the expense to mark this user's debt as "paid"
-        const expenseRef = doc(db, 'expenses', expenseId);
-        const updateData = {
-            // Create/update the settlementStatus object
-            // This tracks which users have paid their debts
-            settlementStatus: {
-                ...(expense.settlementStatus || {}), // Keep existing settlement statuses
-                [currentUser.uid]: 'paid'             // Mark current user as paid
-            }
-        };
+        // The settlement doc is the one record of this debt
+        const obligation = await getOrCreateObligation(expenseId, expense, currentUser.uid);
+        if (!obligation) {
+            alert('Nothing left to settle for this expense.');
+            return;
+        }
 
-        // Save the update to the database
-        await updateDoc(expenseRef, updateData);
-        
-        // Log success for debugging
-        console.log('Settlement status updated successfully');
-        
-        // Show success message to user
-        alert(`Payment of ₹${amount.toFixed(2)} settled successfully!`);
-        
-        // Reload the page to show the updated status
-        window.location.reload();
+        // Same dialog as the dashboard's "Settle Payment"
+        const result = await openSettleDialog(obligation, currentUser.uid);
+        if (result) await loadExpenseDetails(expenseId);
     } catch (error) {
         // If something went wrong, show the error
         console.error('Error settling payment:', error);
-        console.error('Error code:', error.code);
-        console.error('Error message:', error.message);
         alert(`Failed to settle payment: ${error.message}`);
     }
 }
 
+/**
+ * ============================================
+ * FUNCTION: loadExpenseActivity(expense)
+ * ============================================
+ * What it does:
+ * - Loads the activity log entries for this expense
+ * - Shows them as a timeline, newest first: who added, edited or
+ *   paid towards the expense, with the old and new values of each edit
+ * - Only group members can read the log, so others see nothing
+ */
+async function loadExpenseActivity(expense) {
+    const container = document.getElementById('expenseActivity');
+    if (!container) return;
+    if (!currentGroup) {
+        container.style.display = 'none';
+        return;
+    }
+    try {
+        const entries = await getActivity(expense.groupId, expense.id);
+        container.innerHTML = `<h3>Activity</h3>${buildTimelineHtml(entries, currentUser.uid)}`;
+        container.style.display = 'block';
+    } catch (error) {
+        console.error('Error loading activity:', error);
+        container.innerHTML = '<h3>Activity</h3><p class="empty-state">Unable to load activity.</p>';
+    }
+}
+
+/**
+ * ============================================
+ * FUNCTION: getPaidAmounts(expenseId, expense)
+ * ============================================
+ * What it does:
+ * - Adds up the payments recorded as paid settlement docs for this expense
+ * - Only counts money handed to the current payer
+ * - Part payments count through their obligation's paidPaise, which also
+ *   covers those on a share that is still open
+ * - These docs are kept when an expense is edited, so a member who already
+ *   paid part of their share only owes the rest
+ *
+ * Returns: { memberId: paise paid so far }
+ */
+async function getPaidAmounts(expenseId, expense) {
+    const paid = {};
+    try {
+        const settlements = await settlementsRepo.find([
+            ['groupId', '==', expense.groupId],
+            ['expenseId', '==', expenseId]
+        ]);
+        settlements.forEach(s => {
+            if (s.owedTo !== expense.paidBy || s.userId === s.owedTo) return;
+            if (s.type === 'payment' || s.status === 'void') return;
+            const amount = s.status === 'paid' ? Math.abs(settlementAmountPaise(s)) : (s.paidPaise || 0);
+            paid[s.userId] = (paid[s.userId] || 0) + amount;
+        });
+    } catch (error) {
+        console.error('Error loading payments for expense:', error);
+    }
+    return paid;
+}
+
+/**
+ * ============================================
+ * FUNCTION: getPaymentClaims(expenseId, expense)
+ * ============================================
+ * What it does:
+ * - Finds payments members marked as sent that the payee has not
+ *   confirmed yet (claimed), or has disputed
+ * - Returns { memberId: settlement doc }
+ */
+async function getPaymentClaims(expenseId, expense) {
+    const claims = {};
+    try {
+        const settlements = await settlementsRepo.find([
+            ['groupId', '==', expense.groupId],
+            ['expenseId', '==', expenseId],
+            ['status', 'in', ['claimed', 'disputed']]
+        ]);
+        settlements.forEach(s => {
+            if (s.owedTo === expense.paidBy && s.userId !== s.owedTo) claims[s.userId] = s;
+        });
+    } catch (error) {
+        console.error('Error loading payment claims for expense:', error);
+    }
+    return claims;
+}
+
+/**
+ * ============================================
+ * FUNCTION: confirmPaymentReceived(expenseId, claim)
+ * ============================================
+ * What it does:
+ * - Asks the payee to check they got the money, then marks the
+ *   member's settlement paid
+ * - Shows the updated breakdown
+ */
+async function confirmPaymentReceived(expenseId, claim) {
+    try {
+        const reference = claim.paymentReference ? ` (ref ${claim.paymentReference})` : '';
+        const amount = formatMoney(settlementRemainingPaise(claim), settlementCurrency(claim));
+        if (!confirm(`Did you receive ${amount}${reference}? Check your bank or UPI app before confirming.`)) return;
+        await confirmSettlementPayment(claim.id, currentUser.uid);
+        await loadExpenseDetails(expenseId);
+    } catch (error) {
+        console.error('Error confirming payment:', error);
+        alert('Error confirming payment: ' + error.message);
+    }
+}
+
+/**
+ * ============================================
+ * FUNCTION: disputePayment(expenseId, claim)
+ * ============================================
+ * What it does:
+ * - Asks the payee what is wrong with a payment marked as sent, then
+ *   marks it disputed so the member can check and claim it again
+ * - Shows the updated breakdown
+ */
+async function disputePayment(expenseId, claim) {
+    try {
+        const reason = prompt('What is wrong with this payment? The member who owes it will see your note.', 'Not received yet');
+        if (reason === null) return;
+        await disputeSettlementPayment(claim.id, currentUser.uid, reason);
+        await loadExpenseDetails(expenseId);
+    } catch (error) {
+        console.error('Error disputing payment:', error);
+        alert('Error disputing payment: ' + error.message);
+    }
+}
+
+/**
+ * ============================================
+ * FUNCTION: setupExpenseActions(expense)
+ * ============================================
+ * What it does:
+ * - Shows the Edit and Delete buttons, but only to members of the
+ *   expense's group (only they can read the group)
+ * - Hides them, and the settle button, while the group is archived
+ *   (archived groups are read-only)
+ * - Connects the buttons to their handlers
+ */
+async function setupExpenseActions(expense) {
+    const actions = document.getElementById('expenseActions');
+    if (!actions) return;
+
+    currentGroup = null;
+    try {
+        currentGroup = await groupsRepo.get(expense.groupId);
+    } catch {
+        currentGroup = null; // Not a member: the group can't be read
+    }
+
+    if (!currentGroup || !(currentGroup.members || []).includes(currentUser.uid)) {
+        actions.style.display = 'none';
+        return;
+    }
+    if (isArchived(currentGroup)) {
+        actions.style.display = 'none';
+        document.getElementById('settleButtonContainer').innerHTML =
+            '<p class="activity-meta">This group is archived and read-only.</p>';
+        return;
+    }
+    actions.style.display = 'flex';
+    document.getElementById('editExpenseBtn').onclick = () => openEditExpenseModal();
+    document.getElementById('deleteExpenseBtn').onclick = () => deleteExpense();
+}
+
+/**
+ * ============================================
+ * FUNCTION: setupEditModal()
+ * ============================================
+ * What it does:
+ * - Closes the edit modal from its X or by clicking outside it
+ * - Re-checks the split whenever a field changes
+ * - Saves the changes when the form is submitted
+ */
+function setupEditModal() {
+    const modal = document.getElementById('editExpenseModal');
+    const form = document.getElementById('editExpenseForm');
+    if (!modal || !form) return;
+
+    modal.querySelector('.close').addEventListener('click', () => {
+        modal.classList.remove('show');
+    });
+    window.addEventListener('click', (e) => {
+        if (e.target === modal) modal.classList.remove('show');
+    });
+
+    document.getElementById('editSplitType').addEventListener('change', (e) => {
+        applyEditSplitType(e.target.value, true);
+    });
+    form.addEventListener('input', updateEditValidation);
+    form.addEventListener('change', updateEditValidation);
+    form.addEventListener('submit', saveExpenseEdits);
+}
+
+/**
+ * ============================================
+ * FUNCTION: openEditExpenseModal()
+ * ============================================
+ * What it does:
+ * - Fills the edit form with the expense as it is now
+ * - Lists the group's members (plus anyone already on the expense)
+ *   as possible payers and split members
+ * - Itemized bills keep their items, so only description, date
+ *   and payer can be changed for them
+ */
+async function openEditExpenseModal() {
+    const expense = currentExpense;
+    const isItemized = expense.splitType === 'itemized';
+    const baseCurrency = expenseCurrency(expense);
+    const paidCurrency = expense.currency || baseCurrency;
+    const split = expenseSplitPaise(expense);
+
+    document.getElementById('editDescription').value = expense.description || '';
+    document.getElementById('editDate').value = expense.date || '';
+
+    // The amount is edited in the currency it was paid in
+    const originalAmount = Number.isInteger(expense.originalAmountPaise)
+        ? expense.originalAmountPaise
+        : expenseAmountPaise(expense);
+    document.getElementById('editAmountLabel').textContent = `Amount (${paidCurrency})`;
+    document.getElementById('editAmount').value = fromPaise(originalAmount).toFixed(2);
+    document.getElementById('editFxRateSection').style.display = paidCurrency === baseCurrency ? 'none' : 'block';
+    document.getElementById('editFxRateLabel').textContent = `Exchange Rate (1 ${paidCurrency} = ? ${baseCurrency})`;
+    document.getElementById('editFxRate').value = expense.fxRate || '';
+
+    document.getElementById('editAmountSection').style.display = isItemized ? 'none' : 'block';
+    document.getElementById('editSplitSection').style.display = isItemized ? 'none' : 'block';
+    document.getElementById('editItemizedNote').style.display = isItemized ? 'block' : 'none';
+
+    // Everyone who can pay or share: group members plus anyone already on the expense
+    const splitMembers = Array.isArray(expense.splitMembers) && expense.splitMembers.length > 0
+        ? expense.splitMembers
+        : Object.keys(split);
+    const memberIds = new Set([...(currentGroup.members || []), ...splitMembers, expense.paidBy].filter(Boolean));
+    editMemberNames = {};
+    for (const memberId of memberIds) {
+        editMemberNames[memberId] = await resolveName(memberId);
+    }
+
+    const paidBySelect = document.getElementById('editPaidBy');
+    const membersDiv = document.getElementById('editSplitMembers');
+    const inputsDiv = document.getElementById('editCustomSplitInputs');
+    paidBySelect.innerHTML = '';
+    membersDiv.innerHTML = '';
+    inputsDiv.innerHTML = '';
+
+    const splitType = !isItemized && SPLIT_TYPES[expense.splitType] ? expense.splitType : 'equal';
+    const splitInputs = expense.splitInputs || {};
+    for (const [memberId, name] of Object.entries(editMemberNames)) {
+        const option = document.createElement('option');
+        option.value = memberId;
+        option.textContent = name;
+        paidBySelect.appendChild(option);
+
+        const memberItem = document.createElement('div');
+        memberItem.className = 'split-member-item';
+        memberItem.innerHTML = `
+            <input type="checkbox" id="editMember_${memberId}" value="${memberId}" ${splitMembers.includes(memberId) ? 'checked' : ''}>
+            <label for="editMember_${memberId}">${name}</label>
+        `;
+        membersDiv.appendChild(memberItem);
+
+        // Older custom splits only stored the amounts, so start from those
+        let value = '';
+        if (memberId in splitInputs) value = splitInputs[memberId];
+        else if (splitType === 'custom' && split[memberId]) value = fromPaise(split[memberId]);
+        const customInput = document.createElement('div');
+        customInput.className = 'form-group';
+        customInput.dataset.memberId = memberId;
+        customInput.innerHTML = `
+            <label>${name}</label>
+            <input type="number" id="editSplit_${memberId}" step="any" value="${value}">
+        `;
+        inputsDiv.appendChild(customInput);
+    }
+    paidBySelect.value = expense.paidBy;
+    document.getElementById('editSplitType').value = splitType;
+
+    applyEditSplitType(splitType, false);
+    document.getElementById('editExpenseModal').classList.add('show');
+}
+
+/**
+ * ============================================
+ * FUNCTION: applyEditSplitType(splitType, resetValues)
+ * ============================================
+ * What it does:
+ * - Shows the per-member inputs for the chosen split type
+ * - When the user switches type, resets the inputs to that type's default
+ */
+function applyEditSplitType(splitType, resetValues) {
+    const config = SPLIT_TYPES[splitType] || SPLIT_TYPES.equal;
+    document.getElementById('editCustomSplitSection').style.display = splitType === 'equal' ? 'none' : 'block';
+    document.getElementById('editCustomSplitLabel').textContent = config.inputLabel;
+    document.querySelectorAll('#editCustomSplitInputs input').forEach(input => {
+        input.placeholder = config.placeholder;
+        if (resetValues) input.value = config.defaultValue;
+    });
+    updateEditValidation();
+}
+
+/**
+ * ============================================
+ * FUNCTION: computeEditedExpense()
+ * ============================================
+ * What it does:
+ * - Reads the edit form and works out the new split
+ * - The split is done in the paid currency, then converted to the
+ *   group's base currency at the (possibly edited) exchange rate
+ *
+ * Returns: { changes, originalSplitPaise } or { error }
+ */
+function computeEditedExpense() {
+    const expense = currentExpense;
+    const description = document.getElementById('editDescription').value.trim();
+    const date = document.getElementById('editDate').value;
+    const paidBy = document.getElementById('editPaidBy').value;
+    if (!description) return { error: 'Description is required.' };
+    if (!date) return { error: 'Date is required.' };
+    if (!paidBy) return { error: 'Select who paid.' };
+
+    const changes = { description, date, paidBy };
+    // Itemized bills keep their shares; only the payer can move
+    if (expense.splitType === 'itemized') {
+        return { changes, originalSplitPaise: null };
+    }
+
+    const baseCurrency = expenseCurrency(expense);
+    const paidCurrency = expense.currency || baseCurrency;
+    const splitType = document.getElementById('editSplitType').value;
+    const members = Array.from(document.querySelectorAll('#editSplitMembers input[type="checkbox"]:checked'))
+        .map(input => input.value);
+    if (members.length === 0) return { error: 'Select at least one member to split with.' };
+
+    const amountPaise = toPaise(document.getElementById('editAmount').value);
+    const splitInputs = {};
+    if (splitType !== 'equal') {
+        members.forEach(memberId => {
+            splitInputs[memberId] = parseFloat(document.getElementById(`editSplit_${memberId}`)?.value) || 0;
+        });
+    }
+    const result = computeSplit(splitType, amountPaise, members, splitInputs, paidCurrency);
+    if (result.error) return result;
+
+    let fxRate = 1;
+    if (paidCurrency !== baseCurrency) {
+        fxRate = parseFloat(document.getElementById('editFxRate').value);
+        if (!(fxRate > 0)) return { error: `Enter the exchange rate from ${paidCurrency} to ${baseCurrency}.` };
+    }
+    const baseAmountPaise = convertAmount(amountPaise, fxRate);
+    if (baseAmountPaise <= 0) return { error: 'The converted amount is too small to record.' };
+
+    return {
+        changes: {
+            ...changes,
+            amountPaise: baseAmountPaise,
+            baseCurrency: baseCurrency,
+            currency: paidCurrency,
+            originalAmountPaise: amountPaise,
+            fxRate: fxRate,
+            splitType: splitType,
+            splitMembers: members,
+            splitPaise: paidCurrency === baseCurrency ? result.splitPaise : allocate(baseAmountPaise, result.splitPaise),
+            splitInputs: splitInputs
+        },
+        originalSplitPaise: result.splitPaise
+    };
+}
+
+/**
+ * ============================================
+ * FUNCTION: updateEditValidation()
+ * ============================================
+ * What it does:
+ * - Shows each member's new share under the form, or what is wrong
+ * - Hides the inputs of members who are not in the split
+ */
+function updateEditValidation() {
+    const output = document.getElementById('editSplitValidation');
+    if (!output || !currentExpense) return;
+
+    const selected = Array.from(document.querySelectorAll('#editSplitMembers input[type="checkbox"]:checked'))
+        .map(input => input.value);
+    document.querySelectorAll('#editCustomSplitInputs .form-group').forEach(group => {
+        group.style.display = selected.includes(group.dataset.memberId) ? 'block' : 'none';
+    });
+
+    const result = computeEditedExpense();
+    if (result.error) {
+        output.textContent = result.error;
+        output.classList.add('invalid');
+        return;
+    }
+    output.classList.remove('invalid');
+    if (!result.originalSplitPaise) {
+        output.textContent = '';
+        return;
+    }
+    const { currency, baseCurrency, splitPaise } = result.changes;
+    output.textContent = Object.entries(result.originalSplitPaise)
+        .map(([memberId, share]) => {
+            const base = currency === baseCurrency ? '' : ` (${formatMoney(splitPaise[memberId], baseCurrency)})`;
+            return `${editMemberNames[memberId] || 'Member'}: ${formatMoney(share, currency)}${base}`;
+        })
+        .join(' · ');
+}
+
+/**
+ * ============================================
+ * FUNCTION: hasRecordedPayments()
+ * ============================================
+ * What it does:
+ * - Tells whether anyone has already paid towards this expense,
+ *   so edits and deletes can warn about it first
+ */
+function hasRecordedPayments() {
+    return Object.values(paidSoFar).some(amount => amount > 0);
+}
+
+/**
+ * ============================================
+ * FUNCTION: saveExpenseEdits(e)
+ * ============================================
+ * What it does:
+ * - Saves the edited expense
+ * - Retires its old settlements and creates new ones for the new
+ *   amount, payer and split (see recalculateSettlements in analytics.js)
+ * - Payments already made are kept: they count against the new share,
+ *   and anything paid beyond it becomes credit in the group's Settle Up
+ */
+async function saveExpenseEdits(e) {
+    e.preventDefault();
+    const result = computeEditedExpense();
+    if (result.error) {
+        alert(result.error);
+        return;
+    }
+    if (hasRecordedPayments() && !confirm('Some members have already paid towards this expense. Their payments are kept and count against their new share; anything paid beyond it becomes credit in the group\'s Settle Up. Save changes?')) {
+        return;
+    }
+
+    try {
+        const previous = currentExpense;
+        const changes = {
+            ...result.changes,
+            updatedAt: new Date().toISOString(),
+            updatedBy: currentUser.uid
+        };
+        const updated = { ...previous, ...changes };
+        await expensesRepo.update(previous.id, changes);
+        await recalculateSettlements(previous.groupId, previous, updated);
+        await logActivity({
+            groupId: previous.groupId,
+            expenseId: previous.id,
+            type: 'expense_edited',
+            summary: `"${updated.description}"`,
+            changes: await describeExpenseChanges(previous, updated)
+        });
+
+        document.getElementById('editExpenseModal').classList.remove('show');
+        alert('Expense updated successfully!');
+        window.location.reload();
+    } catch (error) {
+        console.error('Error updating expense:', error);
+        alert(`Failed to update expense: ${error.message}`);
+    }
+}
+
+/**
+ * ============================================
+ * FUNCTION: deleteExpense()
+ * ============================================
+ * What it does:
+ * - Asks for confirmation, then deletes the expense
+ * - Retires its pending settlements first
+ * - Payments already made are kept as credit in the group's Settle Up
+ * - Goes back to the expenses list
+ */
+async function deleteExpense() {
+    const expense = currentExpense;
+    let message = `Delete "${expense.description || 'this expense'}"? This cannot be undone.`;
+    if (hasRecordedPayments()) {
+        message += ' Payments already made towards it are kept as credit in the group\'s Settle Up.';
+    }
+    if (!confirm(message)) return;
+
+    try {
+        await recalculateSettlements(expense.groupId, expense, null);
+        await expensesRepo.remove(expense.id);
+        await logActivity({
+            groupId: expense.groupId,
+            expenseId: expense.id,
+            type: 'expense_deleted',
+            summary: `"${expense.description || 'Expense'}" · ${formatMoney(expenseAmountPaise(expense), expenseCurrency(expense))}`
+        });
+        alert('Expense deleted successfully!');
+        window.location.href = 'expenses.html';
+    } catch (error) {
+        console.error('Error deleting expense:', error);
+        alert(`Failed to delete expense: ${error.message}`);
+    }
+}
+
 /**
  * ============================================
  * INITIALIZATION CODE
@@ -0,0 +1,397 @@
+import { usersRepo, expensesRepo, currentUserId } from './repository.js';
+import { calculateSettlements } from './analytics.js';
+import { recordTransfer } from './balances.js';
+import { claimTransfer } from './ledger.js';
+import { logActivity } from './activity.js';
+import { validateExpense } from './expense-service.js';
+import { isOnline } from './outbox.js';
+import { DEFAULT_CURRENCY, toPaise, fromPaise, allocate, formatMoney } from './money.js';
+
+// Importing expenses from CSV files into a group. The wizard on the expenses
+// page (import-wizard.js) walks through these steps:
+// 1. parseCsv the file, then read its rows into records, either with a
+//    column mapping (readMappedRows) or with a preset (readSplitwiseRows)
+// 2. match the people named in the records to group members (matchMembers)
+// 3. buildImportPreview: the expense each row becomes, with its errors
+// 4. importExpenses writes the rows without errors
+// A record names people as they appear in the file:
+//   { line, kind: 'expense' | 'payment', date, description, amountPaise,
+//     currency, payer, payee (payments), shares ({ name: paise }, or null to
+//     split equally among `splitWith`, or among everyone when that is empty
+//     too), splitWith, errors }
+
+export const IMPORT_FORMATS = {
+    mapped: 'Spreadsheet (choose the columns)',
+    splitwise: 'Splitwise export'
+};
+
+// Fields a spreadsheet column can be mapped to. `aliases` are header names
+// guessColumnMapping recognises.
+export const IMPORT_FIELDS = {
+    date: { label: 'Date', required: true, aliases: ['date', 'day', 'when'] },
+    description: { label: 'Description', required: true, aliases: ['description', 'item', 'details', 'what', 'name', 'title'] },
+    amount: { label: 'Amount', required: true, aliases: ['amount', 'cost', 'total', 'price', 'value'] },
+    paidBy: { label: 'Paid by (name or email)', required: true, aliases: ['paid by', 'paidby', 'payer', 'paid', 'who paid'] },
+    splitWith: { label: 'Split with (names or emails, separated by ;)', required: false, aliases: ['split with', 'split between', 'split', 'participants', 'members', 'for'] },
+    currency: { label: 'Currency', required: false, aliases: ['currency', 'ccy'] }
+};
+
+// Splitwise exports start with these columns, then one column per member
+// holding what that member paid minus their share
+const SPLITWISE_COLUMNS = ['date', 'description', 'category', 'cost', 'currency'];
+
+// Rows are written in batches of this many between progress updates
+const PROGRESS_EVERY = 10;
+
+// Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF line ends)
+// into rows of strings. Blank lines are dropped.
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+const normalise = (text) => String(text || '').trim().toLowerCase();
+
+// Whether a header row is a Splitwise export
+export function isSplitwiseHeader(header) {
+    return SPLITWISE_COLUMNS.every((column, i) => normalise(header[i]) === column) && header.length > SPLITWISE_COLUMNS.length;
+}
+
+// Guess which column holds each field from the header names:
+// { field: column index, or -1 }
+export function guessColumnMapping(header) {
+    const names = header.map(normalise);
+    const mapping = {};
+    const used = new Set();
+    Object.entries(IMPORT_FIELDS).forEach(([field, { aliases }]) => {
+        const index = aliases.map(alias => names.findIndex((name, i) => name === alias && !used.has(i))).find(i => i >= 0);
+        mapping[field] = index === undefined ? -1 : index;
+        if (index !== undefined) used.add(index);
+    });
+    return mapping;
+}
+
+// A date as 'YYYY-MM-DD', or '' when it can't be read. Day-first is assumed
+// for slashed dates (14/03/2026), as Indian spreadsheets write them.
+export function parseImportDate(text) {
+    const value = String(text || '').trim();
+    let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    let year, month, day;
+    if (match) {
+        [, year, month, day] = match.map(Number);
+    } else if ((match = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/))) {
+        [, day, month, year] = match.map(Number);
+    } else {
+        return '';
+    }
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return '';
+    return date.toISOString().slice(0, 10);
+}
+
+// Money as typed in a spreadsheet ("₹1,234.50", "-45.00") in paise, or NaN
+export function parseImportAmount(text) {
+    const cleaned = String(text || '').replace(/[^0-9.-]/g, '');
+    if (!/^-?\d*\.?\d+$/.test(cleaned)) return NaN;
+    return toPaise(cleaned);
+}
+
+// Read spreadsheet rows (header first) with a column mapping from
+// guessColumnMapping or the wizard
+export function readMappedRows(rows, mapping) {
+    const cell = (row, field) => (mapping[field] >= 0 ? (row[mapping[field]] || '').trim() : '');
+    return rows.slice(1).map((row, i) => {
+        const errors = [];
+        const date = parseImportDate(cell(row, 'date'));
+        if (!date) errors.push(`"${cell(row, 'date')}" is not a date.`);
+        const description = cell(row, 'description');
+        if (!description) errors.push('The description is empty.');
+        const amountPaise = parseImportAmount(cell(row, 'amount'));
+        if (!(amountPaise > 0)) errors.push(`"${cell(row, 'amount')}" is not an amount above zero.`);
+        const payer = cell(row, 'paidBy');
+        if (!payer) errors.push('Nobody is named as the payer.');
+        const splitWith = cell(row, 'splitWith').split(/[;|]/).map(name => name.trim()).filter(Boolean);
+        return {
+            line: i + 2,
+            kind: 'expense',
+            date,
+            description,
+            amountPaise,
+            currency: cell(row, 'currency').toUpperCase(),
+            payer,
+            payee: '',
+            shares: null,
+            splitWith,
+            errors
+        };
+    });
+}
+
+// Read a Splitwise export. Each member column holds what the member paid
+// minus their share, so the one positive column is the payer and the others
+// owe what their column says. "Payment" rows are settle-up payments, and the
+// "Total balance" row at the end is skipped.
+export function readSplitwiseRows(rows) {
+    const [header, ...body] = rows;
+    const people = header.slice(SPLITWISE_COLUMNS.length).map(name => name.trim());
+    const records = [];
+    body.forEach((row, i) => {
+        const [dateText, description = '', category = '', costText, currency = ''] = row;
+        if (normalise(description) === 'total balance') return;
+        const errors = [];
+        const date = parseImportDate(dateText);
+        if (!date) errors.push(`"${dateText}" is not a date.`);
+        const amountPaise = parseImportAmount(costText);
+        if (!(amountPaise > 0)) errors.push(`"${costText}" is not an amount above zero.`);
+        const net = {};
+        people.forEach((name, j) => {
+            const value = parseImportAmount(row[SPLITWISE_COLUMNS.length + j]);
+            if (value) net[name] = value;
+        });
+        const creditors = Object.keys(net).filter(name => net[name] > 0);
+        const debtors = Object.keys(net).filter(name => net[name] < 0);
+        const record = {
+            line: i + 2,
+            kind: normalise(category) === 'payment' ? 'payment' : 'expense',
+            date,
+            description: description.trim(),
+            amountPaise,
+            currency: currency.trim().toUpperCase(),
+            payer: creditors[0] || '',
+            payee: '',
+            shares: null,
+            splitWith: [],
+            errors
+        };
+        if (creditors.length !== 1) {
+            errors.push(creditors.length === 0
+                ? 'No one is shown as having paid.'
+                : 'More than one person paid. SplitEZ records one payer per expense, so split it into one row per payer.');
+        } else if (record.kind === 'payment') {
+            if (debtors.length !== 1) errors.push('A payment has to be from one person to one other person.');
+            record.payee = debtors[0] || '';
+        } else {
+            record.shares = {};
+            debtors.forEach(name => { record.shares[name] = -net[name]; });
+            // The payer's own share is what the others didn't cover
+            const payerShare = amountPaise - net[record.payer];
+            if (payerShare < 0) errors.push('The member amounts add up to more than the cost.');
+            if (payerShare > 0) record.shares[record.payer] = payerShare;
+        }
+        records.push(record);
+    });
+    return records;
+}
+
+// Everyone named in the records, in order of appearance
+export function collectNames(records) {
+    const names = [];
+    const add = (name) => {
+        if (name && !names.includes(name)) names.push(name);
+    };
+    records.forEach(record => {
+        add(record.payer);
+        add(record.payee);
+        Object.keys(record.shares || {}).forEach(add);
+        record.splitWith.forEach(add);
+    });
+    return names;
+}
+
+// Profiles of a group's members for matching: [{ id, name, email }]
+export async function getMatchableMembers(group) {
+    const members = [];
+    for (const id of group.members || []) {
+        const user = await usersRepo.get(id);
+        members.push({ id, name: user?.name || '', email: user?.email || '' });
+    }
+    return members;
+}
+
+// Match each name from the file to a member by email, then by name, then (for
+// a single word) by first name when only one member has it: { name: memberId, or '' }
+export function matchMembers(names, members) {
+    const matches = {};
+    names.forEach(name => {
+        const key = normalise(name);
+        const byEmail = members.find(m => normalise(m.email) === key);
+        const byName = members.filter(m => normalise(m.name) === key);
+        const byFirstName = /\s/.test(key) ? [] : members.filter(m => normalise(m.name).split(/\s+/)[0] === key);
+        const match = byEmail || (byName.length === 1 && byName[0]) || (byFirstName.length === 1 && byFirstName[0]);
+        matches[name] = match ? match.id : '';
+    });
+    return matches;
+}
+
+// What each record would save in `group`, with `matches` from matchMembers
+// (adjusted by the user): [{ line, kind, description, date, amountPaise,
+// data (expense fields) or payment ({ from, to, amount }), errors }].
+// Rows with errors are shown but not imported. Only payments `importerId`
+// made or received can be imported: the rules leave others' to them.
+export function buildImportPreview(records, group, matches, importerId) {
+    const baseCurrency = group.baseCurrency || DEFAULT_CURRENCY;
+    const memberOf = (name, errors) => {
+        const id = matches[name];
+        if (!id) errors.push(`"${name}" is not matched to a member of the group.`);
+        return id || '';
+    };
+    return records.map(record => {
+        const errors = [...record.errors];
+        const entry = {
+            line: record.line,
+            kind: record.kind,
+            description: record.description,
+            date: record.date,
+            amountPaise: record.amountPaise,
+            errors
+        };
+        if (record.currency && record.currency !== baseCurrency) {
+            errors.push(`Amounts are in ${record.currency}, but the group uses ${baseCurrency}.`);
+        }
+        if (errors.length > 0) return entry;
+
+        if (record.kind === 'payment') {
+            const from = memberOf(record.payer, errors);
+            const to = memberOf(record.payee, errors);
+            entry.payment = { from, to, amount: record.amountPaise };
+            if (from && to && from !== importerId && to !== importerId) {
+                errors.push('Payments between two other members can only be recorded by one of them.');
+            }
+            return entry;
+        }
+
+        const paidBy = memberOf(record.payer, errors);
+        let splitPaise = {};
+        let splitType = 'equal';
+        if (record.shares) {
+            splitType = 'custom';
+            Object.entries(record.shares).forEach(([name, share]) => {
+                const id = memberOf(name, errors);
+                if (id) splitPaise[id] = (splitPaise[id] || 0) + share;
+            });
+        } else {
+            const ids = record.splitWith.length > 0
+                ? record.splitWith.map(name => memberOf(name, errors)).filter(Boolean)
+                : group.members || [];
+            splitPaise = allocate(record.amountPaise, Object.fromEntries(ids.map(id => [id, 1])));
+        }
+        if (errors.length > 0) return entry;
+
+        entry.data = {
+            groupId: group.id,
+            description: record.description,
+            amountPaise: record.amountPaise,
+            baseCurrency: baseCurrency,
+            currency: baseCurrency,
+            originalAmountPaise: record.amountPaise,
+            fxRate: 1,
+            date: record.date,
+            paidBy: paidBy,
+            splitType: splitType,
+            splitMembers: Object.keys(splitPaise),
+            splitPaise: splitPaise,
+            splitInputs: splitType === 'custom'
+                ? Object.fromEntries(Object.entries(splitPaise).map(([id, share]) => [id, fromPaise(share)]))
+                : {}
+        };
+        const invalid = validateExpense(group, entry.data);
+        if (invalid) errors.push(invalid);
+        return entry;
+    });
+}
+
+// Write the preview rows that have no errors: each expense with its
+// settlement docs (calculateSettlements), each payment as a settle-up
+// transfer (marked as sent, for the payee to confirm, when the importer made
+// it). One activity entry records the import. `onProgress(done, total)`
+// is called as rows are written.
+// Returns { success: true, expenses, payments } or { success: false, error }.
+export async function importExpenses(group, preview, { fileName = 'CSV file', onProgress = () => {} } = {}) {
+    if (!isOnline()) return { success: false, error: 'Importing needs a connection. Try again when you are back online.' };
+    const rows = preview.filter(entry => entry.errors.length === 0);
+    let expenses = 0;
+    let payments = 0;
+    let total = 0;
+    try {
+        const importer = await currentUserId();
+        for (const entry of rows) {
+            if (entry.kind === 'payment') {
+                const { from, to, amount } = entry.payment;
+                const currency = group.baseCurrency || DEFAULT_CURRENCY;
+                if (from === importer) {
+                    // Your own payments wait for the payee to confirm them, as in the app
+                    await claimTransfer(group.id, from, to, amount, currency, {
+                        method: 'other',
+                        reference: `Imported from ${fileName}`.slice(0, 100)
+                    });
+                } else {
+                    await recordTransfer(group.id, from, to, amount, currency);
+                }
+                payments++;
+            } else {
+                const expenseData = {
+                    ...entry.data,
+                    groupName: group.name || 'Unknown Group',
+                    createdAt: new Date().toISOString()
+                };
+                const expenseId = await expensesRepo.add(expenseData);
+                await calculateSettlements(group.id, { ...expenseData, id: expenseId });
+                total += expenseData.amountPaise;
+                expenses++;
+            }
+            const done = expenses + payments;
+            if (done % PROGRESS_EVERY === 0 || done === rows.length) onProgress(done, rows.length);
+        }
+        return { success: true, expenses, payments };
+    } catch (error) {
+        console.error('Error importing expenses:', error);
+        return { success: false, error: `${error.message} (${expenses + payments} of ${rows.length} rows were imported)` };
+    } finally {
+        // Logged whenever a row was written, payments-only imports included
+        if (expenses + payments > 0) {
+            const written = [
+                expenses > 0 ? `${expenses} expense${expenses === 1 ? '' : 's'} (${formatMoney(total, group.baseCurrency || DEFAULT_CURRENCY)})` : '',
+                payments > 0 ? `${payments} payment${payments === 1 ? '' : 's'}` : ''
+            ].filter(Boolean).join(' and ');
+            await logActivity({
+                groupId: group.id,
+                type: 'expenses_imported',
+                summary: `${written} from ${fileName}`
+            });
+        }
+    }
+}
@@ -0,0 +1,136 @@
+import { groupsRepo, expensesRepo } from './repository.js';
+import { calculateSettlements, awardXP } from './analytics.js';
+import { isArchived } from './archive.js';
+import { createRecurringTemplate } from './recurring.js';
+import { logActivity } from './activity.js';
+import { DEFAULT_CURRENCY, formatMoney } from './money.js';
+import { isOnline, queueExpense, claimQueuedExpenses, settleQueuedExpense } from './outbox.js';
+
+// Saving expenses, apart from the forms that collect them (expenses.js).
+// The checks here mirror the security rules, so a bad expense is reported
+// to the user rather than failing on write.
+
+// Add an expense and everything that comes with it: the settlement docs,
+// the activity entry and the payer's XP. `data` holds the expense fields with
+// amounts already split, in paise of the group's base currency (`baseCurrency`
+// is the one the form used). With `repeat` (a FREQUENCIES key) a recurring
+// template is created instead, which writes this and every later occurrence.
+// Offline, the expense is queued in the outbox (outbox.js) and checked when
+// it syncs. Returns { success: true, expenseId } (or templateId, or queued and
+// entryId) or { success: false, error }.
+export async function addExpense(data, { repeat = '', repeatEnd = '', userId } = {}) {
+    if (!isOnline()) {
+        try {
+            const entry = queueExpense(userId, data, { repeat, repeatEnd });
+            return { success: true, queued: true, entryId: entry.id };
+        } catch (error) {
+            console.error('Error queuing expense:', error);
+            return { success: false, error: error.message };
+        }
+    }
+    return saveExpense(data, { repeat, repeatEnd, userId });
+}
+
+// Save the expenses `userId` queued while offline, oldest first. Those the
+// checks reject are kept as conflicts for the user to retry or discard.
+// Each is written under its entry's ID, so syncing an entry again (the tab
+// closed before it left the outbox) finds the expense rather than adding it twice.
+// Returns { synced, conflicts }: how many were saved and how many were rejected.
+export async function syncQueuedExpenses(userId) {
+    let synced = 0;
+    let conflicts = 0;
+    for (const entry of claimQueuedExpenses(userId)) {
+        const result = isOnline() ? await saveExpense(entry.data, { ...entry.options, userId, id: entry.id }) : null;
+        if (result && result.success) {
+            settleQueuedExpense(entry.id, { saved: true });
+            synced++;
+        } else if (!result || !isOnline()) {
+            // The connection dropped again: back in the queue for the next sync
+            settleQueuedExpense(entry.id);
+        } else {
+            settleQueuedExpense(entry.id, { error: result.error });
+            conflicts++;
+        }
+    }
+    return { synced, conflicts };
+}
+
+// Check expense fields against `group` the way the security rules will.
+// Returns a user-facing error, or null when the expense can be saved.
+export function validateExpense(group, data) {
+    if (isArchived(group)) {
+        return 'This group is archived. Restore it before adding expenses.';
+    }
+    if (data.baseCurrency && data.baseCurrency !== (group.baseCurrency || DEFAULT_CURRENCY)) {
+        return 'Group currency changed. Please reopen the form.';
+    }
+    if (!Number.isInteger(data.amountPaise) || data.amountPaise <= 0) {
+        return 'Please enter an amount greater than zero.';
+    }
+    const members = group.members || [];
+    if (!members.includes(data.paidBy)) {
+        return 'The payer must be a member of the group.';
+    }
+    const shares = Object.entries(data.splitPaise || {});
+    if (shares.length === 0 || shares.some(([memberId]) => !members.includes(memberId))) {
+        return 'Split the expense between members of the group.';
+    }
+    if (shares.reduce((sum, [, share]) => sum + share, 0) !== data.amountPaise) {
+        return 'The split does not add up to the amount.';
+    }
+    return null;
+}
+
+// With `id`, the expense (or template) is written under it unless it exists
+async function saveExpense(data, { repeat = '', repeatEnd = '', userId, id = null } = {}) {
+    try {
+        const group = await groupsRepo.get(data.groupId);
+        if (!group) {
+            return { success: false, error: 'Group not found.' };
+        }
+        const invalid = validateExpense(group, data);
+        if (invalid) {
+            return { success: false, error: invalid };
+        }
+        const baseCurrency = group.baseCurrency || DEFAULT_CURRENCY;
+
+        const expenseData = {
+            ...data,
+            groupName: group.name || 'Unknown Group',
+            baseCurrency: baseCurrency,
+            createdAt: new Date().toISOString()
+        };
+
+        if (repeat) {
+            const { templateId, isNew } = await createRecurringTemplate({
+                ...expenseData,
+                frequency: repeat,
+                startDate: expenseData.date,
+                endDate: repeatEnd,
+                createdBy: userId
+            }, id);
+            if (isNew) await awardXP(expenseData.paidBy, 10); // 10 XP for adding expense
+            return { success: true, templateId };
+        }
+
+        let expenseId = id;
+        if (!expenseId) {
+            expenseId = await expensesRepo.add(expenseData);
+        } else if (!await expensesRepo.createIfMissing(expenseId, expenseData)) {
+            // Saved by an earlier sync of the same outbox entry
+            return { success: true, expenseId };
+        }
+        await calculateSettlements(expenseData.groupId, { ...expenseData, id: expenseId });
+        await logActivity({
+            groupId: expenseData.groupId,
+            expenseId: expenseId,
+            type: 'expense_created',
+            summary: `"${expenseData.description}" · ${formatMoney(expenseData.amountPaise, baseCurrency)}`
+        });
+        await awardXP(expenseData.paidBy, 10); // 10 XP for adding expense
+        return { success: true, expenseId };
+    } catch (error) {
+        console.error('Error adding expense:', error);
+        return { success: false, error: error.message };
+    }
+}
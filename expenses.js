@@ -1,19 +1,45 @@
-import { requireAuth } from './auth.js';
-import { db } from './firebase-config.js';
-import { 
-    collection, 
-    addDoc, 
-    getDocs, 
-    query, 
-    where, 
-    orderBy,
-    doc,
-    getDoc 
-} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
-import { calculateSettlements, awardXP } from './analytics.js';
+import { requireAuth, isVerifiedProfile } from './auth.js';
+import { usersRepo, groupsRepo, expensesRepo, settlementsRepo, createSubscriptions } from './repository.js';
+import { addExpense, syncQueuedExpenses } from './expense-service.js';
+import { isOnline, getQueuedExpenses, watchOutbox, retryQueuedExpense, discardQueuedExpense } from './outbox.js';
+import { watchUserGroups, isArchived } from './archive.js';
+import { watchGroupLedger, buildSettleUpPlan, recordTransfer } from './balances.js';
+import { SPLIT_TYPES, computeSplit, computeItemizedSplit, describeSplit } from './splits.js';
+import {
+    DEFAULT_CURRENCY,
+    CURRENCIES,
+    toPaise,
+    fromPaise,
+    formatMoney,
+    convertAmount,
+    allocate,
+    expenseAmountPaise,
+    expenseCurrency,
+    describeForeignAmount,
+    settlementRemainingPaise,
+    settlementCurrency
+} from './money.js';
+import { FX_RATES_AS_OF, lookupRate } from './fx-rates.js';
+import { generateDueRecurringExpenses } from './recurring.js';
+import { logActivity } from './activity.js';
+import { buildLedgerExport, downloadLedgerExport } from './ledger-export.js';
+import {
+    migrateLegacyPayments,
+    confirmSettlementPayment,
+    disputeSettlementPayment,
+    describeSettlementState
+} from './ledger.js';
+import { openSettleDialog, openPaymentProof } from './settle-dialog.js';
 
 let currentUser = null;
 let currentGroupId = null;
+let memberNames = {}; // memberId -> display name for the selected group
+let groupCurrency = DEFAULT_CURRENCY; // Base currency of the selected group
+let itemizedItems = []; // Bill items for the itemized split: { name, price (₹ as typed), members }
+let userGroups = null; // The user's groups, archived ones included (null until loaded)
+let listedExpenses = []; // Expenses of the filtered group(s); the month filter applies when rendering
+let expensesFilterKey = null; // Group ids the expense listener follows
+const subscriptions = createSubscriptions();
 
 // Initialize expenses page
 async function initExpenses() {
@@ -24,22 +50,43 @@ async function initExpenses() {
     const urlParams = new URLSearchParams(window.location.search);
     currentGroupId = urlParams.get('group');
 
-    await loadGroups();
-    await loadExpenses();
+    // Create any recurring expenses that fell due since the last visit
+    await generateDueRecurringExpenses(currentUser.uid);
+    // Move payments marked on older expenses into the ledger (runs once)
+    await migrateLegacyPayments(currentUser.uid);
+
+    watchGroups();
     setupModals();
+    window.addEventListener('pagehide', () => subscriptions.stopAll());
+    // A page restored from the back/forward cache listens again
+    window.addEventListener('pageshow', (e) => {
+        if (e.persisted) {
+            expensesFilterKey = null;
+            watchGroups();
+        }
+    });
 }
 
-// Load groups for dropdown
-async function loadGroups() {
+// Follow the user's groups: the dropdowns and the expense list update as
+// groups are created, renamed, archived or left. Expenses queued offline
+// are listed too, so the outbox is followed as well.
+function watchGroups() {
+    subscriptions.set('outbox', watchOutbox(renderExpenses));
+    subscriptions.set('groups', watchUserGroups(currentUser.uid, { includeArchived: true }, async groups => {
+        const firstLoad = userGroups === null;
+        userGroups = groups;
+        await renderGroupOptions(groups, firstLoad);
+        watchExpenses();
+    }));
+}
+
+// Fill the group dropdowns, keeping what is selected in them
+async function renderGroupOptions(groups, firstLoad) {
     try {
-        const groupsQuery = query(
-            collection(db, 'groups'),
-            where('members', 'array-contains', currentUser.uid)
-        );
-        const groupsSnapshot = await getDocs(groupsQuery);
-        
         const groupSelect = document.getElementById('expenseGroup');
         const groupFilter = document.getElementById('groupFilter');
+        const selectedGroup = groupSelect?.value;
+        const filteredGroup = groupFilter?.value;
         
         // Clear existing options (except first)
         if (groupSelect) {
@@ -49,15 +96,22 @@ async function loadGroups() {
             groupFilter.innerHTML = '<option value="all">All Groups</option>';
         }
         
-        groupsSnapshot.forEach(doc => {
-            const group = doc.data();
-            const option = `<option value="${doc.id}">${group.name}</option>`;
-            if (groupSelect) groupSelect.innerHTML += option;
+        // Archived groups are read-only: they can be filtered on but not added to
+        groups.forEach(group => {
+            const option = `<option value="${group.id}">${group.name}${isArchived(group) ? ' (archived)' : ''}</option>`;
+            if (groupSelect && !isArchived(group)) groupSelect.innerHTML += option;
             if (groupFilter) groupFilter.innerHTML += option;
         });
+        // A group that is gone drops back to the first option
+        if (groupSelect && selectedGroup && groups.some(g => g.id === selectedGroup && !isArchived(g))) {
+            groupSelect.value = selectedGroup;
+        }
+        if (groupFilter && filteredGroup && groups.some(g => g.id === filteredGroup)) {
+            groupFilter.value = filteredGroup;
+        }
         
         // Set selected group if from URL
-        if (currentGroupId && groupSelect) {
+        if (firstLoad && currentGroupId && groupSelect && groups.some(g => g.id === currentGroupId && !isArchived(g))) {
             groupSelect.value = currentGroupId;
             // Load members for preselected group (when navigated from group)
             try {
@@ -71,127 +125,247 @@ async function loadGroups() {
     }
 }
 
-// Load expenses
-async function loadExpenses() {
+// Point the expense listener at the group filter. One group is followed
+// with its whole ledger, which also drives its settle-up plan; "All Groups"
+// follows the expenses of every group the user is in (trashed ones are hidden).
+function watchExpenses() {
+    const groupFilter = document.getElementById('groupFilter')?.value;
+    const groupId = groupFilter && groupFilter !== 'all' ? groupFilter : null;
+    const groupIds = groupId ? [groupId] : userGroups.map(group => group.id);
+    // Group updates that leave the followed ids alone keep the listener
+    const filterKey = `${groupId ? 'group' : 'all'}:${groupIds.join(',')}`;
+    if (filterKey === expensesFilterKey) return;
+    expensesFilterKey = filterKey;
+
+    if (groupId) {
+        subscriptions.set('expenses', watchGroupLedger(groupId, ({ expenses, settlements }) => {
+            listedExpenses = expenses;
+            renderExpenses();
+            renderGroupSettlements(groupId, expenses, settlements);
+        }));
+        return;
+    }
+    // Clear settlements section when viewing all groups
+    const settlementsDiv = document.getElementById('groupSettlements');
+    if (settlementsDiv) settlementsDiv.innerHTML = '';
+    // Avoid composite index requirement; sort client-side
+    subscriptions.set('expenses', expensesRepo.watch([['groupId', 'in', groupIds]], {}, expenses => {
+        listedExpenses = expenses;
+        renderExpenses();
+    }));
+}
+
+// Render the expense list, filtered by month and newest first. Expenses
+// waiting in the outbox come first, marked as not yet saved.
+function renderExpenses() {
     try {
-        let expensesQuery;
-        
+        const expenses = listedExpenses;
         const groupFilter = document.getElementById('groupFilter')?.value;
         const monthFilter = document.getElementById('monthFilter')?.value;
-        
-        if (groupFilter && groupFilter !== 'all') {
-            // Avoid composite index requirement; sort client-side
-            expensesQuery = query(
-                collection(db, 'expenses'),
-                where('groupId', '==', groupFilter)
-            );
-            // Also load settlements for this group
-            await loadGroupSettlementsUI(groupFilter);
-        } else {
-            // Get all groups user is part of
-            const groupsQuery = query(
-                collection(db, 'groups'),
-                where('members', 'array-contains', currentUser.uid)
-            );
-            const groupsSnapshot = await getDocs(groupsQuery);
-            const groupIds = [];
-            groupsSnapshot.forEach(doc => groupIds.push(doc.id));
-            
-            if (groupIds.length === 0) {
-                document.getElementById('expensesList').innerHTML = '<p class="empty-state">No expenses yet.</p>';
-                const settlementsDiv = document.getElementById('groupSettlements');
-                if (settlementsDiv) settlementsDiv.innerHTML = '';
-                return;
-            }
-            
-            // Avoid composite index requirement; sort client-side
-            expensesQuery = query(
-                collection(db, 'expenses'),
-                where('groupId', 'in', groupIds)
-            );
-            // Clear settlements section when viewing all groups
-            const settlementsDiv = document.getElementById('groupSettlements');
-            if (settlementsDiv) settlementsDiv.innerHTML = '';
-        }
-        
-        const expensesSnapshot = await getDocs(expensesQuery);
         const expensesList = document.getElementById('expensesList');
+        const queued = getQueuedExpenses(currentUser.uid)
+            .filter(entry => !groupFilter || groupFilter === 'all' || entry.data.groupId === groupFilter);
         
-        if (expensesSnapshot.empty) {
+        if (expenses.length === 0 && queued.length === 0) {
             expensesList.innerHTML = '<p class="empty-state">No expenses yet. Add your first expense!</p>';
             return;
         }
         
+        const inMonth = (d) => {
+            if (!monthFilter) return true;
+            const filterDate = new Date(monthFilter + '-01');
+            return d.getMonth() === filterDate.getMonth() && d.getFullYear() === filterDate.getFullYear();
+        };
+        
         // Collect, filter by month, then sort by date desc client-side
         const items = [];
-        expensesSnapshot.forEach(doc => {
-            const expense = doc.data();
+        expenses.forEach(expense => {
             const d = new Date(expense.date);
-            if (monthFilter) {
-                const filterDate = new Date(monthFilter + '-01');
-                if (d.getMonth() !== filterDate.getMonth() || d.getFullYear() !== filterDate.getFullYear()) {
-                    return;
-                }
-            }
-            items.push({ id: doc.id, data: expense, dateObj: d });
+            if (!inMonth(d)) return;
+            items.push({ id: expense.id, data: expense, dateObj: d });
         });
         items.sort((a, b) => b.dateObj - a.dateObj);
+        const queuedItems = queued.filter(entry => inMonth(new Date(entry.data.date)));
         
-        expensesList.innerHTML = items.length === 0 
+        expensesList.innerHTML = items.length === 0 && queuedItems.length === 0
             ? '<p class="empty-state">No expenses for selected filters.</p>'
             : '';
+        queuedItems.forEach(entry => expensesList.appendChild(createQueuedExpenseItem(entry)));
         items.forEach(({ id, data }) => {
             const expenseItem = createExpenseListItem(data, id);
             expensesList.appendChild(expenseItem);
         });
     } catch (error) {
-        console.error('Error loading expenses:', error);
+        console.error('Error rendering expenses:', error);
     }
 }
 
-// Load and render settlements for a specific group
-async function loadGroupSettlementsUI(groupId) {
+// Render the settle-up plan for a specific group from its ledger, with the
+// payments members marked as sent that wait for the payee to confirm them
+function renderGroupSettlements(groupId, expenses, settlements) {
     try {
         const settlementsDiv = document.getElementById('groupSettlements');
         if (!settlementsDiv) return;
         settlementsDiv.innerHTML = '';
         
-        // Get settlements for the group (pending only)
-        const settlementsQuery = query(
-            collection(db, 'settlements'),
-            where('groupId', '==', groupId),
-            where('status', '==', 'pending')
-        );
-        const snapshot = await getDocs(settlementsQuery);
-        if (snapshot.empty) {
-            settlementsDiv.innerHTML = '<p class="empty-state">No balances pending for this group.</p>';
+        // Net balances folded into the fewest transfers
+        const group = userGroups.find(g => g.id === groupId);
+        const { transfers, currency } = buildSettleUpPlan(expenses, settlements, group?.baseCurrency || DEFAULT_CURRENCY);
+        const claims = settlements
+            .filter(s => ['claimed', 'disputed'].includes(s.status) && s.userId !== s.owedTo)
+            .sort((a, b) => (b.claimedAt || '').localeCompare(a.claimedAt || ''));
+        if (transfers.length === 0 && claims.length === 0) {
+            settlementsDiv.innerHTML = '<p class="empty-state">Everyone is settled up in this group.</p>';
             return;
         }
         
-        // Build a simple list "A owes B: ₹X"
+        // One row per suggested transfer "A pays B: ₹X"
         const items = document.createElement('div');
-        snapshot.forEach(docSnap => {
-            const s = docSnap.data();
+        transfers.forEach(t => {
             const item = document.createElement('div');
             item.className = 'expense-item';
+            const canSettle = t.from === currentUser.uid || t.to === currentUser.uid;
+            const actionLabel = t.from === currentUser.uid ? 'Pay' : 'Mark as received';
+            const waiting = claims.some(c => c.status === 'claimed' && c.userId === t.from && c.owedTo === t.to);
             item.innerHTML = `
                 <div class="expense-item-header">
-                    <span class="expense-item-title">${formatUser(s.userId)} owes ${formatUser(s.owedTo)}</span>
-                    <span class="expense-item-amount">₹${Math.abs(s.amount || 0).toFixed(2)}</span>
+                    <span class="expense-item-title">${formatUser(t.from)} pays ${formatUser(t.to)}</span>
+                    <span class="expense-item-amount">${formatMoney(t.amount, currency)}</span>
                 </div>
-                <div class="expense-item-meta">
-                    <span>${s.description || 'Settlement'}</span>
+                ${waiting ? '<div class="settlement-state claimed">Includes payments marked as sent, waiting for confirmation</div>' : ''}
+                ${canSettle ? `
+                    <button class="btn btn-success" style="margin-top: 8px; width: auto;"
+                        onclick="settleTransfer('${groupId}', '${t.from}', '${t.to}', ${t.amount}, '${currency}')">
+                        ${actionLabel}
+                    </button>
+                ` : ''}
+            `;
+            items.appendChild(item);
+        });
+        
+        // Payments marked as sent: the payee confirms or disputes them, the
+        // debtor can correct them
+        claims.forEach(claim => {
+            const item = document.createElement('div');
+            item.className = 'expense-item';
+            const isPayee = claim.owedTo === currentUser.uid;
+            const buttons = [];
+            if (isPayee && claim.status === 'claimed') {
+                buttons.push(`<button class="btn btn-success" style="width: auto;" onclick="confirmPaymentReceived('${claim.id}')">Confirm Received</button>`);
+                buttons.push(`<button class="btn btn-danger" style="width: auto;" onclick="disputePayment('${claim.id}')">Not Received</button>`);
+            }
+            if (claim.userId === currentUser.uid) {
+                buttons.push(`<button class="btn btn-primary" style="width: auto;" onclick="settlePayment('${claim.id}')">Payment Details</button>`);
+            }
+            if (claim.hasProof) {
+                buttons.push(`<button class="btn btn-secondary" style="width: auto;" onclick="viewPaymentProof('${claim.id}')">View Proof</button>`);
+            }
+            item.innerHTML = `
+                <div class="expense-item-header">
+                    <span class="expense-item-title">${formatUser(claim.userId)} paid ${formatUser(claim.owedTo)}</span>
+                    <span class="expense-item-amount">${formatMoney(settlementRemainingPaise(claim), settlementCurrency(claim))}</span>
                 </div>
+                <div class="expense-item-meta"><span>${claim.description || 'Settlement'}</span></div>
+                <div class="settlement-state ${claim.status}"></div>
+                ${buttons.length > 0 ? `<div style="display: flex; gap: 8px; margin-top: 8px;">${buttons.join('')}</div>` : ''}
             `;
+            // The state may quote the payee's dispute note
+            item.querySelector('.settlement-state').textContent =
+                describeSettlementState(claim, isPayee ? 'you' : formatUser(claim.owedTo));
             items.appendChild(item);
         });
-        settlementsDiv.innerHTML = '<h3 style="margin: 8px 0;">Group Balances</h3>';
+        settlementsDiv.innerHTML = '<h3 style="margin: 8px 0;">Settle Up</h3>';
         settlementsDiv.appendChild(items);
     } catch (error) {
-        console.error('Error loading group settlements:', error);
+        console.error('Error rendering group settlements:', error);
     }
 }
 
+// Settle a suggested transfer (global for onclick): the payer marks it (or
+// part of it) paid for the payee to confirm (settle-dialog.js); the payee
+// records what they received
+window.settleTransfer = async function(groupId, from, to, amount, currency) {
+    try {
+        if (from === currentUser.uid) {
+            await openSettleDialog({
+                groupId: groupId,
+                userId: from,
+                owedTo: to,
+                amountPaise: amount,
+                currency: currency,
+                description: 'Settle up'
+            }, currentUser.uid);
+            return;
+        }
+        const input = prompt(`How much did you receive from ${formatUser(from)}? They owe you ${formatMoney(amount, currency)}.`, fromPaise(amount));
+        if (input === null) return;
+        const received = toPaise(input);
+        if (received <= 0 || received > amount) {
+            alert(`Enter an amount up to ${formatMoney(amount, currency)}.`);
+            return;
+        }
+        await recordTransfer(groupId, from, to, received, currency);
+    } catch (error) {
+        console.error('Error recording transfer:', error);
+        alert('Error recording payment: ' + error.message);
+    }
+};
+
+// Reopen the settle dialog for a payment you marked as sent (global for onclick)
+window.settlePayment = async function(settlementId) {
+    try {
+        const settlement = await settlementsRepo.get(settlementId);
+        if (!settlement) {
+            alert('Settlement not found');
+            return;
+        }
+        await openSettleDialog(settlement, currentUser.uid);
+    } catch (error) {
+        console.error('Error settling payment:', error);
+        alert('Error settling payment: ' + error.message);
+    }
+};
+
+// Confirm a payment marked as sent to you (global for onclick)
+window.confirmPaymentReceived = async function(settlementId) {
+    try {
+        const settlement = await settlementsRepo.get(settlementId);
+        if (!settlement) {
+            alert('Settlement not found');
+            return;
+        }
+        const reference = settlement.paymentReference ? ` (ref ${settlement.paymentReference})` : '';
+        const amount = formatMoney(settlementRemainingPaise(settlement), settlementCurrency(settlement));
+        if (!confirm(`Did you receive ${amount}${reference}? Check your bank or UPI app before confirming.`)) return;
+        await confirmSettlementPayment(settlementId, currentUser.uid);
+    } catch (error) {
+        console.error('Error confirming payment:', error);
+        alert('Error confirming payment: ' + error.message);
+    }
+};
+
+// Dispute a payment marked as sent to you (global for onclick)
+window.disputePayment = async function(settlementId) {
+    try {
+        const reason = prompt('What is wrong with this payment? The member who owes it will see your note.', 'Not received yet');
+        if (reason === null) return;
+        await disputeSettlementPayment(settlementId, currentUser.uid, reason);
+    } catch (error) {
+        console.error('Error disputing payment:', error);
+        alert('Error disputing payment: ' + error.message);
+    }
+};
+
+// Show the proof attached to a payment marked as sent (global for onclick)
+window.viewPaymentProof = async function(settlementId) {
+    try {
+        await openPaymentProof(settlementId);
+    } catch (error) {
+        console.error('Error loading payment proof:', error);
+        alert('Error loading proof: ' + error.message);
+    }
+};
+
 // Format user ID to a short label for UI; could be extended to fetch names
 function formatUser(userId) {
     if (!userId) return 'Unknown';
@@ -209,24 +383,76 @@ function createExpenseListItem(expense, expenseId) {
         window.location.href = `expense-details.html?id=${expenseId}`;
     };
     
-    const splitInfo = expense.splitType === 'equal' 
-        ? `Split equally among ${expense.splitMembers?.length || 0} people`
-        : 'Custom split';
+    const splitInfo = describeSplit(expense);
+    const foreignInfo = describeForeignAmount(expense);
     
     item.innerHTML = `
         <div class="expense-item-header">
             <span class="expense-item-title">${expense.description || 'Expense'}</span>
-            <span class="expense-item-amount">₹${expense.amount?.toFixed(2) || '0.00'}</span>
+            <span class="expense-item-amount">${formatMoney(expenseAmountPaise(expense), expenseCurrency(expense))}</span>
         </div>
         <div class="expense-item-meta">
             <span>${new Date(expense.date).toLocaleDateString()}</span>
             <span>${expense.groupName || 'No Group'}</span>
             <span>${splitInfo}</span>
+            ${foreignInfo ? `<span>${foreignInfo}</span>` : ''}
         </div>
     `;
     return item;
 }
 
+// Create a list item for an expense queued offline. One the checks rejected
+// when it synced shows why, with Retry and Discard.
+function createQueuedExpenseItem(entry) {
+    const expense = entry.data;
+    const conflict = entry.status === 'conflict';
+    const groupName = userGroups?.find(g => g.id === expense.groupId)?.name || 'No Group';
+    const item = document.createElement('div');
+    item.className = `expense-item queued${conflict ? ' conflict' : ''}`;
+    item.innerHTML = `
+        <div class="expense-item-header">
+            <span class="expense-item-title">${expense.description || 'Expense'}</span>
+            <span class="expense-item-amount">${formatMoney(expenseAmountPaise(expense), expenseCurrency(expense))}</span>
+        </div>
+        <div class="expense-item-meta">
+            <span>${new Date(expense.date).toLocaleDateString()}</span>
+            <span>${groupName}</span>
+            <span class="sync-badge${conflict ? ' conflict' : ''}">
+                <i class="fas ${conflict ? 'fa-exclamation-triangle' : 'fa-clock'}"></i> ${conflict ? 'Not saved' : 'Pending sync'}
+            </span>
+        </div>
+        ${conflict ? `
+            <div class="expense-item-meta"><span>${entry.error}</span></div>
+            <div style="display: flex; gap: 8px;">
+                <button class="btn btn-secondary" style="margin-top: 8px; width: auto;" onclick="retryQueuedExpense('${entry.id}')">Retry</button>
+                <button class="btn btn-danger" style="margin-top: 8px; width: auto;" onclick="discardQueuedExpense('${entry.id}')">Discard</button>
+            </div>
+        ` : ''}
+    `;
+    return item;
+}
+
+// Try a rejected offline expense again (global for onclick)
+window.retryQueuedExpense = async function(entryId) {
+    try {
+        retryQueuedExpense(entryId);
+        if (!isOnline()) return;
+        const { conflicts } = await syncQueuedExpenses(currentUser.uid);
+        if (conflicts > 0) {
+            alert('The expense still could not be saved. Fix what the message says, or discard it and add it again.');
+        }
+    } catch (error) {
+        console.error('Error retrying expense:', error);
+        alert('Error retrying expense: ' + error.message);
+    }
+};
+
+// Drop an offline expense that will not be saved (global for onclick)
+window.discardQueuedExpense = function(entryId) {
+    if (!confirm('Discard this expense? It was never saved and will be lost.')) return;
+    discardQueuedExpense(entryId);
+};
+
 // Setup modals
 function setupModals() {
     const addExpenseBtn = document.getElementById('addExpenseBtn');
@@ -262,19 +488,74 @@ function setupModals() {
     
     if (splitTypeSelect) {
         splitTypeSelect.addEventListener('change', (e) => {
-            const customSection = document.getElementById('customSplitSection');
-            if (e.target.value === 'custom') {
-                customSection.style.display = 'block';
-            } else {
-                customSection.style.display = 'none';
+            applySplitType(e.target.value);
+        });
+    }
+    
+    // Currency picker and exchange rate
+    const currencySelect = document.getElementById('expenseCurrency');
+    if (currencySelect) {
+        currencySelect.innerHTML = Object.entries(CURRENCIES)
+            .map(([code, { name }]) => `<option value="${code}">${code} - ${name}</option>`)
+            .join('');
+        currencySelect.value = groupCurrency;
+        currencySelect.addEventListener('change', () => {
+            document.getElementById('expenseFxRate').value = '';
+            updateFxRateSection();
+        });
+    }
+    const loadFxRateBtn = document.getElementById('loadFxRateBtn');
+    if (loadFxRateBtn) {
+        loadFxRateBtn.addEventListener('click', () => {
+            const rate = lookupRate(document.getElementById('expenseCurrency').value, groupCurrency);
+            if (rate === null) {
+                alert('No saved rate for this currency. Enter the rate by hand.');
+                return;
             }
+            document.getElementById('expenseFxRate').value = rate;
+            updateFxRateSection();
+        });
+    }
+    
+    const repeatSelect = document.getElementById('expenseRepeat');
+    if (repeatSelect) {
+        repeatSelect.addEventListener('change', (e) => {
+            document.getElementById('repeatEndSection').style.display = e.target.value ? 'block' : 'none';
         });
     }
     
+    // Itemized split editor
+    const itemizedItemsDiv = document.getElementById('itemizedItems');
+    if (itemizedItemsDiv) {
+        itemizedItemsDiv.addEventListener('input', handleItemizedInput);
+        itemizedItemsDiv.addEventListener('change', handleItemizedInput);
+        itemizedItemsDiv.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-remove-item]');
+            if (!removeBtn) return;
+            itemizedItems.splice(Number(removeBtn.dataset.removeItem), 1);
+            renderItemizedItems();
+            updateSplitValidation();
+        });
+    }
+    const addItemBtn = document.getElementById('addItemBtn');
+    if (addItemBtn) {
+        addItemBtn.addEventListener('click', () => {
+            itemizedItems.push({ name: '', price: '', members: Object.keys(memberNames) });
+            renderItemizedItems();
+            updateSplitValidation();
+        });
+    }
+    
+    // Live validation while the split is being edited
+    if (addExpenseForm) {
+        addExpenseForm.addEventListener('input', updateSplitValidation);
+        addExpenseForm.addEventListener('change', updateSplitValidation);
+    }
+    
     if (addExpenseForm) {
         addExpenseForm.addEventListener('submit', async (e) => {
             e.preventDefault();
-            await addExpense();
+            await submitExpense();
         });
     }
     
@@ -283,10 +564,36 @@ function setupModals() {
     const monthFilter = document.getElementById('monthFilter');
     
     if (groupFilter) {
-        groupFilter.addEventListener('change', loadExpenses);
+        groupFilter.addEventListener('change', watchExpenses);
     }
     if (monthFilter) {
-        monthFilter.addEventListener('change', loadExpenses);
+        monthFilter.addEventListener('change', renderExpenses);
+    }
+    
+    // Export covers the filtered group (or all groups); a month filter pre-fills the range
+    const exportBtn = document.getElementById('exportBtn');
+    if (exportBtn) {
+        exportBtn.addEventListener('click', () => {
+            const group = userGroups?.find(g => g.id === groupFilter?.value);
+            document.getElementById('exportScope').textContent = group
+                ? `Group: ${group.name}`
+                : 'All your groups, archived ones included';
+            const month = monthFilter?.value;
+            if (month) {
+                const [year, monthNumber] = month.split('-').map(Number);
+                const lastDay = new Date(year, monthNumber, 0).getDate();
+                document.getElementById('exportFrom').value = `${month}-01`;
+                document.getElementById('exportTo').value = `${month}-${String(lastDay).padStart(2, '0')}`;
+            }
+            document.getElementById('exportModal').classList.add('show');
+        });
+    }
+    const exportForm = document.getElementById('exportForm');
+    if (exportForm) {
+        exportForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await exportExpenses();
+        });
     }
     
     // Close modals
@@ -305,16 +612,291 @@ function setupModals() {
     });
 }
 
+// Download the filtered group's (or all groups') expenses, payments and
+// balances for the chosen date range
+async function exportExpenses() {
+    try {
+        const from = document.getElementById('exportFrom').value;
+        const to = document.getElementById('exportTo').value;
+        if (from && to && from > to) {
+            alert('The start date is after the end date.');
+            return;
+        }
+        const groupFilter = document.getElementById('groupFilter')?.value;
+        const data = await buildLedgerExport(currentUser.uid, {
+            groupIds: groupFilter && groupFilter !== 'all' ? [groupFilter] : null,
+            from,
+            to
+        });
+        downloadLedgerExport(data, document.getElementById('exportFormat').value);
+        document.getElementById('exportModal').classList.remove('show');
+    } catch (error) {
+        console.error('Error exporting expenses:', error);
+        alert('Error exporting expenses: ' + error.message);
+    }
+}
+
+// Base currency of the selected group (the OCR scanner shows bills in it)
+export function getGroupCurrency() {
+    return groupCurrency;
+}
+
+// Currency the expense was actually paid in
+function getExpenseCurrency() {
+    return document.getElementById('expenseCurrency')?.value || groupCurrency;
+}
+
+// Rate from the paid currency to the group's base currency (null if missing)
+function getFxRate() {
+    if (getExpenseCurrency() === groupCurrency) return 1;
+    const rate = parseFloat(document.getElementById('expenseFxRate').value);
+    return rate > 0 ? rate : null;
+}
+
+// Show the exchange-rate field when the paid currency is not the group's base
+function updateFxRateSection() {
+    const section = document.getElementById('fxRateSection');
+    if (!section) return;
+    const currency = getExpenseCurrency();
+    if (currency === groupCurrency) {
+        section.style.display = 'none';
+        updateSplitValidation();
+        return;
+    }
+    
+    section.style.display = 'block';
+    document.getElementById('fxRateLabel').textContent = `Exchange Rate (1 ${currency} = ? ${groupCurrency})`;
+    const rateInput = document.getElementById('expenseFxRate');
+    const hint = document.getElementById('fxRateHint');
+    if (!rateInput.value) {
+        const saved = lookupRate(currency, groupCurrency);
+        if (saved !== null) {
+            rateInput.value = saved;
+            hint.textContent = `Saved rate as of ${FX_RATES_AS_OF}. Edit it to match what you were charged.`;
+        } else {
+            hint.textContent = 'No saved rate for this currency. Enter the rate by hand.';
+        }
+    }
+    updateSplitValidation();
+}
+
+// Show the per-member inputs matching the chosen split type
+function applySplitType(splitType) {
+    const config = SPLIT_TYPES[splitType] || SPLIT_TYPES.equal;
+    const isItemized = splitType === 'itemized';
+    const customSection = document.getElementById('customSplitSection');
+    customSection.style.display = splitType === 'equal' || isItemized ? 'none' : 'block';
+    document.getElementById('customSplitLabel').textContent = config.inputLabel;
+    
+    // Itemized bills derive the total from their items
+    document.getElementById('itemizedSplitSection').style.display = isItemized ? 'block' : 'none';
+    document.getElementById('expenseAmount').readOnly = isItemized;
+    if (isItemized && itemizedItems.length === 0) {
+        itemizedItems.push({ name: '', price: '', members: Object.keys(memberNames) });
+    }
+    renderItemizedItems();
+    
+    document.querySelectorAll('#customSplitInputs input').forEach(input => {
+        input.placeholder = config.placeholder;
+        input.value = config.defaultValue;
+    });
+    updateSplitValidation();
+}
+
+// Members ticked under "Split Among"
+function getSelectedMembers() {
+    const selectedMembers = [];
+    document.querySelectorAll('#splitMembers input[type="checkbox"]:checked').forEach(checkbox => {
+        selectedMembers.push(checkbox.value);
+    });
+    return selectedMembers;
+}
+
+// Raw per-member split inputs, keyed by member ID
+function getSplitInputs(members) {
+    const inputs = {};
+    members.forEach(memberId => {
+        const input = document.getElementById(`split_${memberId}`);
+        inputs[memberId] = parseFloat(input?.value) || 0;
+    });
+    return inputs;
+}
+
+// Render one editable row per bill item with a checkbox per member
+function renderItemizedItems() {
+    const container = document.getElementById('itemizedItems');
+    if (!container) return;
+    container.innerHTML = '';
+    
+    itemizedItems.forEach((item, index) => {
+        const row = document.createElement('div');
+        row.className = 'itemized-item';
+        row.dataset.index = index;
+        const memberBoxes = Object.entries(memberNames).map(([memberId, name]) => `
+            <label>
+                <input type="checkbox" data-field="member" value="${memberId}" ${item.members.includes(memberId) ? 'checked' : ''}>
+                ${name}
+            </label>
+        `).join('');
+        row.innerHTML = `
+            <div class="itemized-item-row">
+                <input type="text" data-field="name" placeholder="Item">
+                <input type="number" data-field="price" step="0.01" min="0" placeholder="Price" value="${item.price}">
+                <button type="button" class="btn btn-danger" style="width: auto;" data-remove-item="${index}">&times;</button>
+            </div>
+            <div class="itemized-item-members">${memberBoxes || '<span>Select a group first</span>'}</div>
+        `;
+        // Names may come from OCR or typing, so they are set as values, not markup
+        row.querySelector('[data-field="name"]').value = item.name;
+        container.appendChild(row);
+    });
+}
+
+// Keep itemizedItems in sync with what is typed in the item rows
+function handleItemizedInput(e) {
+    const row = e.target.closest('.itemized-item');
+    if (!row) return;
+    const item = itemizedItems[Number(row.dataset.index)];
+    const field = e.target.dataset.field;
+    if (field === 'name') item.name = e.target.value;
+    if (field === 'price') item.price = e.target.value;
+    if (field === 'member') {
+        item.members = Array.from(row.querySelectorAll('input[data-field="member"]:checked')).map(box => box.value);
+    }
+}
+
+// Bill items in the shape computeItemizedSplit expects
+function getItemizedSplitItems() {
+    return itemizedItems.map(item => ({
+        name: item.name.trim(),
+        pricePaise: toPaise(item.price),
+        members: item.members.filter(memberId => memberId in memberNames)
+    }));
+}
+
+// Tax, service charge and tip of the itemized bill, in paise
+function getItemizedExtras() {
+    return {
+        taxPaise: toPaise(document.getElementById('itemizedTax').value),
+        servicePaise: toPaise(document.getElementById('itemizedService').value),
+        tipPaise: toPaise(document.getElementById('itemizedTip').value)
+    };
+}
+
+function getItemizedExtrasPaise() {
+    const { taxPaise, servicePaise, tipPaise } = getItemizedExtras();
+    return taxPaise + servicePaise + tipPaise;
+}
+
+// Work out the split from the form, in the paid currency and in the group's
+// base currency. Returns the fields addExpense stores, or { error }.
+function computeExpenseSplit() {
+    const splitType = document.getElementById('splitType').value;
+    const currency = getExpenseCurrency();
+    let amountPaise = toPaise(document.getElementById('expenseAmount').value);
+    let members = getSelectedMembers();
+    let splitInputs = {};
+    const itemizedFields = {};
+    let result;
+    
+    if (splitType === 'itemized') {
+        // Members and total come from the bill items
+        const splitItems = getItemizedSplitItems();
+        result = computeItemizedSplit(splitItems, getItemizedExtrasPaise());
+        if (result.error) return result;
+        amountPaise = result.amountPaise;
+        members = Object.keys(result.splitPaise);
+        itemizedFields.splitItems = splitItems;
+        itemizedFields.splitExtras = getItemizedExtras();
+    } else {
+        if (members.length === 0) return { error: 'Select at least one member to split with.' };
+        splitInputs = splitType === 'equal' ? {} : getSplitInputs(members);
+        result = computeSplit(splitType, amountPaise, members, splitInputs, currency);
+        if (result.error) return result;
+    }
+    
+    const fxRate = getFxRate();
+    if (fxRate === null) return { error: `Enter the exchange rate from ${currency} to ${groupCurrency}.` };
+    
+    // Convert the total, then share it out in the same proportions so the
+    // base-currency shares still add up exactly
+    const baseAmountPaise = convertAmount(amountPaise, fxRate);
+    if (baseAmountPaise <= 0) return { error: 'The converted amount is too small to record.' };
+    
+    return {
+        splitType,
+        currency,
+        fxRate,
+        originalAmountPaise: amountPaise,
+        originalSplitPaise: result.splitPaise,
+        amountPaise: baseAmountPaise,
+        splitPaise: currency === groupCurrency ? result.splitPaise : allocate(baseAmountPaise, result.splitPaise),
+        splitMembers: members,
+        splitInputs,
+        itemizedFields
+    };
+}
+
+// Recompute the split and show the result (or what is wrong) under the form
+function updateSplitValidation() {
+    const output = document.getElementById('splitValidation');
+    if (!output) return;
+    
+    const splitType = document.getElementById('splitType').value;
+    const members = getSelectedMembers();
+    
+    // Only the selected members' inputs take part in the split
+    document.querySelectorAll('#customSplitInputs .form-group').forEach(group => {
+        group.style.display = members.includes(group.dataset.memberId) ? 'block' : 'none';
+    });
+    
+    const amountInput = document.getElementById('expenseAmount');
+    if (splitType !== 'itemized' && (!toPaise(amountInput.value) || members.length === 0)) {
+        output.textContent = '';
+        output.classList.remove('invalid');
+        return;
+    }
+    
+    const result = computeExpenseSplit();
+    if (result.error) {
+        output.textContent = result.error;
+        output.classList.add('invalid');
+        return;
+    }
+    if (splitType === 'itemized') {
+        amountInput.value = fromPaise(result.originalAmountPaise).toFixed(2);
+    }
+    output.classList.remove('invalid');
+    output.textContent = result.splitMembers
+        .map(memberId => {
+            const name = memberNames[memberId] || formatUser(memberId);
+            const share = formatMoney(result.originalSplitPaise[memberId], result.currency);
+            const base = result.currency === groupCurrency
+                ? ''
+                : ` (${formatMoney(result.splitPaise[memberId], groupCurrency)})`;
+            return `${name}: ${share}${base}`;
+        })
+        .join(' · ');
+}
+
 // Load group members
 async function loadGroupMembers(groupId) {
     try {
         if (!groupId) return;
         
-        const groupDoc = await getDoc(doc(db, 'groups', groupId));
-        if (!groupDoc.exists()) return;
+        const group = await groupsRepo.get(groupId);
+        if (!group) return;
+        
+        memberNames = {};
         
-        const group = groupDoc.data();
-        const groupRef = doc(db, 'groups', groupId);
+        // Default the paid currency to the group's base currency
+        groupCurrency = group.baseCurrency || DEFAULT_CURRENCY;
+        const currencySelect = document.getElementById('expenseCurrency');
+        if (currencySelect) {
+            currencySelect.value = groupCurrency;
+            document.getElementById('expenseFxRate').value = '';
+            updateFxRateSection();
+        }
         const memberIds = new Set(group.members || []);
         const memberEmails = Array.isArray(group.memberEmails) ? group.memberEmails : [];
         const pendingEmails = Array.isArray(group.pendingMemberEmails) ? group.pendingMemberEmails : [];
@@ -325,9 +907,7 @@ async function loadGroupMembers(groupId) {
                 const emailLc = (email || '').toLowerCase();
                 let found = false;
                 // First try lowercase
-                const usersByEmailLc = await getDocs(
-                    query(collection(db, 'users'), where('email', '==', emailLc))
-                );
+                const usersByEmailLc = await usersRepo.find([['email', '==', emailLc]]);
                 usersByEmailLc.forEach(u => {
                     if (!memberIds.has(u.id)) {
                         memberIds.add(u.id);
@@ -336,9 +916,7 @@ async function loadGroupMembers(groupId) {
                 });
                 // Fallback: try raw casing (legacy)
                 if (!found && email !== emailLc) {
-                    const usersByEmailRaw = await getDocs(
-                        query(collection(db, 'users'), where('email', '==', email))
-                    );
+                    const usersByEmailRaw = await usersRepo.find([['email', '==', email]]);
                     usersByEmailRaw.forEach(u => {
                         if (!memberIds.has(u.id)) {
                             memberIds.add(u.id);
@@ -358,14 +936,17 @@ async function loadGroupMembers(groupId) {
             try {
                 const lc = email.toLowerCase();
                 let resolved = false;
-                const s1 = await getDocs(query(collection(db, 'users'), where('email', '==', lc)));
+                // Accounts join only once their email is verified
+                const s1 = await usersRepo.find([['email', '==', lc]]);
                 s1.forEach(u => {
+                    if (!isVerifiedProfile(u)) return;
                     memberIds.add(u.id);
                     resolved = true;
                 });
                 if (!resolved && lc !== email) {
-                    const s2 = await getDocs(query(collection(db, 'users'), where('email', '==', email)));
+                    const s2 = await usersRepo.find([['email', '==', email]]);
                     s2.forEach(u => {
+                        if (!isVerifiedProfile(u)) return;
                         memberIds.add(u.id);
                         resolved = true;
                     });
@@ -387,11 +968,12 @@ async function loadGroupMembers(groupId) {
                 const updatedPending = pendingEmails.filter(e => !newlyResolvedEmails.includes(e));
                 const normalizedAdditions = newlyResolvedEmails.map(e => (e || '').toLowerCase());
                 const updatedMemberEmails = Array.from(new Set([...memberEmails, ...normalizedAdditions]));
-                await updateDoc(groupRef, {
+                await groupsRepo.update(groupId, {
                     members: Array.from(memberIds),
                     memberEmails: updatedMemberEmails,
                     pendingMemberEmails: updatedPending
                 });
+                await logActivity({ groupId, type: 'members_joined', summary: newlyResolvedEmails.join(', ') });
             } catch (e) {
                 console.error('Error promoting pending to members:', e);
             }
@@ -411,9 +993,9 @@ async function loadGroupMembers(groupId) {
         // Add resolved user members
         for (const memberId of memberIds) {
             try {
-                const userDoc = await getDoc(doc(db, 'users', memberId));
-                if (userDoc.exists()) {
-                    const userName = userDoc.data().name || 'Unknown';
+                const user = await usersRepo.get(memberId);
+                if (user) {
+                    const userName = user.name || 'Unknown';
                     
                     // Add to paid by dropdown
                     const option = document.createElement('option');
@@ -430,12 +1012,15 @@ async function loadGroupMembers(groupId) {
                     `;
                     splitMembersDiv.appendChild(memberItem);
                     
-                    // Add to custom split inputs
+                    memberNames[memberId] = userName;
+                    
+                    // Add to per-member split inputs
                     const customInput = document.createElement('div');
                     customInput.className = 'form-group';
+                    customInput.dataset.memberId = memberId;
                     customInput.innerHTML = `
                         <label>${userName}</label>
-                        <input type="number" id="custom_${memberId}" step="0.01" min="0" placeholder="Amount">
+                        <input type="number" id="split_${memberId}" step="any">
                     `;
                     customSplitInputs.appendChild(customInput);
                 }
@@ -457,100 +1042,116 @@ async function loadGroupMembers(groupId) {
             `;
             splitMembersDiv.appendChild(memberItem);
         }
+        
+        // Keep bill items assigned to members of the newly loaded group
+        const validIds = Object.keys(memberNames);
+        itemizedItems.forEach(item => {
+            item.members = item.members.filter(memberId => validIds.includes(memberId));
+            if (item.members.length === 0) item.members = validIds;
+        });
+        
+        applySplitType(document.getElementById('splitType').value);
     } catch (error) {
         console.error('Error loading group members:', error);
     }
 }
 
-// Add expense
-async function addExpense() {
+// Submit the Add Expense form
+async function submitExpense() {
     try {
         const groupId = document.getElementById('expenseGroup').value;
         const description = document.getElementById('expenseDescription').value;
-        const amount = parseFloat(document.getElementById('expenseAmount').value);
         const date = document.getElementById('expenseDate').value;
         const paidBy = document.getElementById('expensePaidBy').value;
         const splitType = document.getElementById('splitType').value;
+        const repeat = document.getElementById('expenseRepeat').value;
+        const repeatEnd = document.getElementById('expenseRepeatEnd').value;
         
-        // Get selected members for split
-        const selectedMembers = [];
-        document.querySelectorAll('#splitMembers input[type="checkbox"]:checked').forEach(checkbox => {
-            selectedMembers.push(checkbox.value);
-        });
-        
-        if (selectedMembers.length === 0) {
-            alert('Please select at least one member to split with.');
+        if (repeat && splitType === 'itemized') {
+            alert('Itemized bills cannot repeat. Choose another split type.');
             return;
         }
-        
-        // Calculate split amounts
-        let splitAmounts = {};
-        if (splitType === 'equal') {
-            const perPerson = amount / selectedMembers.length;
-            selectedMembers.forEach(memberId => {
-                splitAmounts[memberId] = perPerson;
-            });
-        } else {
-            // Custom split
-            let totalCustom = 0;
-            selectedMembers.forEach(memberId => {
-                const customAmount = parseFloat(document.getElementById(`custom_${memberId}`).value) || 0;
-                splitAmounts[memberId] = customAmount;
-                totalCustom += customAmount;
-            });
-            
-            if (Math.abs(totalCustom - amount) > 0.01) {
-                alert(`Custom split amounts (₹${totalCustom.toFixed(2)}) must equal total amount (₹${amount.toFixed(2)}).`);
-                return;
-            }
+        if (repeat && repeatEnd && repeatEnd < date) {
+            alert('Repeat end date must be on or after the expense date.');
+            return;
         }
         
-        // Get group name
-        const groupDoc = await getDoc(doc(db, 'groups', groupId));
-        const groupName = groupDoc.exists() ? groupDoc.data().name : 'Unknown Group';
+        // Calculate split amounts (converted to the group's base currency)
+        const split = computeExpenseSplit();
+        if (split.error) {
+            alert(split.error);
+            return;
+        }
         
-        // Create expense document
-        const expenseData = {
+        const result = await addExpense({
             groupId: groupId,
-            groupName: groupName,
             description: description,
-            amount: amount,
+            amountPaise: split.amountPaise,
+            baseCurrency: groupCurrency,
+            currency: split.currency,
+            originalAmountPaise: split.originalAmountPaise,
+            fxRate: split.fxRate,
             date: date,
             paidBy: paidBy,
             splitType: splitType,
-            splitMembers: selectedMembers,
-            splitAmounts: splitAmounts,
-            createdAt: new Date().toISOString()
-        };
-        
-        const expenseRef = await addDoc(collection(db, 'expenses'), expenseData);
-        
-        // Calculate and create settlements (with expense ID)
-        expenseData.id = expenseRef.id;
-        await calculateSettlements(groupId, expenseData);
-        
-        // Award XP
-        await awardXP(paidBy, 10); // 10 XP for adding expense
+            splitMembers: split.splitMembers,
+            splitPaise: split.splitPaise,
+            splitInputs: split.splitInputs,
+            ...split.itemizedFields
+        }, { repeat, repeatEnd, userId: currentUser.uid });
+        if (!result.success) {
+            alert(result.error);
+            return;
+        }
         
         // Reset form and close modal
         document.getElementById('addExpenseForm').reset();
+        itemizedItems = [];
+        applySplitType('equal');
+        document.getElementById('repeatEndSection').style.display = 'none';
+        document.getElementById('expenseCurrency').value = groupCurrency;
+        updateFxRateSection();
         document.getElementById('addExpenseModal').classList.remove('show');
         
-        // Reload expenses
-        await loadExpenses();
-        // If a specific group is selected, refresh its settlements UI
-        const gf = document.getElementById('groupFilter')?.value;
-        if (gf && gf !== 'all') {
-            await loadGroupSettlementsUI(gf);
+        // The expense list and settle-up plan update through their listeners
+        if (result.queued) {
+            alert("You're offline. The expense is kept on this device and will be saved when you reconnect.");
+        } else {
+            alert('Expense added successfully!');
         }
-        
-        alert('Expense added successfully!');
     } catch (error) {
         console.error('Error adding expense:', error);
         alert('Error adding expense: ' + error.message);
     }
 }
 
+// Open the Add Expense modal prefilled as an itemized bill (used by the OCR scanner).
+// `bill` is the output of parseBillText in ocr.js; amounts are rupees.
+export function prefillItemizedExpense(bill) {
+    const addExpenseModal = document.getElementById('addExpenseModal');
+    if (addExpenseModal) addExpenseModal.classList.add('show');
+    
+    if (bill.merchant) document.getElementById('expenseDescription').value = bill.merchant;
+    if (bill.date) {
+        const date = new Date(bill.date);
+        if (!isNaN(date.getTime())) {
+            document.getElementById('expenseDate').value = date.toISOString().split('T')[0];
+        }
+    }
+    document.getElementById('itemizedTax').value = bill.tax || 0;
+    document.getElementById('itemizedService').value = bill.serviceCharge || 0;
+    document.getElementById('itemizedTip').value = bill.tip || 0;
+    
+    // Every item starts shared by the whole group; untick members per item
+    itemizedItems = bill.items.map(item => ({
+        name: item.name,
+        price: String(item.price),
+        members: Object.keys(memberNames)
+    }));
+    document.getElementById('splitType').value = 'itemized';
+    applySplitType('itemized');
+}
+
 // Initialize on page load
 if (document.getElementById('expensesList')) {
     initExpenses();
@@ -0,0 +1,175 @@
+import { db, auth } from './firebase-config.js';
+import {
+    collection,
+    query,
+    where,
+    orderBy,
+    limit,
+    getDocs,
+    onSnapshot,
+    doc,
+    getDoc,
+    addDoc,
+    setDoc,
+    updateDoc,
+    deleteDoc,
+    runTransaction,
+    writeBatch,
+    Timestamp,
+    deleteField,
+    arrayUnion,
+    arrayRemove,
+    serverTimestamp
+} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+import { FIELD_OP } from './repository.js';
+
+// The Firestore data store used in the browser (see repository.js)
+
+// Firestore 'in' queries take at most 30 values
+const MAX_IN_VALUES = 30;
+
+// Replace repository field operations with the SDK's sentinels
+function toFirestore(data) {
+    const converted = {};
+    Object.entries(data).forEach(([field, value]) => {
+        const op = value && value[FIELD_OP];
+        if (op === 'delete') converted[field] = deleteField();
+        else if (op === 'arrayUnion') converted[field] = arrayUnion(...value.values);
+        else if (op === 'arrayRemove') converted[field] = arrayRemove(...value.values);
+        else if (op === 'serverTimestamp') converted[field] = serverTimestamp();
+        else converted[field] = value;
+    });
+    return converted;
+}
+
+// Timestamps come back as Dates, as the memory store keeps them
+function fromFirestore(data) {
+    const converted = {};
+    Object.entries(data).forEach(([field, value]) => {
+        converted[field] = value instanceof Timestamp ? value.toDate() : value;
+    });
+    return converted;
+}
+
+function compare(a, b) {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+}
+
+function buildQuery(collectionName, filters, order, max) {
+    const constraints = filters.map(([field, op, value]) => where(field, op, value));
+    if (order) constraints.push(orderBy(order[0], order[1] || 'asc'));
+    if (max) constraints.push(limit(max));
+    return query(collection(db, collectionName), ...constraints);
+}
+
+const snapshotDocs = (snapshot) => snapshot.docs.map(d => ({ id: d.id, ...fromFirestore(d.data()) }));
+
+async function runQuery(collectionName, filters, order, max) {
+    return snapshotDocs(await getDocs(buildQuery(collectionName, filters, order, max)));
+}
+
+// Split a query whose 'in' list is over MAX_IN_VALUES into several that aren't
+function chunkFilters(filters) {
+    const inFilter = filters.find(([, op]) => op === 'in');
+    if (!inFilter || inFilter[2].length <= MAX_IN_VALUES) return [filters];
+    const others = filters.filter(f => f !== inFilter);
+    const chunks = [];
+    for (let i = 0; i < inFilter[2].length; i += MAX_IN_VALUES) {
+        chunks.push([...others, [inFilter[0], 'in', inFilter[2].slice(i, i + MAX_IN_VALUES)]]);
+    }
+    return chunks;
+}
+
+// Merge the results of chunked queries back into one ordered, limited list
+function mergeChunks(results, order, max) {
+    const docs = results.flat();
+    if (order) {
+        const direction = order[1] === 'desc' ? -1 : 1;
+        docs.sort((a, b) => direction * compare(a[order[0]], b[order[0]]));
+    }
+    return max ? docs.slice(0, max) : docs;
+}
+
+export const firestoreStore = {
+    async get(collectionName, id) {
+        const snap = await getDoc(doc(db, collectionName, id));
+        return snap.exists() ? { id: snap.id, ...fromFirestore(snap.data()) } : null;
+    },
+
+    async find(collectionName, filters = [], { orderBy: order = null, limit: max = 0 } = {}) {
+        if (filters.some(([, op, value]) => op === 'in' && value.length === 0)) return [];
+        const chunks = chunkFilters(filters);
+        if (chunks.length === 1) return runQuery(collectionName, filters, order, max);
+
+        // Longer 'in' lists are queried in chunks and merged here
+        const results = [];
+        for (const chunk of chunks) {
+            results.push(await runQuery(collectionName, chunk, order, max));
+        }
+        return mergeChunks(results, order, max);
+    },
+
+    watch(collectionName, filters, { orderBy: order = null, limit: max = 0 } = {}, onChange, onError) {
+        if (filters.some(([, op, value]) => op === 'in' && value.length === 0)) {
+            onChange([]);
+            return () => {};
+        }
+        // One listener per chunk; results are reported once every chunk has loaded
+        const chunks = chunkFilters(filters);
+        const results = new Array(chunks.length).fill(null);
+        const unsubscribes = chunks.map((chunk, i) => onSnapshot(
+            buildQuery(collectionName, chunk, order, max),
+            (snapshot) => {
+                results[i] = snapshotDocs(snapshot);
+                if (results.every(r => r !== null)) onChange(mergeChunks(results, order, max));
+            },
+            onError
+        ));
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    },
+
+    async add(collectionName, data) {
+        const ref = await addDoc(collection(db, collectionName), toFirestore(data));
+        return ref.id;
+    },
+
+    async set(collectionName, id, data) {
+        await setDoc(doc(db, collectionName, id), toFirestore(data));
+    },
+
+    async update(collectionName, id, changes) {
+        await updateDoc(doc(db, collectionName, id), toFirestore(changes));
+    },
+
+    async remove(collectionName, id) {
+        await deleteDoc(doc(db, collectionName, id));
+    },
+
+    async createIfMissing(collectionName, id, data) {
+        const ref = doc(db, collectionName, id);
+        return runTransaction(db, async (transaction) => {
+            const existing = await transaction.get(ref);
+            if (existing.exists()) return false;
+            transaction.set(ref, toFirestore(data));
+            return true;
+        });
+    },
+
+    newId(collectionName) {
+        return doc(collection(db, collectionName)).id;
+    },
+
+    async batch(writes) {
+        const batch = writeBatch(db);
+        writes.forEach(({ op, collection: collectionName, id, data }) => {
+            if (op === 'update') batch.update(doc(db, collectionName, id), toFirestore(data));
+            else batch.set(doc(db, collectionName, id), toFirestore(data));
+        });
+        await batch.commit();
+    },
+
+    currentUserId() {
+        return auth.currentUser?.uid || null;
+    }
+};
@@ -0,0 +1,92 @@
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore } from 'firebase-admin/firestore';
+import { onCall, onRequest, HttpsError } from 'firebase-functions/v2/https';
+import { defineSecret, defineString } from 'firebase-functions/params';
+import { createRazorpayClient, RAZORPAY_API_URL } from './razorpay.js';
+import { createPaymentHandlers, PaymentError } from './payments.js';
+
+// Cloud Functions for Razorpay payments (see payments.js for the flow).
+// Configuration:
+//   firebase functions:secrets:set RAZORPAY_KEY_SECRET
+//   firebase functions:secrets:set RAZORPAY_WEBHOOK_SECRET
+//   RAZORPAY_KEY_ID (and optionally RAZORPAY_API_URL) in functions/.env
+// With the emulator, functions/.env.local can point RAZORPAY_API_URL at the
+// mock server (node tests/mocks/razorpay-server.js) and set both secrets.
+// Register the webhook URL (.../razorpayWebhook) in the Razorpay dashboard
+// for the payment.captured and order.paid events.
+
+initializeApp();
+const db = getFirestore();
+
+const keyId = defineString('RAZORPAY_KEY_ID');
+const apiUrl = defineString('RAZORPAY_API_URL', { default: RAZORPAY_API_URL });
+const keySecret = defineSecret('RAZORPAY_KEY_SECRET');
+const webhookSecret = defineSecret('RAZORPAY_WEBHOOK_SECRET');
+
+// The parts of the app's data store interface the handlers use, on the
+// Admin SDK (which is not bound by the security rules)
+const store = {
+    async get(collectionName, id) {
+        const snapshot = await db.collection(collectionName).doc(id).get();
+        return snapshot.exists ? { id: snapshot.id, ...snapshot.data() } : null;
+    },
+
+    async find(collectionName, filters = []) {
+        const query = filters.reduce((q, [field, op, value]) => q.where(field, op, value), db.collection(collectionName));
+        const snapshot = await query.get();
+        return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+    },
+
+    async add(collectionName, data) {
+        const ref = await db.collection(collectionName).add(data);
+        return ref.id;
+    },
+
+    async update(collectionName, id, changes) {
+        await db.collection(collectionName).doc(id).update(changes);
+    }
+};
+
+// Params and secrets can only be read while a function runs
+function handlers() {
+    return createPaymentHandlers({
+        store,
+        razorpay: createRazorpayClient({ keyId: keyId.value(), keySecret: keySecret.value(), apiUrl: apiUrl.value() }),
+        keyId: keyId.value(),
+        keySecret: keySecret.value(),
+        webhookSecret: webhookSecret.value()
+    });
+}
+
+// Callable functions answer with an HttpsError the client can show
+async function callable(request, run) {
+    if (!request.auth) throw new HttpsError('unauthenticated', 'Sign in to pay.');
+    try {
+        return await run(handlers(), request.auth.uid, request.data || {});
+    } catch (error) {
+        if (error instanceof PaymentError) throw new HttpsError(error.code, error.message);
+        console.error('Razorpay payment error:', error);
+        throw new HttpsError('internal', 'The payment service is unavailable. Please try again.');
+    }
+}
+
+export const createRazorpayOrder = onCall({ secrets: [keySecret, webhookSecret] }, (request) =>
+    callable(request, (h, uid, data) => h.createOrder(uid, data)));
+
+export const verifyRazorpayPayment = onCall({ secrets: [keySecret, webhookSecret] }, (request) =>
+    callable(request, (h, uid, data) => h.verifyPayment(uid, data)));
+
+export const razorpayWebhook = onRequest({ secrets: [keySecret, webhookSecret] }, async (req, res) => {
+    if (req.method !== 'POST') {
+        res.status(405).send('Method not allowed');
+        return;
+    }
+    try {
+        // The signature covers the exact bytes Razorpay sent
+        const { status, message } = await handlers().handleWebhook(req.rawBody.toString('utf8'), req.get('X-Razorpay-Signature'));
+        res.status(status).send(message);
+    } catch (error) {
+        console.error('Razorpay webhook error:', error);
+        res.status(500).send('Error');
+    }
+});
@@ -0,0 +1,186 @@
+import { verifyPaymentSignature, verifyWebhookSignature } from './razorpay.js';
+
+// Paying a settlement with Razorpay. The app never marks these paid itself:
+// 1. createOrder: the debtor asks for an order for their settlement's amount
+// 2. the browser opens Razorpay checkout with that order
+// 3. verifyPayment: checkout's signature is checked and the settlement paid
+// 4. handleWebhook: Razorpay's payment.captured / order.paid events do the
+//    same, for payments whose browser closed before step 3
+// `store` has the data store interface of the app's repository.js (get,
+// find, add, update by collection name), so the handlers run against
+// Firestore (index.js) or the in-memory store in tests.
+
+export class PaymentError extends Error {
+    // `code` is a Cloud Functions error code (not-found, permission-denied, ...)
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// Signed amount in paise (legacy docs hold rupees in `amount`)
+function settlementAmountPaise(settlement) {
+    if (Number.isInteger(settlement.amountPaise)) return settlement.amountPaise;
+    return Math.round((Number(settlement.amount) || 0) * 100);
+}
+
+// What is left after part payments (like money.js's settlementRemainingPaise)
+function remainingPaise(settlement) {
+    return Math.max(0, Math.abs(settlementAmountPaise(settlement)) - (settlement.paidPaise || 0));
+}
+
+// Amounts are stored in hundredths for every currency (see money.js)
+function formatAmount(paise, currency) {
+    return new Intl.NumberFormat('en-IN', { style: 'currency', currency }).format(paise / 100);
+}
+
+export function createPaymentHandlers({ store, razorpay, keyId, keySecret, webhookSecret }) {
+    async function payableSettlement(userId, settlementId) {
+        const settlement = typeof settlementId === 'string' && settlementId
+            ? await store.get('settlements', settlementId)
+            : null;
+        if (!settlement) throw new PaymentError('not-found', 'Settlement not found.');
+        if (settlement.userId !== userId || settlement.owedTo === userId) {
+            throw new PaymentError('permission-denied', 'Only the member who owes this settlement can pay it.');
+        }
+        // Transfers and part payments are paid outside the app and confirmed by the payee
+        if (settlement.type) {
+            throw new PaymentError('failed-precondition', 'Only expense settlements can be paid through Razorpay.');
+        }
+        return settlement;
+    }
+
+    async function displayName(userId) {
+        const user = await store.get('users', userId);
+        return user?.name || 'Unknown';
+    }
+
+    // Mark the settlement paid and log it like ledger.js's markSettlementPaid.
+    // Checkout and the webhook both report the same payment, so a second call
+    // for it changes nothing.
+    async function markPaid(settlement, { orderId, paymentId }) {
+        if (settlement.status === 'paid') {
+            if (settlement.razorpayPaymentId !== paymentId) {
+                console.warn(`Settlement ${settlement.id} was already paid; Razorpay payment ${paymentId} may need a refund.`);
+            }
+            return settlement;
+        }
+        if (settlement.status === 'void') {
+            console.error(`Razorpay payment ${paymentId} is for cancelled settlement ${settlement.id} and needs a refund.`);
+            throw new PaymentError('failed-precondition', 'This settlement was cancelled because its expense changed. The payment will be refunded.');
+        }
+
+        const now = new Date().toISOString();
+        const changes = {
+            status: 'paid',
+            paidAt: now,
+            paymentId: paymentId,
+            paymentMethod: 'razorpay',
+            razorpayOrderId: orderId,
+            razorpayPaymentId: paymentId
+        };
+        await store.update('settlements', settlement.id, changes);
+
+        const currency = settlement.currency || 'INR';
+        const amount = formatAmount(remainingPaise(settlement), currency);
+        await store.add('activity', {
+            groupId: settlement.groupId,
+            expenseId: settlement.expenseId || '',
+            type: 'payment_recorded',
+            actorId: settlement.userId,
+            actorName: await displayName(settlement.userId),
+            summary: `${await displayName(settlement.userId)} paid ${await displayName(settlement.owedTo)} ${amount} for "${settlement.description || 'Settlement'}" (Razorpay payment ${paymentId})`,
+            changes: [],
+            createdAt: now
+        });
+        return { ...settlement, ...changes };
+    }
+
+    return {
+        // An order for what `userId` still owes on the settlement. An unpaid order
+        // made earlier is reused, so retrying checkout can't pay twice.
+        async createOrder(userId, { settlementId } = {}) {
+            const settlement = await payableSettlement(userId, settlementId);
+            if (settlement.status === 'paid') throw new PaymentError('failed-precondition', 'This settlement is already paid.');
+            if (settlement.status === 'void') throw new PaymentError('failed-precondition', 'This settlement was cancelled because its expense changed.');
+            // Part payments marked paid may still be confirmed, so the rest is
+            // paid by marking it paid too (see ledger.js's claimSettlementPaid)
+            if (settlement.claimedPartPaise > 0) {
+                throw new PaymentError('failed-precondition', 'A part payment of this settlement is waiting for confirmation. Mark the rest paid instead.');
+            }
+            const amount = remainingPaise(settlement);
+            if (amount <= 0) throw new PaymentError('failed-precondition', 'There is nothing to pay on this settlement.');
+            const currency = settlement.currency || 'INR';
+
+            let order = null;
+            if (settlement.razorpayOrderId) {
+                const existing = await razorpay.fetchOrder(settlement.razorpayOrderId);
+                if (existing.status === 'paid') {
+                    throw new PaymentError('failed-precondition', 'This settlement has been paid and is waiting for confirmation from Razorpay.');
+                }
+                if (existing.amount === amount && existing.currency === currency) order = existing;
+            }
+            if (!order) {
+                order = await razorpay.createOrder({
+                    amount,
+                    currency,
+                    receipt: settlement.id.slice(0, 40),
+                    notes: { settlementId: settlement.id, groupId: settlement.groupId }
+                });
+                await store.update('settlements', settlement.id, { razorpayOrderId: order.id });
+            }
+            return {
+                keyId,
+                orderId: order.id,
+                amount,
+                currency,
+                description: settlement.description || 'Settlement'
+            };
+        },
+
+        // Checkout's success response, checked against the settlement's order
+        async verifyPayment(userId, { settlementId, orderId, paymentId, signature } = {}) {
+            if (![orderId, paymentId, signature].every(value => typeof value === 'string' && value)) {
+                throw new PaymentError('invalid-argument', 'The payment response is incomplete.');
+            }
+            const settlement = await payableSettlement(userId, settlementId);
+            if (settlement.razorpayOrderId !== orderId) {
+                throw new PaymentError('failed-precondition', 'This payment is for a different order.');
+            }
+            if (!verifyPaymentSignature({ orderId, paymentId, signature }, keySecret)) {
+                throw new PaymentError('permission-denied', 'The payment signature does not match.');
+            }
+            const paid = await markPaid(settlement, { orderId, paymentId });
+            return { status: paid.status, paymentId };
+        },
+
+        // A webhook request: { status, message } to answer with. Razorpay
+        // retries anything but a 2xx, so events we don't act on still get 200.
+        async handleWebhook(rawBody, signature) {
+            if (!verifyWebhookSignature(rawBody, signature, webhookSecret)) {
+                return { status: 400, message: 'Invalid signature' };
+            }
+            const event = JSON.parse(rawBody);
+            if (!['payment.captured', 'order.paid'].includes(event.event)) {
+                return { status: 200, message: `Ignored ${event.event}` };
+            }
+            const payment = event.payload?.payment?.entity;
+            if (!payment?.order_id) return { status: 200, message: 'No payment in the event' };
+
+            const [settlement] = await store.find('settlements', [['razorpayOrderId', '==', payment.order_id]]);
+            if (!settlement) return { status: 200, message: `No settlement for order ${payment.order_id}` };
+            // Once paid nothing is left, so a repeated event is only checked by markPaid
+            if (settlement.status !== 'paid' && payment.amount !== remainingPaise(settlement)) {
+                console.error(`Razorpay payment ${payment.id} is for ${payment.amount}, settlement ${settlement.id} is for ${remainingPaise(settlement)}.`);
+                return { status: 200, message: 'Amount does not match the settlement' };
+            }
+            try {
+                await markPaid(settlement, { orderId: payment.order_id, paymentId: payment.id });
+            } catch (error) {
+                if (!(error instanceof PaymentError)) throw error;
+                return { status: 200, message: error.message };
+            }
+            return { status: 200, message: 'Settlement paid' };
+        }
+    };
+}
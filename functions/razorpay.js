@@ -0,0 +1,66 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+// Razorpay's REST API (orders) and the two signatures it sends back: the
+// checkout's `razorpay_signature` and the webhook's X-Razorpay-Signature.
+// `apiUrl` can point at a local mock (tests/mocks/razorpay-server.js).
+
+export const RAZORPAY_API_URL = 'https://api.razorpay.com/v1';
+
+export function createRazorpayClient({ keyId, keySecret, apiUrl = RAZORPAY_API_URL }) {
+    const authorization = 'Basic ' + Buffer.from(`${keyId}:${keySecret}`).toString('base64');
+
+    async function request(method, path, body) {
+        const response = await fetch(`${apiUrl}${path}`, {
+            method,
+            headers: { Authorization: authorization, 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`Razorpay ${method} ${path} failed (${response.status}): ${data.error?.description || 'no details'}`);
+        }
+        return data;
+    }
+
+    return {
+        // `amount` is in paise. `receipt` is our reference (at most 40 characters).
+        createOrder({ amount, currency, receipt, notes = {} }) {
+            return request('POST', '/orders', { amount, currency, receipt, notes });
+        },
+
+        fetchOrder(orderId) {
+            return request('GET', `/orders/${encodeURIComponent(orderId)}`);
+        }
+    };
+}
+
+function sign(payload, secret) {
+    return createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+// Compare hex signatures without leaking where they differ
+function sameSignature(expected, actual) {
+    const a = Buffer.from(expected);
+    const b = Buffer.from(String(actual || ''));
+    return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// Signature of a checkout payment: HMAC-SHA256 of "<order id>|<payment id>"
+// with the key secret
+export function paymentSignature(orderId, paymentId, keySecret) {
+    return sign(`${orderId}|${paymentId}`, keySecret);
+}
+
+export function verifyPaymentSignature({ orderId, paymentId, signature }, keySecret) {
+    return sameSignature(paymentSignature(orderId, paymentId, keySecret), signature);
+}
+
+// Webhooks sign the raw request body with the webhook secret (not the key
+// secret), so the body must be checked before it is parsed
+export function webhookSignature(rawBody, webhookSecret) {
+    return sign(rawBody, webhookSecret);
+}
+
+export function verifyWebhookSignature(rawBody, signature, webhookSecret) {
+    return sameSignature(webhookSignature(rawBody, webhookSecret), signature);
+}
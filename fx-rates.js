@@ -0,0 +1,29 @@
+// Local exchange-rate table used to prefill the FX rate on foreign-currency
+// expenses. No live FX service is called: update these figures by hand when
+// they drift. The rate actually used is always stored on the expense, so
+// editing this table never changes existing balances.
+
+export const FX_RATES_AS_OF = '2026-10-01';
+
+// Indian rupees per one unit of each currency
+const INR_PER_UNIT = {
+    INR: 1,
+    USD: 83.2,
+    EUR: 90.5,
+    GBP: 105.8,
+    AED: 22.65,
+    SGD: 61.9,
+    THB: 2.35,
+    LKR: 0.28,
+    NPR: 0.625,
+    JPY: 0.56
+};
+
+// Units of `to` per one unit of `from`, or null if either currency is unknown
+export function lookupRate(from, to) {
+    if (from === to) return 1;
+    const fromInr = INR_PER_UNIT[from];
+    const toInr = INR_PER_UNIT[to];
+    if (!fromInr || !toInr) return null;
+    return Math.round((fromInr / toInr) * 1e6) / 1e6;
+}
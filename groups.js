@@ -1,57 +1,188 @@
-import { requireAuth, getUserData } from './auth.js';
-import { db } from './firebase-config.js';
-import { 
-    collection, 
-    addDoc, 
-    getDocs, 
-    query, 
-    where, 
-    doc, 
-    getDoc, 
-    deleteDoc,
-    updateDoc,
-    arrayUnion,
-    arrayRemove 
-} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+import { requireAuth, getUserData, isVerifiedProfile, syncAccountProfile } from './auth.js';
+import { usersRepo, groupsRepo, expensesRepo, createSubscriptions } from './repository.js';
 import { getAuth } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js';
+import { getSettleUpPlan, recordTransfer, watchGroupLedger } from './balances.js';
+import { openSettleDialog } from './settle-dialog.js';
+import {
+    GROUP_ROLES,
+    memberRole,
+    isGroupAdmin,
+    getMemberBalance,
+    leaveGroup,
+    removeMember,
+    setMemberRole,
+    transferOwnership
+} from './membership.js';
+import {
+    TRASH_GRACE_DAYS,
+    isArchived,
+    watchUserGroups,
+    watchTrashedGroups,
+    archiveGroup,
+    unarchiveGroup,
+    moveGroupToTrash,
+    restoreGroupFromTrash,
+    purgeGroup,
+    purgeExpiredTrash
+} from './archive.js';
+import { logActivity, getActivity, watchActivity, buildTimelineHtml } from './activity.js';
+import {
+    INVITE_EXPIRY_DAYS,
+    inviteLink,
+    createEmailInvites,
+    createInviteLink,
+    getGroupInvites,
+    resendInvite,
+    revokeInvite,
+    acceptPendingInvites,
+    acceptInviteCode
+} from './invites.js';
+import {
+    DEFAULT_CURRENCY,
+    CURRENCIES,
+    toPaise,
+    fromPaise,
+    formatMoney,
+    convertAmount,
+    allocate,
+    expenseAmountPaise,
+    expenseCurrency
+} from './money.js';
+import { computeSplit } from './splits.js';
+import { buildLedgerExport, downloadLedgerExport } from './ledger-export.js';
+import {
+    FREQUENCIES,
+    getGroupRecurringTemplates,
+    updateRecurringTemplate,
+    setRecurringPaused
+} from './recurring.js';
 
 let currentUser = null;
+let groupsRender = 0; // Bumped per render so a slower, older render is dropped
+let openGroupId = null; // Group shown in the details modal
+let openGroupData = ''; // Its doc as last rendered (JSON), to spot changes
+let detailsRefreshTimer = null;
+const subscriptions = createSubscriptions(); // Group and trash lists
+const detailsSubscriptions = createSubscriptions(); // The open group, while the modal shows
+
+// Entries shown in the group details activity timeline
+const ACTIVITY_LIMIT = 30;
+
+// Changes arriving together (an expense, its settlements and its activity
+// entry) re-render the details modal once
+const DETAILS_REFRESH_DELAY_MS = 200;
 
 // Initialize groups page
 async function initGroups() {
     currentUser = await requireAuth();
     if (!currentUser) return;
 
-    await loadGroups();
+    await joinInvitedGroups();
+    // Permanently delete groups whose time in the trash is up
+    await purgeExpiredTrash(currentUser.uid);
+    watchGroups();
     setupModals();
+    window.addEventListener('pagehide', () => {
+        subscriptions.stopAll();
+        closeGroupDetails();
+    });
+    // A page restored from the back/forward cache listens again
+    window.addEventListener('pageshow', (e) => {
+        if (e.persisted) watchGroups();
+    });
+}
+
+// Follow the user's groups and trash; both lists re-render when they change
+function watchGroups() {
+    subscriptions.set('groups', watchUserGroups(currentUser.uid, { includeArchived: true }, renderGroups));
+    subscriptions.set('trash', watchTrashedGroups(currentUser.uid, renderTrash));
+}
+
+// Join groups from an invite link (groups.html?invite=CODE) and any email invites
+async function joinInvitedGroups() {
+    // Refresh the verification state first: joining requires a verified email
+    currentUser = await syncAccountProfile(currentUser, await getUserData(currentUser.uid));
+    const code = new URLSearchParams(window.location.search).get('invite');
+    if (code) {
+        // Drop the code from the address bar so a reload doesn't try it again
+        window.history.replaceState(null, '', window.location.pathname);
+        const result = await acceptInviteCode(code, currentUser);
+        if (result.success) {
+            alert(`You joined "${result.groupName}".`);
+        } else {
+            alert(result.error);
+        }
+    }
+    const joined = await acceptPendingInvites(currentUser);
+    if (joined.length > 0) {
+        alert(`You were added to ${joined.map(name => `"${name}"`).join(', ')}.`);
+    }
 }
 
-// Load all groups
-async function loadGroups() {
+// Render all groups: active ones, then the archive
+async function renderGroups(groups) {
     try {
-        const groupsQuery = query(
-            collection(db, 'groups'),
-            where('members', 'array-contains', currentUser.uid)
-        );
-        const groupsSnapshot = await getDocs(groupsQuery);
+        followOpenGroup(groups);
+        const render = ++groupsRender;
+        const active = groups.filter(group => !isArchived(group));
+        const archived = groups.filter(isArchived);
+        // Cards load member names, so build them all before touching the page
+        const activeCards = [];
+        for (const group of active) {
+            activeCards.push(await createGroupCard(group, group.id));
+        }
+        const archivedCards = [];
+        for (const group of archived) {
+            archivedCards.push(await createGroupCard(group, group.id));
+        }
+        if (render !== groupsRender) return;
+
         const groupsList = document.getElementById('groupsList');
-        
-        if (groupsSnapshot.empty) {
+        if (active.length === 0) {
             groupsList.innerHTML = '<p class="empty-state">No groups yet. Create your first group!</p>';
-            return;
+        } else {
+            groupsList.replaceChildren(...activeCards);
         }
 
-        groupsList.innerHTML = '';
-        groupsSnapshot.forEach(async (groupDoc) => {
-            const group = groupDoc.data();
-            const groupCard = await createGroupCard(group, groupDoc.id);
-            groupsList.appendChild(groupCard);
-        });
+        const archivedList = document.getElementById('archivedGroupsList');
+        document.getElementById('archivedGroupsSection').style.display = archived.length > 0 ? 'block' : 'none';
+        archivedList.replaceChildren(...archivedCards);
     } catch (error) {
-        console.error('Error loading groups:', error);
+        console.error('Error rendering groups:', error);
     }
 }
 
+// Keep the details modal in step with its group: refresh it when the group
+// doc changed, close it when the user is no longer in the group
+function followOpenGroup(groups) {
+    if (!openGroupId) return;
+    const group = groups.find(g => g.id === openGroupId);
+    if (!group) {
+        closeGroupDetails();
+    } else if (JSON.stringify(group) !== openGroupData) {
+        scheduleDetailsRefresh();
+    }
+}
+
+// List groups in the trash that the user owns, with restore and delete forever
+function renderTrash(trashed) {
+    document.getElementById('trashSection').style.display = trashed.length > 0 ? 'block' : 'none';
+    document.getElementById('trashList').innerHTML = trashed.map(group => `
+        <div class="expense-item" style="margin-bottom: 8px;">
+            <div class="expense-item-header">
+                <span class="expense-item-title">${group.name || 'Unnamed Group'}</span>
+            </div>
+            <div class="expense-item-meta">
+                <span>Deleted ${new Date(group.deletedAt).toLocaleDateString()} · permanently deleted on ${new Date(group.purgeAfter).toLocaleDateString()}</span>
+            </div>
+            <div style="display: flex; gap: 8px; margin-top: 8px;">
+                <button class="btn btn-secondary" style="width: auto;" onclick="window.restoreGroupFromTrash('${group.id}')">Restore</button>
+                <button class="btn btn-danger" style="width: auto;" onclick="window.purgeGroup('${group.id}')">Delete Forever</button>
+            </div>
+        </div>
+    `).join('');
+}
+
 // Create group card
 async function createGroupCard(group, groupId) {
     const card = document.createElement('div');
@@ -64,7 +195,7 @@ async function createGroupCard(group, groupId) {
     
     card.innerHTML = `
         <div class="group-card-header">
-            <span class="group-card-name">${group.name || 'Unnamed Group'}</span>
+            <span class="group-card-name">${group.name || 'Unnamed Group'}${isArchived(group) ? ' (archived)' : ''}</span>
         </div>
         <div class="group-card-members">${displayMembers.join(', ')}</div>
         <div class="group-card-balance">Click to view details</div>
@@ -79,9 +210,9 @@ async function getMemberNames(memberIds) {
     const names = [];
     for (const memberId of memberIds) {
         try {
-            const userDoc = await getDoc(doc(db, 'users', memberId));
-            if (userDoc.exists()) {
-                names.push(userDoc.data().name || 'Unknown');
+            const user = await usersRepo.get(memberId);
+            if (user) {
+                names.push(user.name || 'Unknown');
             }
         } catch (error) {
             console.error('Error getting member name:', error);
@@ -97,6 +228,14 @@ function setupModals() {
     const createGroupForm = document.getElementById('createGroupForm');
     const closeButtons = document.querySelectorAll('.close');
 
+    const groupCurrencySelect = document.getElementById('groupCurrency');
+    if (groupCurrencySelect) {
+        groupCurrencySelect.innerHTML = Object.entries(CURRENCIES)
+            .map(([code, { name }]) => `<option value="${code}">${code} - ${name}</option>`)
+            .join('');
+        groupCurrencySelect.value = DEFAULT_CURRENCY;
+    }
+
     if (createGroupBtn) {
         createGroupBtn.addEventListener('click', () => {
             createGroupModal.classList.add('show');
@@ -115,12 +254,14 @@ function setupModals() {
             document.querySelectorAll('.modal').forEach(modal => {
                 modal.classList.remove('show');
             });
+            closeGroupDetails();
         });
     });
 
     window.addEventListener('click', (e) => {
         if (e.target.classList.contains('modal')) {
             e.target.classList.remove('show');
+            if (e.target.id === 'groupDetailsModal') closeGroupDetails();
         }
     });
 }
@@ -131,6 +272,7 @@ async function createGroup() {
         const name = document.getElementById('groupName').value;
         const description = document.getElementById('groupDescription').value;
         const membersInput = document.getElementById('groupMembers').value;
+        const baseCurrency = document.getElementById('groupCurrency')?.value || DEFAULT_CURRENCY;
         
         // Get member emails and find their UIDs
         const rawMemberEmails = membersInput
@@ -148,41 +290,35 @@ async function createGroup() {
             try {
                 let foundUid = null;
                 
-                // Lowercased lookup
-                const usersQueryLc = query(
-                    collection(db, 'users'),
-                    where('email', '==', lcEmail)
-                );
-                const usersSnapshotLc = await getDocs(usersQueryLc);
-                usersSnapshotLc.forEach(userDoc => {
-                    if (!memberIds.includes(userDoc.id)) {
-                        foundUid = userDoc.id;
-                        memberIds.push(userDoc.id);
+                // Lowercased lookup (unverified accounts stay pending until they verify)
+                const usersLc = await usersRepo.find([['email', '==', lcEmail]]);
+                usersLc.forEach(user => {
+                    if (!isVerifiedProfile(user)) return;
+                    if (!memberIds.includes(user.id)) {
+                        foundUid = user.id;
+                        memberIds.push(user.id);
                     }
                 });
 
                 // Fallback: original-case lookup (for legacy accounts stored with mixed case)
                 if (!foundUid && rawEmail !== lcEmail) {
-                    const usersQueryRaw = query(
-                        collection(db, 'users'),
-                        where('email', '==', rawEmail)
-                    );
-                    const usersSnapshotRaw = await getDocs(usersQueryRaw);
-                    usersSnapshotRaw.forEach(userDoc => {
-                        if (!memberIds.includes(userDoc.id)) {
-                            foundUid = userDoc.id;
-                            memberIds.push(userDoc.id);
+                    const usersRaw = await usersRepo.find([['email', '==', rawEmail]]);
+                    usersRaw.forEach(user => {
+                        if (!isVerifiedProfile(user)) return;
+                        if (!memberIds.includes(user.id)) {
+                            foundUid = user.id;
+                            memberIds.push(user.id);
                         }
                     });
                 }
 
-                if (!foundUid) {
-                    pendingMemberEmails.push(rawEmail);
+                if (!foundUid && !pendingMemberEmails.includes(lcEmail)) {
+                    pendingMemberEmails.push(lcEmail);
                 }
             } catch (error) {
                 console.error('Error finding user by email:', error);
-                if (!pendingMemberEmails.includes(rawEmail)) {
-                    pendingMemberEmails.push(rawEmail);
+                if (!pendingMemberEmails.includes(lcEmail)) {
+                    pendingMemberEmails.push(lcEmail);
                 }
             }
         }
@@ -193,19 +329,22 @@ async function createGroup() {
             members: memberIds,
             memberEmails: memberEmails,
             pendingMemberEmails: pendingMemberEmails,
-            createdBy: currentUser.uid,
+            baseCurrency: baseCurrency,
+            createdBy: currentUser.uid,            // Owner; always an admin
+            admins: [],                            // Other members with admin rights
             createdAt: new Date().toISOString()
         };
 
-        await addDoc(collection(db, 'groups'), groupData);
+        const groupId = await groupsRepo.add(groupData);
+        await logActivity({ groupId, type: 'group_created', summary: `"${name}"` });
+        // Emails without a verified account join automatically once they sign up
+        await createEmailInvites(groupId, name, pendingMemberEmails, currentUser.uid);
         
         // Reset form and close modal
         document.getElementById('createGroupForm').reset();
         document.getElementById('createGroupModal').classList.remove('show');
         
-        // Reload groups
-        await loadGroups();
-        
+        // The new group shows up through the groups listener
         alert('Group created successfully!');
     } catch (error) {
         console.error('Error creating group:', error);
@@ -213,48 +352,48 @@ async function createGroup() {
     }
 }
 
-// Show group details
+// Show group details, then follow the group until the modal closes
 async function showGroupDetails(groupId) {
     const modal = document.getElementById('groupDetailsModal');
     const title = document.getElementById('groupDetailsTitle');
     const content = document.getElementById('groupDetailsContent');
     
     // Always fetch latest group snapshot for accurate data
-    const freshSnap = await getDoc(doc(db, 'groups', groupId));
-    if (!freshSnap.exists()) {
+    const latestGroupData = await groupsRepo.get(groupId);
+    if (!latestGroupData) {
         alert('Group not found.');
         return;
     }
-    const latestGroupData = freshSnap.data();
+    openGroupData = JSON.stringify(latestGroupData);
 
     title.textContent = latestGroupData.name || 'Group Details';
+    // Archived groups are read-only until an admin restores them
+    const readOnly = isArchived(latestGroupData);
     
-    // Get member names
-    const memberNames = await getMemberNames(latestGroupData.members || []);
-    const pending = (latestGroupData.pendingMemberEmails || []).filter(e => !!e);
-    const displayMembers = [...memberNames, ...pending];
+    const membersHtml = await buildMembersHtml(groupId, latestGroupData, readOnly);
     
     // Get group expenses
-    const expensesQuery = query(
-        collection(db, 'expenses'),
-        where('groupId', '==', groupId)
-    );
-    const expensesSnapshot = await getDocs(expensesQuery);
+    const expenses = await expensesRepo.find([['groupId', '==', groupId]]);
     
     let expensesHtml = '<h4>Expenses</h4>';
-    if (expensesSnapshot.empty) {
+    if (expenses.length === 0) {
         expensesHtml += '<p>No expenses in this group yet.</p>';
     } else {
         expensesHtml += '<ul>';
-        expensesSnapshot.forEach(doc => {
-            const expense = doc.data();
-            expensesHtml += `<li>${expense.description}: ₹${expense.amount?.toFixed(2)}</li>`;
+        expenses.forEach(expense => {
+            expensesHtml += `<li>${expense.description}: ${formatMoney(expenseAmountPaise(expense), expenseCurrency(expense))}</li>`;
         });
         expensesHtml += '</ul>';
     }
     
+    const settleUpHtml = await buildSettleUpHtml(groupId, readOnly);
+    const recurringHtml = await buildRecurringHtml(groupId, readOnly);
+    const activityHtml = await buildActivityHtml(groupId);
+    
     // Action buttons
     const isCreator = latestGroupData.createdBy === currentUser.uid;
+    const isAdmin = isGroupAdmin(latestGroupData, currentUser.uid);
+    const invitesHtml = isAdmin && !readOnly ? await buildInvitesHtml(groupId, latestGroupData) : '';
     const isLegacyNoCreator = !latestGroupData.createdBy;
     const isMember = Array.isArray(latestGroupData.members) && latestGroupData.members.includes(currentUser.uid);
     const canDelete = isCreator || (isLegacyNoCreator && isMember);
@@ -263,12 +402,17 @@ async function showGroupDetails(groupId) {
             Delete Group
         </button>
     ` : '';
-    
-    content.innerHTML = `
-        <div style="margin-bottom: 20px;">
-            <h4>Members</h4>
-            <p>${displayMembers.join(', ')}</p>
-        </div>
+    const archiveButton = isAdmin ? `
+        <button class="btn btn-secondary" style="margin-left: 8px;" onclick="window.${readOnly ? 'unarchiveGroup' : 'archiveGroup'}('${groupId}')">
+            ${readOnly ? 'Restore Group' : 'Archive Group'}
+        </button>
+    ` : '';
+    const leaveButton = isMember && !isCreator && !readOnly ? `
+        <button class="btn btn-secondary" style="margin-left: 8px;" onclick="window.leaveGroup('${groupId}')">
+            Leave Group
+        </button>
+    ` : '';
+    const addMembersHtml = isAdmin && !readOnly ? `
         <div style="margin-bottom: 20px;">
             <h4>Add Members</h4>
             <div class="form-group">
@@ -277,65 +421,648 @@ async function showGroupDetails(groupId) {
             </div>
             <button class="btn btn-secondary" onclick="window.addMembersToGroup('${groupId}')">Add</button>
         </div>
-        ${expensesHtml}
-        <div style="display:flex; gap: 8px;">
+    ` : '';
+    
+    const archivedNotice = readOnly ? `
+        <div class="error-message show" style="margin-bottom: 20px;">
+            <i class="fas fa-archive"></i> This group is archived and read-only. ${isAdmin ? 'Restore it to make changes.' : 'An admin can restore it.'}
+        </div>
+    ` : '';
+    const addExpenseButton = readOnly ? '' : `
             <button class="btn btn-primary" onclick="window.location.href='expenses.html?group=${groupId}'">
                 Add Expense
+            </button>`;
+    // Archived groups can be exported too
+    const exportButtons = `
+            <button class="btn btn-secondary" onclick="window.exportGroupLedger('${groupId}', 'csv')">
+                <i class="fas fa-file-csv"></i> Export CSV
             </button>
+            <button class="btn btn-secondary" onclick="window.exportGroupLedger('${groupId}', 'json')">
+                <i class="fas fa-file-code"></i> Export JSON
+            </button>`;
+    
+    content.innerHTML = `
+        ${archivedNotice}
+        ${membersHtml}
+        ${addMembersHtml}
+        ${invitesHtml}
+        ${expensesHtml}
+        ${settleUpHtml}
+        ${recurringHtml}
+        ${activityHtml}
+        <div style="display:flex; gap: 8px; flex-wrap: wrap;">
+            ${addExpenseButton}
+            ${exportButtons}
+            ${archiveButton}
+            ${leaveButton}
             ${deleteButton}
         </div>
     `;
     
     modal.classList.add('show');
+    if (openGroupId !== groupId) watchGroupDetails(groupId);
 }
 
-// Delete group (global for onclick)
-window.deleteGroup = async function(groupId) {
+// Re-render the open modal whenever the group's expenses, settlements or
+// activity change. Group doc changes arrive through the groups listener.
+function watchGroupDetails(groupId) {
+    detailsSubscriptions.stopAll();
+    openGroupId = groupId;
+    // The first results of each listener are what was just rendered
+    const onLaterChanges = () => {
+        let first = true;
+        return () => {
+            if (first) first = false;
+            else scheduleDetailsRefresh();
+        };
+    };
+    detailsSubscriptions.set('ledger', watchGroupLedger(groupId, onLaterChanges()));
+    detailsSubscriptions.set('activity', watchActivity(groupId, onLaterChanges()));
+}
+
+function scheduleDetailsRefresh() {
+    clearTimeout(detailsRefreshTimer);
+    detailsRefreshTimer = setTimeout(refreshGroupDetails, DETAILS_REFRESH_DELAY_MS);
+}
+
+// Re-render the open modal, keeping what the user has typed into it
+async function refreshGroupDetails() {
+    if (!openGroupId) return;
+    const content = document.getElementById('groupDetailsContent');
+    const typed = [...content.querySelectorAll('input[id], select[id]')].map(field => [field.id, field.value]);
+    await showGroupDetails(openGroupId);
+    typed.forEach(([id, value]) => {
+        const field = document.getElementById(id);
+        if (field) field.value = value;
+    });
+}
+
+// Close the details modal and stop following its group
+function closeGroupDetails() {
+    document.getElementById('groupDetailsModal')?.classList.remove('show');
+    detailsSubscriptions.stopAll();
+    clearTimeout(detailsRefreshTimer);
+    openGroupId = null;
+    openGroupData = '';
+}
+
+// Build the "Members" section: each member's role, with role changes,
+// removal and ownership transfer for those allowed to make them
+async function buildMembersHtml(groupId, group, readOnly = false) {
+    const isAdmin = isGroupAdmin(group, currentUser.uid) && !readOnly;
+    const isOwner = group.createdBy === currentUser.uid && !readOnly;
+    let html = '<div style="margin-bottom: 20px;"><h4>Members</h4>';
+    for (const memberId of group.members || []) {
+        const [name] = await getMemberNames([memberId]);
+        const role = memberRole(group, memberId);
+        const actions = [];
+        if (isAdmin && memberId !== currentUser.uid && role !== 'owner') {
+            actions.push(role === 'admin'
+                ? `<button class="btn btn-secondary" style="width: auto;" onclick="window.setGroupRole('${groupId}', '${memberId}', 'member')">Remove Admin</button>`
+                : `<button class="btn btn-secondary" style="width: auto;" onclick="window.setGroupRole('${groupId}', '${memberId}', 'admin')">Make Admin</button>`);
+            actions.push(`<button class="btn btn-danger" style="width: auto;" onclick="window.removeGroupMember('${groupId}', '${memberId}')">Remove</button>`);
+        }
+        if (isOwner && memberId !== currentUser.uid) {
+            actions.push(`<button class="btn btn-secondary" style="width: auto;" onclick="window.transferGroupOwnership('${groupId}', '${memberId}')">Make Owner</button>`);
+        }
+        html += `
+            <div class="expense-item" style="margin-bottom: 8px;">
+                <div class="expense-item-header">
+                    <span class="expense-item-title">${name || 'Unknown'}${memberId === currentUser.uid ? ' (you)' : ''}</span>
+                    <span class="expense-item-meta">${GROUP_ROLES[role]}</span>
+                </div>
+                ${actions.length > 0 ? `<div style="display: flex; gap: 8px; margin-top: 8px;">${actions.join('')}</div>` : ''}
+            </div>
+        `;
+    }
+    const pending = (group.pendingMemberEmails || []).filter(e => !!e);
+    if (pending.length > 0) {
+        html += `<p class="activity-meta">Invited: ${pending.join(', ')}</p>`;
+    }
+    return html + '</div>';
+}
+
+// Build the "Settle up" section: the fewest transfers that clear all balances
+async function buildSettleUpHtml(groupId, readOnly = false) {
+    let html = '<div style="margin: 20px 0;"><h4>Settle Up</h4>';
     try {
-        // Confirm intent
-        if (!confirm('Are you sure you want to delete this group and all its expenses? This cannot be undone.')) {
-            return;
+        const { transfers, currency } = await getSettleUpPlan(groupId);
+        if (transfers.length === 0) {
+            return html + '<p>Everyone is settled up.</p></div>';
         }
+        
+        const ids = new Set();
+        transfers.forEach(t => { ids.add(t.from); ids.add(t.to); });
+        const names = {};
+        for (const id of ids) {
+            names[id] = id === currentUser.uid ? 'You' : ((await getMemberNames([id]))[0] || 'Unknown');
+        }
+        
+        html += '<ul>';
+        transfers.forEach(t => {
+            const canSettle = !readOnly && (t.from === currentUser.uid || t.to === currentUser.uid);
+            const actionLabel = t.from === currentUser.uid ? 'Pay' : 'Mark as received';
+            html += `
+                <li style="margin-bottom: 8px;">
+                    ${names[t.from]} pays ${names[t.to]}: ${formatMoney(t.amount, currency)}
+                    ${canSettle ? `
+                        <button class="btn btn-success" style="width: auto; padding: 4px 12px; margin-left: 8px;"
+                            onclick="window.settleTransfer('${groupId}', '${t.from}', '${t.to}', ${t.amount}, '${currency}')">
+                            ${actionLabel}
+                        </button>
+                    ` : ''}
+                </li>
+            `;
+        });
+        html += '</ul>';
+    } catch (error) {
+        console.error('Error loading settle-up plan:', error);
+        html += '<p>Unable to load balances.</p>';
+    }
+    return html + '</div>';
+}
 
-        // Fetch group doc to verify ownership
-        const groupRef = doc(db, 'groups', groupId);
-        const groupSnap = await getDoc(groupRef);
-        if (!groupSnap.exists()) {
-            alert('Group not found.');
+// Download a group's whole ledger as CSV or JSON (global for onclick)
+window.exportGroupLedger = async function(groupId, format) {
+    try {
+        const data = await buildLedgerExport(currentUser.uid, { groupIds: [groupId] });
+        downloadLedgerExport(data, format);
+    } catch (error) {
+        console.error('Error exporting group:', error);
+        alert('Error exporting group: ' + error.message);
+    }
+};
+
+// Settle a suggested transfer (global for onclick): the payer marks it (or
+// part of it) paid for the payee to confirm (settle-dialog.js); the payee
+// records what they received
+window.settleTransfer = async function(groupId, from, to, amount, currency) {
+    try {
+        if (from === currentUser.uid) {
+            await openSettleDialog({
+                groupId: groupId,
+                userId: from,
+                owedTo: to,
+                amountPaise: amount,
+                currency: currency,
+                description: 'Settle up'
+            }, currentUser.uid);
             return;
         }
-        const groupData = groupSnap.data();
-        if (groupData.createdBy !== currentUser.uid) {
-            alert('Only the group creator can delete this group.');
+        const input = prompt(`How much did you receive? You are owed ${formatMoney(amount, currency)}.`, fromPaise(amount));
+        if (input === null) return;
+        const received = toPaise(input);
+        if (received <= 0 || received > amount) {
+            alert(`Enter an amount up to ${formatMoney(amount, currency)}.`);
             return;
         }
+        await recordTransfer(groupId, from, to, received, currency);
+    } catch (error) {
+        console.error('Error recording transfer:', error);
+        alert('Error recording payment: ' + error.message);
+    }
+};
 
-        // Delete related expenses
-        const expensesQueryRef = query(
-            collection(db, 'expenses'),
-            where('groupId', '==', groupId)
-        );
-        const expSnap = await getDocs(expensesQueryRef);
-        const deletions = [];
-        expSnap.forEach(expDoc => {
-            deletions.push(deleteDoc(doc(db, 'expenses', expDoc.id)));
+// Build the "Recurring Expenses" section with pause/resume and inline edit
+async function buildRecurringHtml(groupId, readOnly = false) {
+    let html = '<div style="margin: 20px 0;"><h4>Recurring Expenses</h4>';
+    try {
+        const templates = await getGroupRecurringTemplates(groupId);
+        if (templates.length === 0) {
+            return html + '<p>No recurring expenses. Choose "Repeat" when adding an expense.</p></div>';
+        }
+        
+        const frequencyOptions = (selected) => Object.entries(FREQUENCIES)
+            .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`)
+            .join('');
+        
+        templates.forEach(t => {
+            const until = t.endDate ? ` until ${t.endDate}` : '';
+            // Amounts are edited in the currency the expense is paid in
+            const paidCurrency = t.currency || t.baseCurrency || DEFAULT_CURRENCY;
+            const paidAmount = t.originalAmountPaise ?? t.amountPaise;
+            html += `
+                <div class="expense-item" style="margin-bottom: 8px;">
+                    <div class="expense-item-header">
+                        <span class="expense-item-title">${t.description}${t.paused ? ' (paused)' : ''}</span>
+                        <span class="expense-item-amount">${formatMoney(paidAmount, paidCurrency)}</span>
+                    </div>
+                    <div class="expense-item-meta">
+                        <span>${FREQUENCIES[t.frequency] || t.frequency} from ${t.startDate}${until}</span>
+                    </div>
+                    ${readOnly ? '' : `
+                    <div style="display: flex; gap: 8px; margin-top: 8px;">
+                        <button class="btn btn-secondary" style="width: auto;" onclick="window.toggleRecurringPaused('${groupId}', '${t.id}', ${!t.paused})">
+                            ${t.paused ? 'Resume' : 'Pause'}
+                        </button>
+                        <button class="btn btn-secondary" style="width: auto;" onclick="document.getElementById('recurringEdit_${t.id}').style.display = 'block'">
+                            Edit
+                        </button>
+                    </div>
+                    <div id="recurringEdit_${t.id}" style="display: none; margin-top: 12px;">
+                        <div class="form-group">
+                            <label for="recurringDescription_${t.id}">Description</label>
+                            <input type="text" id="recurringDescription_${t.id}" value="${t.description}">
+                        </div>
+                        <div class="form-group">
+                            <label for="recurringAmount_${t.id}">Amount (${paidCurrency})</label>
+                            <input type="number" id="recurringAmount_${t.id}" step="0.01" min="0" value="${fromPaise(paidAmount).toFixed(2)}">
+                        </div>
+                        <div class="form-group">
+                            <label for="recurringFrequency_${t.id}">Frequency</label>
+                            <select id="recurringFrequency_${t.id}">${frequencyOptions(t.frequency)}</select>
+                        </div>
+                        <div class="form-group">
+                            <label for="recurringEnd_${t.id}">Repeat Until (Optional)</label>
+                            <input type="date" id="recurringEnd_${t.id}" value="${t.endDate || ''}">
+                        </div>
+                        <button class="btn btn-primary" style="width: auto;" onclick="window.saveRecurringTemplate('${groupId}', '${t.id}')">
+                            Save
+                        </button>
+                    </div>
+                    `}
+                </div>
+            `;
         });
-        await Promise.all(deletions);
+    } catch (error) {
+        console.error('Error loading recurring expenses:', error);
+        html += '<p>Unable to load recurring expenses.</p>';
+    }
+    return html + '</div>';
+}
 
-        // Delete the group
-        await deleteDoc(groupRef);
+// Build the "Activity" section: the group's log, newest first
+async function buildActivityHtml(groupId) {
+    let html = '<div style="margin: 20px 0;"><h4>Activity</h4>';
+    try {
+        const entries = await getActivity(groupId);
+        html += buildTimelineHtml(entries.slice(0, ACTIVITY_LIMIT), currentUser.uid);
+        if (entries.length > ACTIVITY_LIMIT) {
+            html += `<p class="activity-meta">Showing the latest ${ACTIVITY_LIMIT} of ${entries.length} entries.</p>`;
+        }
+    } catch (error) {
+        console.error('Error loading activity:', error);
+        html += '<p>Unable to load activity.</p>';
+    }
+    return html + '</div>';
+}
+
+// Build the "Pending Invites" section (group creator only): email invites with
+// resend/revoke, and shareable invite links with an expiry
+async function buildInvitesHtml(groupId, group) {
+    let html = '<div style="margin: 20px 0;"><h4>Pending Invites</h4>';
+    try {
+        let invites = await getGroupInvites(groupId);
 
-        // Close modal and reload groups
-        const modal = document.getElementById('groupDetailsModal');
-        if (modal) modal.classList.remove('show');
-        await loadGroups();
-        alert('Group deleted successfully.');
+        // Groups created before invites existed only have pendingMemberEmails
+        const pending = [...new Set((group.pendingMemberEmails || []).filter(e => !!e).map(e => e.toLowerCase()))];
+        const missing = pending.filter(email => !invites.some(i => i.type === 'email' && i.email === email));
+        if (missing.length > 0) {
+            await groupsRepo.update(groupId, { pendingMemberEmails: pending });
+            await createEmailInvites(groupId, group.name || 'Group', missing, currentUser.uid);
+            invites = await getGroupInvites(groupId);
+        }
+
+        const emailInvites = invites.filter(i => i.type === 'email');
+        const linkInvites = invites.filter(i => i.type === 'link');
+        if (emailInvites.length === 0 && linkInvites.length === 0) {
+            html += '<p>No pending invites.</p>';
+        }
+        emailInvites.forEach(invite => {
+            html += `
+                <div class="expense-item" style="margin-bottom: 8px;">
+                    <div class="expense-item-header">
+                        <span class="expense-item-title">${invite.email}</span>
+                    </div>
+                    <div class="expense-item-meta">
+                        <span>Sent ${new Date(invite.lastSentAt || invite.createdAt).toLocaleDateString()} · expires ${invite.expiresAt.toLocaleDateString()}</span>
+                    </div>
+                    <div style="display: flex; gap: 8px; margin-top: 8px;">
+                        <button class="btn btn-secondary" style="width: auto;" onclick="window.resendGroupInvite('${groupId}', '${invite.id}')">Resend</button>
+                        <button class="btn btn-danger" style="width: auto;" onclick="window.revokeGroupInvite('${groupId}', '${invite.id}')">Revoke</button>
+                    </div>
+                </div>
+            `;
+        });
+        linkInvites.forEach(invite => {
+            html += `
+                <div class="expense-item" style="margin-bottom: 8px;">
+                    <div class="expense-item-header">
+                        <span class="expense-item-title">Invite link</span>
+                    </div>
+                    <div class="form-group" style="margin: 8px 0;">
+                        <input type="text" id="inviteLink_${invite.id}" value="${inviteLink(invite.id)}" readonly>
+                    </div>
+                    <div class="expense-item-meta">
+                        <span>Expires ${invite.expiresAt.toLocaleString()}</span>
+                    </div>
+                    <div style="display: flex; gap: 8px; margin-top: 8px;">
+                        <button class="btn btn-secondary" style="width: auto;" onclick="window.copyInviteLink('${invite.id}')">Copy</button>
+                        <button class="btn btn-danger" style="width: auto;" onclick="window.revokeGroupInvite('${groupId}', '${invite.id}')">Revoke</button>
+                    </div>
+                </div>
+            `;
+        });
+
+        const expiryOptions = INVITE_EXPIRY_DAYS
+            .map(days => `<option value="${days}" ${days === 7 ? 'selected' : ''}>${days} day${days === 1 ? '' : 's'}</option>`)
+            .join('');
+        html += `
+            <div style="display: flex; gap: 8px; align-items: flex-end; margin-top: 12px;">
+                <div class="form-group" style="margin: 0;">
+                    <label for="inviteLinkExpiry">Link expires after</label>
+                    <select id="inviteLinkExpiry">${expiryOptions}</select>
+                </div>
+                <button class="btn btn-secondary" style="width: auto;" onclick="window.createGroupInviteLink('${groupId}')">Create Invite Link</button>
+            </div>
+        `;
+    } catch (error) {
+        console.error('Error loading invites:', error);
+        html += '<p>Unable to load invites.</p>';
+    }
+    return html + '</div>';
+}
+
+// Create a shareable invite link (global for onclick)
+window.createGroupInviteLink = async function(groupId) {
+    try {
+        const group = await groupsRepo.get(groupId);
+        const groupName = group ? group.name || 'Group' : 'Group';
+        const days = Number(document.getElementById('inviteLinkExpiry')?.value) || 7;
+        await createInviteLink(groupId, groupName, days, currentUser.uid);
+        await logActivity({ groupId, type: 'invite_created', summary: `Invite link valid for ${days} day${days === 1 ? '' : 's'}` });
+        await showGroupDetails(groupId);
+    } catch (error) {
+        console.error('Error creating invite link:', error);
+        alert('Error creating invite link: ' + error.message);
+    }
+};
+
+// Copy an invite link to the clipboard (global for onclick)
+window.copyInviteLink = async function(code) {
+    const link = inviteLink(code);
+    try {
+        await navigator.clipboard.writeText(link);
+        alert('Invite link copied.');
+    } catch (error) {
+        // Clipboard access can be blocked; let the user copy it by hand
+        prompt('Copy this invite link:', link);
+    }
+};
+
+// Resend an email invite: extend it and open a pre-filled email (global for onclick)
+window.resendGroupInvite = async function(groupId, inviteId) {
+    try {
+        const invites = await getGroupInvites(groupId);
+        const invite = invites.find(i => i.id === inviteId);
+        if (!invite) {
+            alert('This invite is no longer pending.');
+            return;
+        }
+        await resendInvite(inviteId);
+        await logActivity({ groupId, type: 'invite_created', summary: `Invite resent to ${invite.email}` });
+
+        const signUpUrl = new URL('index.html', window.location.href).href;
+        const subject = `Join "${invite.groupName}" on SplitEZ`;
+        const body = `You've been invited to split expenses in "${invite.groupName}". `
+            + `Sign up with this email address (${invite.email}) at ${signUpUrl} and verify it to join the group.`;
+        window.location.href = `mailto:${invite.email}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+        await showGroupDetails(groupId);
+    } catch (error) {
+        console.error('Error resending invite:', error);
+        alert('Error resending invite: ' + error.message);
+    }
+};
+
+// Revoke an email invite or invite link (global for onclick)
+window.revokeGroupInvite = async function(groupId, inviteId) {
+    if (!confirm('Revoke this invite? It will no longer let anyone join.')) return;
+    try {
+        const invites = await getGroupInvites(groupId);
+        const invite = invites.find(i => i.id === inviteId);
+        await revokeInvite(inviteId);
+        await logActivity({
+            groupId,
+            type: 'invite_revoked',
+            summary: invite?.type === 'email' ? `Invite for ${invite.email}` : 'Invite link'
+        });
+        await showGroupDetails(groupId);
+    } catch (error) {
+        console.error('Error revoking invite:', error);
+        alert('Error revoking invite: ' + error.message);
+    }
+};
+
+// Pause or resume a recurring template (global for onclick)
+window.toggleRecurringPaused = async function(groupId, templateId, paused) {
+    try {
+        const templates = await getGroupRecurringTemplates(groupId);
+        const template = templates.find(t => t.id === templateId);
+        await setRecurringPaused(templateId, paused);
+        await logActivity({
+            groupId,
+            type: 'recurring_updated',
+            summary: `${paused ? 'Paused' : 'Resumed'} "${template?.description || 'recurring expense'}"`
+        });
+        await showGroupDetails(groupId);
+    } catch (error) {
+        console.error('Error updating recurring expense:', error);
+        alert('Error updating recurring expense: ' + error.message);
+    }
+};
+
+// Save edits to a recurring template (global for onclick).
+// Changes apply to occurrences created from now on.
+window.saveRecurringTemplate = async function(groupId, templateId) {
+    try {
+        const templates = await getGroupRecurringTemplates(groupId);
+        const template = templates.find(t => t.id === templateId);
+        if (!template) {
+            alert('Recurring expense not found.');
+            return;
+        }
+        
+        const description = document.getElementById(`recurringDescription_${templateId}`).value.trim();
+        const amountPaise = toPaise(document.getElementById(`recurringAmount_${templateId}`).value);
+        const frequency = document.getElementById(`recurringFrequency_${templateId}`).value;
+        const endDate = document.getElementById(`recurringEnd_${templateId}`).value;
+        if (!description) {
+            alert('Description is required.');
+            return;
+        }
+        if (endDate && endDate < template.startDate) {
+            alert('Repeat end date must be on or after the start date.');
+            return;
+        }
+        
+        const changes = { description, frequency, endDate };
+        const paidCurrency = template.currency || template.baseCurrency || DEFAULT_CURRENCY;
+        const fxRate = template.fxRate || 1;
+        if (amountPaise !== (template.originalAmountPaise ?? template.amountPaise)) {
+            // Re-split the new amount the same way as before, then convert at the stored rate
+            const result = computeSplit(template.splitType, amountPaise, template.splitMembers, template.splitInputs || {}, paidCurrency);
+            if (result.error) {
+                alert(`Cannot re-split the new amount: ${result.error}`);
+                return;
+            }
+            const baseAmountPaise = convertAmount(amountPaise, fxRate);
+            changes.originalAmountPaise = amountPaise;
+            changes.amountPaise = baseAmountPaise;
+            changes.splitPaise = fxRate === 1 ? result.splitPaise : allocate(baseAmountPaise, result.splitPaise);
+        }
+        
+        await updateRecurringTemplate(templateId, changes);
+        const logged = [];
+        if (description !== template.description) logged.push({ field: 'Description', from: template.description, to: description });
+        if (changes.amountPaise !== undefined) {
+            logged.push({
+                field: 'Amount',
+                from: formatMoney(template.originalAmountPaise ?? template.amountPaise, paidCurrency),
+                to: formatMoney(amountPaise, paidCurrency)
+            });
+        }
+        if (frequency !== template.frequency) logged.push({ field: 'Frequency', from: template.frequency, to: frequency });
+        if (endDate !== (template.endDate || '')) logged.push({ field: 'Repeat until', from: template.endDate || '', to: endDate });
+        await logActivity({ groupId, type: 'recurring_updated', summary: `"${description}"`, changes: logged });
+        await showGroupDetails(groupId);
+    } catch (error) {
+        console.error('Error saving recurring expense:', error);
+        alert('Error saving recurring expense: ' + error.message);
+    }
+};
+
+// Move a group to the trash (global for onclick). Its data stays
+// recoverable for TRASH_GRACE_DAYS before it is deleted for good.
+window.deleteGroup = async function(groupId) {
+    try {
+        if (!confirm(`Delete this group? It moves to the trash, where you can restore it for ${TRASH_GRACE_DAYS} days. After that the group, its expenses, payments and reminders are deleted permanently.`)) {
+            return;
+        }
+        const result = await moveGroupToTrash(groupId, currentUser.uid);
+        if (!result.success) {
+            alert(result.error);
+            return;
+        }
+
+        closeGroupDetails();
+        alert('Group moved to the trash.');
     } catch (error) {
         console.error('Error deleting group:', error);
         alert('Error deleting group: ' + error.message);
     }
 };
 
+// Restore a group from the trash (global for onclick)
+window.restoreGroupFromTrash = async function(groupId) {
+    const result = await restoreGroupFromTrash(groupId, currentUser.uid);
+    if (!result.success) {
+        alert(result.error);
+    }
+};
+
+// Delete a trashed group right away instead of waiting (global for onclick)
+window.purgeGroup = async function(groupId) {
+    try {
+        if (!confirm('Permanently delete this group with all its expenses, payments and reminders? This cannot be undone.')) {
+            return;
+        }
+        await purgeGroup(groupId);
+        alert('Group deleted permanently.');
+    } catch (error) {
+        console.error('Error deleting group:', error);
+        alert('Error deleting group: ' + error.message);
+    }
+};
+
+// Archive a finished group (global for onclick)
+window.archiveGroup = async function(groupId) {
+    if (!confirm('Archive this group? It becomes read-only and leaves your active groups and dashboard totals. Admins can restore it at any time.')) {
+        return;
+    }
+    const result = await archiveGroup(groupId, currentUser.uid);
+    if (!result.success) {
+        alert(result.error);
+        return;
+    }
+    closeGroupDetails();
+};
+
+// Restore an archived group (global for onclick)
+window.unarchiveGroup = async function(groupId) {
+    const result = await unarchiveGroup(groupId, currentUser.uid);
+    if (!result.success) {
+        alert(result.error);
+    }
+};
+
+// Leave a group (global for onclick). Money you are owed can be written off;
+// debts have to be settled first.
+window.leaveGroup = async function(groupId) {
+    try {
+        const { balance, currency } = await getMemberBalance(groupId, currentUser.uid);
+        let writeOff = false;
+        if (balance > 0) {
+            writeOff = confirm(`You are owed ${formatMoney(balance, currency)} in this group. Leave anyway and write it off? The other members will no longer owe you this.`);
+            if (!writeOff) return;
+        } else if (balance === 0 && !confirm('Leave this group? You will need a new invite to rejoin.')) {
+            return;
+        }
+        const result = await leaveGroup(groupId, currentUser.uid, { writeOff });
+        if (!result.success) {
+            alert(result.error);
+            return;
+        }
+        closeGroupDetails();
+        alert('You left the group.');
+    } catch (error) {
+        console.error('Error leaving group:', error);
+        alert('Error leaving group: ' + error.message);
+    }
+};
+
+// Remove a member (global for onclick); an unsettled balance needs a write-off
+window.removeGroupMember = async function(groupId, memberId) {
+    try {
+        const [name] = await getMemberNames([memberId]);
+        const { balance, currency } = await getMemberBalance(groupId, memberId);
+        let writeOff = false;
+        if (balance !== 0) {
+            const state = balance < 0 ? 'owes' : 'is owed';
+            writeOff = confirm(`${name || 'This member'} ${state} ${formatMoney(Math.abs(balance), currency)}. Remove them and write this balance off?`);
+            if (!writeOff) return;
+        } else if (!confirm(`Remove ${name || 'this member'} from the group?`)) {
+            return;
+        }
+        const result = await removeMember(groupId, currentUser.uid, memberId, { writeOff });
+        if (!result.success) {
+            alert(result.error);
+        }
+    } catch (error) {
+        console.error('Error removing member:', error);
+        alert('Error removing member: ' + error.message);
+    }
+};
+
+// Make a member an admin or a plain member (global for onclick)
+window.setGroupRole = async function(groupId, memberId, role) {
+    const result = await setMemberRole(groupId, currentUser.uid, memberId, role);
+    if (!result.success) {
+        alert(result.error);
+    }
+};
+
+// Hand ownership to another member (global for onclick)
+window.transferGroupOwnership = async function(groupId, memberId) {
+    const [name] = await getMemberNames([memberId]);
+    if (!confirm(`Make ${name || 'this member'} the owner of this group? You will stay an admin, but only the new owner can delete the group or transfer it again.`)) {
+        return;
+    }
+    const result = await transferOwnership(groupId, currentUser.uid, memberId);
+    if (!result.success) {
+        alert(result.error);
+    }
+};
+
 // Add members to existing group (global for onclick)
 window.addMembersToGroup = async function(groupId) {
     try {
@@ -346,46 +1073,55 @@ window.addMembersToGroup = async function(groupId) {
         if (emailsRaw.length === 0) return;
 
         // Fetch group
-        const groupRef = doc(db, 'groups', groupId);
-        const groupSnap = await getDoc(groupRef);
-        if (!groupSnap.exists()) {
+        const group = await groupsRepo.get(groupId);
+        if (!group) {
             alert('Group not found.');
             return;
         }
-        const group = groupSnap.data();
         const members = new Set(group.members || []);
         const memberEmails = new Set((group.memberEmails || []).map(e => (e || '').toLowerCase()));
         const pendingMemberEmails = new Set(group.pendingMemberEmails || []);
+        const invitedEmails = [];
 
         // Resolve to UIDs where possible
         for (const email of emailsRaw) {
             const lc = (email || '').toLowerCase();
             memberEmails.add(lc);
             try {
-                const usersSnap = await getDocs(query(collection(db, 'users'), where('email', '==', lc)));
+                const users = await usersRepo.find([['email', '==', lc]]);
                 let matched = false;
-                usersSnap.forEach(u => {
+                users.forEach(u => {
+                    // Unverified accounts stay pending until they verify their email
+                    if (!isVerifiedProfile(u)) return;
                     members.add(u.id);
                     matched = true;
                 });
                 if (!matched) {
-                    pendingMemberEmails.add(email);
+                    pendingMemberEmails.add(lc);
+                    invitedEmails.push(lc);
                 }
             } catch (e) {
                 console.error('Error resolving email:', e);
-                pendingMemberEmails.add(email);
+                pendingMemberEmails.add(lc);
+                invitedEmails.push(lc);
             }
         }
 
         // Persist
-        await updateDoc(groupRef, {
+        await groupsRepo.update(groupId, {
             members: Array.from(members),
             memberEmails: Array.from(memberEmails),
             pendingMemberEmails: Array.from(pendingMemberEmails)
         });
+        await logActivity({
+            groupId,
+            type: 'members_added',
+            summary: emailsRaw.map(e => invitedEmails.includes(e.toLowerCase()) ? `${e} (invited)` : e).join(', ')
+        });
+        await createEmailInvites(groupId, group.name || 'Group', invitedEmails, currentUser.uid);
 
-        // Refresh modal
-        await showGroupDetails(groupId);
+        // The modal refreshes through its listeners
+        input.value = '';
         alert('Members updated.');
     } catch (error) {
         console.error('Error adding members:', error);
@@ -0,0 +1,254 @@
+// CSV import wizard on the expenses page: choose a group and a file, map the
+// columns (spreadsheets) or use a preset (Splitwise), match people to
+// members, then review and import. The parsing and writing is in
+// expense-import.js.
+
+import { requireAuth } from './auth.js';
+import { getUserGroups } from './archive.js';
+import { formatMoney, DEFAULT_CURRENCY } from './money.js';
+import {
+    IMPORT_FORMATS, IMPORT_FIELDS, parseCsv, isSplitwiseHeader, guessColumnMapping,
+    readMappedRows, readSplitwiseRows, collectNames, getMatchableMembers, matchMembers,
+    buildImportPreview, importExpenses
+} from './expense-import.js';
+
+const STEPS = ['importStepFile', 'importStepColumns', 'importStepMembers', 'importStepPreview'];
+
+// What the wizard has read so far
+let wizard = null;
+
+function resetWizard() {
+    wizard = { step: 0, userId: '', groups: [], group: null, fileName: '', rows: [], format: 'mapped', records: [], members: [], matches: {}, preview: [] };
+}
+
+function showStep(step) {
+    wizard.step = step;
+    STEPS.forEach((id, i) => {
+        document.getElementById(id).style.display = i === step ? 'block' : 'none';
+    });
+    document.getElementById('importBack').style.display = step > 0 ? 'inline-block' : 'none';
+    document.getElementById('importNext').style.display = step < STEPS.length - 1 ? 'inline-block' : 'none';
+    document.getElementById('importSubmit').style.display = step === STEPS.length - 1 ? 'inline-block' : 'none';
+}
+
+async function openImportWizard() {
+    resetWizard();
+    const user = await requireAuth();
+    if (!user) return;
+    wizard.userId = user.uid;
+    try {
+        // Archived groups can't take new expenses
+        wizard.groups = await getUserGroups(user.uid);
+    } catch (error) {
+        console.error('Error loading groups:', error);
+        alert('Error loading groups: ' + error.message);
+        return;
+    }
+    if (wizard.groups.length === 0) {
+        alert('Create a group first, then import its expenses.');
+        return;
+    }
+    const groupSelect = document.getElementById('importGroup');
+    groupSelect.replaceChildren(...wizard.groups.map(group => new Option(group.name, group.id)));
+    const filtered = document.getElementById('groupFilter')?.value;
+    if (wizard.groups.some(group => group.id === filtered)) groupSelect.value = filtered;
+    document.getElementById('importFormat').replaceChildren(
+        new Option('Detect from the file', 'auto'),
+        ...Object.entries(IMPORT_FORMATS).map(([value, label]) => new Option(label, value))
+    );
+    document.getElementById('importFile').value = '';
+    showStep(0);
+    document.getElementById('importModal').classList.add('show');
+}
+
+// Step 1 -> 2 (or 3 for presets): read the file
+async function readImportFile() {
+    const file = document.getElementById('importFile').files[0];
+    if (!file) {
+        alert('Choose a CSV file to import.');
+        return;
+    }
+    wizard.group = wizard.groups.find(group => group.id === document.getElementById('importGroup').value);
+    wizard.fileName = file.name;
+    wizard.rows = parseCsv(await file.text());
+    if (wizard.rows.length < 2) {
+        alert('The file has no rows to import. It needs a header row and at least one expense.');
+        return;
+    }
+    const chosen = document.getElementById('importFormat').value;
+    wizard.format = chosen === 'auto' ? (isSplitwiseHeader(wizard.rows[0]) ? 'splitwise' : 'mapped') : chosen;
+    if (wizard.format === 'splitwise') {
+        if (!isSplitwiseHeader(wizard.rows[0])) {
+            alert('This does not look like a Splitwise export. It should start with Date, Description, Category, Cost, Currency and a column per person.');
+            return;
+        }
+        wizard.records = readSplitwiseRows(wizard.rows);
+        await showMemberStep();
+    } else {
+        renderColumnMapping();
+        showStep(1);
+    }
+}
+
+function renderColumnMapping() {
+    const header = wizard.rows[0];
+    const mapping = guessColumnMapping(header);
+    const container = document.getElementById('importColumns');
+    container.replaceChildren(...Object.entries(IMPORT_FIELDS).map(([field, { label, required }]) => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        const fieldLabel = document.createElement('label');
+        fieldLabel.htmlFor = `importColumn_${field}`;
+        fieldLabel.textContent = required ? label : `${label} (optional)`;
+        const select = document.createElement('select');
+        select.id = `importColumn_${field}`;
+        select.append(
+            new Option(required ? 'Choose a column' : 'Not in the file', '-1'),
+            ...header.map((name, i) => new Option(name || `Column ${i + 1}`, String(i)))
+        );
+        select.value = String(mapping[field]);
+        group.append(fieldLabel, select);
+        return group;
+    }));
+}
+
+// Step 2 -> 3: read the rows with the chosen columns
+async function applyColumnMapping() {
+    const mapping = {};
+    for (const [field, { label, required }] of Object.entries(IMPORT_FIELDS)) {
+        mapping[field] = Number(document.getElementById(`importColumn_${field}`).value);
+        if (required && mapping[field] < 0) {
+            alert(`Choose the column that holds the ${label.toLowerCase()}.`);
+            return;
+        }
+    }
+    wizard.records = readMappedRows(wizard.rows, mapping);
+    await showMemberStep();
+}
+
+async function showMemberStep() {
+    try {
+        wizard.members = await getMatchableMembers(wizard.group);
+    } catch (error) {
+        console.error('Error loading members:', error);
+        alert('Error loading members: ' + error.message);
+        return;
+    }
+    const names = collectNames(wizard.records);
+    wizard.matches = matchMembers(names, wizard.members);
+    const container = document.getElementById('importMembers');
+    if (names.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'empty-state';
+        empty.textContent = 'Nobody is named in the file.';
+        container.replaceChildren(empty);
+    } else {
+        container.replaceChildren(...names.map((name, i) => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            const label = document.createElement('label');
+            label.htmlFor = `importMember_${i}`;
+            label.textContent = name;
+            const select = document.createElement('select');
+            select.id = `importMember_${i}`;
+            select.dataset.name = name;
+            select.append(
+                new Option('Not a member (skip their rows)', ''),
+                ...wizard.members.map(member => new Option(member.email ? `${member.name} (${member.email})` : member.name, member.id))
+            );
+            select.value = wizard.matches[name];
+            group.append(label, select);
+            return group;
+        }));
+    }
+    showStep(2);
+}
+
+// Step 3 -> 4: validate every row against the group
+function showPreviewStep() {
+    document.querySelectorAll('#importMembers select').forEach(select => {
+        wizard.matches[select.dataset.name] = select.value;
+    });
+    wizard.preview = buildImportPreview(wizard.records, wizard.group, wizard.matches, wizard.userId);
+    const currency = wizard.group.baseCurrency || DEFAULT_CURRENCY;
+    const ready = wizard.preview.filter(entry => entry.errors.length === 0);
+    const names = Object.fromEntries(wizard.members.map(member => [member.id, member.name]));
+
+    document.getElementById('importSummary').textContent = ready.length === wizard.preview.length
+        ? `All ${ready.length} rows are ready to import into ${wizard.group.name}.`
+        : `${ready.length} of ${wizard.preview.length} rows are ready to import into ${wizard.group.name}. Rows with problems are skipped; fix them in the file and import it again to add them.`;
+
+    document.getElementById('importPreview').replaceChildren(...wizard.preview.map(entry => {
+        const item = document.createElement('div');
+        item.className = `expense-item${entry.errors.length > 0 ? ' conflict' : ''}`;
+        const header = document.createElement('div');
+        header.className = 'expense-item-header';
+        const title = document.createElement('span');
+        title.className = 'expense-item-title';
+        title.textContent = entry.kind === 'payment' ? `Payment: ${entry.description || 'Settle up'}` : entry.description;
+        const amount = document.createElement('span');
+        amount.className = 'expense-item-amount';
+        amount.textContent = entry.amountPaise > 0 ? formatMoney(entry.amountPaise, currency) : '';
+        header.append(title, amount);
+        const meta = document.createElement('div');
+        meta.className = 'expense-item-meta';
+        if (entry.errors.length > 0) {
+            meta.textContent = `Row ${entry.line}: ${entry.errors.join(' ')}`;
+        } else if (entry.payment) {
+            meta.textContent = `Row ${entry.line} · ${entry.date} · ${names[entry.payment.from]} paid ${names[entry.payment.to]}`;
+        } else {
+            const shares = Object.entries(entry.data.splitPaise)
+                .map(([id, share]) => `${names[id]} ${formatMoney(share, currency)}`)
+                .join(', ');
+            meta.textContent = `Row ${entry.line} · ${entry.date} · paid by ${names[entry.data.paidBy]} · ${shares}`;
+        }
+        item.append(header, meta);
+        return item;
+    }));
+    document.getElementById('importSubmit').disabled = ready.length === 0;
+    showStep(3);
+}
+
+async function submitImport() {
+    const submit = document.getElementById('importSubmit');
+    submit.disabled = true;
+    const result = await importExpenses(wizard.group, wizard.preview, {
+        fileName: wizard.fileName,
+        onProgress: (done, total) => {
+            submit.textContent = `Importing ${done} of ${total}...`;
+        }
+    });
+    submit.textContent = 'Import';
+    submit.disabled = false;
+    if (!result.success) {
+        alert('Error importing expenses: ' + result.error);
+        return;
+    }
+    // The expense list picks the new rows up through its listeners
+    document.getElementById('importModal').classList.remove('show');
+    const payments = result.payments > 0 ? ` and ${result.payments} payment${result.payments === 1 ? '' : 's'}` : '';
+    alert(`Imported ${result.expenses} expense${result.expenses === 1 ? '' : 's'}${payments} into ${wizard.group.name}.`);
+}
+
+// Setup import wizard
+if (document.getElementById('importBtn')) {
+    document.getElementById('importBtn').addEventListener('click', openImportWizard);
+
+    document.getElementById('importNext').addEventListener('click', async () => {
+        if (wizard.step === 0) await readImportFile();
+        else if (wizard.step === 1) await applyColumnMapping();
+        else if (wizard.step === 2) showPreviewStep();
+    });
+
+    // Presets skip the column step on the way back too
+    document.getElementById('importBack').addEventListener('click', () => {
+        const previous = wizard.step === 2 && wizard.format === 'splitwise' ? 0 : wizard.step - 1;
+        showStep(Math.max(previous, 0));
+    });
+
+    document.getElementById('importForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        // Enter in an earlier step must not start the import
+        if (wizard.step === STEPS.length - 1) await submitImport();
+    });
+}
@@ -0,0 +1,194 @@
+import { invitesRepo, commitBatch, arrayUnion, arrayRemove } from './repository.js';
+import { logActivity } from './activity.js';
+
+// Group invitations, one doc per invite in `invites`:
+//   { type: 'email' | 'link', groupId, groupName, email (email invites only),
+//     invitedBy, status: 'pending' | 'accepted' | 'revoked',
+//     createdAt, lastSentAt, expiresAt (a Date, stored as a Timestamp so the
+//     rules can check it) }
+// Email invites use the ID `${groupId}_${email}`, so inviting the same address
+// twice refreshes one invite. Link invites use a random code as their ID: the
+// code is the secret in the shareable link, and a link can be used by several
+// people until it expires or is revoked.
+//
+// Joining needs a verified email (see isVerifiedProfile in auth.js). The join
+// is one batch: the rules read the invite named in `joinedViaInvite` to allow
+// a non-creator to add themselves to the group.
+
+// Expiry choices for invite links, in days
+export const INVITE_EXPIRY_DAYS = [1, 7, 30];
+
+// Email invites stay open this long after each (re)send
+const EMAIL_INVITE_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CODE_ALPHABET = 'abcdefghijkmnpqrstuvwxyz23456789';
+const CODE_LENGTH = 20;
+
+function expiryIn(days) {
+    return new Date(Date.now() + days * DAY_MS);
+}
+
+export function isExpired(invite) {
+    return !invite.expiresAt || invite.expiresAt.getTime() <= Date.now();
+}
+
+function generateCode() {
+    const bytes = crypto.getRandomValues(new Uint8Array(CODE_LENGTH));
+    return Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+}
+
+// Shareable link that joins the group when opened
+export function inviteLink(code) {
+    return new URL(`groups.html?invite=${code}`, window.location.href).href;
+}
+
+// Create (or refresh) email invites for addresses without an account yet
+export async function createEmailInvites(groupId, groupName, emails, invitedBy) {
+    const now = new Date().toISOString();
+    for (const rawEmail of emails) {
+        const email = (rawEmail || '').trim().toLowerCase();
+        if (!email) continue;
+        await invitesRepo.set(`${groupId}_${email}`, {
+            type: 'email',
+            groupId: groupId,
+            groupName: groupName,
+            email: email,
+            invitedBy: invitedBy,
+            status: 'pending',
+            createdAt: now,
+            lastSentAt: now,
+            expiresAt: expiryIn(EMAIL_INVITE_DAYS)
+        });
+    }
+}
+
+// Create a shareable invite link that expires after `days`; returns the code
+export async function createInviteLink(groupId, groupName, days, invitedBy) {
+    const code = generateCode();
+    const now = new Date().toISOString();
+    await invitesRepo.set(code, {
+        type: 'link',
+        groupId: groupId,
+        groupName: groupName,
+        invitedBy: invitedBy,
+        status: 'pending',
+        createdAt: now,
+        lastSentAt: now,
+        expiresAt: expiryIn(days)
+    });
+    return code;
+}
+
+// Open invites of a group (pending and not expired), newest first
+export async function getGroupInvites(groupId) {
+    const invites = await invitesRepo.find([
+        ['groupId', '==', groupId],
+        ['status', '==', 'pending']
+    ]);
+    return invites
+        .filter(invite => !isExpired(invite))
+        .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+// Mark an invite as sent again and push its expiry out
+export async function resendInvite(inviteId) {
+    await invitesRepo.update(inviteId, {
+        lastSentAt: new Date().toISOString(),
+        expiresAt: expiryIn(EMAIL_INVITE_DAYS)
+    });
+}
+
+// Revoke an invite; revoked email invites also leave the group's pending list
+export async function revokeInvite(inviteId) {
+    const invite = await invitesRepo.get(inviteId);
+    if (!invite) return;
+
+    const writes = [
+        { op: 'update', collection: 'invites', id: inviteId, data: { status: 'revoked', revokedAt: new Date().toISOString() } }
+    ];
+    if (invite.type === 'email') {
+        writes.push({ op: 'update', collection: 'groups', id: invite.groupId, data: { pendingMemberEmails: arrayRemove(invite.email) } });
+    }
+    await commitBatch(writes);
+}
+
+// Add `user` to the invite's group in one batch with the invite update
+async function joinGroup(inviteId, invite, user) {
+    const email = (user.email || '').toLowerCase();
+    const writes = [{
+        op: 'update',
+        collection: 'groups',
+        id: invite.groupId,
+        data: {
+            members: arrayUnion(user.uid),
+            memberEmails: arrayUnion(email),
+            pendingMemberEmails: arrayRemove(email),
+            joinedViaInvite: inviteId
+        }
+    }];
+    // Link invites stay open for others; email invites are used up
+    if (invite.type === 'email') {
+        writes.push({
+            op: 'update',
+            collection: 'invites',
+            id: inviteId,
+            data: { status: 'accepted', acceptedBy: user.uid, acceptedAt: new Date().toISOString() }
+        });
+    }
+    await commitBatch(writes);
+    await logActivity({
+        groupId: invite.groupId,
+        type: 'members_joined',
+        summary: `${email} joined via ${invite.type === 'link' ? 'invite link' : 'email invite'}`
+    });
+}
+
+// Join every group that invited the user's email. Runs after signup and on
+// each visit, so invites are picked up as soon as the email is verified.
+// Returns the names of the groups joined.
+export async function acceptPendingInvites(user) {
+    const joined = [];
+    if (!user?.emailVerified || !user.email) return joined;
+    try {
+        const invites = await invitesRepo.find([
+            ['email', '==', user.email.toLowerCase()],
+            ['status', '==', 'pending']
+        ]);
+        for (const invite of invites) {
+            if (invite.type !== 'email' || isExpired(invite)) continue;
+            // One failed group shouldn't keep the user out of the others
+            try {
+                await joinGroup(invite.id, invite, user);
+                joined.push(invite.groupName || 'a group');
+            } catch (error) {
+                console.error('Error joining invited group:', error);
+            }
+        }
+    } catch (error) {
+        console.error('Error loading invites:', error);
+    }
+    return joined;
+}
+
+// Join a group through an invite link code.
+// Returns { success, groupName } or { success: false, error }.
+export async function acceptInviteCode(code, user) {
+    try {
+        if (!user.emailVerified) {
+            return { success: false, error: 'Please verify your email before joining groups. Check your inbox, then open the link again.' };
+        }
+        const invite = await invitesRepo.get(code);
+        if (!invite || invite.type !== 'link') {
+            return { success: false, error: 'This invite link is not valid.' };
+        }
+        if (invite.status !== 'pending' || isExpired(invite)) {
+            return { success: false, error: 'This invite link has expired or was revoked. Ask the group for a new one.' };
+        }
+        await joinGroup(code, invite, user);
+        return { success: true, groupName: invite.groupName };
+    } catch (error) {
+        console.error('Error accepting invite link:', error);
+        return { success: false, error: error.message };
+    }
+}
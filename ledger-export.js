@@ -0,0 +1,145 @@
+import { getGroupLedger, collectPayments, computeNetBalances, simplifyDebts } from './balances.js';
+import { getUserGroups, isArchived } from './archive.js';
+import { displayName } from './activity.js';
+import { DEFAULT_CURRENCY, CURRENCIES, expenseAmountPaise, expenseSplitPaise, expenseCurrency } from './money.js';
+
+// Exports of group ledgers: CSV for spreadsheets (one row per expense-member
+// share) and a JSON document with every expense and settlement doc as stored,
+// the payments and the computed balances. Groups and expenses come from the
+// same queries as the expenses page and analytics (getUserGroups, then each
+// group's expenses by groupId), so an export holds what those pages show.
+
+// Bumped when the JSON layout changes, so importers can tell versions apart
+export const EXPORT_VERSION = 1;
+
+export const CSV_COLUMNS = [
+    'Group', 'Date', 'Description', 'Expense ID', 'Paid by', 'Amount', 'Currency',
+    'Split type', 'Member', 'Member ID', 'Share', 'Original amount', 'Original currency'
+];
+
+// Load the export of `userId`'s groups (all of them, archived included, or
+// just `groupIds`) with expenses and payments dated from `from` to `to`
+// ('YYYY-MM-DD', inclusive; either may be empty). Balances and the settle-up
+// plan cover the whole ledger: they are what is owed now, whatever the range.
+export async function buildLedgerExport(userId, { groupIds = null, from = '', to = '' } = {}) {
+    const inRange = (date) => {
+        const day = (date || '').slice(0, 10);
+        return (!from || day >= from) && (!to || day <= to);
+    };
+    const groups = (await getUserGroups(userId, { includeArchived: true }))
+        .filter(group => !groupIds || groupIds.includes(group.id));
+
+    const exported = [];
+    for (const group of groups) {
+        const { expenses, settlements } = await getGroupLedger(group.id);
+        const payments = collectPayments(expenses, settlements);
+        const balances = computeNetBalances(expenses, payments);
+
+        // Former members still appear in old expenses and payments
+        const memberIds = new Set(group.members || []);
+        expenses.forEach(expense => {
+            memberIds.add(expense.paidBy);
+            Object.keys(expenseSplitPaise(expense)).forEach(id => memberIds.add(id));
+        });
+        Object.keys(balances).forEach(id => memberIds.add(id));
+        const members = [];
+        for (const id of memberIds) {
+            if (id) members.push({ id, name: await displayName(id), current: (group.members || []).includes(id) });
+        }
+
+        exported.push({
+            id: group.id,
+            name: group.name || 'Group',
+            baseCurrency: group.baseCurrency || DEFAULT_CURRENCY,
+            archived: isArchived(group),
+            members: members,
+            expenses: expenses
+                .filter(expense => inRange(expense.date))
+                .sort((a, b) => (a.date || '').localeCompare(b.date || '')),
+            settlements: settlements.filter(s => inRange(s.paidAt || s.createdAt)),
+            payments: payments.filter(p => inRange(p.date)),
+            balances: balances,
+            transfers: simplifyDebts(balances)
+        });
+    }
+
+    return {
+        app: 'SplitEZ',
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        exportedBy: userId,
+        range: { from, to },
+        groups: exported
+    };
+}
+
+// CSV text of an export: a header row, then one row per expense-member share
+export function ledgerExportToCsv(data) {
+    const rows = [CSV_COLUMNS];
+    data.groups.forEach(group => {
+        const names = Object.fromEntries(group.members.map(member => [member.id, member.name]));
+        group.expenses.forEach(expense => {
+            const currency = expenseCurrency(expense);
+            const foreign = expense.currency && expense.currency !== currency;
+            Object.entries(expenseSplitPaise(expense)).forEach(([memberId, share]) => {
+                rows.push([
+                    group.name,
+                    expense.date || '',
+                    expense.description || '',
+                    expense.id,
+                    names[expense.paidBy] || expense.paidBy || '',
+                    decimalAmount(expenseAmountPaise(expense), currency),
+                    currency,
+                    expense.splitType || 'equal',
+                    names[memberId] || memberId,
+                    memberId,
+                    decimalAmount(share, currency),
+                    foreign ? decimalAmount(expense.originalAmountPaise, expense.currency) : '',
+                    foreign ? expense.currency : ''
+                ]);
+            });
+        });
+    });
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Paise as a plain number for spreadsheets, e.g. 123456 -> "1234.56"
+function decimalAmount(paise, currency) {
+    const { decimals } = CURRENCIES[currency] || { decimals: 2 };
+    return ((Number(paise) || 0) / 100).toFixed(decimals);
+}
+
+// Quote a CSV field when needed. Text that a spreadsheet would run as a
+// formula (=, +, -, @) is prefixed with an apostrophe.
+function csvCell(value) {
+    let text = String(value ?? '');
+    if (/^[=+\-@]/.test(text) && isNaN(Number(text))) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// File name such as "splitez-goa-trip-2026-03-01-to-2026-03-31.csv"
+export function exportFileName(data, format) {
+    const scope = data.groups.length === 1
+        ? data.groups[0].name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'group'
+        : 'all-groups';
+    const { from, to } = data.range;
+    const range = from || to ? `-${from || 'start'}-to-${to || 'today'}` : '';
+    return `splitez-${scope}${range}.${format}`;
+}
+
+// Save an export as a file in the browser
+export function downloadLedgerExport(data, format) {
+    const content = format === 'csv'
+        // The byte order mark makes Excel read the file as UTF-8
+        ? '\uFEFF' + ledgerExportToCsv(data)
+        : JSON.stringify(data, null, 2);
+    const blob = new Blob([content], { type: format === 'csv' ? 'text/csv;charset=utf-8' : 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = exportFileName(data, format);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
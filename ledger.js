@@ -0,0 +1,447 @@
+import { usersRepo, groupsRepo, expensesRepo, settlementsRepo, paymentProofsRepo, deleteField, commitBatch } from './repository.js';
+import {
+    DEFAULT_CURRENCY,
+    formatMoney,
+    expenseSplitPaise,
+    expenseCurrency,
+    settlementAmountPaise,
+    settlementRemainingPaise,
+    settlementUnclaimedPaise,
+    settlementCurrency
+} from './money.js';
+import { getGroupLedger, collectPayments, computeNetBalances, closeCoveredObligations, isOpenSettlement } from './balances.js';
+import { logActivity, displayName } from './activity.js';
+import { getUserGroups } from './archive.js';
+
+// The payment ledger. Settlement docs are the one record of who owes whom and
+// what has been paid, and every view derives its figures from them:
+// - obligations: one doc per debtor per expense (calculateSettlements in
+//   analytics.js), 'pending' until paid, or 'void' when the expense is
+//   edited or deleted
+// - transfers: settle-up payments between members (recordTransfer in
+//   balances.js, or claimTransfer here)
+// Both settle flows (dashboard and expense details) pay through payments.js
+// (Razorpay: the payment functions mark it paid) or outside the app, which
+// takes two steps:
+//   pending or disputed --claimSettlementPaid (debtor)--> claimed
+//   claimed --confirmSettlementPayment (payee)--> paid
+//   claimed --disputeSettlementPayment (payee)--> disputed
+// Claimed and disputed money still counts as owed (see OPEN_STATUSES in
+// balances.js).
+// An obligation can also be paid in parts. Each part is a settlement doc of
+// its own ({ type: 'payment', settlementId: the obligation }) that goes
+// through the same states; once paid it is added to the obligation's
+// `paidPaise`, and the obligation is paid when nothing is left (see
+// settlementRemainingPaise in money.js). Parts still waiting for the payee
+// are counted in its `claimedPartPaise`: while there are any, only the rest
+// can be claimed, and never as the whole obligation, so the payee confirming
+// in any order settles the same amount. A disputed part stays counted until
+// the debtor corrects it and the payee confirms it.
+//
+// Expenses written before this change may carry `settlementStatus`
+// ({ memberId: 'paid' }) instead; migrateLegacyPayments moves those marks into
+// settlement docs and removes the field.
+
+// Open obligation (still owed) of `userId` for an expense, or null
+export async function findObligation(groupId, expenseId, userId) {
+    const settlements = await settlementsRepo.find([
+        ['groupId', '==', groupId],
+        ['expenseId', '==', expenseId],
+        ['userId', '==', userId]
+    ]);
+    const open = settlements.find(s => isOpenSettlement(s) && s.owedTo !== userId);
+    return open || null;
+}
+
+// Pending obligation of `userId` for an expense. Expenses that predate
+// settlement docs get one created for the member's unpaid share.
+export async function getOrCreateObligation(expenseId, expense, userId) {
+    const existing = await findObligation(expense.groupId, expenseId, userId);
+    if (existing) return existing;
+
+    const share = expenseSplitPaise(expense)[userId] || 0;
+    if (share <= 0 || userId === expense.paidBy) return null;
+    const obligation = {
+        groupId: expense.groupId,
+        expenseId: expenseId,
+        userId: userId,
+        owedTo: expense.paidBy,
+        amountPaise: share,
+        currency: expenseCurrency(expense),
+        description: expense.description || 'Expense',
+        status: 'pending',
+        createdAt: new Date().toISOString()
+    };
+    const id = await settlementsRepo.add(obligation);
+    return { id, ...obligation };
+}
+
+// Mark an obligation paid and log it. `details` holds payment references
+// such as { paymentId }. Returns the settlement as it now stands.
+export async function markSettlementPaid(settlementId, details = {}) {
+    const settlement = await settlementsRepo.get(settlementId);
+    if (!settlement) throw new Error('Settlement not found');
+    if (settlement.status === 'paid') return settlement;
+    if (settlement.status === 'void') throw new Error('This settlement was cancelled because its expense changed.');
+
+    const changes = { status: 'paid', paidAt: new Date().toISOString(), ...details };
+    await settlementsRepo.update(settlementId, changes);
+
+    const amount = formatMoney(settlementRemainingPaise(settlement), settlementCurrency(settlement));
+    await logActivity({
+        groupId: settlement.groupId,
+        expenseId: settlement.expenseId || '',
+        type: 'payment_recorded',
+        summary: `${await displayName(settlement.userId)} paid ${await displayName(settlement.owedTo)} ${amount} for "${settlement.description || 'Settlement'}"`
+            + (details.paymentId ? ` (payment ${details.paymentId})` : '')
+    });
+    return { ...settlement, ...changes };
+}
+
+// Ways of paying outside the app that a debtor can report
+export const PAYMENT_METHODS = {
+    upi: 'UPI',
+    cash: 'Cash',
+    bank: 'Bank transfer',
+    other: 'Other'
+};
+
+// Largest proof image kept (a data URL, see paymentProofs in the rules)
+export const MAX_PROOF_LENGTH = 800000;
+
+// Log the debtor's claim and return the changes it made to the doc
+async function recordClaim(settlement, { method, reference = '', proof = null }) {
+    if (!PAYMENT_METHODS[method]) throw new Error('Choose how you paid.');
+    if (proof) await savePaymentProof(settlement, proof);
+    const changes = {
+        status: 'claimed',
+        paymentMethod: method,
+        paymentReference: reference,
+        hasProof: Boolean(proof),
+        claimedAt: new Date().toISOString()
+    };
+    await settlementsRepo.update(settlement.id, changes);
+
+    const amount = formatMoney(settlementRemainingPaise(settlement), settlementCurrency(settlement));
+    await logActivity({
+        groupId: settlement.groupId,
+        expenseId: settlement.expenseId || '',
+        type: 'payment_claimed',
+        summary: `${await displayName(settlement.userId)} paid ${await displayName(settlement.owedTo)} ${amount} by ${PAYMENT_METHODS[method]}`
+            + (reference ? ` (ref ${reference})` : '') + ', waiting for confirmation'
+    });
+    return changes;
+}
+
+// The debtor reports paying an open settlement outside the app: `method` is
+// a PAYMENT_METHODS key, `reference` e.g. a UPI transaction's UTR and `proof`
+// an optional image (data URL). A disputed payment can be claimed again with
+// better details. The money stays owed until the payee confirms it.
+// With `amountPaise` below what is left of an unpaid obligation, or while
+// other parts wait for confirmation, only that part is claimed, as a part
+// payment. Returns the claimed settlement doc.
+export async function claimSettlementPaid(settlementId, userId, claim) {
+    const settlement = await settlementsRepo.get(settlementId);
+    if (!settlement) throw new Error('Settlement not found');
+    if (settlement.userId !== userId || settlement.owedTo === userId) {
+        throw new Error('Only the member who owes this settlement can mark it paid.');
+    }
+    if (settlement.status === 'paid') throw new Error('This settlement is already paid.');
+    if (settlement.status === 'void') throw new Error('This settlement was cancelled because its expense changed.');
+
+    const remaining = settlementRemainingPaise(settlement);
+    const claimedParts = settlement.claimedPartPaise || 0;
+    // Without an amount, what nobody has marked paid yet is claimed
+    const amountPaise = claim.amountPaise ?? settlementUnclaimedPaise(settlement);
+    if (amountPaise !== remaining || claimedParts > 0) {
+        if (settlement.type || settlement.status === 'claimed') {
+            throw new Error('Only an unpaid expense share can be paid in parts.');
+        }
+        checkPartAmount(amountPaise, settlementUnclaimedPaise(settlement), settlementCurrency(settlement));
+        if (!PAYMENT_METHODS[claim.method]) throw new Error('Choose how you paid.');
+        const payment = await addPartPayment(settlement, amountPaise, {
+            status: 'claimed',
+            paymentMethod: claim.method,
+            paymentReference: claim.reference || '',
+            hasProof: false,
+            claimedAt: new Date().toISOString()
+        }, { claimedPartPaise: claimedParts + amountPaise });
+        const changes = await recordClaim(payment, claim);
+        return { ...payment, ...changes };
+    }
+
+    const changes = await recordClaim(settlement, claim);
+    return { ...settlement, ...changes };
+}
+
+// `available` is what is left less parts waiting for confirmation
+function checkPartAmount(amountPaise, available, currency) {
+    if (available <= 0) throw new Error('Part payments waiting for confirmation already cover the rest of this settlement.');
+    if (!Number.isInteger(amountPaise) || amountPaise <= 0) throw new Error('Enter the amount paid.');
+    if (amountPaise > available) {
+        throw new Error(`That is more than the ${formatMoney(available, currency)} still owed and not yet marked paid.`);
+    }
+}
+
+// A part payment of `obligation`, written with `fields` (its status and
+// claim or payment details). `obligationChanges` are written to the
+// obligation in the same batch.
+async function addPartPayment(obligation, amountPaise, fields, obligationChanges = null) {
+    const payment = {
+        groupId: obligation.groupId,
+        expenseId: obligation.expenseId || '',
+        type: 'payment',
+        settlementId: obligation.id,
+        userId: obligation.userId,
+        owedTo: obligation.owedTo,
+        amountPaise: amountPaise,
+        currency: settlementCurrency(obligation),
+        description: `${obligation.description || 'Expense'} (part payment)`,
+        createdAt: new Date().toISOString(),
+        ...fields
+    };
+    if (!obligationChanges) {
+        const id = await settlementsRepo.add(payment);
+        return { id, ...payment };
+    }
+    const id = await settlementsRepo.newId();
+    await commitBatch([
+        { op: 'set', collection: 'settlements', id, data: payment },
+        { op: 'update', collection: 'settlements', id: obligation.id, data: obligationChanges }
+    ]);
+    return { id, ...payment };
+}
+
+// Add a paid part payment to its obligation, which is paid once nothing is
+// left; a confirmed claim no longer waits in `claimedPartPaise`.
+// Obligations paid or cancelled meanwhile are left alone.
+async function applyPartPayment(payment, paidAt, { wasClaimed = false } = {}) {
+    const obligation = await settlementsRepo.get(payment.settlementId);
+    if (!obligation || !isOpenSettlement(obligation)) return;
+    const amount = settlementAmountPaise(payment);
+    const paidPaise = (obligation.paidPaise || 0) + amount;
+    const changes = paidPaise >= Math.abs(settlementAmountPaise(obligation))
+        ? { paidPaise, status: 'paid', paidAt }
+        : { paidPaise };
+    if (wasClaimed) changes.claimedPartPaise = Math.max(0, (obligation.claimedPartPaise || 0) - amount);
+    await settlementsRepo.update(obligation.id, changes);
+}
+
+// The payee records money received outside the app for an unpaid
+// obligation: all that is left, which marks it paid, or a part payment.
+// Returns the obligation as it now stands.
+export async function recordPaymentReceived(settlementId, userId, amountPaise) {
+    const settlement = await settlementsRepo.get(settlementId);
+    if (!settlement) throw new Error('Settlement not found');
+    if (settlement.owedTo !== userId || settlement.userId === userId) {
+        throw new Error('Only the member who is owed can record a payment received.');
+    }
+    if (settlement.type) throw new Error('Confirm or dispute this payment instead.');
+    if (!isOpenSettlement(settlement)) throw new Error('This settlement is already settled.');
+
+    // Parts the debtor marked paid are confirmed or disputed, not recorded again
+    const remaining = settlementRemainingPaise(settlement);
+    const currency = settlementCurrency(settlement);
+    checkPartAmount(amountPaise, settlementUnclaimedPaise(settlement), currency);
+    const now = new Date().toISOString();
+    if (amountPaise === remaining) return markSettlementPaid(settlementId, { confirmedAt: now });
+
+    const payment = await addPartPayment(settlement, amountPaise, { status: 'paid', paidAt: now, confirmedAt: now });
+    await logActivity({
+        groupId: settlement.groupId,
+        expenseId: settlement.expenseId || '',
+        type: 'payment_recorded',
+        summary: `${await displayName(settlement.userId)} paid ${await displayName(userId)} ${formatMoney(amountPaise, currency)} of "${settlement.description || 'Settlement'}"`
+            + ` (${formatMoney(remaining - amountPaise, currency)} left)`
+    });
+    await applyPartPayment(payment, now);
+    return settlementsRepo.get(settlementId);
+}
+
+// The debtor reports paying part of their group balance (a settle-up
+// transfer from the Settle Up plan) outside the app. It becomes a claimed
+// transfer doc, which the payee confirms like any other claim.
+export async function claimTransfer(groupId, from, to, amount, currency, claim) {
+    if (!PAYMENT_METHODS[claim.method]) throw new Error('Choose how you paid.');
+    const transfer = {
+        groupId: groupId,
+        expenseId: '',
+        type: 'transfer',
+        userId: from,
+        owedTo: to,
+        amountPaise: amount,
+        currency: currency,
+        description: 'Settle up',
+        status: 'claimed',
+        paymentMethod: claim.method,
+        paymentReference: claim.reference || '',
+        hasProof: false,
+        createdAt: new Date().toISOString(),
+        claimedAt: new Date().toISOString()
+    };
+    const id = await settlementsRepo.add(transfer);
+    // Logged (and the proof saved) like a claim on an existing settlement
+    await recordClaim({ id, ...transfer }, claim);
+    return id;
+}
+
+// The payee confirms a claimed (or earlier disputed) payment, which marks it
+// paid. A confirmed transfer also closes the obligations it covers.
+export async function confirmSettlementPayment(settlementId, userId) {
+    const settlement = await settlementsRepo.get(settlementId);
+    if (!settlement) throw new Error('Settlement not found');
+    if (settlement.owedTo !== userId) throw new Error('Only the member who is owed can confirm this payment.');
+    if (!['claimed', 'disputed'].includes(settlement.status)) {
+        throw new Error('Nobody has marked this settlement paid yet.');
+    }
+    const now = new Date().toISOString();
+    const paid = await markSettlementPaid(settlementId, { confirmedAt: now });
+    if (settlement.type === 'transfer') {
+        await closeCoveredObligations(settlement.groupId, settlement.userId, settlement.owedTo, settlementAmountPaise(settlement), settlementId, now);
+    } else if (settlement.type === 'payment') {
+        await applyPartPayment(settlement, now, { wasClaimed: true });
+    }
+    return paid;
+}
+
+// The payee says a claimed payment never arrived. It stays owed, and the
+// debtor can claim it again.
+export async function disputeSettlementPayment(settlementId, userId, reason = '') {
+    const settlement = await settlementsRepo.get(settlementId);
+    if (!settlement) throw new Error('Settlement not found');
+    if (settlement.owedTo !== userId) throw new Error('Only the member who is owed can dispute this payment.');
+    if (settlement.status !== 'claimed') throw new Error('Only a payment marked as sent can be disputed.');
+
+    const changes = { status: 'disputed', disputedAt: new Date().toISOString(), disputeReason: reason.trim() };
+    await settlementsRepo.update(settlementId, changes);
+    const amount = formatMoney(settlementRemainingPaise(settlement), settlementCurrency(settlement));
+    await logActivity({
+        groupId: settlement.groupId,
+        expenseId: settlement.expenseId || '',
+        type: 'payment_disputed',
+        summary: `${await displayName(userId)} has not received ${amount} from ${await displayName(settlement.userId)}`
+            + (changes.disputeReason ? `: "${changes.disputeReason}"` : '')
+    });
+    return { ...settlement, ...changes };
+}
+
+// Where a claimed or disputed payment stands, for lists: '' for others.
+// `payeeName` may be 'you'.
+export function describeSettlementState(settlement, payeeName) {
+    const when = settlement.claimedAt ? ` on ${new Date(settlement.claimedAt).toLocaleDateString()}` : '';
+    const method = PAYMENT_METHODS[settlement.paymentMethod] || 'another way';
+    const reference = settlement.paymentReference ? ` (ref ${settlement.paymentReference})` : '';
+    const part = settlement.type === 'payment'
+        ? `Part payment of ${formatMoney(settlementAmountPaise(settlement), settlementCurrency(settlement))}: `
+        : '';
+    if (settlement.status === 'claimed') {
+        return `${part}${part ? 'marked' : 'Marked'} paid by ${method}${reference}${when}, waiting for ${payeeName} to confirm`;
+    }
+    if (settlement.status === 'disputed') {
+        return `${part}${part ? 'payment' : 'Payment'} marked${when} disputed by ${payeeName}${settlement.disputeReason ? `: "${settlement.disputeReason}"` : ''}`;
+    }
+    return '';
+}
+
+// Proof images are kept apart from the settlement docs, which every ledger
+// listener reads
+async function savePaymentProof(settlement, image) {
+    if (typeof image !== 'string' || !image.startsWith('data:image/') || image.length > MAX_PROOF_LENGTH) {
+        throw new Error('The proof image is too large. Try a smaller screenshot.');
+    }
+    await paymentProofsRepo.set(settlement.id, {
+        settlementId: settlement.id,
+        groupId: settlement.groupId,
+        userId: settlement.userId,
+        owedTo: settlement.owedTo,
+        image: image,
+        createdAt: new Date().toISOString()
+    });
+}
+
+// The proof image (data URL) attached to a claimed payment, or null
+export async function getPaymentProof(settlementId) {
+    const proof = await paymentProofsRepo.get(settlementId);
+    return proof?.image || null;
+}
+
+// Move one expense's legacy `settlementStatus` marks into the ledger.
+// Each share marked paid becomes a paid settlement doc for that share, and
+// the member's pending obligation is voided in its place (any group member
+// may void, so this works whoever opens the expense first).
+export async function migrateExpensePayments(expenseId, expense) {
+    if (expense.settlementStatus === undefined) return;
+
+    const settlements = await settlementsRepo.find([
+        ['groupId', '==', expense.groupId],
+        ['expenseId', '==', expenseId]
+    ]);
+    const split = expenseSplitPaise(expense);
+    const now = new Date().toISOString();
+
+    for (const [memberId, value] of Object.entries(expense.settlementStatus || {})) {
+        if (value !== 'paid' || memberId === expense.paidBy) continue;
+        const own = settlements.filter(s => s.userId === memberId && s.owedTo !== memberId);
+        if (own.some(s => s.status === 'paid')) continue; // Already in the ledger
+
+        for (const s of own.filter(isOpenSettlement)) {
+            await settlementsRepo.update(s.id, { status: 'void', voidedAt: now });
+        }
+        const amount = split[memberId] || 0;
+        if (amount <= 0) continue;
+        await settlementsRepo.add({
+            groupId: expense.groupId,
+            expenseId: expenseId,
+            userId: memberId,
+            owedTo: expense.paidBy,
+            amountPaise: amount,
+            currency: expenseCurrency(expense),
+            description: expense.description || 'Expense',
+            status: 'paid',
+            createdAt: now,
+            paidAt: now,
+            migratedFrom: 'settlementStatus'
+        });
+    }
+    await expensesRepo.update(expenseId, { settlementStatus: deleteField() });
+}
+
+// Migrate every legacy expense in the user's groups. Nothing writes
+// `settlementStatus` any more, so this runs once per user (flagged on their
+// profile); expense details and edits still migrate lazily as a fallback.
+export async function migrateLegacyPayments(userId) {
+    try {
+        const user = await usersRepo.get(userId);
+        if (!user || user.ledgerMigratedAt) return;
+
+        const groups = await groupsRepo.find([['members', 'array-contains', userId]]);
+        const groupIds = groups.map(group => group.id);
+        if (groupIds.length > 0) {
+            for (const expense of await expensesRepo.find([['groupId', 'in', groupIds]])) {
+                await migrateExpensePayments(expense.id, expense);
+            }
+        }
+        await usersRepo.update(userId, { ledgerMigratedAt: new Date().toISOString() });
+    } catch (error) {
+        console.error('Error migrating legacy payments:', error);
+    }
+}
+
+// The user's net balance in each of their active groups (archived and
+// trashed ones are left out), in the group's base currency: positive means
+// they are owed, negative means they owe.
+// Returns [{ groupId, groupName, currency, balance }].
+export async function getUserBalances(userId) {
+    const results = [];
+    for (const group of await getUserGroups(userId)) {
+        const { expenses, settlements } = await getGroupLedger(group.id);
+        const balances = computeNetBalances(expenses, collectPayments(expenses, settlements));
+        results.push({
+            groupId: group.id,
+            groupName: group.name || 'Group',
+            currency: group.baseCurrency || DEFAULT_CURRENCY,
+            balance: balances[userId] || 0
+        });
+    }
+    return results;
+}
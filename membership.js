@@ -0,0 +1,211 @@
+import { usersRepo, groupsRepo, arrayUnion, arrayRemove } from './repository.js';
+import { getSettleUpPlan, recordTransfer, recordWriteOffs } from './balances.js';
+import { logActivity, displayName } from './activity.js';
+import { formatMoney } from './money.js';
+
+// Group roles. The owner is `createdBy`; admins are listed in `admins`
+// (the owner counts as one whether listed or not). Everyone else in
+// `members` is a plain member. Admins manage members and invites; only the
+// owner deletes the group or hands ownership to someone else.
+//
+// A member with an unsettled balance can't simply disappear from the group:
+// - leaving is blocked until they settle up; if they are only owed money
+//   they may leave and write it off
+// - an admin removing them may write off what others owe them, and what
+//   they owe the admin; a debt to anyone else only its creditor can forgive
+// A write-off records the member's part of the settle-up plan as
+// 'write_off' settlements, so everyone else's balances stay correct. An
+// admin's write-offs are saved in one batch with the removal, which the
+// security rules require.
+
+export const GROUP_ROLES = {
+    owner: 'Owner',
+    admin: 'Admin',
+    member: 'Member'
+};
+
+export function memberRole(group, userId) {
+    if (group.createdBy === userId) return 'owner';
+    if ((group.admins || []).includes(userId)) return 'admin';
+    return 'member';
+}
+
+export function isGroupAdmin(group, userId) {
+    // Legacy groups without a creator are managed by all their members
+    if (!group.createdBy) return (group.members || []).includes(userId);
+    return memberRole(group, userId) !== 'member';
+}
+
+// A member's net balance in the group: positive when owed, negative when owing
+export async function getMemberBalance(groupId, memberId) {
+    const { balances, transfers, currency } = await getSettleUpPlan(groupId);
+    return {
+        balance: balances[memberId] || 0,
+        currency,
+        transfers: transfers.filter(t => t.from === memberId || t.to === memberId)
+    };
+}
+
+async function loadGroup(groupId) {
+    const group = await groupsRepo.get(groupId);
+    if (!group) throw new Error('Group not found.');
+    return group;
+}
+
+// Settle the member's balance by writing it off
+async function writeOffBalance(groupId, memberId) {
+    const { transfers, currency } = await getMemberBalance(groupId, memberId);
+    for (const t of transfers) {
+        await recordTransfer(groupId, t.from, t.to, t.amount, currency, { writeOff: true });
+    }
+}
+
+// The group changes taking a member off it, with their email and any admin role
+async function memberRemoval(memberId) {
+    const user = await usersRepo.get(memberId);
+    const email = user ? (user.email || '').toLowerCase() : '';
+    const changes = {
+        members: arrayRemove(memberId),
+        admins: arrayRemove(memberId)
+    };
+    if (email) changes.memberEmails = arrayRemove(email);
+    return changes;
+}
+
+async function dropMember(groupId, memberId) {
+    await groupsRepo.update(groupId, await memberRemoval(memberId));
+}
+
+// Leave a group. Pass { writeOff: true } to give up money you are owed.
+// Returns { success: true } or { success: false, error }.
+export async function leaveGroup(groupId, userId, { writeOff = false } = {}) {
+    try {
+        const group = await loadGroup(groupId);
+        if (group.createdBy === userId) {
+            return { success: false, error: 'Transfer ownership to another member before leaving, or delete the group.' };
+        }
+        const { balance, currency } = await getMemberBalance(groupId, userId);
+        if (balance < 0) {
+            return { success: false, error: `You owe ${formatMoney(-balance, currency)} in this group. Settle up before leaving.` };
+        }
+        if (balance > 0 && !writeOff) {
+            return { success: false, error: `You are owed ${formatMoney(balance, currency)} in this group. Settle up first, or write it off to leave.` };
+        }
+        if (balance > 0) await writeOffBalance(groupId, userId);
+
+        // Logged first: once out of the group the member can't write to its log
+        await logActivity({
+            groupId,
+            type: 'member_left',
+            summary: `${await displayName(userId)} left${balance > 0 ? ` and wrote off ${formatMoney(balance, currency)}` : ''}`
+        });
+        await dropMember(groupId, userId);
+        return { success: true };
+    } catch (error) {
+        console.error('Error leaving group:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Remove another member (admins only). Pass { writeOff: true } to write off
+// their unsettled balance. Returns { success: true } or { success: false, error }.
+export async function removeMember(groupId, adminId, memberId, { writeOff = false } = {}) {
+    try {
+        const group = await loadGroup(groupId);
+        if (!isGroupAdmin(group, adminId)) {
+            return { success: false, error: 'Only group admins can remove members.' };
+        }
+        if (memberId === adminId) {
+            return { success: false, error: 'Use "Leave group" to leave yourself.' };
+        }
+        if (group.createdBy === memberId) {
+            return { success: false, error: 'The group owner cannot be removed.' };
+        }
+        const { balance, currency, transfers } = await getMemberBalance(groupId, memberId);
+        if (balance !== 0 && !writeOff) {
+            const state = balance < 0 ? 'owes' : 'is owed';
+            return { success: false, error: `${await displayName(memberId)} ${state} ${formatMoney(Math.abs(balance), currency)}. Settle up first, or write it off to remove them.` };
+        }
+        // Admins can't write off their own debts
+        const ownDebt = transfers.find(t => t.from === adminId);
+        if (balance !== 0 && ownDebt) {
+            return { success: false, error: `You owe ${await displayName(memberId)} ${formatMoney(ownDebt.amount, currency)}. Settle up with them before removing them.` };
+        }
+        // Nor other members' money
+        const debtToOther = transfers.find(t => t.from === memberId && t.to !== adminId);
+        if (balance !== 0 && debtToOther) {
+            return { success: false, error: `${await displayName(memberId)} owes ${await displayName(debtToOther.to)} ${formatMoney(debtToOther.amount, currency)}. Only ${await displayName(debtToOther.to)} can write that off; settle up before removing them.` };
+        }
+
+        if (balance !== 0) {
+            await recordWriteOffs(groupId, transfers, currency, [
+                { op: 'update', collection: 'groups', id: groupId, data: await memberRemoval(memberId) }
+            ]);
+        } else {
+            await dropMember(groupId, memberId);
+        }
+        await logActivity({
+            groupId,
+            type: 'member_removed',
+            summary: `${await displayName(memberId)}${balance !== 0 ? ` (wrote off ${formatMoney(Math.abs(balance), currency)})` : ''}`
+        });
+        return { success: true };
+    } catch (error) {
+        console.error('Error removing member:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Make a member an admin or a plain member again (admins only)
+export async function setMemberRole(groupId, adminId, memberId, role) {
+    try {
+        const group = await loadGroup(groupId);
+        if (!isGroupAdmin(group, adminId)) {
+            return { success: false, error: 'Only group admins can change roles.' };
+        }
+        if (group.createdBy === memberId) {
+            return { success: false, error: 'The owner is always an admin. Transfer ownership instead.' };
+        }
+        if (!(group.members || []).includes(memberId)) {
+            return { success: false, error: 'This person is not a member of the group.' };
+        }
+        await groupsRepo.update(groupId, {
+            admins: role === 'admin' ? arrayUnion(memberId) : arrayRemove(memberId)
+        });
+        await logActivity({
+            groupId,
+            type: 'role_changed',
+            summary: `${await displayName(memberId)} is now ${role === 'admin' ? 'an admin' : 'a member'}`
+        });
+        return { success: true };
+    } catch (error) {
+        console.error('Error changing role:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Hand the group to another member (owner only). The old owner stays an admin.
+export async function transferOwnership(groupId, ownerId, newOwnerId) {
+    try {
+        const group = await loadGroup(groupId);
+        if (group.createdBy !== ownerId) {
+            return { success: false, error: 'Only the group owner can transfer ownership.' };
+        }
+        if (!(group.members || []).includes(newOwnerId)) {
+            return { success: false, error: 'The new owner must be a member of the group.' };
+        }
+        await groupsRepo.update(groupId, {
+            createdBy: newOwnerId,
+            admins: arrayUnion(ownerId)
+        });
+        await logActivity({
+            groupId,
+            type: 'ownership_transferred',
+            summary: `${await displayName(ownerId)} → ${await displayName(newOwnerId)}`
+        });
+        return { success: true };
+    } catch (error) {
+        console.error('Error transferring ownership:', error);
+        return { success: false, error: error.message };
+    }
+}
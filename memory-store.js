@@ -0,0 +1,169 @@
+import { FIELD_OP } from './repository.js';
+
+// In-memory data store (see repository.js) for unit tests: no network, no
+// Firebase project. Queries follow Firestore's behaviour where the app
+// relies on it: filters and orderBy skip docs that lack the field.
+// Listeners from watch() hear about every write to their collection, after
+// the write has finished, like Firestore's snapshot listeners.
+//
+//   const store = createMemoryStore({
+//       userId: 'alice',
+//       docs: { groups: { trip: { name: 'Goa trip', members: ['alice'] } } }
+//   });
+//   useStore(store);
+
+const clone = (value) => structuredClone(value);
+
+function matches(data, [field, op, value]) {
+    const actual = data[field];
+    if (actual === undefined) return false;
+    switch (op) {
+        case '==': return isEqual(actual, value);
+        case '!=': return !isEqual(actual, value);
+        case '<': return actual < value;
+        case '<=': return actual <= value;
+        case '>': return actual > value;
+        case '>=': return actual >= value;
+        case 'array-contains': return Array.isArray(actual) && actual.some(item => isEqual(item, value));
+        case 'in': return value.some(item => isEqual(actual, item));
+        default: throw new Error(`Unsupported query operator: ${op}`);
+    }
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Apply update() changes, including repository field operations
+function applyChanges(data, changes) {
+    const result = { ...data };
+    Object.entries(changes).forEach(([field, value]) => {
+        const op = value && value[FIELD_OP];
+        const current = Array.isArray(result[field]) ? result[field] : [];
+        if (op === 'delete') {
+            delete result[field];
+        } else if (op === 'arrayUnion') {
+            result[field] = [...current, ...value.values.filter(v => !current.some(c => isEqual(c, v)))];
+        } else if (op === 'arrayRemove') {
+            result[field] = current.filter(c => !value.values.some(v => isEqual(c, v)));
+        } else if (op === 'serverTimestamp') {
+            result[field] = new Date();
+        } else {
+            result[field] = clone(value);
+        }
+    });
+    return result;
+}
+
+export function createMemoryStore({ docs = {}, userId = null } = {}) {
+    const collections = new Map();
+    const listeners = new Set();
+    let nextId = 1;
+
+    const docsOf = (collectionName) => {
+        if (!collections.has(collectionName)) collections.set(collectionName, new Map());
+        return collections.get(collectionName);
+    };
+
+    Object.entries(docs).forEach(([collectionName, byId]) => {
+        Object.entries(byId).forEach(([id, data]) => docsOf(collectionName).set(id, clone(data)));
+    });
+
+    const store = {
+        async get(collectionName, id) {
+            const data = docsOf(collectionName).get(id);
+            return data ? { id, ...clone(data) } : null;
+        },
+
+        async find(collectionName, filters = [], { orderBy = null, limit = 0 } = {}) {
+            let results = [...docsOf(collectionName)]
+                .filter(([, data]) => filters.every(filter => matches(data, filter)))
+                .map(([id, data]) => ({ id, ...clone(data) }));
+            if (orderBy) {
+                const [field, direction = 'asc'] = orderBy;
+                const sign = direction === 'desc' ? -1 : 1;
+                results = results
+                    .filter(d => d[field] !== undefined)
+                    .sort((a, b) => (a[field] === b[field] ? 0 : sign * (a[field] < b[field] ? -1 : 1)));
+            }
+            return limit ? results.slice(0, limit) : results;
+        },
+
+        async add(collectionName, data) {
+            const id = `${collectionName}-${nextId++}`;
+            docsOf(collectionName).set(id, applyChanges({}, data));
+            notify(collectionName);
+            return id;
+        },
+
+        async set(collectionName, id, data) {
+            docsOf(collectionName).set(id, applyChanges({}, data));
+            notify(collectionName);
+        },
+
+        async update(collectionName, id, changes) {
+            const data = docsOf(collectionName).get(id);
+            if (!data) throw new Error(`No document to update: ${collectionName}/${id}`);
+            docsOf(collectionName).set(id, applyChanges(data, changes));
+            notify(collectionName);
+        },
+
+        async remove(collectionName, id) {
+            docsOf(collectionName).delete(id);
+            notify(collectionName);
+        },
+
+        newId(collectionName) {
+            return `${collectionName}-${nextId++}`;
+        },
+
+        // Checked before anything is written, so a failed batch changes nothing
+        async batch(writes) {
+            writes.forEach(({ op, collection: collectionName, id }) => {
+                if (op === 'update' && !docsOf(collectionName).has(id)) {
+                    throw new Error(`No document to update: ${collectionName}/${id}`);
+                }
+            });
+            writes.forEach(({ op, collection: collectionName, id, data }) => {
+                const before = op === 'update' ? docsOf(collectionName).get(id) : {};
+                docsOf(collectionName).set(id, applyChanges(before, data));
+            });
+            new Set(writes.map(write => write.collection)).forEach(notify);
+        },
+
+        async createIfMissing(collectionName, id, data) {
+            if (docsOf(collectionName).has(id)) return false;
+            docsOf(collectionName).set(id, applyChanges({}, data));
+            notify(collectionName);
+            return true;
+        },
+
+        watch(collectionName, filters = [], options = {}, onChange, onError = () => {}) {
+            const listener = { collectionName, filters, options, onChange, onError };
+            listeners.add(listener);
+            report(listener);
+            return () => listeners.delete(listener);
+        },
+
+        currentUserId() {
+            return userId;
+        }
+    };
+
+    // Results reach listeners asynchronously, and not after they unsubscribe
+    function report(listener) {
+        store.find(listener.collectionName, listener.filters, listener.options)
+            .then(results => {
+                if (listeners.has(listener)) listener.onChange(results);
+            })
+            .catch(listener.onError);
+    }
+
+    function notify(collectionName) {
+        listeners.forEach(listener => {
+            if (listener.collectionName === collectionName) report(listener);
+        });
+    }
+
+    return store;
+}
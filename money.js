@@ -0,0 +1,138 @@
+// Money helpers. Amounts are stored and summed as integer paise
+// (1 rupee = 100 paise) so totals never pick up floating-point drift.
+// For groups with another base currency the same fields hold hundredths of
+// that currency (cents for USD, etc.); the currency code travels with the doc.
+//
+// Documents written before this change hold rupee floats in `amount` /
+// `splitAmounts`; the read helpers below convert them on the fly.
+
+export const DEFAULT_CURRENCY = 'INR';
+
+// Currencies the app can record. `decimals` only affects display.
+export const CURRENCIES = {
+    INR: { symbol: '₹', name: 'Indian Rupee', decimals: 2 },
+    USD: { symbol: '$', name: 'US Dollar', decimals: 2 },
+    EUR: { symbol: '€', name: 'Euro', decimals: 2 },
+    GBP: { symbol: '£', name: 'British Pound', decimals: 2 },
+    AED: { symbol: 'AED ', name: 'UAE Dirham', decimals: 2 },
+    SGD: { symbol: 'S$', name: 'Singapore Dollar', decimals: 2 },
+    THB: { symbol: '฿', name: 'Thai Baht', decimals: 2 },
+    LKR: { symbol: 'Rs ', name: 'Sri Lankan Rupee', decimals: 2 },
+    NPR: { symbol: 'NPR ', name: 'Nepalese Rupee', decimals: 2 },
+    JPY: { symbol: '¥', name: 'Japanese Yen', decimals: 0 }
+};
+
+// Convert a rupee value (number or form string) to integer paise
+export function toPaise(rupees) {
+    const value = typeof rupees === 'string' ? parseFloat(rupees) : Number(rupees);
+    if (!isFinite(value)) return 0;
+    return Math.round(value * 100);
+}
+
+// Convert integer paise back to rupees (for inputs and charts)
+export function fromPaise(paise) {
+    return (Number(paise) || 0) / 100;
+}
+
+// Format paise for display, e.g. 123456 -> "₹1234.56" (or "$1234.56" for USD)
+export function formatMoney(paise, currency = DEFAULT_CURRENCY) {
+    const value = Number(paise) || 0;
+    const sign = value < 0 ? '-' : '';
+    const { symbol, decimals } = CURRENCIES[currency] || { symbol: `${currency} `, decimals: 2 };
+    return `${sign}${symbol}${(Math.abs(value) / 100).toFixed(decimals)}`;
+}
+
+// Format per-currency totals ({ INR: 1000, USD: 250 }) as "₹10.00 + $2.50"
+export function formatMoneyTotals(totals) {
+    const parts = Object.entries(totals)
+        .filter(([, paise]) => paise !== 0)
+        .map(([currency, paise]) => formatMoney(paise, currency));
+    return parts.length > 0 ? parts.join(' + ') : formatMoney(0);
+}
+
+// Convert an amount at `rate` (base units per one unit of the paid currency)
+export function convertAmount(paise, rate) {
+    return Math.round((Number(paise) || 0) * (Number(rate) || 0));
+}
+
+// Split `totalPaise` across members in proportion to `weights` (memberId -> weight).
+//
+// Rounding rule (largest remainder): every member first gets the floor of their
+// exact share. The paise left over are then handed out one at a time to the
+// members with the largest fractional remainder; ties go to the member ID that
+// sorts first. The result always sums to exactly `totalPaise` and is the same
+// on every device for the same inputs.
+export function allocate(totalPaise, weights) {
+    const ids = Object.keys(weights);
+    const totalWeight = ids.reduce((sum, id) => sum + (Number(weights[id]) || 0), 0);
+    const result = {};
+    if (ids.length === 0 || totalWeight <= 0) return result;
+
+    const remainders = [];
+    let allocated = 0;
+    ids.forEach(id => {
+        const exact = totalPaise * (Number(weights[id]) || 0) / totalWeight;
+        const whole = Math.floor(exact);
+        result[id] = whole;
+        allocated += whole;
+        remainders.push({ id, fraction: exact - whole });
+    });
+
+    remainders.sort((a, b) => (b.fraction - a.fraction) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+    let leftover = totalPaise - allocated;
+    for (let i = 0; leftover > 0; i = (i + 1) % remainders.length, leftover--) {
+        result[remainders[i].id] += 1;
+    }
+    return result;
+}
+
+// Total of an expense in paise (handles legacy rupee docs)
+export function expenseAmountPaise(expense) {
+    if (Number.isInteger(expense?.amountPaise)) return expense.amountPaise;
+    return toPaise(expense?.amount);
+}
+
+// Per-member shares of an expense in paise (handles legacy rupee docs).
+// Legacy float shares such as 333.3333 are re-allocated against the total
+// so they still add up to the exact amount.
+export function expenseSplitPaise(expense) {
+    if (expense?.splitPaise) return { ...expense.splitPaise };
+    const legacy = expense?.splitAmounts || {};
+    if (Object.keys(legacy).length === 0) return {};
+    const weights = {};
+    Object.entries(legacy).forEach(([id, value]) => { weights[id] = Math.max(Number(value) || 0, 0); });
+    return allocate(expenseAmountPaise(expense), weights);
+}
+
+// Base currency an expense is accounted in (legacy docs are rupees)
+export function expenseCurrency(expense) {
+    return expense?.baseCurrency || DEFAULT_CURRENCY;
+}
+
+// Currency of a settlement doc (legacy docs are rupees)
+export function settlementCurrency(settlement) {
+    return settlement?.currency || DEFAULT_CURRENCY;
+}
+
+// "Paid $50.00 at 83.2" for expenses recorded in a foreign currency, else ''
+export function describeForeignAmount(expense) {
+    if (!expense?.currency || expense.currency === expenseCurrency(expense)) return '';
+    return `Paid ${formatMoney(expense.originalAmountPaise, expense.currency)} at ${expense.fxRate}`;
+}
+
+// Signed settlement amount in paise (handles legacy rupee docs)
+export function settlementAmountPaise(settlement) {
+    if (Number.isInteger(settlement?.amountPaise)) return settlement.amountPaise;
+    return toPaise(settlement?.amount);
+}
+
+// What is still owed on a settlement after its part payments (`paidPaise`)
+export function settlementRemainingPaise(settlement) {
+    return Math.max(0, Math.abs(settlementAmountPaise(settlement)) - (settlement?.paidPaise || 0));
+}
+
+// What the debtor can still mark paid: the remaining amount less part
+// payments waiting for the payee to confirm them (`claimedPartPaise`)
+export function settlementUnclaimedPaise(settlement) {
+    return Math.max(0, settlementRemainingPaise(settlement) - (settlement?.claimedPartPaise || 0));
+}
@@ -1,6 +1,9 @@
 // OCR Bill Scanner using Tesseract.js
 // Tesseract.js will be loaded via script tag in expenses.html
 
+import { prefillItemizedExpense, getGroupCurrency } from './expenses.js';
+import { formatMoney, toPaise } from './money.js';
+
 let ocrWorker = null;
 
 // Initialize OCR worker
@@ -70,16 +73,7 @@ export async function scanBill(imageFile) {
         const useButton = document.getElementById('useOcrData');
         
         if (resultsDiv) {
-            resultsDiv.innerHTML = `
-                <h4>Extracted Text:</h4>
-                <pre style="white-space: pre-wrap; font-size: 12px;">${text}</pre>
-                <h4>Parsed Data:</h4>
-                <div>
-                    <p><strong>Amount:</strong> ₹${parsedData.amount || 'Not found'}</p>
-                    <p><strong>Date:</strong> ${parsedData.date || 'Not found'}</p>
-                    <p><strong>Merchant:</strong> ${parsedData.merchant || 'Not found'}</p>
-                </div>
-            `;
+            renderResults(resultsDiv, text, parsedData, getGroupCurrency());
         }
         
         if (useButton) {
@@ -102,7 +96,11 @@ function parseBillText(text) {
     const parsed = {
         amount: null,
         date: null,
-        merchant: null
+        merchant: null,
+        items: [],
+        tax: 0,
+        serviceCharge: 0,
+        tip: 0
     };
     
     // Extract amount (look for currency patterns)
@@ -140,9 +138,96 @@ function parseBillText(text) {
         parsed.merchant = lines[0].trim();
     }
     
+    // Extract line items and tax / service / tip lines
+    parseBillLines(lines.slice(1), parsed);
+    
     return parsed;
 }
 
+// Lines that end in a price, e.g. "2 x Paneer Tikka   480.00"
+const PRICE_LINE = /^(.*?)[\s:₹]+(?:rs\.?\s*)?(\d{1,3}(?:,\d{3})*(?:\.\d{1,2})?|\d+(?:\.\d{1,2})?)\s*$/i;
+const TOTAL_LINE = /\b(total|subtotal|grand)\b/i;
+const TAX_LINE = /\b(tax|gst|cgst|sgst|igst|vat|cess)\b/i;
+const SERVICE_LINE = /\bservice\b/i;
+const TIP_LINE = /\b(tip|gratuity)\b/i;
+// Other summary lines that are not items
+const SKIP_LINE = /\b(amount|amt|net|round|cash|card|change|balance|paid|due|bill no|invoice|table|date|time)\b/i;
+
+// Sort priced lines into items, tax, service charge and tip
+function parseBillLines(lines, parsed) {
+    for (const line of lines) {
+        const match = line.trim().match(PRICE_LINE);
+        if (!match) continue;
+        const name = match[1].trim().replace(/[.\-:]+$/, '').trim();
+        const price = parseFloat(match[2].replace(/,/g, ''));
+        if (!name || !(price > 0)) continue;
+        
+        if (TOTAL_LINE.test(name)) {
+            continue;
+        } else if (TIP_LINE.test(name)) {
+            parsed.tip += price;
+        } else if (SERVICE_LINE.test(name)) {
+            parsed.serviceCharge += price;
+        } else if (TAX_LINE.test(name)) {
+            parsed.tax += price;
+        } else if (!SKIP_LINE.test(name) && /[a-z]/i.test(name)) {
+            parsed.items.push({ name, price });
+        }
+    }
+    // Round sums of decimal prices back to paise
+    parsed.tax = Math.round(parsed.tax * 100) / 100;
+    parsed.serviceCharge = Math.round(parsed.serviceCharge * 100) / 100;
+    parsed.tip = Math.round(parsed.tip * 100) / 100;
+}
+
+// Show the parsed line items under the OCR results
+// Show the extracted text and what was parsed from it. Everything the bill
+// says is set as text, never markup; amounts are in `currency` (the group's).
+function renderResults(resultsDiv, text, parsedData, currency) {
+    const money = (amount) => formatMoney(toPaise(amount), currency);
+    const heading = (label) => {
+        const h4 = document.createElement('h4');
+        h4.textContent = label;
+        return h4;
+    };
+    const field = (label, value) => {
+        const p = document.createElement('p');
+        const strong = document.createElement('strong');
+        strong.textContent = `${label}:`;
+        p.append(strong, ` ${value}`);
+        return p;
+    };
+
+    const pre = document.createElement('pre');
+    pre.style.whiteSpace = 'pre-wrap';
+    pre.style.fontSize = '12px';
+    pre.textContent = text;
+
+    const parsed = document.createElement('div');
+    parsed.append(
+        field('Amount', parsedData.amount ? money(parsedData.amount) : 'Not found'),
+        field('Date', parsedData.date || 'Not found'),
+        field('Merchant', parsedData.merchant || 'Not found')
+    );
+    if (parsedData.items.length > 0) {
+        const list = document.createElement('ul');
+        for (const item of parsedData.items) {
+            const li = document.createElement('li');
+            li.textContent = `${item.name}: ${money(item.price)}`;
+            list.appendChild(li);
+        }
+        parsed.append(
+            field('Items', ''),
+            list,
+            field('Tax', money(parsedData.tax)),
+            field('Service', money(parsedData.serviceCharge)),
+            field('Tip', money(parsedData.tip))
+        );
+    }
+
+    resultsDiv.replaceChildren(heading('Extracted Text:'), pre, heading('Parsed Data:'), parsed);
+}
+
 // Use OCR data to fill expense form
 function useOCRData(parsedData) {
     // Close OCR modal
@@ -151,6 +236,12 @@ function useOCRData(parsedData) {
         ocrModal.classList.remove('show');
     }
     
+    // Bills with line items become an itemized expense
+    if (parsedData.items.length > 0) {
+        prefillItemizedExpense(parsedData);
+        return;
+    }
+    
     // Open add expense modal
     const addExpenseModal = document.getElementById('addExpenseModal');
     if (addExpenseModal) {
@@ -0,0 +1,93 @@
+import { db, auth } from './firebase-config.js';
+import { enableMultiTabIndexedDbPersistence } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+import { onAuthStateChanged } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js';
+import { isOnline, getQueuedExpenses, watchOutbox } from './outbox.js';
+import { syncQueuedExpenses } from './expense-service.js';
+
+// Offline support, loaded on every page right after firebase-config.js:
+// - the service worker (service-worker.js) caches the app shell
+// - Firestore keeps a local copy of the data the app has read (offline
+//   persistence), so pages load and listeners run without a connection
+// - expenses added offline wait in the outbox (outbox.js) and are saved
+//   when the connection comes back
+// - a banner shows the connection state and what is waiting to sync
+
+// Must run before anything else uses Firestore. It fails in private windows
+// and older browsers; the app then works online only.
+enableMultiTabIndexedDbPersistence(db).catch(error => {
+    console.warn('Offline data is not available in this browser:', error.code || error);
+});
+
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('service-worker.js').catch(error => {
+            console.error('Error registering the service worker:', error);
+        });
+    });
+}
+
+let syncing = false;
+
+// Save what was queued offline, then report how it went
+async function syncOutbox() {
+    const user = auth.currentUser;
+    if (!user || syncing || !isOnline()) return;
+    syncing = true;
+    renderConnectionBanner();
+    try {
+        const { synced, conflicts } = await syncQueuedExpenses(user.uid);
+        const messages = [];
+        if (synced > 0) {
+            messages.push(`${synced} expense${synced === 1 ? '' : 's'} added while offline ${synced === 1 ? 'was' : 'were'} saved.`);
+        }
+        if (conflicts > 0) {
+            messages.push(`${conflicts} could not be saved. Review ${conflicts === 1 ? 'it' : 'them'} on the Expenses page.`);
+        }
+        if (messages.length > 0) alert(messages.join(' '));
+    } catch (error) {
+        console.error('Error syncing offline expenses:', error);
+    } finally {
+        syncing = false;
+        renderConnectionBanner();
+    }
+}
+
+// Banner at the top of the page: offline, syncing, or queued expenses with conflicts
+function renderConnectionBanner() {
+    let banner = document.getElementById('connectionBanner');
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = 'connectionBanner';
+        banner.className = 'connection-banner';
+        document.body.prepend(banner);
+    }
+    const user = auth.currentUser;
+    const queued = user ? getQueuedExpenses(user.uid) : [];
+    const waiting = queued.filter(entry => entry.status !== 'conflict').length;
+    const conflicts = queued.length - waiting;
+    const waitingText = waiting > 0 ? ` ${waiting} expense${waiting === 1 ? '' : 's'} waiting to sync.` : '';
+
+    let html = '';
+    if (!isOnline()) {
+        html = `<i class="fas fa-wifi"></i> You're offline. New expenses are kept on this device and saved when you reconnect.${waitingText}`;
+    } else if (syncing && waiting > 0) {
+        html = `<i class="fas fa-sync fa-spin"></i> Syncing ${waiting} expense${waiting === 1 ? '' : 's'} added offline…`;
+    }
+    if (conflicts > 0) {
+        html += `${html ? '<br>' : ''}<i class="fas fa-exclamation-triangle"></i> ${conflicts} expense${conflicts === 1 ? '' : 's'} added offline could not be saved. <a href="expenses.html">Review</a>`;
+    }
+    banner.innerHTML = html;
+    banner.classList.toggle('show', html !== '');
+    banner.classList.toggle('offline', !isOnline());
+}
+
+window.addEventListener('online', () => {
+    renderConnectionBanner();
+    syncOutbox();
+});
+window.addEventListener('offline', renderConnectionBanner);
+watchOutbox(renderConnectionBanner);
+onAuthStateChanged(auth, () => {
+    renderConnectionBanner();
+    syncOutbox();
+});
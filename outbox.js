@@ -0,0 +1,119 @@
+// Outbox for expenses added while offline. addExpense (expense-service.js)
+// queues them here instead of failing, and syncQueuedExpenses saves them once
+// the app is back online. Entries live in localStorage so they survive a
+// closed tab:
+//   { id, userId, data, options: { repeat, repeatEnd }, queuedAt,
+//     status: 'pending' | 'syncing' | 'conflict', error, syncingSince }
+// An entry that the server-side checks reject on sync (the group was archived,
+// a member left, ...) stays as a 'conflict' until the user retries or discards it.
+
+const STORAGE_KEY = 'splitez.outbox';
+
+// A sync that hasn't finished by then (tab closed mid-sync) may be retried
+const SYNC_TIMEOUT_MS = 60 * 1000;
+
+let storage = globalThis.localStorage || null;
+const listeners = new Set();
+
+// Plug in a Web Storage-like object ({ getItem, setItem }); tests use one in memory
+export function useOutboxStorage(nextStorage) {
+    storage = nextStorage;
+}
+
+function readEntries() {
+    if (!storage) return [];
+    try {
+        return JSON.parse(storage.getItem(STORAGE_KEY) || '[]');
+    } catch (error) {
+        console.error('Error reading the outbox:', error);
+        return [];
+    }
+}
+
+function writeEntries(entries) {
+    if (!storage) throw new Error('Offline storage is not available.');
+    storage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    notify();
+}
+
+function notify() {
+    listeners.forEach(listener => listener());
+}
+
+// Another tab changed the outbox
+if (globalThis.addEventListener) {
+    globalThis.addEventListener('storage', (e) => {
+        if (e.key === STORAGE_KEY) notify();
+    });
+}
+
+// Whether the browser thinks it has a connection (always true outside one)
+export function isOnline() {
+    return !globalThis.navigator || globalThis.navigator.onLine !== false;
+}
+
+// Queue an expense for `userId`; returns the entry
+export function queueExpense(userId, data, { repeat = '', repeatEnd = '' } = {}) {
+    const entry = {
+        id: `queued-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        userId: userId,
+        data: data,
+        options: { repeat, repeatEnd },
+        queuedAt: new Date().toISOString(),
+        status: 'pending',
+        error: ''
+    };
+    writeEntries([...readEntries(), entry]);
+    return entry;
+}
+
+// The user's queued expenses, oldest first
+export function getQueuedExpenses(userId) {
+    return readEntries().filter(entry => entry.userId === userId);
+}
+
+// Claim the user's entries that are due for syncing, so another tab skips them
+export function claimQueuedExpenses(userId, now = Date.now()) {
+    const claimed = [];
+    const entries = readEntries().map(entry => {
+        const stale = entry.status === 'syncing' && now - new Date(entry.syncingSince).getTime() > SYNC_TIMEOUT_MS;
+        if (entry.userId !== userId || !(entry.status === 'pending' || stale)) return entry;
+        const next = { ...entry, status: 'syncing', syncingSince: new Date(now).toISOString() };
+        claimed.push(next);
+        return next;
+    });
+    if (claimed.length > 0) writeEntries(entries);
+    return claimed;
+}
+
+// Record how a sync attempt went: saved entries leave the outbox, rejected
+// ones become conflicts, and `error: null` puts an entry back in the queue
+export function settleQueuedExpense(entryId, { saved = false, error = null } = {}) {
+    const entries = readEntries();
+    if (saved) {
+        writeEntries(entries.filter(entry => entry.id !== entryId));
+        return;
+    }
+    writeEntries(entries.map(entry => entry.id !== entryId ? entry : {
+        ...entry,
+        status: error ? 'conflict' : 'pending',
+        error: error || '',
+        syncingSince: null
+    }));
+}
+
+// Queue a conflicting entry again (after the user fixed the cause)
+export function retryQueuedExpense(entryId) {
+    settleQueuedExpense(entryId);
+}
+
+export function discardQueuedExpense(entryId) {
+    writeEntries(readEntries().filter(entry => entry.id !== entryId));
+}
+
+// Call `onChange` whenever the outbox changes, in this tab or another.
+// Returns a function that stops listening.
+export function watchOutbox(onChange) {
+    listeners.add(onChange);
+    return () => listeners.delete(onChange);
+}
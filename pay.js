@@ -0,0 +1,143 @@
+import { checkAuth } from './auth.js';
+import { usersRepo, settlementsRepo } from './repository.js';
+import { formatMoney, settlementAmountPaise, settlementRemainingPaise, settlementCurrency } from './money.js';
+import { isOpenSettlement } from './balances.js';
+import { describeSettlementState } from './ledger.js';
+import { openSettleDialog } from './settle-dialog.js';
+import { getPaymentLink, paymentLinkUrl, buildShareMessages } from './payment-links.js';
+
+// The page a pay link opens (see payment-links.js): who is asked to pay
+// what, buttons to share the request, and for the signed-in debtor the
+// settle dialog. Figures come from the settlement itself once signed in.
+
+let currentUser = null;
+let link = null;
+
+async function initPayPage() {
+    const code = new URLSearchParams(window.location.search).get('code');
+    try {
+        link = await getPaymentLink(code);
+    } catch (error) {
+        console.error('Error loading pay link:', error);
+    }
+    if (!link) {
+        showError('This pay link is invalid or was removed. Ask for a new one.');
+        return;
+    }
+
+    currentUser = await checkAuth();
+    renderShare();
+    await renderRequest();
+}
+
+function showError(message) {
+    const error = document.getElementById('payError');
+    error.textContent = message;
+    error.style.display = 'block';
+}
+
+function addAction(className, html, onclick) {
+    const button = document.createElement('button');
+    button.className = `btn ${className}`;
+    button.style.width = 'auto';
+    button.innerHTML = html;
+    button.onclick = onclick;
+    document.getElementById('payActions').appendChild(button);
+}
+
+// The request as the link recorded it, then as the settlement stands now
+async function renderRequest() {
+    const payeeName = link.payeeName || 'A group member';
+    document.getElementById('payRequest').style.display = 'block';
+    document.getElementById('payWho').textContent = `${payeeName} asks for`;
+    document.getElementById('payAmount').textContent = formatMoney(link.amountPaise, link.currency);
+    document.getElementById('payDescription').textContent = link.description ? `for "${link.description}"` : '';
+    const state = document.getElementById('payState');
+    const actions = document.getElementById('payActions');
+    state.textContent = '';
+    state.className = 'settlement-state';
+    actions.innerHTML = '';
+
+    if (!currentUser) {
+        state.textContent = 'Sign in to SplitEZ to pay this or mark it paid.';
+        addAction('btn-primary', '<i class="fas fa-sign-in-alt"></i> Sign in to Pay', () => {
+            // Come back here after signing in (see requireAuth in auth.js)
+            sessionStorage.setItem('redirectAfterLogin', window.location.href);
+            window.location.href = 'index.html';
+        });
+        return;
+    }
+
+    let settlement = null;
+    try {
+        settlement = await settlementsRepo.get(link.settlementId);
+    } catch (error) {
+        // Only the group's members can read its settlements
+        console.error('Error loading settlement:', error);
+    }
+    if (!settlement) {
+        state.textContent = 'This payment belongs to a group you are not a member of.';
+        return;
+    }
+
+    const isDebtor = settlement.userId === currentUser.uid;
+    const isPayee = settlement.owedTo === currentUser.uid;
+    const debtor = isDebtor ? null : await usersRepo.get(settlement.userId);
+    document.getElementById('payWho').textContent = isPayee
+        ? `You asked ${debtor?.name || 'a member'} for`
+        : `${payeeName} asks ${isDebtor ? 'you' : (debtor?.name || 'a member')} for`;
+    const currency = settlementCurrency(settlement);
+    document.getElementById('payAmount').textContent = formatMoney(settlementRemainingPaise(settlement), currency);
+    document.getElementById('payDescription').textContent = [
+        link.description ? `for "${link.description}"` : '',
+        settlement.paidPaise && settlement.status !== 'paid'
+            ? `(${formatMoney(settlement.paidPaise, currency)} of ${formatMoney(Math.abs(settlementAmountPaise(settlement)), currency)} already paid)`
+            : ''
+    ].filter(Boolean).join(' ');
+
+    if (settlement.status === 'paid') {
+        state.textContent = `Paid${settlement.paidAt ? ` on ${new Date(settlement.paidAt).toLocaleDateString()}` : ''}. Nothing left to do.`;
+        return;
+    }
+    if (!isOpenSettlement(settlement)) {
+        state.textContent = 'This request was cancelled because its expense changed.';
+        return;
+    }
+    state.className = `settlement-state ${settlement.status}`;
+    state.textContent = describeSettlementState(settlement, isPayee ? 'you' : payeeName);
+
+    if (isDebtor) {
+        addAction('btn-primary', settlement.status === 'claimed' ? 'Payment Details' : 'Pay Now', async () => {
+            try {
+                const result = await openSettleDialog(settlement, currentUser.uid);
+                if (result) await renderRequest();
+            } catch (error) {
+                console.error('Error settling payment:', error);
+                alert('Error settling payment: ' + error.message);
+            }
+        });
+    } else if (isPayee && settlement.status === 'claimed') {
+        addAction('btn-success', 'Confirm on Dashboard', () => {
+            window.location.href = 'dashboard.html';
+        });
+    }
+}
+
+function renderShare() {
+    const url = paymentLinkUrl(link.id);
+    const share = buildShareMessages(link, url);
+    document.getElementById('payShare').style.display = 'block';
+    document.getElementById('payShareWhatsapp').href = share.whatsapp;
+    document.getElementById('payShareEmail').href = share.email;
+    document.getElementById('payShareCopy').onclick = async () => {
+        try {
+            await navigator.clipboard.writeText(url);
+            alert('Pay link copied.');
+        } catch (error) {
+            // Clipboard access can be blocked; let the user copy it by hand
+            prompt('Copy this pay link:', url);
+        }
+    };
+}
+
+initPayPage();
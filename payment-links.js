@@ -0,0 +1,88 @@
+import { usersRepo, settlementsRepo, paymentLinksRepo } from './repository.js';
+import { formatMoney, settlementRemainingPaise, settlementCurrency } from './money.js';
+import { isOpenSettlement } from './balances.js';
+
+// Shareable pay links (pay.html), one doc per link in `paymentLinks`:
+//   { settlementId, groupId, userId (debtor), owedTo, amountPaise, currency,
+//     description, payeeName, createdBy, createdAt }
+// `amountPaise` is what was left to pay when the link was made.
+// A random code is the doc's ID and the secret in the link. Anyone holding
+// the link can read its doc, so the page can say who is asked to pay what
+// before they sign in; the rules check that those figures match the
+// settlement. Signed in, the page reads the settlement itself, and its
+// debtor can pay it there.
+
+const CODE_ALPHABET = 'abcdefghijkmnpqrstuvwxyz23456789';
+const CODE_LENGTH = 24;
+
+function generateCode() {
+    const bytes = crypto.getRandomValues(new Uint8Array(CODE_LENGTH));
+    return Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+}
+
+export function isPaymentLinkCode(code) {
+    return new RegExp(`^[${CODE_ALPHABET}]{${CODE_LENGTH}}$`).test(code || '');
+}
+
+// The page that opens a pay link
+export function paymentLinkUrl(code, base = window.location.href) {
+    return new URL(`pay.html?code=${code}`, base).href;
+}
+
+// A pay link for an unpaid settlement, for either of its members to share.
+// A link `userId` made earlier for the amount now left is reused.
+// Returns the link's code.
+export async function createPaymentLink(settlementId, userId) {
+    const settlement = await settlementsRepo.get(settlementId);
+    if (!settlement) throw new Error('Settlement not found');
+    if (settlement.userId !== userId && settlement.owedTo !== userId) {
+        throw new Error('Only the members of this settlement can share a pay link for it.');
+    }
+    if (settlement.userId === settlement.owedTo || !isOpenSettlement(settlement)) {
+        throw new Error('There is nothing left to pay on this settlement.');
+    }
+
+    const links = await paymentLinksRepo.find([
+        ['groupId', '==', settlement.groupId],
+        ['settlementId', '==', settlementId]
+    ]);
+    const amountPaise = settlementRemainingPaise(settlement);
+    const existing = links.find(link => link.createdBy === userId && link.amountPaise === amountPaise);
+    if (existing) return existing.id;
+
+    const payee = await usersRepo.get(settlement.owedTo);
+    const code = generateCode();
+    await paymentLinksRepo.set(code, {
+        settlementId: settlementId,
+        groupId: settlement.groupId,
+        userId: settlement.userId,
+        owedTo: settlement.owedTo,
+        amountPaise: amountPaise,
+        currency: settlementCurrency(settlement),
+        description: settlement.description || '',
+        payeeName: payee?.name || '',
+        createdBy: userId,
+        createdAt: new Date().toISOString()
+    });
+    return code;
+}
+
+// The link doc for `code`, or null when there is none
+export async function getPaymentLink(code) {
+    if (!isPaymentLinkCode(code)) return null;
+    const link = await paymentLinksRepo.get(code);
+    return link ? { id: code, ...link } : null;
+}
+
+// Message and WhatsApp/email URLs for sharing a pay link
+export function buildShareMessages(link, url) {
+    const amount = formatMoney(link.amountPaise, link.currency);
+    const what = link.description ? ` for "${link.description}"` : '';
+    const text = `Hi! Please pay ${link.payeeName || 'me'} ${amount}${what} on SplitEZ: ${url}`;
+    const subject = `Payment request: ${amount}${what}`;
+    return {
+        text,
+        whatsapp: `https://wa.me/?text=${encodeURIComponent(text)}`,
+        email: `mailto:?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(text)}`
+    };
+}
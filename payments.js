@@ -1,95 +1,112 @@
+import { auth } from './firebase-config.js';
+import { getFunctions, httpsCallable } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-functions.js';
+import { DEFAULT_CURRENCY, formatMoney } from './money.js';
+
 // Razorpay Payment Integration
-// Note: This is a simplified implementation. For production, use Razorpay's official SDK
+// Orders are created and payments verified by the Cloud Functions in
+// functions/ (createRazorpayOrder, verifyRazorpayPayment), which also mark
+// the settlement paid. The browser only runs Razorpay checkout in between.
 
-export async function initiatePayment(amount, description, userId, settlementId) {
-    try {
-        // In a real implementation, you would:
-        // 1. Create a payment order on your backend
-        // 2. Initialize Razorpay checkout
-        // 3. Handle payment success/failure callbacks
-        
-        // For demo purposes, we'll simulate payment
-        const paymentData = {
-            amount: amount * 100, // Convert to paise
-            currency: 'INR',
-            description: description,
-            userId: userId,
-            settlementId: settlementId
-        };
-        
-        // Simulate Razorpay checkout
-        // Replace this with actual Razorpay integration
-        const options = {
-            key: 'YOUR_RAZORPAY_KEY_ID', // Replace with your Razorpay key
-            amount: paymentData.amount,
-            currency: paymentData.currency,
-            name: 'SplitEZ',
-            description: paymentData.description,
-            handler: async function(response) {
-                await handlePaymentSuccess(response, settlementId);
-            },
-            prefill: {
-                email: '', // Get from user data
-                contact: '' // Get from user data
-            },
-            theme: {
-                color: '#6366f1'
+const CHECKOUT_SCRIPT = 'https://checkout.razorpay.com/v1/checkout.js';
+
+// Load Razorpay checkout dynamically
+function loadRazorpayCheckout() {
+    return new Promise((resolve, reject) => {
+        if (typeof Razorpay !== 'undefined') {
+            resolve();
+            return;
+        }
+        const script = document.createElement('script');
+        script.src = CHECKOUT_SCRIPT;
+        script.async = true;
+        script.onload = () => {
+            if (typeof Razorpay === 'undefined') {
+                reject(new Error('Razorpay checkout failed to load'));
+            } else {
+                resolve();
             }
         };
-        
-        // For demo: show confirmation dialog
-        const confirmed = confirm(`Pay ₹${amount.toFixed(2)} for ${description}?`);
-        if (confirmed) {
-            // Simulate successful payment
-            await handlePaymentSuccess({
-                razorpay_payment_id: 'demo_payment_' + Date.now(),
-                razorpay_order_id: 'demo_order_' + Date.now(),
-                razorpay_signature: 'demo_signature'
-            }, settlementId);
+        script.onerror = () => reject(new Error('Could not load Razorpay checkout. Check your connection.'));
+        document.head.appendChild(script);
+    });
+}
+
+function callFunction(name, data) {
+    return httpsCallable(getFunctions(auth.app), name)(data).then(result => result.data);
+}
+
+// `amount` is in paise (hundredths of `currency`) and is only shown to the
+// user: the order is always for what the settlement says is owed.
+// Resolves to true once the settlement is marked paid. Nothing is reloaded:
+// pages that list settlements follow them with listeners.
+export async function initiatePayment(amount, description, userId, settlementId, currency = DEFAULT_CURRENCY) {
+    try {
+        await loadRazorpayCheckout();
+        const order = await callFunction('createRazorpayOrder', { settlementId });
+        if (order.amount !== amount) {
+            const proceed = confirm(`This settlement is now ${formatMoney(order.amount, order.currency)}. Pay that amount?`);
+            if (!proceed) return false;
         }
-        
-        // In production, uncomment this:
-        // const razorpay = new Razorpay(options);
-        // razorpay.open();
-        
+
+        // Checkout's outcome: its response after a payment, or null when closed
+        const response = await new Promise((resolve) => {
+            const razorpay = new Razorpay({
+                key: order.keyId,
+                order_id: order.orderId,
+                amount: order.amount,
+                currency: order.currency,
+                name: 'SplitEZ',
+                description: description || order.description,
+                handler: resolve,
+                prefill: {
+                    email: auth.currentUser?.email || ''
+                },
+                notes: {
+                    settlementId: settlementId
+                },
+                theme: {
+                    color: '#6366f1'
+                },
+                modal: {
+                    ondismiss: () => resolve(null)
+                }
+            });
+            // Failed attempts are shown in checkout, which lets the user try again
+            razorpay.on('payment.failed', (failure) => {
+                console.warn('Razorpay payment failed:', failure.error?.description);
+            });
+            razorpay.open();
+        });
+        if (!response) return false;
+
+        return await handlePaymentSuccess(response, settlementId, userId);
     } catch (error) {
         console.error('Payment error:', error);
         alert('Payment failed: ' + error.message);
+        return false;
     }
 }
 
-async function handlePaymentSuccess(response, settlementId) {
+async function handlePaymentSuccess(response, settlementId, userId) {
     try {
-        // Update settlement status in Firestore
-        const { db } = await import('./firebase-config.js');
-        const { doc, updateDoc } = await import('https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js');
-        
-        await updateDoc(doc(db, 'settlements', settlementId), {
-            status: 'paid',
-            paidAt: new Date().toISOString(),
-            paymentId: response.razorpay_payment_id
+        // The server checks the signature and marks the settlement paid
+        await callFunction('verifyRazorpayPayment', {
+            settlementId: settlementId,
+            orderId: response.razorpay_order_id,
+            paymentId: response.razorpay_payment_id,
+            signature: response.razorpay_signature
         });
         
         // Award XP for settling payment
         const { awardXP } = await import('./analytics.js');
-        const { requireAuth } = await import('./auth.js');
-        const user = await requireAuth();
-        if (user) {
-            await awardXP(user.uid, 20); // 20 XP for settling payment
-        }
+        await awardXP(userId, 20); // 20 XP for settling payment
         
         alert('Payment successful!');
-        window.location.reload();
+        return true;
     } catch (error) {
-        console.error('Error updating payment status:', error);
-        alert('Payment successful but failed to update status. Please contact support.');
+        // Razorpay's webhook still marks the settlement paid once the payment is captured
+        console.error('Error verifying payment:', error);
+        alert(`Payment received (ID ${response.razorpay_payment_id}) but it could not be confirmed yet: ${error.message}. It will show as paid once Razorpay confirms it.`);
+        return false;
     }
 }
-
-export function createPaymentLink(amount, description, settlementId) {
-    // Create a payment link (for sharing via WhatsApp/Email)
-    const baseUrl = window.location.origin;
-    return `${baseUrl}/pay?settlement=${settlementId}&amount=${amount}&desc=${encodeURIComponent(description)}`;
-}
-
-
@@ -0,0 +1,124 @@
+import {
+    requireAuth,
+    getUserData,
+    syncAccountProfile,
+    resendVerificationEmail,
+    changeEmail,
+    changePassword
+} from './auth.js';
+import { usersRepo, deleteField } from './repository.js';
+import { isValidVpa, normaliseVpa } from './upi.js';
+
+let currentUser = null;
+
+// Initialize profile page
+async function initProfile() {
+    currentUser = await requireAuth();
+    if (!currentUser) return;
+
+    const userData = await getUserData(currentUser.uid);
+    // Pick up a confirmed email change or verification before showing them
+    currentUser = await syncAccountProfile(currentUser, userData);
+
+    document.getElementById('profileName').value = userData?.name || '';
+    document.getElementById('upiId').value = userData?.upiId || '';
+    renderEmailStatus();
+    setupForms();
+}
+
+// Show the email address and whether it is verified
+function renderEmailStatus() {
+    document.getElementById('profileEmail').textContent = currentUser.email || '';
+    const status = document.getElementById('profileVerification');
+    const resendButton = document.getElementById('resendVerificationBtn');
+    if (currentUser.emailVerified) {
+        status.innerHTML = '<span style="color: var(--success-color);"><i class="fas fa-check-circle"></i> Verified</span>';
+        resendButton.style.display = 'none';
+    } else {
+        status.innerHTML = '<span style="color: var(--danger-color);"><i class="fas fa-exclamation-circle"></i> Not verified: others can add you to groups once you click the link we emailed you.</span>';
+        resendButton.style.display = 'inline-block';
+    }
+}
+
+// Show a result under a form: `prefix` names the error/message pair
+function showResult(prefix, result, successText) {
+    const errorDiv = document.getElementById(`${prefix}Error`);
+    const messageDiv = document.getElementById(`${prefix}Message`);
+    errorDiv.classList.remove('show');
+    messageDiv.classList.remove('show');
+    if (result.success) {
+        messageDiv.textContent = successText;
+        messageDiv.classList.add('show');
+    } else {
+        errorDiv.textContent = result.error;
+        errorDiv.classList.add('show');
+    }
+}
+
+function setupForms() {
+    document.getElementById('profileNameForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const name = document.getElementById('profileName').value.trim();
+        if (!name) {
+            showResult('account', { success: false, error: 'Name cannot be empty.' });
+            return;
+        }
+        try {
+            await usersRepo.update(currentUser.uid, { name });
+            showResult('account', { success: true }, 'Name saved.');
+        } catch (error) {
+            console.error('Error saving name:', error);
+            showResult('account', { success: false, error: 'Could not save your name. Please try again.' });
+        }
+    });
+
+    document.getElementById('upiForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const upiId = normaliseVpa(document.getElementById('upiId').value);
+        if (upiId && !isValidVpa(upiId)) {
+            showResult('upi', { success: false, error: 'Enter a UPI ID such as name@okbank.' });
+            return;
+        }
+        try {
+            await usersRepo.update(currentUser.uid, { upiId: upiId || deleteField() });
+            document.getElementById('upiId').value = upiId;
+            showResult('upi', { success: true }, upiId ? 'UPI ID saved.' : 'UPI ID removed.');
+        } catch (error) {
+            console.error('Error saving UPI ID:', error);
+            showResult('upi', { success: false, error: 'Could not save your UPI ID. Please try again.' });
+        }
+    });
+
+    document.getElementById('resendVerificationBtn').addEventListener('click', async () => {
+        const result = await resendVerificationEmail();
+        showResult('account', result, `Verification email sent to ${currentUser.email}.`);
+    });
+
+    document.getElementById('changeEmailForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const newEmail = document.getElementById('newEmail').value;
+        const password = document.getElementById('emailCurrentPassword').value;
+        const result = await changeEmail(password, newEmail);
+        showResult('email', result, `We sent a confirmation link to ${newEmail.trim().toLowerCase()}. Your email changes once you click it.`);
+        if (result.success) document.getElementById('changeEmailForm').reset();
+    });
+
+    document.getElementById('changePasswordForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const currentPassword = document.getElementById('currentPassword').value;
+        const newPassword = document.getElementById('newPassword').value;
+        const confirmPassword = document.getElementById('confirmPassword').value;
+        if (newPassword !== confirmPassword) {
+            showResult('password', { success: false, error: 'New passwords do not match.' });
+            return;
+        }
+        const result = await changePassword(currentPassword, newPassword);
+        showResult('password', result, 'Password changed.');
+        if (result.success) document.getElementById('changePasswordForm').reset();
+    });
+}
+
+// Initialize on page load
+if (document.getElementById('changePasswordForm')) {
+    initProfile();
+}
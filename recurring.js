@@ -0,0 +1,200 @@
+import { expensesRepo, recurringRepo } from './repository.js';
+import { calculateSettlements } from './analytics.js';
+import { DEFAULT_CURRENCY, formatMoney } from './money.js';
+import { logActivity } from './activity.js';
+import { getUserGroups } from './archive.js';
+
+export const FREQUENCIES = {
+    weekly: 'Weekly',
+    monthly: 'Monthly',
+    yearly: 'Yearly'
+};
+
+// Stop runaway catch-up for templates started far in the past
+const MAX_OCCURRENCES = 1000;
+
+// Today's date as YYYY-MM-DD in local time (matches the date input)
+export function todayString() {
+    const now = new Date();
+    return formatDate(now.getFullYear(), now.getMonth(), now.getDate());
+}
+
+function formatDate(year, monthIndex, day) {
+    const d = new Date(Date.UTC(year, monthIndex, day));
+    return d.toISOString().split('T')[0];
+}
+
+// Date of the n-th occurrence (n = 0 is the start date). Monthly and yearly
+// occurrences keep the start day, clamped to the month's last day (31st -> 30th).
+function occurrenceDate(startDate, frequency, n) {
+    const [year, month, day] = startDate.split('-').map(Number);
+    if (frequency === 'weekly') {
+        return formatDate(year, month - 1, day + 7 * n);
+    }
+    const monthsAhead = frequency === 'yearly' ? 12 * n : n;
+    const monthIndex = month - 1 + monthsAhead;
+    const targetYear = year + Math.floor(monthIndex / 12);
+    const targetMonth = monthIndex % 12;
+    const lastDay = new Date(Date.UTC(targetYear, targetMonth + 1, 0)).getUTCDate();
+    return formatDate(targetYear, targetMonth, Math.min(day, lastDay));
+}
+
+// Key identifying the period an occurrence belongs to
+function periodKey(frequency, date) {
+    if (frequency === 'monthly') return date.slice(0, 7);
+    if (frequency === 'yearly') return date.slice(0, 4);
+    return date;
+}
+
+// Occurrences of a template that are due on or before `today` and not yet
+// generated. Returns [{ date, period }] in date order.
+export function getDueOccurrences(template, today) {
+    const due = [];
+    if (template.paused || !template.startDate || !FREQUENCIES[template.frequency]) return due;
+
+    for (let n = 0; n < MAX_OCCURRENCES; n++) {
+        const date = occurrenceDate(template.startDate, template.frequency, n);
+        if (date > today || (template.endDate && date > template.endDate)) break;
+        if (template.lastGeneratedDate && date <= template.lastGeneratedDate) continue;
+        // Occurrences that fell due while the template was paused are skipped
+        if (template.resumedAt && date < template.resumedAt) continue;
+        due.push({ date, period: periodKey(template.frequency, date) });
+    }
+    return due;
+}
+
+// Create a recurring template and any instances already due. With
+// `templateId` (an outbox entry's, see expense-service.js) it is written under
+// that ID unless a template is already there. Returns { templateId, isNew }.
+export async function createRecurringTemplate(data, templateId = null) {
+    const template = {
+        groupId: data.groupId,
+        groupName: data.groupName,
+        description: data.description,
+        amountPaise: data.amountPaise,
+        baseCurrency: data.baseCurrency,
+        currency: data.currency,
+        originalAmountPaise: data.originalAmountPaise,
+        fxRate: data.fxRate,
+        paidBy: data.paidBy,
+        splitType: data.splitType,
+        splitMembers: data.splitMembers,
+        splitPaise: data.splitPaise,
+        splitInputs: data.splitInputs || {},
+        frequency: data.frequency,
+        startDate: data.startDate,
+        endDate: data.endDate || '',
+        paused: false,
+        lastGeneratedDate: '',
+        createdBy: data.createdBy,
+        createdAt: new Date().toISOString()
+    };
+    if (!templateId) {
+        templateId = await recurringRepo.add(template);
+    } else if (!await recurringRepo.createIfMissing(templateId, template)) {
+        return { templateId, isNew: false };
+    }
+    await logActivity({
+        groupId: template.groupId,
+        type: 'recurring_created',
+        summary: `"${template.description}" · ${formatMoney(template.amountPaise, template.baseCurrency)}, ${FREQUENCIES[template.frequency].toLowerCase()} from ${template.startDate}`
+    });
+    await generateDueInstances(templateId, template);
+    return { templateId, isNew: true };
+}
+
+// Write the expense for each due occurrence of one template.
+// The expense ID is derived from template + period, and each write is an
+// atomic create-if-missing, so members opening the app at the same time never
+// create the same period twice.
+async function generateDueInstances(templateId, template) {
+    const due = getDueOccurrences(template, todayString());
+    if (due.length === 0) return 0;
+
+    let created = 0;
+    for (const { date, period } of due) {
+        const expenseId = `recurring_${templateId}_${period}`;
+        const expenseData = {
+            groupId: template.groupId,
+            groupName: template.groupName,
+            description: template.description,
+            amountPaise: template.amountPaise,
+            baseCurrency: template.baseCurrency || DEFAULT_CURRENCY,
+            currency: template.currency || template.baseCurrency || DEFAULT_CURRENCY,
+            originalAmountPaise: template.originalAmountPaise ?? template.amountPaise,
+            fxRate: template.fxRate || 1,
+            date: date,
+            paidBy: template.paidBy,
+            splitType: template.splitType,
+            splitMembers: template.splitMembers,
+            splitPaise: template.splitPaise,
+            splitInputs: template.splitInputs || {},
+            recurringId: templateId,
+            recurringPeriod: period,
+            createdAt: new Date().toISOString()
+        };
+
+        const isNew = await expensesRepo.createIfMissing(expenseId, expenseData);
+
+        if (isNew) {
+            expenseData.id = expenseId;
+            await calculateSettlements(template.groupId, expenseData);
+            await logActivity({
+                groupId: template.groupId,
+                expenseId: expenseId,
+                type: 'expense_generated',
+                summary: `"${template.description}" · ${formatMoney(template.amountPaise, expenseData.baseCurrency)} for ${date}`
+            });
+            created++;
+        }
+    }
+
+    // Best-effort bookmark so later runs skip the periods already handled
+    try {
+        await recurringRepo.update(templateId, {
+            lastGeneratedDate: due[due.length - 1].date
+        });
+    } catch (error) {
+        console.error('Error updating recurring template:', error);
+    }
+    return created;
+}
+
+// Create due instances for every recurring template in the user's active
+// groups (archived groups are read-only, so their templates wait)
+export async function generateDueRecurringExpenses(userId) {
+    try {
+        const groupIds = (await getUserGroups(userId)).map(group => group.id);
+
+        if (groupIds.length === 0) return 0;
+
+        let created = 0;
+        for (const { id, ...template } of await recurringRepo.find([['groupId', 'in', groupIds]])) {
+            created += await generateDueInstances(id, template);
+        }
+        return created;
+    } catch (error) {
+        console.error('Error generating recurring expenses:', error);
+        return 0;
+    }
+}
+
+// Recurring templates of a group
+export async function getGroupRecurringTemplates(groupId) {
+    return recurringRepo.find([['groupId', '==', groupId]]);
+}
+
+// Update a template's editable fields (description, amount, split, frequency, dates)
+export async function updateRecurringTemplate(templateId, changes) {
+    await recurringRepo.update(templateId, {
+        ...changes,
+        updatedAt: new Date().toISOString()
+    });
+}
+
+// Pause or resume a template. Resuming skips the periods missed while paused.
+export async function setRecurringPaused(templateId, paused) {
+    const changes = { paused };
+    if (!paused) changes.resumedAt = todayString();
+    await updateRecurringTemplate(templateId, changes);
+}
@@ -0,0 +1,177 @@
+import { usersRepo, groupsRepo, settlementsRepo, remindersRepo, currentUserId, commitBatch, serverTimestamp } from './repository.js';
+import { formatMoney, settlementAmountPaise, settlementRemainingPaise, settlementCurrency } from './money.js';
+import { logActivity, displayName } from './activity.js';
+import { isActiveGroup, getUserGroups } from './archive.js';
+
+// Reminders ("nudges") to members who owe money. Each one is a doc in
+// `reminders` that the member reminded sees in their dashboard inbox:
+//   { userId (member reminded), fromUserId, settlementId, groupId, expenseId,
+//     amountPaise, currency, description, message, type: 'manual' | 'auto',
+//     read, createdAt }
+// Reminder docs are never deleted, so they double as the reminder history.
+// The settlement keeps `lastRemindedAt` and `autoReminderCount` for rate
+// limiting. `lastRemindedAt` is the server's time (a Date), stamped in the same
+// batch as the reminder, so the security rules enforce the cooldown too.
+
+// Minimum gap between two reminders for the same settlement
+export const REMINDER_COOLDOWN_HOURS = 24;
+
+// Choices for the "auto-remind after" setting, in days (0 turns it off)
+export const AUTO_REMINDER_DAYS = [0, 3, 7, 14];
+
+// Settlements still waiting on the debtor; a claimed payment waits on the
+// person owed instead (see ledger.js)
+const REMINDABLE_STATUSES = ['pending', 'disputed'];
+
+// Automatic reminders stop after this many per settlement
+const MAX_AUTO_REMINDERS = 3;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Whole hours left before another reminder may be sent (0 when allowed now)
+export function cooldownRemaining(lastRemindedAt, now = Date.now()) {
+    if (!lastRemindedAt) return 0;
+    const elapsed = now - new Date(lastRemindedAt).getTime();
+    return Math.max(0, Math.ceil((REMINDER_COOLDOWN_HOURS * HOUR_MS - elapsed) / HOUR_MS));
+}
+
+// Write the reminder doc and stamp the settlement in one batch, then log it
+async function createReminder(settlementId, settlement, fromUserId, type) {
+    const now = new Date().toISOString();
+    // What is left after any part payments
+    const amount = formatMoney(settlementRemainingPaise(settlement), settlementCurrency(settlement));
+    const description = settlement.description || 'Settlement';
+    const reminder = {
+        userId: settlement.userId,
+        fromUserId: fromUserId,
+        settlementId: settlementId,
+        groupId: settlement.groupId || '',
+        expenseId: settlement.expenseId || '',
+        amountPaise: settlementRemainingPaise(settlement),
+        currency: settlementCurrency(settlement),
+        description: description,
+        message: `${await displayName(fromUserId)} reminded you to pay ${amount} for "${description}"`,
+        type: type,
+        read: false,
+        createdAt: now
+    };
+    const stamp = { lastRemindedAt: serverTimestamp() };
+    if (type === 'auto') stamp.autoReminderCount = (settlement.autoReminderCount || 0) + 1;
+    await commitBatch([
+        { op: 'set', collection: 'reminders', id: await remindersRepo.newId(), data: reminder },
+        { op: 'update', collection: 'settlements', id: settlementId, data: stamp }
+    ]);
+
+    await logActivity({
+        groupId: settlement.groupId,
+        expenseId: settlement.expenseId || '',
+        type: 'reminder_sent',
+        summary: `${type === 'auto' ? 'Automatic reminder' : 'Reminder'} to ${await displayName(settlement.userId)} for ${amount} ("${description}")`
+    });
+}
+
+// Remind the member who owes a pending (or disputed) settlement. Only the person owed can
+// send one, at most once every REMINDER_COOLDOWN_HOURS.
+// Returns { success: true } or { success: false, error }.
+export async function sendReminder(settlementId, debtorId) {
+    try {
+        const fromUserId = await currentUserId();
+        if (!fromUserId) return { success: false, error: 'You need to be signed in.' };
+
+        const settlement = await settlementsRepo.get(settlementId);
+        if (!settlement) return { success: false, error: 'Settlement not found.' };
+
+        if (settlement.status === 'claimed') {
+            return { success: false, error: 'This payment has been marked as sent. Confirm or dispute it instead.' };
+        }
+        if (!REMINDABLE_STATUSES.includes(settlement.status)) {
+            return { success: false, error: 'This settlement is already settled.' };
+        }
+        if (settlement.userId !== debtorId || debtorId === settlement.owedTo) {
+            return { success: false, error: 'This member does not owe this settlement.' };
+        }
+        if (settlement.owedTo !== fromUserId) {
+            return { success: false, error: 'Only the person who is owed can send a reminder.' };
+        }
+        const group = await groupsRepo.get(settlement.groupId);
+        if (!group || !isActiveGroup(group)) {
+            return { success: false, error: 'This group is archived or deleted.' };
+        }
+        const wait = cooldownRemaining(settlement.lastRemindedAt);
+        if (wait > 0) {
+            return { success: false, error: `A reminder was sent recently. You can send another in ${wait} hour${wait === 1 ? '' : 's'}.` };
+        }
+
+        await createReminder(settlementId, settlement, fromUserId, 'manual');
+        return { success: true };
+    } catch (error) {
+        console.error('Error sending reminder:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Automatic reminders for everything owed to `userId`: once a pending
+// settlement is `autoReminderDays` old (a profile setting), remind the debtor,
+// then again every `autoReminderDays` days, up to MAX_AUTO_REMINDERS times.
+// There is no server, so this runs when the person owed opens the dashboard.
+// Returns the number of reminders sent.
+export async function sendDueAutoReminders(userId) {
+    try {
+        const user = await usersRepo.get(userId);
+        const days = (user && user.autoReminderDays) || 0;
+        if (!days) return 0;
+
+        const owedToUser = await settlementsRepo.find([
+            ['owedTo', '==', userId],
+            ['status', 'in', REMINDABLE_STATUSES]
+        ]);
+        // Nobody is nudged about archived or trashed groups
+        const activeGroupIds = new Set((await getUserGroups(userId)).map(group => group.id));
+        const now = Date.now();
+        let sent = 0;
+        for (const settlement of owedToUser) {
+            if (settlement.userId === userId || settlementAmountPaise(settlement) <= 0) continue;
+            if (!activeGroupIds.has(settlement.groupId)) continue;
+            if ((settlement.autoReminderCount || 0) >= MAX_AUTO_REMINDERS) continue;
+
+            const due = new Date(settlement.lastRemindedAt || settlement.createdAt).getTime() + days * DAY_MS;
+            if (!(due <= now) || cooldownRemaining(settlement.lastRemindedAt, now) > 0) continue;
+
+            await createReminder(settlement.id, settlement, userId, 'auto');
+            sent++;
+        }
+        return sent;
+    } catch (error) {
+        console.error('Error sending automatic reminders:', error);
+        return 0;
+    }
+}
+
+// Save the user's "auto-remind after N days" setting (0 turns it off)
+export async function setAutoReminderDays(userId, days) {
+    await usersRepo.update(userId, { autoReminderDays: Number(days) || 0 });
+}
+
+// Reminders received by `userId`, newest first
+export async function getReminderInbox(userId) {
+    return newestFirst(await remindersRepo.find([['userId', '==', userId]]));
+}
+
+// Live inbox: onChange(reminders) runs now and on every new or read reminder.
+// Returns a function that stops listening.
+export function watchReminderInbox(userId, onChange) {
+    return remindersRepo.watch([['userId', '==', userId]], {}, reminders => onChange(newestFirst(reminders)));
+}
+
+function newestFirst(reminders) {
+    return reminders.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+// Mark a received reminder as read
+export async function markReminderRead(reminderId) {
+    await remindersRepo.update(reminderId, {
+        read: true,
+        readAt: new Date().toISOString()
+    });
+}
@@ -0,0 +1,140 @@
+// Data access layer. Modules read and write app data through the
+// repositories below instead of calling the Firestore SDK, so the split,
+// settlement and ledger logic runs against whichever store is plugged in:
+// - firestore-store.js, the default in the browser
+// - memory-store.js, for unit tests under Node (see tests/unit/)
+//
+// A store implements, for a collection name and document id:
+//   get(collection, id)                → { id, ...data } or null
+//   find(collection, filters, options) → [{ id, ...data }]
+//   add(collection, data)              → new id
+//   set(collection, id, data)          (create or replace)
+//   update(collection, id, changes)    (fails if the doc doesn't exist)
+//   remove(collection, id)
+//   createIfMissing(collection, id, data) → true if created; atomic, so
+//                                        concurrent callers create it once
+//   newId(collection)                  → an unused id, for docs written in a batch
+//   batch(writes)                      writes [{ op: 'set' | 'update',
+//                                        collection, id, data }] all at once,
+//                                        or none of them
+//   watch(collection, filters, options, onChange, onError)
+//                                      → calls onChange([{ id, ...data }]) with
+//                                        the current results and again on every
+//                                        change; returns a function that stops it
+//   currentUserId()                    → the signed-in user's id, or null
+// Filters are [field, op, value] with op one of '==', '!=', '<', '<=', '>',
+// '>=', 'array-contains' or 'in'. Options are { orderBy: [field, 'asc' |
+// 'desc'], limit }. Date values are stored as Firestore Timestamps (which
+// the rules can compare, e.g. invite expiries) and read back as Dates.
+
+let store = null;
+
+// Plug in a store; until then the Firestore one is used
+export function useStore(nextStore) {
+    store = nextStore;
+}
+
+// The Firestore store is loaded on first use rather than imported, so
+// Node never tries to fetch the SDK from the CDN.
+async function currentStore() {
+    if (!store) store = (await import('./firestore-store.js')).firestoreStore;
+    return store;
+}
+
+// Field operations for update(), translated by each store
+export const FIELD_OP = Symbol('fieldOp');
+
+export function deleteField() {
+    return { [FIELD_OP]: 'delete' };
+}
+
+export function arrayUnion(...values) {
+    return { [FIELD_OP]: 'arrayUnion', values };
+}
+
+export function arrayRemove(...values) {
+    return { [FIELD_OP]: 'arrayRemove', values };
+}
+
+// The time the write reaches the server, read back as a Date. The rules see
+// it as request.time, so they can rate-limit on it (see reminders.js).
+export function serverTimestamp() {
+    return { [FIELD_OP]: 'serverTimestamp' };
+}
+
+function repository(collectionName) {
+    return {
+        get: async (id) => (await currentStore()).get(collectionName, id),
+        find: async (filters = [], options = {}) => (await currentStore()).find(collectionName, filters, options),
+        add: async (data) => (await currentStore()).add(collectionName, data),
+        set: async (id, data) => (await currentStore()).set(collectionName, id, data),
+        update: async (id, changes) => (await currentStore()).update(collectionName, id, changes),
+        remove: async (id) => (await currentStore()).remove(collectionName, id),
+        createIfMissing: async (id, data) => (await currentStore()).createIfMissing(collectionName, id, data),
+        newId: async () => (await currentStore()).newId(collectionName),
+        watch: (filters, options, onChange, onError = (error) => console.error(`Error watching ${collectionName}:`, error)) =>
+            watch(collectionName, filters, options, onChange, onError)
+    };
+}
+
+// Write docs of any collections together: [{ op: 'set' | 'update',
+// collection, id, data }]. Either every write happens or none does.
+export async function commitBatch(writes) {
+    return (await currentStore()).batch(writes);
+}
+
+// Listen to a query. The unsubscribe function is returned right away, even
+// while the store is still loading, so callers can stop it at any time.
+function watch(collectionName, filters, options, onChange, onError) {
+    let stopped = false;
+    let unsubscribe = null;
+    currentStore().then(s => {
+        if (!stopped) unsubscribe = s.watch(collectionName, filters, options, onChange, onError);
+    }).catch(onError);
+    return () => {
+        stopped = true;
+        if (unsubscribe) unsubscribe();
+    };
+}
+
+// The listeners a page keeps open, by name. Setting a name that is in use
+// replaces its listener, so re-subscribing with new filters is one call.
+// Pages call stopAll() on 'pagehide' so no listener outlives the page.
+export function createSubscriptions() {
+    const active = new Map();
+    const stop = (name) => {
+        const unsubscribe = active.get(name);
+        if (unsubscribe) {
+            unsubscribe();
+            active.delete(name);
+        }
+    };
+    return {
+        set(name, unsubscribe) {
+            stop(name);
+            active.set(name, unsubscribe);
+        },
+        has: (name) => active.has(name),
+        names: () => [...active.keys()],
+        stop,
+        stopAll() {
+            [...active.keys()].forEach(stop);
+        }
+    };
+}
+
+export const usersRepo = repository('users');
+export const groupsRepo = repository('groups');
+export const expensesRepo = repository('expenses');
+export const settlementsRepo = repository('settlements');
+export const recurringRepo = repository('recurringExpenses');
+export const remindersRepo = repository('reminders');
+export const invitesRepo = repository('invites');
+export const activityRepo = repository('activity');
+export const paymentProofsRepo = repository('paymentProofs');
+export const paymentLinksRepo = repository('paymentLinks');
+
+// Id of the signed-in user, or null
+export async function currentUserId() {
+    return (await currentStore()).currentUserId();
+}
@@ -0,0 +1,123 @@
+// Service worker: keeps the app shell (pages, scripts, styles) and the CDN
+// libraries in a cache so SplitEZ opens without a connection. App data is
+// cached by Firestore itself (offline persistence, see offline.js).
+
+const CACHE_NAME = 'splitez-shell-v1';
+
+// Cached on install. Pages and scripts fetched later are cached as they load.
+const SHELL = [
+    './',
+    'index.html',
+    'dashboard.html',
+    'groups.html',
+    'expenses.html',
+    'expense-details.html',
+    'analytics.html',
+    'profile.html',
+    'pay.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'icon.svg',
+    'firebase-config.js',
+    'activity.js',
+    'analytics-page.js',
+    'analytics.js',
+    'app.js',
+    'archive.js',
+    'auth.js',
+    'balances.js',
+    'expense-details.js',
+    'expense-import.js',
+    'expense-service.js',
+    'expenses.js',
+    'firestore-store.js',
+    'fx-rates.js',
+    'groups.js',
+    'import-wizard.js',
+    'invites.js',
+    'ledger-export.js',
+    'ledger.js',
+    'membership.js',
+    'money.js',
+    'ocr.js',
+    'offline.js',
+    'outbox.js',
+    'pay.js',
+    'payment-links.js',
+    'payments.js',
+    'profile.js',
+    'recurring.js',
+    'reminders.js',
+    'repository.js',
+    'settle-dialog.js',
+    'splits.js',
+    'upi.js'
+];
+
+// Hosts of the libraries the pages load (Firebase SDK, icons, fonts, charts, OCR)
+const CDN_HOSTS = [
+    'www.gstatic.com',
+    'cdnjs.cloudflare.com',
+    'cdn.jsdelivr.net',
+    'fonts.googleapis.com',
+    'fonts.gstatic.com'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            // One file failing (say firebase-config.js, which each deployment
+            // adds itself) must not stop the rest from being cached
+            .then(cache => Promise.all(SHELL.map(url => cache.add(url).catch(error => {
+                console.warn(`Not cached for offline use: ${url}`, error);
+            }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the caches of older versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+    }
+    // Anything else (Firestore, Auth) goes to the network untouched
+});
+
+// App files: the latest version when online, the cached one when not
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        // Pages are cached without their query (expenses.html?group=...)
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// CDN files are versioned by URL, so a cached copy can be used as is
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    // Opaque (no-cors) responses report status 0 but are still usable
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+}
@@ -0,0 +1,268 @@
+import { usersRepo } from './repository.js';
+import { formatMoney, toPaise, fromPaise, settlementRemainingPaise, settlementUnclaimedPaise, settlementCurrency } from './money.js';
+import { UPI_CURRENCY, isValidVpa, isValidUtr, normaliseVpa, buildUpiLink, renderUpiQr } from './upi.js';
+import { PAYMENT_METHODS, claimSettlementPaid, claimTransfer, describeSettlementState, getPaymentProof } from './ledger.js';
+import { initiatePayment } from './payments.js';
+
+// The "Settle Payment" dialog of the dashboard, expense details and the
+// expenses page's Settle Up plan: pay the payee's UPI ID through a upi://pay
+// link or QR code, or pay any other way, then mark the settlement paid (with
+// a reference and an optional proof image) for the payee to confirm. Expense
+// shares and settle-up transfers can be paid in part; Razorpay, for expense
+// settlements, always pays all that is left.
+
+// Proof images are scaled down to this many pixels on their longer side
+const MAX_PROOF_SIZE = 1024;
+
+const DIALOG_HTML = `
+    <div class="modal-content">
+        <div class="modal-header">
+            <h3>Settle Payment</h3>
+            <span class="close" id="settleClose">&times;</span>
+        </div>
+        <div class="settle-dialog">
+            <p id="settleSummary" class="settle-summary"></p>
+            <p id="settleClaimed" class="activity-meta"></p>
+            <div id="settleAmountGroup" class="form-group">
+                <label for="settleAmount">Amount you are paying</label>
+                <input type="number" id="settleAmount" step="0.01" min="0.01">
+            </div>
+            <div id="settleUpi" class="settle-option">
+                <h4><i class="fas fa-mobile-alt"></i> Pay by UPI</h4>
+                <a id="settleUpiLink" class="btn btn-primary">Open UPI app</a>
+                <div id="settleUpiQr" class="upi-qr"></div>
+                <p id="settleUpiTo" class="activity-meta"></p>
+            </div>
+            <p id="settleNoUpi" class="activity-meta"></p>
+            <div class="settle-option">
+                <h4><i class="fas fa-check"></i> Paid already?</h4>
+                <form id="settleClaimForm">
+                    <div class="form-group">
+                        <label for="settleMethod">How did you pay?</label>
+                        <select id="settleMethod"></select>
+                    </div>
+                    <div class="form-group">
+                        <label for="settleReference" id="settleReferenceLabel">Reference</label>
+                        <input type="text" id="settleReference" maxlength="100" autocomplete="off">
+                    </div>
+                    <div class="form-group">
+                        <label for="settleProof">Proof of payment (optional)</label>
+                        <input type="file" id="settleProof" accept="image/*">
+                    </div>
+                    <button type="submit" class="btn btn-success">Mark as Paid</button>
+                </form>
+                <p id="settleConfirmNote" class="activity-meta"></p>
+            </div>
+            <div id="settleRazorpayOption" class="settle-option">
+                <h4><i class="fas fa-credit-card"></i> Pay by card or netbanking</h4>
+                <button type="button" id="settleRazorpay" class="btn btn-secondary">Pay with Razorpay</button>
+            </div>
+        </div>
+    </div>
+`;
+
+function getDialog() {
+    let modal = document.getElementById('settleModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'settleModal';
+        modal.className = 'modal';
+        modal.innerHTML = DIALOG_HTML;
+        document.body.appendChild(modal);
+        document.getElementById('settleMethod').innerHTML = Object.entries(PAYMENT_METHODS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+    }
+    return modal;
+}
+
+// Shrink a screenshot or photo to a JPEG data URL small enough to store
+function readProofImage(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            const scale = Math.min(1, MAX_PROOF_SIZE / Math.max(img.width, img.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(img.width * scale);
+            canvas.height = Math.round(img.height * scale);
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            resolve(canvas.toDataURL('image/jpeg', 0.7));
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('That file is not an image that can be read.'));
+        };
+        img.src = url;
+    });
+}
+
+// Show the dialog for a settlement that `userId` owes: an open settlement
+// doc, or a proposed settle-up transfer without an id ({ groupId, userId,
+// owedTo, amountPaise, currency, description }). Resolves to 'paid'
+// (Razorpay), 'claimed' (marked paid, for the payee to confirm) or null when
+// closed.
+export async function openSettleDialog(settlement, userId) {
+    const modal = getDialog();
+    // What is left after part payments; a part of it can be paid instead.
+    // Parts already marked paid wait for the payee and can't be paid again.
+    const remaining = settlementRemainingPaise(settlement);
+    const available = settlement.id ? settlementUnclaimedPaise(settlement) : remaining;
+    const waiting = remaining - available;
+    const currency = settlementCurrency(settlement);
+    const payee = await usersRepo.get(settlement.owedTo);
+    const payeeName = payee?.name || 'the payee';
+    const vpa = payee?.upiId && isValidVpa(payee.upiId) ? normaliseVpa(payee.upiId) : '';
+    const canUseUpi = vpa && currency === UPI_CURRENCY;
+    const isProposed = !settlement.id;
+    const canPayPart = isProposed || (!settlement.type && ['pending', 'disputed'].includes(settlement.status));
+
+    const state = describeSettlementState(settlement, payeeName);
+    document.getElementById('settleClaimed').textContent = state
+        ? state + (settlement.status === 'claimed'
+            ? '. You can correct the details below.'
+            : '. Check the payment, then mark it paid again with the right details.')
+        : (waiting > 0 ? `${formatMoney(waiting, currency)} you marked paid is waiting for ${payeeName} to confirm it.` : '');
+    document.getElementById('settleUpi').style.display = canUseUpi ? 'block' : 'none';
+    document.getElementById('settleNoUpi').textContent = canUseUpi ? '' : (currency !== UPI_CURRENCY
+        ? `UPI only works for rupees; this settlement is in ${currency}.`
+        : `${payeeName} hasn't added a UPI ID to their profile yet.`);
+    document.getElementById('settleConfirmNote').textContent = `${payeeName} will be asked to confirm they received it.`;
+    // Razorpay orders are made for expense settlements only, and for all of
+    // what is left
+    const canUseRazorpay = !isProposed && !settlement.type && waiting === 0;
+    document.getElementById('settleRazorpayOption').style.display = canUseRazorpay ? 'block' : 'none';
+
+    const amountInput = document.getElementById('settleAmount');
+    document.getElementById('settleAmountGroup').style.display = canPayPart ? 'block' : 'none';
+    amountInput.max = fromPaise(available);
+    amountInput.value = fromPaise(available);
+    const chosenAmount = () => canPayPart ? toPaise(amountInput.value) : available;
+
+    // The summary, UPI link and QR code follow the amount being paid
+    const showAmount = () => {
+        const amount = chosenAmount();
+        document.getElementById('settleSummary').textContent =
+            `Pay ${payeeName} ${formatMoney(amount, currency)} for "${settlement.description || 'Settlement'}"`
+            + (amount < available ? ` (${formatMoney(available - amount, currency)} will be left)` : '');
+        if (!canUseUpi || amount <= 0 || amount > available) return;
+        const link = buildUpiLink({
+            vpa,
+            name: payee.name || '',
+            amountPaise: amount,
+            note: `SplitEZ: ${settlement.description || 'Settlement'}`
+        });
+        document.getElementById('settleUpiLink').href = link;
+        document.getElementById('settleUpiTo').textContent = `Or scan this code with any UPI app. It pays ${vpa}.`;
+        const qr = document.getElementById('settleUpiQr');
+        qr.innerHTML = '';
+        renderUpiQr(qr, link).catch(error => {
+            console.error('Error drawing UPI QR code:', error);
+            qr.textContent = 'The QR code could not be drawn. Use the button above on your phone.';
+        });
+    };
+    amountInput.onchange = showAmount;
+    showAmount();
+
+    const method = document.getElementById('settleMethod');
+    const reference = document.getElementById('settleReference');
+    const proof = document.getElementById('settleProof');
+    const showReferenceHint = () => {
+        const isUpi = method.value === 'upi';
+        document.getElementById('settleReferenceLabel').textContent = isUpi
+            ? 'UTR (transaction reference) your UPI app shows'
+            : 'Reference (optional)';
+        reference.placeholder = isUpi ? 'e.g., 412345678901' : 'e.g., cheque number or a note';
+        reference.required = isUpi;
+    };
+    method.value = settlement.paymentMethod || (canUseUpi ? 'upi' : 'cash');
+    method.onchange = showReferenceHint;
+    showReferenceHint();
+    reference.value = settlement.paymentReference || '';
+    proof.value = '';
+
+    modal.classList.add('show');
+
+    return new Promise(resolve => {
+        const finish = (result) => {
+            modal.classList.remove('show');
+            modal.onclick = null;
+            resolve(result);
+        };
+        document.getElementById('settleClose').onclick = () => finish(null);
+        modal.onclick = (e) => {
+            if (e.target === modal) finish(null);
+        };
+
+        document.getElementById('settleClaimForm').onsubmit = async (e) => {
+            e.preventDefault();
+            const amount = chosenAmount();
+            if (amount <= 0 || amount > available) {
+                alert(`Enter an amount up to the ${formatMoney(available, currency)} left to pay.`);
+                return;
+            }
+            const ref = reference.value.trim();
+            if (method.value === 'upi' && !isValidUtr(ref)) {
+                alert('Enter the 12-digit UTR (or bank reference) shown in your UPI app for this payment.');
+                return;
+            }
+            try {
+                const claim = {
+                    method: method.value,
+                    reference: method.value === 'upi' ? ref.toUpperCase() : ref,
+                    proof: proof.files[0] ? await readProofImage(proof.files[0]) : null,
+                    amountPaise: amount
+                };
+                if (isProposed) {
+                    await claimTransfer(settlement.groupId, userId, settlement.owedTo, amount, currency, claim);
+                } else {
+                    await claimSettlementPaid(settlement.id, userId, claim);
+                }
+                alert(`Marked as paid. ${payeeName} will be asked to confirm the payment.`);
+                finish('claimed');
+            } catch (error) {
+                console.error('Error marking settlement paid:', error);
+                alert('Error marking as paid: ' + error.message);
+            }
+        };
+
+        document.getElementById('settleRazorpay').onclick = async () => {
+            modal.classList.remove('show');
+            const paid = await initiatePayment(remaining, settlement.description || 'Settlement', userId, settlement.id, currency);
+            finish(paid ? 'paid' : null);
+        };
+    });
+}
+
+// Show the proof image attached to a claimed payment
+export async function openPaymentProof(settlementId) {
+    const image = await getPaymentProof(settlementId);
+    if (!image) {
+        alert('No proof was attached to this payment.');
+        return;
+    }
+    let modal = document.getElementById('proofModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'proofModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3>Proof of Payment</h3>
+                    <span class="close" id="proofClose">&times;</span>
+                </div>
+                <img id="proofImage" class="payment-proof" alt="Proof of payment">
+            </div>
+        `;
+        document.body.appendChild(modal);
+        const close = () => modal.classList.remove('show');
+        document.getElementById('proofClose').onclick = close;
+        modal.onclick = (e) => {
+            if (e.target === modal) close();
+        };
+    }
+    document.getElementById('proofImage').src = image;
+    modal.classList.add('show');
+}
@@ -0,0 +1,163 @@
+import { DEFAULT_CURRENCY, allocate, toPaise, formatMoney } from './money.js';
+
+// Split types supported by the Add Expense modal.
+// `inputs` maps memberId -> the raw number typed for that member.
+export const SPLIT_TYPES = {
+    equal: { label: 'Equal Split', inputLabel: '', placeholder: '', defaultValue: '' },
+    custom: { label: 'Custom Split', inputLabel: 'Custom Amounts', placeholder: 'Amount', defaultValue: '' },
+    percentage: { label: 'By Percentage', inputLabel: 'Percentages (%)', placeholder: '%', defaultValue: '' },
+    shares: { label: 'By Shares', inputLabel: 'Shares', placeholder: 'Shares', defaultValue: '1' },
+    adjustment: { label: 'Equal + Adjustments', inputLabel: 'Extra amount on top of equal share', placeholder: '0', defaultValue: '0' },
+    itemized: { label: 'Itemized', inputLabel: '', placeholder: '', defaultValue: '' }
+};
+
+// Allowed difference when comparing percentage totals
+const PERCENT_TOLERANCE = 0.01;
+
+// Compute each member's share of `amountPaise` as integer paise.
+// Custom and adjustment inputs are whole currency units as typed; leftover
+// paise from uneven divisions are assigned by the rule documented on `allocate`.
+// `currency` is only used to format error messages.
+// Returns { splitPaise } on success or { error } with a user-facing message.
+export function computeSplit(splitType, amountPaise, members, inputs = {}, currency = DEFAULT_CURRENCY) {
+    if (!members || members.length === 0) {
+        return { error: 'Select at least one member to split with.' };
+    }
+    if (!(amountPaise > 0)) {
+        return { error: 'Enter an amount greater than zero.' };
+    }
+    const value = (memberId) => Number(inputs[memberId]) || 0;
+    if (members.some(memberId => value(memberId) < 0) && splitType !== 'adjustment') {
+        return { error: 'Split values cannot be negative.' };
+    }
+    const weightsOf = (fn) => {
+        const weights = {};
+        members.forEach(memberId => { weights[memberId] = fn(memberId); });
+        return weights;
+    };
+
+    let splitPaise = {};
+    switch (splitType || 'equal') {
+        case 'equal':
+            splitPaise = allocate(amountPaise, weightsOf(() => 1));
+            break;
+        case 'custom': {
+            let total = 0;
+            members.forEach(memberId => {
+                splitPaise[memberId] = toPaise(value(memberId));
+                total += splitPaise[memberId];
+            });
+            if (total !== amountPaise) {
+                return { error: `Custom amounts add up to ${formatMoney(total, currency)}, not ${formatMoney(amountPaise, currency)}.` };
+            }
+            break;
+        }
+        case 'percentage': {
+            const totalPercent = members.reduce((sum, memberId) => sum + value(memberId), 0);
+            if (Math.abs(totalPercent - 100) > PERCENT_TOLERANCE) {
+                return { error: `Percentages add up to ${totalPercent.toFixed(2)}%, not 100%.` };
+            }
+            splitPaise = allocate(amountPaise, weightsOf(value));
+            break;
+        }
+        case 'shares': {
+            const totalShares = members.reduce((sum, memberId) => sum + value(memberId), 0);
+            if (totalShares <= 0) {
+                return { error: 'Give at least one member a share.' };
+            }
+            splitPaise = allocate(amountPaise, weightsOf(value));
+            break;
+        }
+        case 'adjustment': {
+            const adjustments = weightsOf(memberId => toPaise(value(memberId)));
+            const totalAdjustments = Object.values(adjustments).reduce((sum, p) => sum + p, 0);
+            const remaining = amountPaise - totalAdjustments;
+            if (remaining < 0) {
+                return { error: 'Adjustments add up to more than the total amount.' };
+            }
+            splitPaise = allocate(remaining, weightsOf(() => 1));
+            for (const memberId of members) {
+                splitPaise[memberId] += adjustments[memberId];
+                if (splitPaise[memberId] < 0) {
+                    return { error: 'Adjustments leave a member with a negative share.' };
+                }
+            }
+            break;
+        }
+        default:
+            return { error: `Unknown split type "${splitType}".` };
+    }
+    return { splitPaise };
+}
+
+// Itemized split: `items` is [{ name, pricePaise, members }]. Each item is shared
+// equally by its members; tax, service charge and tip (`extrasPaise`) are then
+// shared in proportion to each member's item subtotal.
+// Returns { splitPaise, amountPaise } on success or { error }.
+export function computeItemizedSplit(items, extrasPaise = 0) {
+    if (!items || items.length === 0) {
+        return { error: 'Add at least one bill item.' };
+    }
+    if (extrasPaise < 0) {
+        return { error: 'Tax, service and tip cannot be negative.' };
+    }
+
+    const splitPaise = {};
+    let itemsTotal = 0;
+    for (const item of items) {
+        const label = item.name || 'Unnamed item';
+        if (!(item.pricePaise > 0)) {
+            return { error: `Item "${label}" needs a price.` };
+        }
+        if (!item.members || item.members.length === 0) {
+            return { error: `Assign "${label}" to at least one member.` };
+        }
+        const weights = {};
+        item.members.forEach(memberId => { weights[memberId] = 1; });
+        Object.entries(allocate(item.pricePaise, weights)).forEach(([memberId, share]) => {
+            splitPaise[memberId] = (splitPaise[memberId] || 0) + share;
+        });
+        itemsTotal += item.pricePaise;
+    }
+
+    if (extrasPaise > 0) {
+        Object.entries(allocate(extrasPaise, { ...splitPaise })).forEach(([memberId, share]) => {
+            splitPaise[memberId] += share;
+        });
+    }
+    return { splitPaise, amountPaise: itemsTotal + extrasPaise };
+}
+
+// Per-member label for the raw split input, e.g. "40%", "2 shares", "+₹200.00"
+export function describeSplitInput(splitType, rawValue, currency = DEFAULT_CURRENCY) {
+    const v = Number(rawValue) || 0;
+    switch (splitType) {
+        case 'percentage':
+            return `${v}%`;
+        case 'shares':
+            return `${v} share${v === 1 ? '' : 's'}`;
+        case 'adjustment':
+            return v === 0 ? 'equal share' : `${v > 0 ? '+' : ''}${formatMoney(toPaise(v), currency)}`;
+        default:
+            return '';
+    }
+}
+
+// One-line summary of how an expense was split, for list views
+export function describeSplit(expense) {
+    const count = expense.splitMembers?.length || 0;
+    switch (expense.splitType || 'equal') {
+        case 'equal':
+            return `Split equally among ${count} people`;
+        case 'percentage':
+            return `Split by percentage among ${count} people`;
+        case 'shares':
+            return `Split by shares among ${count} people`;
+        case 'adjustment':
+            return `Split equally with adjustments among ${count} people`;
+        case 'itemized':
+            return `Itemized bill across ${count} people`;
+        default:
+            return 'Custom split';
+    }
+}
@@ -0,0 +1,130 @@
+import { createServer } from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { paymentSignature, webhookSignature } from '../../functions/razorpay.js';
+
+// A local stand-in for Razorpay's orders API, for unit tests and for running
+// the functions emulator without a Razorpay account. It checks the key pair,
+// creates and fetches orders, and can "pay" an order: that returns what
+// checkout would hand the browser, and a signed payment.captured webhook.
+//
+//   const razorpay = await startMockRazorpay({ keyId, keySecret, webhookSecret });
+//   createRazorpayClient({ keyId, keySecret, apiUrl: razorpay.url });
+//
+// Standalone: node tests/mocks/razorpay-server.js (port 4010, test keys below).
+// POST /mock/orders/<order id>/pay then pays an order and answers with the
+// checkout response and webhook, to replay against the functions emulator.
+
+export async function startMockRazorpay({ keyId, keySecret, webhookSecret, port = 0 }) {
+    const orders = new Map();
+    let nextId = 1;
+    const authorization = 'Basic ' + Buffer.from(`${keyId}:${keySecret}`).toString('base64');
+
+    const send = (res, status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+    const failure = (description) => ({ error: { code: 'BAD_REQUEST_ERROR', description } });
+
+    const server = createServer(async (req, res) => {
+        let body = '';
+        for await (const chunk of req) body += chunk;
+        // Test hook, not part of Razorpay's API: pay an order
+        const payPath = req.url.match(/^\/mock\/orders\/([^/]+)\/pay$/);
+        if (req.method === 'POST' && payPath) {
+            const orderId = decodeURIComponent(payPath[1]);
+            if (orders.has(orderId)) send(res, 200, mock.pay(orderId));
+            else send(res, 400, failure('The id provided does not exist'));
+            return;
+        }
+        if (req.headers.authorization !== authorization) {
+            send(res, 401, failure('Authentication failed'));
+            return;
+        }
+        const orderPath = req.url.match(/^\/v1\/orders\/([^/]+)$/);
+        if (req.method === 'POST' && req.url === '/v1/orders') {
+            const { amount, currency, receipt = '', notes = {} } = JSON.parse(body || '{}');
+            if (!Number.isInteger(amount) || amount < 100) {
+                send(res, 400, failure('The amount must be at least INR 1.00'));
+                return;
+            }
+            const order = {
+                id: `order_mock${nextId++}`,
+                entity: 'order',
+                amount,
+                amount_paid: 0,
+                amount_due: amount,
+                currency,
+                receipt,
+                notes,
+                status: 'created',
+                attempts: 0,
+                created_at: Math.floor(Date.now() / 1000)
+            };
+            orders.set(order.id, order);
+            send(res, 200, order);
+        } else if (req.method === 'GET' && orderPath) {
+            const order = orders.get(decodeURIComponent(orderPath[1]));
+            if (order) send(res, 200, order);
+            else send(res, 400, failure('The id provided does not exist'));
+        } else {
+            send(res, 404, failure('Not found'));
+        }
+    });
+
+    await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/v1`;
+
+    const mock = {
+        url,
+        orders,
+
+        // Pay an order in full: { checkout (handler response), webhook ({ body, signature }) }
+        pay(orderId) {
+            const order = orders.get(orderId);
+            if (!order) throw new Error(`No order ${orderId}`);
+            const paymentId = `pay_mock${nextId++}`;
+            Object.assign(order, { status: 'paid', amount_paid: order.amount, amount_due: 0, attempts: order.attempts + 1 });
+            const webhookBody = JSON.stringify({
+                entity: 'event',
+                event: 'payment.captured',
+                payload: {
+                    payment: {
+                        entity: {
+                            id: paymentId,
+                            entity: 'payment',
+                            amount: order.amount,
+                            currency: order.currency,
+                            status: 'captured',
+                            order_id: orderId,
+                            method: 'upi'
+                        }
+                    }
+                },
+                created_at: Math.floor(Date.now() / 1000)
+            });
+            return {
+                checkout: {
+                    razorpay_payment_id: paymentId,
+                    razorpay_order_id: orderId,
+                    razorpay_signature: paymentSignature(orderId, paymentId, keySecret)
+                },
+                webhook: { body: webhookBody, signature: webhookSignature(webhookBody, webhookSecret) }
+            };
+        },
+
+        close() {
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+    return mock;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const razorpay = await startMockRazorpay({
+        keyId: 'rzp_test_mock',
+        keySecret: 'mock_key_secret',
+        webhookSecret: 'mock_webhook_secret',
+        port: 4010
+    });
+    console.log(`Mock Razorpay API on ${razorpay.url} (key rzp_test_mock / mock_key_secret, webhook secret mock_webhook_secret)`);
+}
@@ -0,0 +1,44 @@
+import { describe, it, before, beforeEach, after } from 'node:test';
+import { assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, deleteDoc } from 'firebase/firestore';
+import { setupEnv, as, seed, GROUP } from './setup.js';
+
+const ENTRY = {
+    groupId: 'trip',
+    expenseId: '',
+    type: 'group_created',
+    actorId: 'alice',
+    actorName: 'Alice',
+    summary: '"Goa trip"',
+    changes: [],
+    createdAt: '2026-01-01T00:00:00.000Z'
+};
+
+describe('activity', () => {
+    let env;
+    before(async () => { env = await setupEnv('activity'); });
+    after(async () => { await env.cleanup(); });
+    beforeEach(async () => {
+        await env.clearFirestore();
+        await seed(env, {
+            'groups/trip': GROUP,
+            'activity/first': ENTRY
+        });
+    });
+
+    it('lets members log entries as themselves only', async () => {
+        await assertSucceeds(setDoc(doc(as(env, 'carol'), 'activity/next'), { ...ENTRY, actorId: 'carol' }));
+        await assertFails(setDoc(doc(as(env, 'carol'), 'activity/next'), ENTRY));
+        await assertFails(setDoc(doc(as(env, 'dave'), 'activity/next'), { ...ENTRY, actorId: 'dave' }));
+    });
+
+    it('lets members read the log, but not outsiders', async () => {
+        await assertSucceeds(getDoc(doc(as(env, 'bob'), 'activity/first')));
+        await assertFails(getDoc(doc(as(env, 'dave'), 'activity/first')));
+    });
+
+    it('never changes or removes an entry', async () => {
+        await assertFails(updateDoc(doc(as(env, 'alice'), 'activity/first'), { summary: 'Edited' }));
+        await assertFails(deleteDoc(doc(as(env, 'alice'), 'activity/first')));
+    });
+});
@@ -0,0 +1,120 @@
+import { describe, it, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, deleteDoc, deleteField, runTransaction } from 'firebase/firestore';
+import { setupEnv, as, seed, GROUP, EXPENSE } from './setup.js';
+
+describe('expenses', () => {
+    let env;
+    before(async () => { env = await setupEnv('expenses'); });
+    after(async () => { await env.cleanup(); });
+    beforeEach(async () => {
+        await env.clearFirestore();
+        await seed(env, {
+            'groups/trip': GROUP,
+            'groups/done': { ...GROUP, name: 'Last year', archivedAt: '2026-01-10', archivedBy: 'alice' },
+            'expenses/dinner': EXPENSE,
+            'expenses/old': { ...EXPENSE, groupId: 'done', settlementStatus: { bob: 'paid' } }
+        });
+    });
+
+    describe('read', () => {
+        it('lets members read the group\'s expenses', async () => {
+            await assertSucceeds(getDoc(doc(as(env, 'carol'), 'expenses/dinner')));
+        });
+
+        it('hides them from non-members', async () => {
+            await assertFails(getDoc(doc(as(env, 'dave'), 'expenses/dinner')));
+        });
+    });
+
+    describe('create', () => {
+        const create = (uid, data) => setDoc(doc(as(env, uid), 'expenses/taxi'), { ...EXPENSE, ...data });
+
+        it('accepts a valid expense from a member', async () => {
+            await assertSucceeds(create('bob', { paidBy: 'bob' }));
+        });
+
+        it('rejects expenses from non-members', async () => {
+            await assertFails(create('dave', {}));
+        });
+
+        it('requires a positive whole amount in paise', async () => {
+            await assertFails(create('alice', { amountPaise: 0, splitPaise: { alice: 0 } }));
+            await assertFails(create('alice', { amountPaise: -90000, splitPaise: { alice: -90000 } }));
+            await assertFails(create('alice', { amountPaise: 900.5, splitPaise: { alice: 900.5 } }));
+        });
+
+        it('requires the shares to add up to the amount', async () => {
+            await assertFails(create('alice', { splitPaise: { alice: 30000, bob: 30000, carol: 29999 } }));
+            await assertFails(create('alice', { splitPaise: {} }));
+        });
+
+        it('requires the payer and everyone in the split to be members', async () => {
+            await assertFails(create('alice', { paidBy: 'dave' }));
+            await assertFails(create('alice', { splitPaise: { alice: 30000, bob: 30000, dave: 30000 } }));
+        });
+
+        it('rejects new expenses in archived groups', async () => {
+            await assertFails(create('alice', { groupId: 'done' }));
+        });
+
+        it('lets a member create an expense once, as createIfMissing does', async () => {
+            const db = as(env, 'bob');
+            // Same transaction as firestore-store.js's createIfMissing
+            const createIfMissing = (id) => runTransaction(db, async (transaction) => {
+                const ref = doc(db, 'expenses', id);
+                if ((await transaction.get(ref)).exists()) return false;
+                transaction.set(ref, EXPENSE);
+                return true;
+            });
+            assert.equal(await assertSucceeds(createIfMissing('recurring_rent_2026-03')), true);
+            assert.equal(await assertSucceeds(createIfMissing('recurring_rent_2026-03')), false);
+        });
+    });
+
+    describe('update', () => {
+        it('lets members edit details that keep the expense valid', async () => {
+            await assertSucceeds(updateDoc(doc(as(env, 'carol'), 'expenses/dinner'), { description: 'Dinner at the shack' }));
+            await assertSucceeds(updateDoc(doc(as(env, 'carol'), 'expenses/dinner'), {
+                amountPaise: 60000,
+                splitPaise: { alice: 20000, bob: 20000, carol: 20000 }
+            }));
+        });
+
+        it('revalidates amount and split changes', async () => {
+            await assertFails(updateDoc(doc(as(env, 'alice'), 'expenses/dinner'), { amountPaise: 60000 }));
+            await assertFails(updateDoc(doc(as(env, 'alice'), 'expenses/dinner'), { paidBy: 'dave' }));
+        });
+
+        it('does not let an expense move to another group', async () => {
+            await assertFails(updateDoc(doc(as(env, 'alice'), 'expenses/dinner'), { groupId: 'done' }));
+        });
+
+        it('keeps archived groups read-only except for migrating legacy marks', async () => {
+            await assertFails(updateDoc(doc(as(env, 'alice'), 'expenses/old'), { description: 'Changed' }));
+            await assertSucceeds(updateDoc(doc(as(env, 'alice'), 'expenses/old'), { settlementStatus: deleteField() }));
+        });
+
+        it('rejects updates from non-members', async () => {
+            await assertFails(updateDoc(doc(as(env, 'dave'), 'expenses/dinner'), { description: 'Mine now' }));
+        });
+    });
+
+    describe('delete', () => {
+        it('lets members delete expenses in active groups', async () => {
+            await assertFails(deleteDoc(doc(as(env, 'dave'), 'expenses/dinner')));
+            await assertSucceeds(deleteDoc(doc(as(env, 'carol'), 'expenses/dinner')));
+        });
+
+        it('keeps expenses in archived groups', async () => {
+            await assertFails(deleteDoc(doc(as(env, 'alice'), 'expenses/old')));
+        });
+
+        it('lets the owner purge a trashed group\'s expenses', async () => {
+            await seed(env, { 'groups/trip': { ...GROUP, deletedAt: '2026-02-01', purgeAfter: '2026-03-03' } });
+            await assertFails(deleteDoc(doc(as(env, 'carol'), 'expenses/dinner')));
+            await assertSucceeds(deleteDoc(doc(as(env, 'alice'), 'expenses/dinner')));
+        });
+    });
+});
@@ -0,0 +1,139 @@
+import { describe, it, before, beforeEach, after } from 'node:test';
+import { assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, deleteDoc, arrayUnion, arrayRemove } from 'firebase/firestore';
+import { setupEnv, as, seed, GROUP, inDays } from './setup.js';
+
+describe('groups', () => {
+    let env;
+    before(async () => { env = await setupEnv('groups'); });
+    after(async () => { await env.cleanup(); });
+    beforeEach(async () => {
+        await env.clearFirestore();
+        await seed(env, {
+            'groups/trip': GROUP,
+            'invites/linkcode': {
+                type: 'link', groupId: 'trip', groupName: 'Goa trip', invitedBy: 'alice',
+                status: 'pending', createdAt: '2026-01-01T00:00:00.000Z', expiresAt: inDays(7)
+            },
+            'invites/oldcode': {
+                type: 'link', groupId: 'trip', groupName: 'Goa trip', invitedBy: 'alice',
+                status: 'pending', createdAt: '2026-01-01T00:00:00.000Z', expiresAt: inDays(-1)
+            },
+            'invites/trip_dave@example.com': {
+                type: 'email', groupId: 'trip', groupName: 'Goa trip', email: 'dave@example.com',
+                invitedBy: 'alice', status: 'pending', createdAt: '2026-01-01T00:00:00.000Z', expiresAt: inDays(30)
+            }
+        });
+    });
+
+    describe('read', () => {
+        it('lets members read the group', async () => {
+            await assertSucceeds(getDoc(doc(as(env, 'carol'), 'groups/trip')));
+        });
+
+        it('hides the group from non-members', async () => {
+            await assertFails(getDoc(doc(as(env, 'dave'), 'groups/trip')));
+        });
+    });
+
+    describe('create', () => {
+        const newGroup = { name: 'Flat', members: ['dave'], admins: [], createdBy: 'dave', baseCurrency: 'INR' };
+
+        it('lets a user create a group they own and belong to', async () => {
+            await assertSucceeds(setDoc(doc(as(env, 'dave'), 'groups/flat'), newGroup));
+        });
+
+        it('rejects groups owned by someone else or without the creator', async () => {
+            await assertFails(setDoc(doc(as(env, 'dave'), 'groups/flat'), { ...newGroup, createdBy: 'alice' }));
+            await assertFails(setDoc(doc(as(env, 'dave'), 'groups/flat'), { ...newGroup, members: ['alice'] }));
+        });
+
+        it('rejects an empty name and pre-archived groups', async () => {
+            await assertFails(setDoc(doc(as(env, 'dave'), 'groups/flat'), { ...newGroup, name: '' }));
+            await assertFails(setDoc(doc(as(env, 'dave'), 'groups/flat'), { ...newGroup, archivedAt: '2026-01-01' }));
+        });
+    });
+
+    describe('admin updates', () => {
+        it('lets admins rename and archive, but not plain members', async () => {
+            await assertSucceeds(updateDoc(doc(as(env, 'bob'), 'groups/trip'), { name: 'Goa 2026' }));
+            await assertSucceeds(updateDoc(doc(as(env, 'bob'), 'groups/trip'), { archivedAt: '2026-02-01', archivedBy: 'bob' }));
+            await assertFails(updateDoc(doc(as(env, 'carol'), 'groups/trip'), { name: 'Carol trip' }));
+        });
+
+        it('lets admins remove members but never the owner', async () => {
+            await assertSucceeds(updateDoc(doc(as(env, 'bob'), 'groups/trip'), { members: arrayRemove('carol') }));
+            await assertFails(updateDoc(doc(as(env, 'bob'), 'groups/trip'), { members: arrayRemove('alice') }));
+        });
+
+        it('lets only the owner move the group to the trash', async () => {
+            const trash = { deletedAt: '2026-02-01', deletedBy: 'alice', purgeAfter: '2026-03-03' };
+            await assertFails(updateDoc(doc(as(env, 'bob'), 'groups/trip'), trash));
+            await assertSucceeds(updateDoc(doc(as(env, 'alice'), 'groups/trip'), trash));
+        });
+
+        it('lets only the owner transfer ownership, to a member', async () => {
+            await assertFails(updateDoc(doc(as(env, 'bob'), 'groups/trip'), { createdBy: 'bob' }));
+            await assertFails(updateDoc(doc(as(env, 'alice'), 'groups/trip'), { createdBy: 'dave' }));
+            await assertSucceeds(updateDoc(doc(as(env, 'alice'), 'groups/trip'), { createdBy: 'carol', admins: arrayUnion('alice') }));
+        });
+    });
+
+    describe('leaving', () => {
+        it('lets a member remove only themselves', async () => {
+            await assertSucceeds(updateDoc(doc(as(env, 'carol'), 'groups/trip'), {
+                members: arrayRemove('carol'),
+                admins: arrayRemove('carol'),
+                memberEmails: arrayRemove('carol@example.com')
+            }));
+        });
+
+        it('does not let a member remove someone else', async () => {
+            await assertFails(updateDoc(doc(as(env, 'carol'), 'groups/trip'), { members: arrayRemove('bob') }));
+        });
+
+        it('does not let a member change anything else while leaving', async () => {
+            await assertFails(updateDoc(doc(as(env, 'carol'), 'groups/trip'), { members: arrayRemove('carol'), name: 'Bye' }));
+        });
+    });
+
+    describe('joining with an invite', () => {
+        const join = (inviteId) => ({
+            members: arrayUnion('dave'),
+            memberEmails: arrayUnion('dave@example.com'),
+            pendingMemberEmails: arrayRemove('dave@example.com'),
+            joinedViaInvite: inviteId
+        });
+
+        it('lets a verified user join through an open invite link', async () => {
+            await assertSucceeds(updateDoc(doc(as(env, 'dave'), 'groups/trip'), join('linkcode')));
+        });
+
+        it('lets the invited email join through its email invite', async () => {
+            await assertSucceeds(updateDoc(doc(as(env, 'dave'), 'groups/trip'), join('trip_dave@example.com')));
+        });
+
+        it('rejects unverified users, expired links and other people\'s invites', async () => {
+            await assertFails(updateDoc(doc(as(env, 'dave', { verified: false }), 'groups/trip'), join('linkcode')));
+            await assertFails(updateDoc(doc(as(env, 'dave'), 'groups/trip'), join('oldcode')));
+            await assertFails(updateDoc(doc(as(env, 'erin'), 'groups/trip'), {
+                members: arrayUnion('erin'),
+                joinedViaInvite: 'trip_dave@example.com'
+            }));
+        });
+
+        it('does not let the joiner add anyone else', async () => {
+            await assertFails(updateDoc(doc(as(env, 'dave'), 'groups/trip'), {
+                members: arrayUnion('dave', 'erin'),
+                joinedViaInvite: 'linkcode'
+            }));
+        });
+    });
+
+    describe('delete', () => {
+        it('lets only the owner delete the group', async () => {
+            await assertFails(deleteDoc(doc(as(env, 'bob'), 'groups/trip')));
+            await assertSucceeds(deleteDoc(doc(as(env, 'alice'), 'groups/trip')));
+        });
+    });
+});
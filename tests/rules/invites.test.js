@@ -0,0 +1,105 @@
+import { describe, it, before, beforeEach, after } from 'node:test';
+import { assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { collection, doc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, query, where } from 'firebase/firestore';
+import { setupEnv, as, seed, GROUP, inDays } from './setup.js';
+
+const EMAIL_INVITE = {
+    type: 'email',
+    groupId: 'trip',
+    groupName: 'Goa trip',
+    email: 'dave@example.com',
+    invitedBy: 'alice',
+    status: 'pending',
+    createdAt: '2026-01-01T00:00:00.000Z'
+};
+
+describe('invites', () => {
+    let env;
+    before(async () => { env = await setupEnv('invites'); });
+    after(async () => { await env.cleanup(); });
+    beforeEach(async () => {
+        await env.clearFirestore();
+        await seed(env, {
+            'groups/trip': GROUP,
+            'invites/trip_dave@example.com': { ...EMAIL_INVITE, expiresAt: inDays(30) },
+            'invites/linkcode': {
+                type: 'link', groupId: 'trip', groupName: 'Goa trip', invitedBy: 'alice',
+                status: 'pending', createdAt: '2026-01-01T00:00:00.000Z', expiresAt: inDays(7)
+            }
+        });
+    });
+
+    describe('create', () => {
+        const link = () => ({
+            type: 'link', groupId: 'trip', groupName: 'Goa trip', invitedBy: 'bob',
+            status: 'pending', createdAt: '2026-01-01T00:00:00.000Z', expiresAt: inDays(1)
+        });
+
+        it('lets admins create invites', async () => {
+            await assertSucceeds(setDoc(doc(as(env, 'bob'), 'invites/newcode'), link()));
+            await assertSucceeds(setDoc(doc(as(env, 'alice'), 'invites/trip_erin@example.com'), {
+                ...EMAIL_INVITE, email: 'erin@example.com', expiresAt: inDays(30)
+            }));
+        });
+
+        it('does not let plain members or outsiders create invites', async () => {
+            await assertFails(setDoc(doc(as(env, 'carol'), 'invites/newcode'), { ...link(), invitedBy: 'carol' }));
+            await assertFails(setDoc(doc(as(env, 'dave'), 'invites/newcode'), { ...link(), invitedBy: 'dave' }));
+        });
+
+        it('requires the inviter to be the signed-in admin and an expiry', async () => {
+            await assertFails(setDoc(doc(as(env, 'bob'), 'invites/newcode'), { ...link(), invitedBy: 'alice' }));
+            await assertFails(setDoc(doc(as(env, 'bob'), 'invites/newcode'), { ...link(), expiresAt: '2027-01-01' }));
+        });
+    });
+
+    describe('read', () => {
+        it('lets anyone signed in fetch a link invite by its code', async () => {
+            await assertSucceeds(getDoc(doc(as(env, 'dave'), 'invites/linkcode')));
+        });
+
+        it('lets invitees find email invites for their own address only', async () => {
+            const byEmail = (db, email) => getDocs(query(collection(db, 'invites'), where('email', '==', email)));
+            await assertSucceeds(byEmail(as(env, 'dave'), 'dave@example.com'));
+            await assertFails(byEmail(as(env, 'erin'), 'dave@example.com'));
+        });
+
+        it('lets admins list the group\'s invites, but nobody else', async () => {
+            const byGroup = (db) => getDocs(query(collection(db, 'invites'), where('groupId', '==', 'trip')));
+            await assertSucceeds(byGroup(as(env, 'bob')));
+            await assertFails(byGroup(as(env, 'carol')));
+            await assertFails(byGroup(as(env, 'dave')));
+        });
+    });
+
+    describe('update', () => {
+        it('lets the invitee accept their email invite', async () => {
+            await assertSucceeds(updateDoc(doc(as(env, 'dave'), 'invites/trip_dave@example.com'), {
+                status: 'accepted', acceptedBy: 'dave', acceptedAt: '2026-01-03T00:00:00.000Z'
+            }));
+        });
+
+        it('does not let the invitee change anything else', async () => {
+            await assertFails(updateDoc(doc(as(env, 'dave'), 'invites/trip_dave@example.com'), {
+                status: 'accepted', acceptedBy: 'dave', expiresAt: inDays(365)
+            }));
+            await assertFails(updateDoc(doc(as(env, 'dave', { verified: false }), 'invites/trip_dave@example.com'), {
+                status: 'accepted', acceptedBy: 'dave'
+            }));
+        });
+
+        it('lets admins resend and revoke, without moving the invite', async () => {
+            await assertSucceeds(updateDoc(doc(as(env, 'bob'), 'invites/linkcode'), { status: 'revoked' }));
+            await assertFails(updateDoc(doc(as(env, 'bob'), 'invites/trip_dave@example.com'), { groupId: 'other' }));
+        });
+    });
+
+    describe('delete', () => {
+        it('only happens while the owner purges the trashed group', async () => {
+            await assertFails(deleteDoc(doc(as(env, 'alice'), 'invites/linkcode')));
+            await seed(env, { 'groups/trip': { ...GROUP, deletedAt: '2026-02-01', purgeAfter: '2026-03-03' } });
+            await assertFails(deleteDoc(doc(as(env, 'bob'), 'invites/linkcode')));
+            await assertSucceeds(deleteDoc(doc(as(env, 'alice'), 'invites/linkcode')));
+        });
+    });
+});
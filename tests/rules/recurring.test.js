@@ -0,0 +1,64 @@
+import { describe, it, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, deleteDoc, runTransaction } from 'firebase/firestore';
+import { setupEnv, as, seed, GROUP, EXPENSE } from './setup.js';
+
+// Monthly rent, copied into an expense every month
+const TEMPLATE = {
+    ...EXPENSE,
+    description: 'Rent',
+    frequency: 'monthly',
+    startDate: '2026-01-01',
+    endDate: '',
+    paused: false,
+    lastGeneratedDate: '',
+    createdBy: 'alice'
+};
+
+describe('recurringExpenses', () => {
+    let env;
+    before(async () => { env = await setupEnv('recurring'); });
+    after(async () => { await env.cleanup(); });
+    beforeEach(async () => {
+        await env.clearFirestore();
+        await seed(env, {
+            'groups/trip': GROUP,
+            'recurringExpenses/rent': TEMPLATE
+        });
+    });
+
+    it('lets members create valid templates as themselves', async () => {
+        await assertSucceeds(setDoc(doc(as(env, 'carol'), 'recurringExpenses/wifi'), { ...TEMPLATE, createdBy: 'carol' }));
+        await assertFails(setDoc(doc(as(env, 'carol'), 'recurringExpenses/wifi'), TEMPLATE));
+        await assertFails(setDoc(doc(as(env, 'dave'), 'recurringExpenses/wifi'), { ...TEMPLATE, createdBy: 'dave' }));
+    });
+
+    it('lets a member create a template once, as an outbox sync does', async () => {
+        const db = as(env, 'carol');
+        // Same transaction as firestore-store.js's createIfMissing
+        const createIfMissing = (id) => runTransaction(db, async (transaction) => {
+            const ref = doc(db, 'recurringExpenses', id);
+            if ((await transaction.get(ref)).exists()) return false;
+            transaction.set(ref, { ...TEMPLATE, createdBy: 'carol' });
+            return true;
+        });
+        assert.equal(await assertSucceeds(createIfMissing('queued-1773482400000-abc123')), true);
+        assert.equal(await assertSucceeds(createIfMissing('queued-1773482400000-abc123')), false);
+    });
+
+    it('validates the amount and split like an expense', async () => {
+        await assertFails(setDoc(doc(as(env, 'alice'), 'recurringExpenses/wifi'), {
+            ...TEMPLATE, splitPaise: { alice: 45000, bob: 45000, carol: 45000 }
+        }));
+        await assertFails(updateDoc(doc(as(env, 'alice'), 'recurringExpenses/rent'), { amountPaise: 1 }));
+    });
+
+    it('lets members read, pause and delete templates, but not outsiders', async () => {
+        await assertSucceeds(getDoc(doc(as(env, 'bob'), 'recurringExpenses/rent')));
+        await assertFails(getDoc(doc(as(env, 'dave'), 'recurringExpenses/rent')));
+        await assertSucceeds(updateDoc(doc(as(env, 'bob'), 'recurringExpenses/rent'), { paused: true }));
+        await assertFails(deleteDoc(doc(as(env, 'dave'), 'recurringExpenses/rent')));
+        await assertSucceeds(deleteDoc(doc(as(env, 'carol'), 'recurringExpenses/rent')));
+    });
+});
@@ -0,0 +1,107 @@
+import { describe, it, before, beforeEach, after } from 'node:test';
+import { assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, deleteDoc, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { setupEnv, as, seed, GROUP, EXPENSE, OBLIGATION } from './setup.js';
+
+// alice reminding carol about her share of dinner
+const REMINDER = {
+    userId: 'carol',
+    fromUserId: 'alice',
+    settlementId: 'carol-dinner',
+    groupId: 'trip',
+    expenseId: 'dinner',
+    amountPaise: 30000,
+    currency: 'INR',
+    description: 'Dinner',
+    message: 'Alice reminded you to pay ₹300.00 for "Dinner"',
+    type: 'manual',
+    read: false,
+    createdAt: '2026-01-03T00:00:00.000Z'
+};
+
+describe('reminders', () => {
+    let env;
+    before(async () => { env = await setupEnv('reminders'); });
+    after(async () => { await env.cleanup(); });
+    beforeEach(async () => {
+        await env.clearFirestore();
+        await seed(env, {
+            'groups/trip': GROUP,
+            'expenses/dinner': EXPENSE,
+            'settlements/carol-dinner': OBLIGATION,
+            'settlements/bob-dinner': { ...OBLIGATION, userId: 'bob', status: 'paid' },
+            'reminders/sent': REMINDER
+        });
+    });
+
+    describe('create', () => {
+        const HOUR_MS = 60 * 60 * 1000;
+        // The reminder with its settlement's server-time stamp, as reminders.js writes them
+        const remind = (uid, data) => {
+            const db = as(env, uid);
+            const batch = writeBatch(db);
+            batch.set(doc(db, 'reminders/new'), data);
+            batch.update(doc(db, `settlements/${data.settlementId}`), { lastRemindedAt: serverTimestamp() });
+            return batch.commit();
+        };
+
+        it('lets the member owed a pending settlement remind its debtor', async () => {
+            await assertSucceeds(remind('alice', REMINDER));
+        });
+
+        it('requires the settlement to be stamped in the same batch', async () => {
+            await assertFails(setDoc(doc(as(env, 'alice'), 'reminders/new'), REMINDER));
+        });
+
+        it('does not let anyone else send it', async () => {
+            await assertFails(remind('carol', { ...REMINDER, fromUserId: 'carol' }));
+            await assertFails(remind('bob', { ...REMINDER, fromUserId: 'bob' }));
+        });
+
+        it('rejects reminders for paid settlements or the wrong member', async () => {
+            await assertFails(remind('alice', { ...REMINDER, userId: 'bob', settlementId: 'bob-dinner' }));
+            await assertFails(remind('alice', { ...REMINDER, userId: 'bob' }));
+        });
+
+        it('allows one reminder per settlement every 24 hours', async () => {
+            await seed(env, { 'settlements/carol-dinner': { ...OBLIGATION, lastRemindedAt: new Date(Date.now() - 2 * HOUR_MS) } });
+            await assertFails(remind('alice', REMINDER));
+            await seed(env, { 'settlements/carol-dinner': { ...OBLIGATION, lastRemindedAt: new Date(Date.now() - 25 * HOUR_MS) } });
+            await assertSucceeds(remind('alice', REMINDER));
+        });
+
+        it('does not let the stamp be set to any other time', async () => {
+            await seed(env, { 'settlements/carol-dinner': { ...OBLIGATION, lastRemindedAt: new Date(Date.now() - 2 * HOUR_MS) } });
+            await assertFails(updateDoc(doc(as(env, 'alice'), 'settlements/carol-dinner'), {
+                lastRemindedAt: new Date(Date.now() - 25 * HOUR_MS)
+            }));
+        });
+
+        it('rejects reminders in archived groups', async () => {
+            await seed(env, { 'groups/trip': { ...GROUP, archivedAt: '2026-02-01T00:00:00.000Z' } });
+            await assertFails(remind('alice', REMINDER));
+        });
+    });
+
+    describe('read and update', () => {
+        it('is visible to the sender and the member reminded only', async () => {
+            await assertSucceeds(getDoc(doc(as(env, 'carol'), 'reminders/sent')));
+            await assertSucceeds(getDoc(doc(as(env, 'alice'), 'reminders/sent')));
+            await assertFails(getDoc(doc(as(env, 'bob'), 'reminders/sent')));
+        });
+
+        it('lets the member reminded mark it read, and nothing more', async () => {
+            await assertSucceeds(updateDoc(doc(as(env, 'carol'), 'reminders/sent'), { read: true, readAt: '2026-01-04T00:00:00.000Z' }));
+            await assertFails(updateDoc(doc(as(env, 'carol'), 'reminders/sent'), { message: 'Never mind' }));
+            await assertFails(updateDoc(doc(as(env, 'alice'), 'reminders/sent'), { read: true }));
+        });
+    });
+
+    describe('delete', () => {
+        it('only happens while the owner purges the trashed group', async () => {
+            await assertFails(deleteDoc(doc(as(env, 'carol'), 'reminders/sent')));
+            await seed(env, { 'groups/trip': { ...GROUP, deletedAt: '2026-02-01', purgeAfter: '2026-03-03' } });
+            await assertSucceeds(deleteDoc(doc(as(env, 'alice'), 'reminders/sent')));
+        });
+    });
+});
@@ -0,0 +1,279 @@
+import { describe, it, before, beforeEach, after } from 'node:test';
+import { assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, writeBatch, arrayRemove } from 'firebase/firestore';
+import { setupEnv, as, seed, GROUP, EXPENSE, OBLIGATION } from './setup.js';
+
+const PAID = {
+    groupId: 'trip',
+    expenseId: '',
+    userId: 'carol',
+    owedTo: 'alice',
+    amountPaise: 30000,
+    currency: 'INR',
+    status: 'paid',
+    createdAt: '2026-01-05T00:00:00.000Z',
+    paidAt: '2026-01-05T00:00:00.000Z'
+};
+
+describe('settlements', () => {
+    let env;
+    before(async () => { env = await setupEnv('settlements'); });
+    after(async () => { await env.cleanup(); });
+    beforeEach(async () => {
+        await env.clearFirestore();
+        await seed(env, {
+            'groups/trip': GROUP,
+            'expenses/dinner': EXPENSE,
+            'expenses/lunch': { ...EXPENSE, description: 'Lunch', settlementStatus: { bob: 'paid' } },
+            'settlements/carol-dinner': OBLIGATION,
+            'settlements/bob-dinner': { ...OBLIGATION, userId: 'bob' }
+        });
+    });
+
+    describe('read', () => {
+        it('lets group members read the ledger', async () => {
+            await assertSucceeds(getDoc(doc(as(env, 'bob'), 'settlements/carol-dinner')));
+        });
+
+        it('hides it from non-members', async () => {
+            await assertFails(getDoc(doc(as(env, 'dave'), 'settlements/carol-dinner')));
+        });
+    });
+
+    describe('create', () => {
+        const create = (uid, data) => setDoc(doc(as(env, uid), 'settlements/new'), data);
+        // A debtor's part claim, counted on its obligation in the same batch
+        const claimPart = (uid, data, claimedPartPaise = data.amountPaise) => {
+            const db = as(env, uid);
+            const batch = writeBatch(db);
+            batch.set(doc(db, 'settlements/new'), data);
+            batch.update(doc(db, `settlements/${data.settlementId}`), { claimedPartPaise });
+            return batch.commit();
+        };
+
+        it('accepts obligations owed to the expense payer', async () => {
+            await assertSucceeds(create('alice', OBLIGATION));
+        });
+
+        it('rejects obligations owed to someone else or by a non-member', async () => {
+            await assertFails(create('alice', { ...OBLIGATION, owedTo: 'bob' }));
+            await assertFails(create('alice', { ...OBLIGATION, userId: 'dave' }));
+            await assertFails(create('dave', OBLIGATION));
+        });
+
+        it('allows a negative amount only on the payer\'s summary doc', async () => {
+            await assertSucceeds(create('alice', { ...OBLIGATION, userId: 'alice', amountPaise: -60000 }));
+            await assertFails(create('alice', { ...OBLIGATION, amountPaise: -30000 }));
+        });
+
+        it('lets only the payee record a settle-up transfer as paid', async () => {
+            await assertSucceeds(create('alice', { ...PAID, type: 'transfer' }));
+            await assertFails(create('carol', { ...PAID, type: 'transfer' }));
+            await assertFails(create('bob', { ...PAID, type: 'transfer' }));
+        });
+
+        it('lets the debtor claim a settle-up transfer for the payee to confirm', async () => {
+            const claimed = { ...PAID, type: 'transfer', status: 'claimed', paymentMethod: 'cash', claimedAt: '2026-01-05T00:00:00.000Z' };
+            await assertSucceeds(create('carol', claimed));
+            await assertFails(create('alice', claimed));
+        });
+
+        it('takes part payments of an unpaid share for less than is left of it', async () => {
+            const part = { ...OBLIGATION, type: 'payment', settlementId: 'carol-dinner', amountPaise: 10000 };
+            const claimed = { ...part, status: 'claimed', paymentMethod: 'cash', claimedAt: '2026-01-05T00:00:00.000Z' };
+            await assertFails(create('carol', claimed));
+            await assertSucceeds(claimPart('carol', claimed));
+            await assertFails(create('alice', claimed));
+            await assertSucceeds(create('alice', { ...part, status: 'paid', paidAt: '2026-01-05T00:00:00.000Z' }));
+            await assertFails(claimPart('carol', { ...claimed, amountPaise: 30000 }));
+            await assertFails(claimPart('carol', { ...claimed, owedTo: 'bob' }));
+            await assertFails(claimPart('bob', { ...claimed, userId: 'bob', settlementId: 'carol-dinner' }));
+        });
+
+        it('counts claimed parts against what can still be claimed', async () => {
+            const claimed = {
+                ...OBLIGATION, type: 'payment', settlementId: 'carol-dinner', amountPaise: 10000,
+                status: 'claimed', paymentMethod: 'cash', claimedAt: '2026-01-05T00:00:00.000Z'
+            };
+            await seed(env, { 'settlements/carol-dinner': { ...OBLIGATION, claimedPartPaise: 25000 } });
+            await assertFails(claimPart('carol', claimed, 35000));
+            await assertFails(claimPart('carol', { ...claimed, amountPaise: 5000 }, 25000));
+            await assertSucceeds(claimPart('carol', { ...claimed, amountPaise: 5000 }, 30000));
+            // Nor can the whole share be claimed while parts wait for the payee
+            await assertFails(updateDoc(doc(as(env, 'carol'), 'settlements/carol-dinner'), {
+                status: 'claimed', paymentMethod: 'cash', claimedAt: '2026-01-06T00:00:00.000Z'
+            }));
+            await assertFails(updateDoc(doc(as(env, 'carol'), 'settlements/carol-dinner'), { claimedPartPaise: 0 }));
+        });
+
+        it('takes part payments of a share stored in rupees', async () => {
+            const { amountPaise, currency, ...legacy } = OBLIGATION;
+            await seed(env, { 'settlements/carol-dinner': { ...legacy, amount: 300 } });
+            const part = { ...OBLIGATION, type: 'payment', settlementId: 'carol-dinner', amountPaise: 10000, status: 'paid', paidAt: '2026-01-05T00:00:00.000Z' };
+            await assertSucceeds(create('alice', part));
+            await assertFails(create('alice', { ...part, amountPaise: 30000 }));
+        });
+
+        // An admin's write-off, saved with the removal of `removed` (if any)
+        const writeOffRemoving = (uid, data, removed) => {
+            const db = as(env, uid);
+            const batch = writeBatch(db);
+            batch.set(doc(db, 'settlements/new'), data);
+            if (removed) {
+                batch.update(doc(db, 'groups/trip'), {
+                    members: arrayRemove(removed),
+                    memberEmails: arrayRemove(`${removed}@example.com`)
+                });
+            }
+            return batch.commit();
+        };
+
+        it('lets the creditor write a debt off, but not the debtor', async () => {
+            await assertSucceeds(create('alice', { ...PAID, type: 'write_off' }));
+            await assertFails(create('carol', { ...PAID, type: 'write_off' }));
+        });
+
+        it('lets an admin write off only what is owed to a member they remove', async () => {
+            const owedToCarol = { ...PAID, userId: 'alice', owedTo: 'carol', type: 'write_off' };
+            await assertSucceeds(writeOffRemoving('bob', owedToCarol, 'carol'));
+        });
+
+        it('never lets an admin write off a debt outside a removal', async () => {
+            await assertFails(create('bob', { ...PAID, type: 'write_off' }));
+            await assertFails(create('bob', { ...PAID, userId: 'alice', owedTo: 'carol', type: 'write_off' }));
+        });
+
+        it('never lets an admin write off what a removed member owes someone else', async () => {
+            await assertFails(writeOffRemoving('bob', { ...PAID, type: 'write_off' }, 'carol'));
+        });
+
+        it('accepts migrated payments only for a legacy paid mark', async () => {
+            const migrated = { ...PAID, expenseId: 'lunch', userId: 'bob', migratedFrom: 'settlementStatus' };
+            await assertSucceeds(create('carol', migrated));
+            await assertFails(create('carol', { ...migrated, userId: 'carol' }));
+        });
+
+        it('rejects paid docs that are none of the above', async () => {
+            await assertFails(create('carol', PAID));
+        });
+
+        it('leaves Razorpay order and payment IDs to the payment functions', async () => {
+            await assertFails(create('alice', { ...OBLIGATION, razorpayOrderId: 'order_1' }));
+        });
+    });
+
+    describe('update', () => {
+        const update = (uid, id, data) => updateDoc(doc(as(env, uid), `settlements/${id}`), data);
+
+        const CLAIM = { status: 'claimed', paymentMethod: 'cash', paymentReference: '', hasProof: false, claimedAt: '2026-01-06T00:00:00.000Z' };
+
+        it('lets the debtor claim their share paid, but not mark it paid', async () => {
+            await assertFails(update('carol', 'carol-dinner', { status: 'paid', paidAt: '2026-01-06T00:00:00.000Z' }));
+            await assertFails(update('carol', 'carol-dinner', { ...CLAIM, confirmedAt: '2026-01-06T00:00:00.000Z' }));
+            await assertSucceeds(update('carol', 'carol-dinner', CLAIM));
+            await assertFails(update('carol', 'carol-dinner', { status: 'paid' }));
+        });
+
+        it('lets only the payee confirm or dispute a claim', async () => {
+            await assertFails(update('alice', 'carol-dinner', CLAIM));
+            await assertFails(update('alice', 'carol-dinner', { status: 'disputed' }));
+            await update('carol', 'carol-dinner', CLAIM);
+            await assertFails(update('carol', 'carol-dinner', { status: 'disputed' }));
+            await assertSucceeds(update('alice', 'carol-dinner', { status: 'disputed', disputedAt: '2026-01-07T00:00:00.000Z', disputeReason: 'Not received' }));
+            // Claimed again, then confirmed
+            await assertSucceeds(update('carol', 'carol-dinner', CLAIM));
+            await assertSucceeds(update('alice', 'carol-dinner', { status: 'paid', paidAt: '2026-01-08T00:00:00.000Z', confirmedAt: '2026-01-08T00:00:00.000Z' }));
+        });
+
+        it('never changes the amount or the parties', async () => {
+            await assertFails(update('carol', 'carol-dinner', { amountPaise: 1 }));
+            await assertFails(update('alice', 'carol-dinner', { userId: 'bob' }));
+        });
+
+        it('only ever adds to what was paid towards a share', async () => {
+            await assertSucceeds(update('alice', 'carol-dinner', { paidPaise: 10000 }));
+            await assertFails(update('alice', 'carol-dinner', { paidPaise: 5000 }));
+            await assertFails(update('carol', 'carol-dinner', { paidPaise: 20000 }));
+        });
+
+        it('keeps paid settlements paid', async () => {
+            await update('alice', 'carol-dinner', { status: 'paid' });
+            await assertFails(update('alice', 'carol-dinner', { status: 'pending' }));
+        });
+
+        it('lets other members only void an unpaid settlement', async () => {
+            await assertFails(update('carol', 'bob-dinner', { status: 'paid' }));
+            await assertSucceeds(update('carol', 'bob-dinner', { status: 'void', voidedAt: '2026-01-06T00:00:00.000Z' }));
+        });
+
+        it('lets admins close other members\' debts only with a write-off', async () => {
+            await assertFails(update('bob', 'carol-dinner', { status: 'paid' }));
+            await seed(env, { 'settlements/write-off': { ...PAID, type: 'write_off' } });
+            await assertSucceeds(update('bob', 'carol-dinner', { status: 'paid', paidAt: '2026-01-06T00:00:00.000Z', coveredByTransfer: 'write-off' }));
+        });
+
+        it('never lets an admin close their own debt', async () => {
+            await assertFails(update('bob', 'bob-dinner', { status: 'paid' }));
+            await assertFails(setDoc(doc(as(env, 'bob'), 'settlements/write-off'), { ...PAID, userId: 'bob', type: 'write_off' }));
+            await seed(env, { 'settlements/write-off': { ...PAID, userId: 'bob', type: 'write_off' } });
+            await assertFails(update('bob', 'bob-dinner', { status: 'paid', paidAt: '2026-01-06T00:00:00.000Z', coveredByTransfer: 'write-off' }));
+        });
+
+        it('never lets the app claim a Razorpay payment', async () => {
+            await assertFails(update('alice', 'carol-dinner', { status: 'paid', razorpayPaymentId: 'pay_1' }));
+            await assertFails(update('carol', 'carol-dinner', { razorpayOrderId: 'order_1' }));
+        });
+
+        it('rejects updates from non-members', async () => {
+            await assertFails(update('dave', 'carol-dinner', { status: 'void' }));
+        });
+    });
+
+    describe('payment proofs', () => {
+        const PROOF = { settlementId: 'carol-dinner', groupId: 'trip', userId: 'carol', owedTo: 'alice', image: 'data:image/jpeg;base64,AAAA', createdAt: '2026-01-06T00:00:00.000Z' };
+        const write = (uid, data) => setDoc(doc(as(env, uid), 'paymentProofs/carol-dinner'), data);
+
+        it('lets only the debtor attach one to their settlement', async () => {
+            await assertFails(write('alice', PROOF));
+            await assertFails(write('carol', { ...PROOF, image: 'https://example.com/receipt.png' }));
+            await assertSucceeds(write('carol', PROOF));
+            await assertSucceeds(getDoc(doc(as(env, 'bob'), 'paymentProofs/carol-dinner')));
+            await assertFails(getDoc(doc(as(env, 'dave'), 'paymentProofs/carol-dinner')));
+        });
+    });
+
+    describe('pay links', () => {
+        const CODE = 'abcdefghijkmnpqrstuvwxyz';
+        const LINK = {
+            settlementId: 'carol-dinner', groupId: 'trip', userId: 'carol', owedTo: 'alice',
+            amountPaise: 30000, currency: 'INR', description: 'Dinner', payeeName: 'Alice',
+            createdBy: 'alice', createdAt: '2026-01-06T00:00:00.000Z'
+        };
+        const create = (uid, data, code = CODE) => setDoc(doc(as(env, uid), `paymentLinks/${code}`), data);
+
+        beforeEach(async () => {
+            await seed(env, { 'users/alice': { name: 'Alice' } });
+        });
+
+        it('lets a member of the settlement share it with its true figures', async () => {
+            await assertFails(create('alice', { ...LINK, amountPaise: 100 }));
+            await assertFails(create('alice', { ...LINK, payeeName: 'Bank of Alice' }));
+            await assertFails(create('alice', LINK, 'short'));
+            await assertFails(create('bob', { ...LINK, createdBy: 'bob' }));
+            await assertSucceeds(create('alice', LINK));
+        });
+
+        it('checks the figures of settlements stored in rupees', async () => {
+            const { amountPaise, currency, ...legacy } = OBLIGATION;
+            await seed(env, { 'settlements/carol-dinner': { ...legacy, amount: 300 } });
+            await assertFails(create('alice', { ...LINK, amountPaise: 300 }));
+            await assertSucceeds(create('alice', LINK));
+        });
+
+        it('opens for anyone holding the code, signed in or not', async () => {
+            await seed(env, { [`paymentLinks/${CODE}`]: LINK });
+            await assertSucceeds(getDoc(doc(env.unauthenticatedContext().firestore(), `paymentLinks/${CODE}`)));
+            await assertFails(updateDoc(doc(as(env, 'alice'), `paymentLinks/${CODE}`), { amountPaise: 100 }));
+        });
+    });
+});
@@ -0,0 +1,85 @@
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, setDoc, Timestamp } from 'firebase/firestore';
+
+// Shared fixtures for the security rules tests. Run them with
+// `npm run test:rules`, which starts the Firestore emulator first.
+//
+// Test files run in parallel, so each one uses its own emulator project:
+// clearing one file's data never touches another's.
+
+const RULES = readFileSync(new URL('../../firestore-rules.txt', import.meta.url), 'utf8');
+
+export async function setupEnv(name) {
+    return initializeTestEnvironment({
+        projectId: `demo-splitez-${name}`,
+        firestore: { rules: RULES }
+    });
+}
+
+// Firestore for a signed-in user; their email is `${uid}@example.com`
+export function as(env, uid, { verified = true } = {}) {
+    return env.authenticatedContext(uid, {
+        email: `${uid}@example.com`,
+        email_verified: verified
+    }).firestore();
+}
+
+// Write docs ({ 'collection/id': data }) with the rules switched off
+export async function seed(env, docs) {
+    await env.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        for (const [path, data] of Object.entries(docs)) {
+            await setDoc(doc(db, path), data);
+        }
+    });
+}
+
+// The group most tests use: alice owns it, bob is an admin, carol is a
+// member. dave is signed in but not a member.
+export const GROUP = {
+    name: 'Goa trip',
+    members: ['alice', 'bob', 'carol'],
+    memberEmails: ['alice@example.com', 'bob@example.com', 'carol@example.com'],
+    pendingMemberEmails: [],
+    admins: ['bob'],
+    baseCurrency: 'INR',
+    createdBy: 'alice',
+    createdAt: '2026-01-01T00:00:00.000Z'
+};
+
+// ₹900 paid by alice, split equally between the three members
+export const EXPENSE = {
+    groupId: 'trip',
+    groupName: 'Goa trip',
+    description: 'Dinner',
+    amountPaise: 90000,
+    baseCurrency: 'INR',
+    currency: 'INR',
+    originalAmountPaise: 90000,
+    fxRate: 1,
+    date: '2026-01-02',
+    paidBy: 'alice',
+    splitType: 'equal',
+    splitMembers: ['alice', 'bob', 'carol'],
+    splitPaise: { alice: 30000, bob: 30000, carol: 30000 },
+    splitInputs: {},
+    createdAt: '2026-01-02T00:00:00.000Z'
+};
+
+// carol's pending share of EXPENSE (stored as expenses/dinner)
+export const OBLIGATION = {
+    groupId: 'trip',
+    expenseId: 'dinner',
+    userId: 'carol',
+    owedTo: 'alice',
+    amountPaise: 30000,
+    currency: 'INR',
+    description: 'Dinner',
+    status: 'pending',
+    createdAt: '2026-01-02T00:00:00.000Z'
+};
+
+export function inDays(days) {
+    return Timestamp.fromMillis(Date.now() + days * 24 * 60 * 60 * 1000);
+}
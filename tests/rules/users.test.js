@@ -0,0 +1,54 @@
+import { describe, it, before, beforeEach, after } from 'node:test';
+import { assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, deleteField } from 'firebase/firestore';
+import { setupEnv, as, seed } from './setup.js';
+
+describe('users', () => {
+    let env;
+    before(async () => { env = await setupEnv('users'); });
+    after(async () => { await env.cleanup(); });
+    beforeEach(async () => {
+        await env.clearFirestore();
+        await seed(env, {
+            'users/alice': { name: 'Alice', email: 'alice@example.com', emailVerified: true }
+        });
+    });
+
+    it('lets signed-in users read profiles', async () => {
+        await assertSucceeds(getDoc(doc(as(env, 'dave'), 'users/alice')));
+        await assertFails(getDoc(doc(env.unauthenticatedContext().firestore(), 'users/alice')));
+    });
+
+    it('lets users write only their own profile', async () => {
+        await assertSucceeds(updateDoc(doc(as(env, 'alice'), 'users/alice'), { name: 'Alice A.' }));
+        await assertFails(updateDoc(doc(as(env, 'bob'), 'users/alice'), { name: 'Mallory' }));
+    });
+
+    it('requires a string name', async () => {
+        await assertFails(updateDoc(doc(as(env, 'alice'), 'users/alice'), { name: 42 }));
+    });
+
+    it('accepts a UPI ID only as a short string', async () => {
+        await assertSucceeds(updateDoc(doc(as(env, 'alice'), 'users/alice'), { upiId: 'alice@okbank' }));
+        await assertFails(updateDoc(doc(as(env, 'alice'), 'users/alice'), { upiId: 42 }));
+        await assertFails(updateDoc(doc(as(env, 'alice'), 'users/alice'), { upiId: `${'a'.repeat(320)}@okbank` }));
+    });
+
+    it('only lets verified accounts claim emailVerified', async () => {
+        const profile = { name: 'Erin', email: 'erin@example.com', emailVerified: true };
+        await assertFails(setDoc(doc(as(env, 'erin', { verified: false }), 'users/erin'), profile));
+        await assertSucceeds(setDoc(doc(as(env, 'erin', { verified: false }), 'users/erin'), { ...profile, emailVerified: false }));
+        await assertSucceeds(setDoc(doc(as(env, 'erin'), 'users/erin'), profile));
+    });
+
+    it('never lets a profile drop its emailVerified flag', async () => {
+        await seed(env, { 'users/erin': { name: 'Erin', email: 'erin@example.com', emailVerified: false } });
+        await assertFails(updateDoc(doc(as(env, 'erin', { verified: false }), 'users/erin'), { emailVerified: deleteField() }));
+        await assertFails(setDoc(doc(as(env, 'erin', { verified: false }), 'users/erin'), { name: 'Erin', email: 'erin@example.com' }));
+    });
+
+    it('keeps the profile email to the account\'s own', async () => {
+        await assertFails(updateDoc(doc(as(env, 'alice'), 'users/alice'), { email: 'bob@example.com' }));
+        await assertFails(setDoc(doc(as(env, 'erin'), 'users/erin'), { name: 'Erin', email: 'bob@example.com', emailVerified: true }));
+    });
+});
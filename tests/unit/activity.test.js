@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTimelineHtml } from '../../activity.js';
+
+describe('activity timeline', () => {
+    it('shows what members typed as text, not markup', () => {
+        const html = buildTimelineHtml([{
+            type: 'expense_updated',
+            actorId: 'bob',
+            actorName: '<b>Bob</b>',
+            summary: '"<img src=x onerror=alert(1)>"',
+            changes: [{ field: 'Description', from: 'Dinner & drinks', to: '<script>alert(1)</script>' }],
+            createdAt: '2026-03-14T10:00:00.000Z'
+        }], 'alice');
+
+        assert.doesNotMatch(html, /<img|<script|<b>/);
+        assert.match(html, /&lt;img src=x onerror=alert\(1\)&gt;/);
+        assert.match(html, /Dinner &amp; drinks → &lt;script&gt;/);
+        assert.match(html, /by &lt;b&gt;Bob&lt;\/b&gt;/);
+    });
+});
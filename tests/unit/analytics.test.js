@@ -0,0 +1,117 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useStore, settlementsRepo } from '../../repository.js';
+import { createMemoryStore } from '../../memory-store.js';
+import { calculateSettlements, getMonthlySpending } from '../../analytics.js';
+
+const GROUP = {
+    name: 'Goa trip',
+    members: ['alice', 'bob', 'carol'],
+    baseCurrency: 'INR',
+    createdBy: 'alice'
+};
+
+// ₹900 paid by alice; bob and carol owe ₹300 each
+const DINNER = {
+    groupId: 'trip',
+    description: 'Dinner',
+    amountPaise: 90000,
+    baseCurrency: 'INR',
+    currency: 'INR',
+    date: '2026-03-14',
+    paidBy: 'alice',
+    splitPaise: { alice: 30000, bob: 30000, carol: 30000 }
+};
+
+describe('calculateSettlements', () => {
+    beforeEach(() => {
+        useStore(createMemoryStore({ userId: 'alice', docs: { groups: { trip: GROUP } } }));
+    });
+
+    it('creates a pending obligation to the payer for each other member', async () => {
+        await calculateSettlements('trip', { ...DINNER, id: 'dinner' });
+
+        const owed = (await settlementsRepo.find([['owedTo', '==', 'alice']]))
+            .filter(s => s.userId !== 'alice')
+            .map(({ userId, amountPaise, status, expenseId, currency }) => ({ userId, amountPaise, status, expenseId, currency }))
+            .sort((a, b) => a.userId.localeCompare(b.userId));
+        assert.deepEqual(owed, [
+            { userId: 'bob', amountPaise: 30000, status: 'pending', expenseId: 'dinner', currency: 'INR' },
+            { userId: 'carol', amountPaise: 30000, status: 'pending', expenseId: 'dinner', currency: 'INR' }
+        ]);
+    });
+
+    it('records what the payer is owed as one negative summary doc', async () => {
+        await calculateSettlements('trip', { ...DINNER, id: 'dinner' });
+
+        const summary = await settlementsRepo.find([['userId', '==', 'alice']]);
+        assert.equal(summary.length, 1);
+        assert.equal(summary[0].owedTo, 'alice');
+        assert.equal(summary[0].amountPaise, -60000);
+    });
+
+    it('writes nothing when the payer covers the whole expense alone', async () => {
+        await calculateSettlements('trip', { ...DINNER, splitPaise: { alice: 90000 } });
+
+        assert.deepEqual(await settlementsRepo.find(), []);
+    });
+
+    it('keeps uneven shares as split', async () => {
+        await calculateSettlements('trip', { ...DINNER, splitPaise: { alice: 10000, bob: 50001, carol: 29999 } });
+
+        const bob = await settlementsRepo.find([['userId', '==', 'bob']]);
+        const summary = await settlementsRepo.find([['userId', '==', 'alice']]);
+        assert.equal(bob[0].amountPaise, 50001);
+        assert.equal(summary[0].amountPaise, -80000);
+    });
+});
+
+describe('getMonthlySpending', () => {
+    beforeEach(() => {
+        useStore(createMemoryStore({
+            userId: 'bob',
+            docs: {
+                groups: {
+                    trip: GROUP,
+                    done: { ...GROUP, name: 'Last year', archivedAt: '2026-01-10T00:00:00.000Z' },
+                    gone: { ...GROUP, name: 'Deleted', deletedAt: '2026-02-01T00:00:00.000Z' },
+                    other: { ...GROUP, name: 'Not mine', members: ['alice', 'carol'] }
+                },
+                expenses: {
+                    dinner: { ...DINNER },
+                    taxi: { ...DINNER, description: 'Taxi to the airport', amountPaise: 60000, date: '2026-03-20', splitPaise: { alice: 30000, bob: 30000 } },
+                    lunch: { ...DINNER, groupId: 'done', description: 'Lunch', amountPaise: 30000, splitPaise: { alice: 15000, bob: 15000 } },
+                    april: { ...DINNER, date: '2026-04-02' },
+                    trashed: { ...DINNER, groupId: 'gone' },
+                    private: { ...DINNER, groupId: 'other', splitPaise: { alice: 45000, carol: 45000 } },
+                    dollars: { ...DINNER, baseCurrency: 'USD', currency: 'USD', amountPaise: 3000, splitPaise: { alice: 1000, bob: 1000, carol: 1000 } }
+                }
+            }
+        }));
+    });
+
+    it('adds up the user\'s shares for the month, archived groups included', async () => {
+        const { total, expenses } = await getMonthlySpending('bob', 3, 2026);
+
+        assert.equal(total, 30000 + 30000 + 15000);
+        assert.deepEqual(expenses.map(e => e.id).sort(), ['dinner', 'lunch', 'taxi']);
+        assert.equal(expenses.find(e => e.id === 'taxi').userShare, 30000);
+    });
+
+    it('groups the shares by category', async () => {
+        const { categories } = await getMonthlySpending('bob', 3, 2026);
+
+        assert.deepEqual(categories, { Food: 45000, Travel: 30000 });
+    });
+
+    it('counts only expenses in the requested currency', async () => {
+        const { total, expenses } = await getMonthlySpending('bob', 3, 2026, 'USD');
+
+        assert.equal(total, 1000);
+        assert.deepEqual(expenses.map(e => e.id), ['dollars']);
+    });
+
+    it('returns nothing for a user without groups', async () => {
+        assert.deepEqual(await getMonthlySpending('dave', 3, 2026), { total: 0, expenses: [] });
+    });
+});
@@ -0,0 +1,138 @@
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useStore, groupsRepo, expensesRepo, settlementsRepo, activityRepo } from '../../repository.js';
+import { createMemoryStore } from '../../memory-store.js';
+import {
+    parseCsv, guessColumnMapping, readMappedRows, readSplitwiseRows, collectNames,
+    getMatchableMembers, matchMembers, buildImportPreview, importExpenses
+} from '../../expense-import.js';
+
+const GROUP = {
+    name: 'Goa trip',
+    members: ['alice', 'bob', 'carol'],
+    baseCurrency: 'INR',
+    createdBy: 'alice'
+};
+
+const SPREADSHEET = [
+    'Date,Item,Amount,Paid by,Split with',
+    '14/03/2026,"Dinner, drinks",900,Alice,',
+    '2026-03-15,Taxi,"1,000.50",bob@example.com,Alice; Bob',
+    '31/02/2026,Snacks,abc,Dave,'
+].join('\n');
+
+// Splitwise member columns hold what each person paid minus their share
+const SPLITWISE = [
+    '\uFEFFDate,Description,Category,Cost,Currency,Alice Rao,Bob,Carol',
+    '2026-03-14,Hotel,Accommodation,3000.00,INR,2000.00,-1000.00,-1000.00',
+    '2026-03-16,Bob paid Alice,Payment,1000.00,INR,-1000.00,1000.00,0.00',
+    '2026-03-17,Museum,Entertainment,600.00,USD,400.00,-200.00,-200.00',
+    ',Total balance,,,INR,1000.00,0.00,-1000.00'
+].join('\r\n');
+
+describe('expense import', () => {
+    let group;
+
+    before(() => {
+        globalThis.alert = () => {};
+    });
+
+    beforeEach(async () => {
+        useStore(createMemoryStore({
+            userId: 'alice',
+            docs: {
+                users: {
+                    alice: { name: 'Alice Rao', email: 'alice@example.com', xpPoints: 0, level: 1, badges: [] },
+                    bob: { name: 'Bob', email: 'bob@example.com' },
+                    carol: { name: 'Carol', email: 'carol@example.com' }
+                },
+                groups: { trip: GROUP }
+            }
+        }));
+        group = await groupsRepo.get('trip');
+    });
+
+    it('reads mapped spreadsheet rows and reports the ones it cannot read', async () => {
+        const rows = parseCsv(SPREADSHEET);
+        const mapping = guessColumnMapping(rows[0]);
+        assert.deepEqual(mapping, { date: 0, description: 1, amount: 2, paidBy: 3, splitWith: 4, currency: -1 });
+
+        const records = readMappedRows(rows, mapping);
+        assert.equal(records[0].description, 'Dinner, drinks');
+        assert.equal(records[0].date, '2026-03-14');
+        assert.equal(records[1].amountPaise, 100050);
+        assert.deepEqual(records[1].splitWith, ['Alice', 'Bob']);
+        assert.equal(records[2].errors.length, 2);
+
+        const matches = matchMembers(collectNames(records), await getMatchableMembers(group));
+        // Alice matches "Alice Rao" by first name, Bob by email; Dave is no member
+        assert.deepEqual(matches, { Alice: 'alice', 'bob@example.com': 'bob', Bob: 'bob', Dave: '' });
+
+        const preview = buildImportPreview(records, group, matches, 'alice');
+        assert.deepEqual(preview[0].data.splitPaise, { alice: 30000, bob: 30000, carol: 30000 });
+        assert.equal(preview[1].data.paidBy, 'bob');
+        assert.deepEqual(preview[1].data.splitPaise, { alice: 50025, bob: 50025 });
+        assert.deepEqual(preview[2].errors, records[2].errors);
+    });
+
+    it('turns a Splitwise export into expenses and payments', async () => {
+        const records = readSplitwiseRows(parseCsv(SPLITWISE));
+        // The total balance row is not an expense
+        assert.equal(records.length, 3);
+        assert.deepEqual(records[0].shares, { Bob: 100000, Carol: 100000, 'Alice Rao': 100000 });
+        assert.equal(records[1].kind, 'payment');
+        assert.equal(records[1].payer, 'Bob');
+        assert.equal(records[1].payee, 'Alice Rao');
+
+        const matches = matchMembers(collectNames(records), await getMatchableMembers(group));
+        const preview = buildImportPreview(records, group, matches, 'alice');
+        assert.equal(preview[0].data.splitType, 'custom');
+        assert.equal(preview[0].data.paidBy, 'alice');
+        assert.deepEqual(preview[1].payment, { from: 'bob', to: 'alice', amount: 100000 });
+        assert.match(preview[2].errors[0], /USD/);
+    });
+
+    it('leaves payments between two other members to them', async () => {
+        const records = readSplitwiseRows(parseCsv(SPLITWISE));
+        const matches = matchMembers(collectNames(records), await getMatchableMembers(group));
+        const preview = buildImportPreview(records, group, matches, 'carol');
+        assert.deepEqual(preview[1].errors, ['Payments between two other members can only be recorded by one of them.']);
+
+        const result = await importExpenses(group, preview);
+        assert.deepEqual(result, { success: true, expenses: 1, payments: 0 });
+        const transfers = (await settlementsRepo.find([['groupId', '==', 'trip']])).filter(s => s.type);
+        assert.equal(transfers.length, 0);
+    });
+
+    it('writes the valid rows with their settlements and logs the import once', async () => {
+        const records = readSplitwiseRows(parseCsv(SPLITWISE));
+        const matches = matchMembers(collectNames(records), await getMatchableMembers(group));
+        const preview = buildImportPreview(records, group, matches, 'alice');
+
+        const result = await importExpenses(group, preview, { fileName: 'goa.csv' });
+
+        assert.deepEqual(result, { success: true, expenses: 1, payments: 1 });
+        const [hotel] = await expensesRepo.find([['groupId', '==', 'trip']]);
+        assert.equal(hotel.groupName, 'Goa trip');
+        const settlements = await settlementsRepo.find([['groupId', '==', 'trip']]);
+        const owed = settlements.filter(s => s.expenseId === hotel.id && s.userId !== s.owedTo).map(s => [s.userId, s.status]).sort();
+        // Bob's payment covers his hotel share in full
+        assert.deepEqual(owed, [['bob', 'paid'], ['carol', 'pending']]);
+        const imported = (await activityRepo.find([['groupId', '==', 'trip']])).filter(a => a.type === 'expenses_imported');
+        assert.equal(imported.length, 1);
+        assert.match(imported[0].summary, /goa\.csv/);
+    });
+
+    it('logs an import of payments only', async () => {
+        const records = readSplitwiseRows(parseCsv(SPLITWISE)).filter(record => record.kind === 'payment');
+        const matches = matchMembers(collectNames(records), await getMatchableMembers(group));
+        const preview = buildImportPreview(records, group, matches, 'alice');
+
+        const result = await importExpenses(group, preview, { fileName: 'goa.csv' });
+
+        assert.deepEqual(result, { success: true, expenses: 0, payments: 1 });
+        const imported = (await activityRepo.find([['groupId', '==', 'trip']])).filter(a => a.type === 'expenses_imported');
+        assert.equal(imported.length, 1);
+        assert.equal(imported[0].summary, '1 payment from goa.csv');
+    });
+});
@@ -0,0 +1,227 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useStore, expensesRepo, settlementsRepo, activityRepo, recurringRepo, usersRepo, groupsRepo, deleteField } from '../../repository.js';
+import { createMemoryStore } from '../../memory-store.js';
+import { addExpense, syncQueuedExpenses } from '../../expense-service.js';
+import { useOutboxStorage, getQueuedExpenses, retryQueuedExpense } from '../../outbox.js';
+
+const GROUP = {
+    name: 'Goa trip',
+    members: ['alice', 'bob', 'carol'],
+    baseCurrency: 'INR',
+    createdBy: 'alice'
+};
+
+// ₹900 paid by alice, split equally
+const EXPENSE = {
+    groupId: 'trip',
+    description: 'Dinner',
+    amountPaise: 90000,
+    baseCurrency: 'INR',
+    currency: 'INR',
+    originalAmountPaise: 90000,
+    fxRate: 1,
+    date: '2026-03-14',
+    paidBy: 'alice',
+    splitType: 'equal',
+    splitMembers: ['alice', 'bob', 'carol'],
+    splitPaise: { alice: 30000, bob: 30000, carol: 30000 },
+    splitInputs: {}
+};
+
+describe('addExpense', () => {
+    // Badge notifications use the browser's alert()
+    before(() => {
+        globalThis.alert = () => {};
+    });
+
+    beforeEach(() => {
+        useStore(createMemoryStore({
+            userId: 'alice',
+            docs: {
+                users: {
+                    alice: { name: 'Alice', email: 'alice@example.com', xpPoints: 0, level: 1, badges: [] }
+                },
+                groups: {
+                    trip: GROUP,
+                    done: { ...GROUP, name: 'Last year', archivedAt: '2026-01-10T00:00:00.000Z' }
+                }
+            }
+        }));
+    });
+
+    it('saves the expense with the group\'s name and currency', async () => {
+        const result = await addExpense(EXPENSE, { userId: 'alice' });
+
+        assert.equal(result.success, true);
+        const saved = await expensesRepo.get(result.expenseId);
+        assert.equal(saved.groupName, 'Goa trip');
+        assert.equal(saved.baseCurrency, 'INR');
+        assert.deepEqual(saved.splitPaise, EXPENSE.splitPaise);
+        assert.ok(saved.createdAt);
+    });
+
+    it('creates the settlements for the new expense', async () => {
+        const { expenseId } = await addExpense(EXPENSE, { userId: 'alice' });
+
+        const settlements = await settlementsRepo.find([['expenseId', '==', expenseId]]);
+        const owed = settlements.filter(s => s.userId !== s.owedTo).map(s => [s.userId, s.amountPaise]).sort();
+        assert.deepEqual(owed, [['bob', 30000], ['carol', 30000]]);
+    });
+
+    it('logs the expense as the signed-in user and awards the payer XP', async () => {
+        const { expenseId } = await addExpense(EXPENSE, { userId: 'alice' });
+
+        const [entry] = await activityRepo.find([['expenseId', '==', expenseId]]);
+        assert.equal(entry.type, 'expense_created');
+        assert.equal(entry.actorId, 'alice');
+        assert.equal(entry.actorName, 'Alice');
+        assert.equal((await usersRepo.get('alice')).xpPoints, 10);
+    });
+
+    it('creates a recurring template instead when the expense repeats', async () => {
+        const result = await addExpense({ ...EXPENSE, date: '2099-01-01' }, { repeat: 'monthly', userId: 'alice' });
+
+        assert.equal(result.success, true);
+        const template = await recurringRepo.get(result.templateId);
+        assert.equal(template.frequency, 'monthly');
+        assert.equal(template.startDate, '2099-01-01');
+        assert.equal(template.createdBy, 'alice');
+        // Not due yet, so no expense is written
+        assert.deepEqual(await expensesRepo.find(), []);
+    });
+
+    it('rejects expenses in archived groups', async () => {
+        const result = await addExpense({ ...EXPENSE, groupId: 'done' }, { userId: 'alice' });
+
+        assert.equal(result.success, false);
+        assert.match(result.error, /archived/);
+        assert.deepEqual(await expensesRepo.find(), []);
+    });
+
+    it('rejects a split that does not add up to the amount', async () => {
+        const result = await addExpense({ ...EXPENSE, splitPaise: { alice: 30000, bob: 30000, carol: 29999 } }, { userId: 'alice' });
+
+        assert.equal(result.success, false);
+        assert.match(result.error, /add up/);
+    });
+
+    it('rejects a payer or share outside the group', async () => {
+        const byOutsider = await addExpense({ ...EXPENSE, paidBy: 'dave' }, { userId: 'alice' });
+        const withOutsider = await addExpense({ ...EXPENSE, splitPaise: { alice: 30000, bob: 30000, dave: 30000 } }, { userId: 'alice' });
+
+        assert.equal(byOutsider.success, false);
+        assert.equal(withOutsider.success, false);
+        assert.deepEqual(await settlementsRepo.find(), []);
+    });
+
+    it('rejects a form opened before the group changed currency', async () => {
+        const result = await addExpense({ ...EXPENSE, baseCurrency: 'USD' }, { userId: 'alice' });
+
+        assert.equal(result.success, false);
+        assert.match(result.error, /currency changed/);
+    });
+});
+
+describe('expenses added offline', () => {
+    const setOnline = (onLine) => {
+        Object.defineProperty(globalThis, 'navigator', { value: { onLine }, configurable: true, writable: true });
+    };
+
+    before(() => {
+        globalThis.alert = () => {};
+    });
+
+    let saved;
+
+    beforeEach(() => {
+        saved = new Map();
+        useOutboxStorage({
+            getItem: (key) => saved.get(key) ?? null,
+            setItem: (key, value) => saved.set(key, String(value))
+        });
+        useStore(createMemoryStore({
+            userId: 'alice',
+            docs: {
+                users: {
+                    alice: { name: 'Alice', email: 'alice@example.com', xpPoints: 0, level: 1, badges: [] }
+                },
+                groups: { trip: GROUP }
+            }
+        }));
+        setOnline(false);
+    });
+
+    after(() => {
+        delete globalThis.navigator;
+    });
+
+    it('queues the expense instead of writing it', async () => {
+        const result = await addExpense(EXPENSE, { userId: 'alice' });
+
+        assert.equal(result.success, true);
+        assert.equal(result.queued, true);
+        assert.deepEqual(await expensesRepo.find(), []);
+        const [entry] = getQueuedExpenses('alice');
+        assert.equal(entry.status, 'pending');
+        assert.deepEqual(getQueuedExpenses('bob'), []);
+    });
+
+    it('saves queued expenses once back online', async () => {
+        await addExpense(EXPENSE, { userId: 'alice' });
+        setOnline(true);
+
+        assert.deepEqual(await syncQueuedExpenses('alice'), { synced: 1, conflicts: 0 });
+        const [saved] = await expensesRepo.find();
+        assert.equal(saved.description, 'Dinner');
+        assert.equal((await settlementsRepo.find([['expenseId', '==', saved.id]])).length, 3);
+        assert.deepEqual(getQueuedExpenses('alice'), []);
+    });
+
+    it('writes an entry synced twice only once', async () => {
+        await addExpense(EXPENSE, { userId: 'alice' });
+        // The tab closes after the expense is saved but before the entry leaves the outbox
+        const outbox = [...saved.entries()];
+        setOnline(true);
+        await syncQueuedExpenses('alice');
+        outbox.forEach(([key, value]) => saved.set(key, value));
+
+        assert.deepEqual(await syncQueuedExpenses('alice'), { synced: 1, conflicts: 0 });
+        const expenses = await expensesRepo.find();
+        assert.equal(expenses.length, 1);
+        assert.equal((await settlementsRepo.find([['expenseId', '==', expenses[0].id]])).length, 3);
+        assert.equal((await activityRepo.find([['expenseId', '==', expenses[0].id]])).length, 1);
+        assert.equal((await usersRepo.get('alice')).xpPoints, 10);
+        assert.deepEqual(getQueuedExpenses('alice'), []);
+    });
+
+    it('writes a repeating entry synced twice as one template', async () => {
+        await addExpense({ ...EXPENSE, date: '2099-01-01' }, { repeat: 'monthly', userId: 'alice' });
+        const outbox = [...saved.entries()];
+        setOnline(true);
+        await syncQueuedExpenses('alice');
+        outbox.forEach(([key, value]) => saved.set(key, value));
+
+        assert.deepEqual(await syncQueuedExpenses('alice'), { synced: 1, conflicts: 0 });
+        assert.equal((await recurringRepo.find()).length, 1);
+    });
+
+    it('keeps an expense the checks reject as a conflict until it is retried', async () => {
+        await addExpense(EXPENSE, { userId: 'alice' });
+        // Archived while the expense was waiting
+        await groupsRepo.update('trip', { archivedAt: '2026-03-15T00:00:00.000Z' });
+        setOnline(true);
+
+        assert.deepEqual(await syncQueuedExpenses('alice'), { synced: 0, conflicts: 1 });
+        const [conflict] = getQueuedExpenses('alice');
+        assert.equal(conflict.status, 'conflict');
+        assert.match(conflict.error, /archived/);
+        // Conflicts are not retried on their own
+        assert.deepEqual(await syncQueuedExpenses('alice'), { synced: 0, conflicts: 0 });
+
+        await groupsRepo.update('trip', { archivedAt: deleteField() });
+        retryQueuedExpense(conflict.id);
+        assert.deepEqual(await syncQueuedExpenses('alice'), { synced: 1, conflicts: 0 });
+        assert.equal((await expensesRepo.find()).length, 1);
+    });
+});
@@ -0,0 +1,56 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useStore, groupsRepo, invitesRepo } from '../../repository.js';
+import { createMemoryStore } from '../../memory-store.js';
+import {
+    createEmailInvites,
+    createInviteLink,
+    getGroupInvites,
+    revokeInvite,
+    acceptPendingInvites,
+    acceptInviteCode
+} from '../../invites.js';
+
+const ERIN = { uid: 'erin', email: 'Erin@Example.com', emailVerified: true };
+
+describe('invites', () => {
+    beforeEach(() => {
+        useStore(createMemoryStore({
+            userId: 'erin',
+            docs: {
+                users: { alice: { name: 'Alice' }, erin: { name: 'Erin' } },
+                groups: {
+                    trip: {
+                        name: 'Goa trip', members: ['alice'], memberEmails: ['alice@example.com'],
+                        pendingMemberEmails: ['erin@example.com'], createdBy: 'alice'
+                    }
+                }
+            }
+        }));
+    });
+
+    it('joins the groups that invited a verified email and uses the invite up', async () => {
+        await createEmailInvites('trip', 'Goa trip', [' erin@example.com '], 'alice');
+        assert.deepEqual(await acceptPendingInvites({ ...ERIN, emailVerified: false }), []);
+
+        assert.deepEqual(await acceptPendingInvites(ERIN), ['Goa trip']);
+        const group = await groupsRepo.get('trip');
+        assert.deepEqual(group.members, ['alice', 'erin']);
+        assert.deepEqual(group.pendingMemberEmails, []);
+        assert.equal((await invitesRepo.get('trip_erin@example.com')).status, 'accepted');
+        assert.deepEqual(await getGroupInvites('trip'), []);
+    });
+
+    it('joins through a link until it expires or is revoked', async () => {
+        const code = await createInviteLink('trip', 'Goa trip', 7, 'alice');
+        assert.ok((await getGroupInvites('trip'))[0].expiresAt instanceof Date);
+        assert.deepEqual(await acceptInviteCode(code, ERIN), { success: true, groupName: 'Goa trip' });
+        assert.deepEqual((await groupsRepo.get('trip')).members, ['alice', 'erin']);
+
+        await invitesRepo.update(code, { expiresAt: new Date(Date.now() - 1000) });
+        assert.match((await acceptInviteCode(code, ERIN)).error, /expired or was revoked/);
+        await revokeInvite(code);
+        assert.equal((await invitesRepo.get(code)).status, 'revoked');
+        assert.match((await acceptInviteCode('nope', ERIN)).error, /not valid/);
+    });
+});
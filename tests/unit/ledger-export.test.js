@@ -0,0 +1,87 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useStore } from '../../repository.js';
+import { createMemoryStore } from '../../memory-store.js';
+import { buildLedgerExport, ledgerExportToCsv, exportFileName, CSV_COLUMNS } from '../../ledger-export.js';
+
+const GROUP = {
+    name: 'Goa trip',
+    members: ['alice', 'bob'],
+    baseCurrency: 'INR',
+    createdBy: 'alice'
+};
+
+const expense = (date, description, amountPaise, splitPaise) => ({
+    groupId: 'trip',
+    description,
+    amountPaise,
+    baseCurrency: 'INR',
+    date,
+    paidBy: 'alice',
+    splitType: 'equal',
+    splitMembers: Object.keys(splitPaise),
+    splitPaise
+});
+
+describe('ledger export', () => {
+    beforeEach(() => {
+        useStore(createMemoryStore({
+            userId: 'alice',
+            docs: {
+                users: {
+                    alice: { name: 'Alice' },
+                    bob: { name: 'Bob "B" Jones' }
+                },
+                groups: {
+                    trip: GROUP,
+                    flat: { ...GROUP, name: 'Flat', members: ['alice'] }
+                },
+                expenses: {
+                    dinner: expense('2026-03-14', 'Dinner, drinks', 90000, { alice: 45000, bob: 45000 }),
+                    taxi: expense('2026-04-02', '=HYPERLINK("x")', 20000, { alice: 10000, bob: 10000 })
+                },
+                settlements: {
+                    paid: {
+                        groupId: 'trip', expenseId: 'dinner', userId: 'bob', owedTo: 'alice',
+                        amountPaise: 45000, currency: 'INR', status: 'paid',
+                        createdAt: '2026-03-14T10:00:00.000Z', paidAt: '2026-03-20T10:00:00.000Z'
+                    }
+                }
+            }
+        }));
+    });
+
+    it('writes one CSV row per expense-member share, quoted and safe for spreadsheets', async () => {
+        const data = await buildLedgerExport('alice', { groupIds: ['trip'] });
+        const lines = ledgerExportToCsv(data).trim().split('\r\n');
+
+        assert.equal(lines[0], CSV_COLUMNS.join(','));
+        assert.equal(lines.length, 5);
+        assert.equal(lines[1], 'Goa trip,2026-03-14,"Dinner, drinks",dinner,Alice,900.00,INR,equal,Alice,alice,450.00,,');
+        assert.equal(lines[2], 'Goa trip,2026-03-14,"Dinner, drinks",dinner,Alice,900.00,INR,equal,"Bob ""B"" Jones",bob,450.00,,');
+        assert.ok(lines[3].includes(`"'=HYPERLINK(""x"")"`));
+    });
+
+    it('limits expenses and payments to the range but keeps whole-ledger balances', async () => {
+        const data = await buildLedgerExport('alice', { groupIds: ['trip'], from: '2026-04-01', to: '2026-04-30' });
+        const [trip] = data.groups;
+
+        assert.deepEqual(trip.expenses.map(e => e.id), ['taxi']);
+        assert.deepEqual(trip.payments, []);
+        // Bob paid for dinner, so only his taxi share is owed
+        assert.deepEqual(trip.balances, { alice: 10000, bob: -10000 });
+        assert.deepEqual(trip.transfers, [{ from: 'bob', to: 'alice', amount: 10000 }]);
+        assert.equal(exportFileName(data, 'csv'), 'splitez-goa-trip-2026-04-01-to-2026-04-30.csv');
+    });
+
+    it('exports every group of the user with its payments by default', async () => {
+        const data = await buildLedgerExport('alice');
+
+        assert.deepEqual(data.groups.map(g => g.name).sort(), ['Flat', 'Goa trip']);
+        const trip = data.groups.find(g => g.id === 'trip');
+        assert.equal(trip.payments.length, 1);
+        assert.equal(trip.payments[0].settlementId, 'paid');
+        assert.equal(trip.settlements.length, 1);
+        assert.equal(exportFileName(data, 'json'), 'splitez-all-groups.json');
+    });
+});
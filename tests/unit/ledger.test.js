@@ -0,0 +1,178 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useStore, settlementsRepo, paymentProofsRepo } from '../../repository.js';
+import { createMemoryStore } from '../../memory-store.js';
+import { collectPayments } from '../../balances.js';
+import {
+    claimSettlementPaid,
+    claimTransfer,
+    confirmSettlementPayment,
+    disputeSettlementPayment,
+    recordPaymentReceived,
+    getPaymentProof
+} from '../../ledger.js';
+
+const PROOF = 'data:image/jpeg;base64,/9j/4AAQ';
+
+describe('payment claims', () => {
+    beforeEach(() => {
+        useStore(createMemoryStore({
+            userId: 'carol',
+            docs: {
+                users: { alice: { name: 'Alice' }, carol: { name: 'Carol' } },
+                settlements: {
+                    'carol-dinner': {
+                        groupId: 'trip', expenseId: 'dinner', userId: 'carol', owedTo: 'alice',
+                        amountPaise: 30000, currency: 'INR', description: 'Dinner', status: 'pending',
+                        createdAt: '2026-03-14T10:00:00.000Z'
+                    },
+                    'carol-taxi': {
+                        groupId: 'trip', expenseId: 'taxi', userId: 'carol', owedTo: 'alice',
+                        amountPaise: 20000, currency: 'INR', description: 'Taxi', status: 'pending',
+                        createdAt: '2026-03-15T10:00:00.000Z'
+                    }
+                }
+            }
+        }));
+    });
+
+    const paidTotal = async () => collectPayments([], await settlementsRepo.find([['groupId', '==', 'trip']]))
+        .reduce((sum, p) => sum + p.amount, 0);
+
+    it('counts a claimed payment only once the payee confirms it, and lets them dispute it first', async () => {
+        await claimSettlementPaid('carol-dinner', 'carol', { method: 'cash', proof: PROOF });
+        assert.equal((await settlementsRepo.get('carol-dinner')).status, 'claimed');
+        assert.equal(await getPaymentProof('carol-dinner'), PROOF);
+        assert.equal(await paidTotal(), 0);
+
+        await assert.rejects(disputeSettlementPayment('carol-dinner', 'carol', 'Nope'), /Only the member who is owed/);
+        await disputeSettlementPayment('carol-dinner', 'alice', ' Not in my account ');
+        const disputed = await settlementsRepo.get('carol-dinner');
+        assert.equal(disputed.status, 'disputed');
+        assert.equal(disputed.disputeReason, 'Not in my account');
+        await assert.rejects(disputeSettlementPayment('carol-dinner', 'alice'), /Only a payment marked as sent/);
+
+        // Claimed again with a bank reference, then confirmed
+        await claimSettlementPaid('carol-dinner', 'carol', { method: 'bank', reference: 'NEFT123' });
+        const reclaimed = await settlementsRepo.get('carol-dinner');
+        assert.equal(reclaimed.status, 'claimed');
+        assert.equal(reclaimed.hasProof, false);
+        await confirmSettlementPayment('carol-dinner', 'alice');
+        assert.equal(await paidTotal(), 30000);
+        await assert.rejects(claimSettlementPaid('carol-dinner', 'carol', { method: 'cash' }), /already paid/);
+    });
+
+    it('closes the obligations a confirmed settle-up transfer covers', async () => {
+        await assert.rejects(claimTransfer('trip', 'carol', 'alice', 30000, 'INR', { method: 'cheque' }), /Choose how you paid/);
+        const transferId = await claimTransfer('trip', 'carol', 'alice', 30000, 'INR', { method: 'upi', reference: '412345678901' });
+        assert.equal((await settlementsRepo.get('carol-dinner')).status, 'pending');
+        assert.equal((await paymentProofsRepo.find()).length, 0);
+
+        await confirmSettlementPayment(transferId, 'alice');
+        const dinner = await settlementsRepo.get('carol-dinner');
+        assert.equal(dinner.status, 'paid');
+        assert.equal(dinner.coveredByTransfer, transferId);
+        // The taxi share is more than what is left of the transfer
+        assert.equal((await settlementsRepo.get('carol-taxi')).status, 'pending');
+        assert.equal(await paidTotal(), 30000);
+    });
+
+    it('keeps part payments against a share and closes it when nothing is left', async () => {
+        const part = await claimSettlementPaid('carol-dinner', 'carol', { method: 'cash', amountPaise: 10000 });
+        assert.equal(part.type, 'payment');
+        assert.equal(part.settlementId, 'carol-dinner');
+        assert.equal((await settlementsRepo.get('carol-dinner')).status, 'pending');
+        await assert.rejects(claimSettlementPaid('carol-dinner', 'carol', { method: 'cash', amountPaise: 40000 }), /more than the ₹200.00 still owed and not yet marked paid/);
+
+        await confirmSettlementPayment(part.id, 'alice');
+        const dinner = await settlementsRepo.get('carol-dinner');
+        assert.equal(dinner.paidPaise, 10000);
+        assert.equal(dinner.status, 'pending');
+        assert.equal(await paidTotal(), 10000);
+
+        // The payee records the rest as received outside the app
+        await assert.rejects(recordPaymentReceived('carol-dinner', 'carol', 5000), /Only the member who is owed/);
+        await recordPaymentReceived('carol-dinner', 'alice', 5000);
+        assert.equal((await settlementsRepo.get('carol-dinner')).paidPaise, 15000);
+        const closed = await recordPaymentReceived('carol-dinner', 'alice', 15000);
+        assert.equal(closed.status, 'paid');
+        assert.equal(await paidTotal(), 30000);
+    });
+
+    it('settles a claimed part and the rest once when the part is confirmed first', async () => {
+        const part = await claimSettlementPaid('carol-dinner', 'carol', { method: 'cash', amountPaise: 10000 });
+        assert.equal((await settlementsRepo.get('carol-dinner')).claimedPartPaise, 10000);
+        // The whole share can't be claimed while the part waits; only the rest can
+        await assert.rejects(
+            claimSettlementPaid('carol-dinner', 'carol', { method: 'cash', amountPaise: 30000 }),
+            /more than the ₹200.00 still owed/
+        );
+        await assert.rejects(recordPaymentReceived('carol-dinner', 'alice', 30000), /more than the ₹200.00/);
+        const rest = await claimSettlementPaid('carol-dinner', 'carol', { method: 'cash' });
+        assert.equal(rest.type, 'payment');
+        assert.equal(rest.amountPaise, 20000);
+        assert.equal((await settlementsRepo.get('carol-dinner')).status, 'pending');
+        await assert.rejects(claimSettlementPaid('carol-dinner', 'carol', { method: 'cash' }), /already cover the rest/);
+
+        await confirmSettlementPayment(part.id, 'alice');
+        await confirmSettlementPayment(rest.id, 'alice');
+        const dinner = await settlementsRepo.get('carol-dinner');
+        assert.equal(dinner.status, 'paid');
+        assert.equal(dinner.claimedPartPaise, 0);
+        assert.equal(await paidTotal(), 30000);
+    });
+
+    it('settles a claimed part and the rest once when the rest is confirmed first', async () => {
+        const part = await claimSettlementPaid('carol-dinner', 'carol', { method: 'cash', amountPaise: 10000 });
+        const rest = await claimSettlementPaid('carol-dinner', 'carol', { method: 'bank', amountPaise: 20000 });
+        await confirmSettlementPayment(rest.id, 'alice');
+        let dinner = await settlementsRepo.get('carol-dinner');
+        assert.equal(dinner.paidPaise, 20000);
+        assert.equal(dinner.claimedPartPaise, 10000);
+        assert.equal(dinner.status, 'pending');
+        await assert.rejects(claimSettlementPaid('carol-dinner', 'carol', { method: 'cash' }), /already cover the rest/);
+
+        await confirmSettlementPayment(part.id, 'alice');
+        dinner = await settlementsRepo.get('carol-dinner');
+        assert.equal(dinner.status, 'paid');
+        assert.equal(await paidTotal(), 30000);
+    });
+
+    it('refuses a part claim while the whole share is claimed', async () => {
+        await claimSettlementPaid('carol-dinner', 'carol', { method: 'cash' });
+        await assert.rejects(
+            claimSettlementPaid('carol-dinner', 'carol', { method: 'cash', amountPaise: 10000 }),
+            /Only an unpaid expense share/
+        );
+        await confirmSettlementPayment('carol-dinner', 'alice');
+        assert.equal(await paidTotal(), 30000);
+    });
+
+    it('takes part payments of a share stored in rupees', async () => {
+        await settlementsRepo.set('carol-lunch', {
+            groupId: 'trip', expenseId: 'lunch', userId: 'carol', owedTo: 'alice',
+            amount: 120, description: 'Lunch', status: 'pending', createdAt: '2026-03-01T10:00:00.000Z'
+        });
+        const part = await claimSettlementPaid('carol-lunch', 'carol', { method: 'cash', amountPaise: 2000 });
+        assert.equal(part.currency, 'INR');
+        await confirmSettlementPayment(part.id, 'alice');
+        assert.equal((await settlementsRepo.get('carol-lunch')).paidPaise, 2000);
+        const closed = await recordPaymentReceived('carol-lunch', 'alice', 10000);
+        assert.equal(closed.status, 'paid');
+    });
+
+    it('carries what is left of a settle-up transfer onto the next share', async () => {
+        const transferId = await claimTransfer('trip', 'carol', 'alice', 35000, 'INR', { method: 'cash' });
+        await confirmSettlementPayment(transferId, 'alice');
+        assert.equal((await settlementsRepo.get('carol-dinner')).status, 'paid');
+        const taxi = await settlementsRepo.get('carol-taxi');
+        assert.equal(taxi.status, 'pending');
+        assert.equal(taxi.paidPaise, 5000);
+        assert.equal(await paidTotal(), 35000);
+
+        // Paying the rest of the taxi share closes it without counting the part twice
+        await recordPaymentReceived('carol-taxi', 'alice', 15000);
+        assert.equal((await settlementsRepo.get('carol-taxi')).status, 'paid');
+        assert.equal(await paidTotal(), 50000);
+    });
+});
@@ -0,0 +1,71 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useStore } from '../../repository.js';
+import { createMemoryStore } from '../../memory-store.js';
+import {
+    createPaymentLink,
+    getPaymentLink,
+    isPaymentLinkCode,
+    paymentLinkUrl,
+    buildShareMessages
+} from '../../payment-links.js';
+
+describe('pay links', () => {
+    beforeEach(() => {
+        useStore(createMemoryStore({
+            userId: 'alice',
+            docs: {
+                users: { alice: { name: 'Alice' }, carol: { name: 'Carol' } },
+                settlements: {
+                    'carol-dinner': {
+                        groupId: 'trip', expenseId: 'dinner', userId: 'carol', owedTo: 'alice',
+                        amountPaise: 30000, currency: 'INR', description: 'Dinner & drinks', status: 'pending',
+                        createdAt: '2026-03-14T10:00:00.000Z'
+                    },
+                    // Written before amounts were kept in paise
+                    'carol-taxi': {
+                        groupId: 'trip', expenseId: 'taxi', userId: 'carol', owedTo: 'alice',
+                        amount: 150.5, description: 'Taxi', status: 'pending', createdAt: '2026-03-10T10:00:00.000Z'
+                    },
+                    'bob-dinner': {
+                        groupId: 'trip', expenseId: 'dinner', userId: 'bob', owedTo: 'alice',
+                        amountPaise: 30000, currency: 'INR', description: 'Dinner & drinks', status: 'paid',
+                        createdAt: '2026-03-14T10:00:00.000Z'
+                    }
+                }
+            }
+        }));
+    });
+
+    it('keys a link by a random code and copies the settlement\'s figures', async () => {
+        await assert.rejects(createPaymentLink('carol-dinner', 'bob'), /Only the members/);
+        await assert.rejects(createPaymentLink('bob-dinner', 'alice'), /nothing left to pay/);
+
+        const code = await createPaymentLink('carol-dinner', 'alice');
+        assert.equal(isPaymentLinkCode(code), true);
+        assert.equal(await createPaymentLink('carol-dinner', 'alice'), code);
+
+        const link = await getPaymentLink(code);
+        assert.equal(link.amountPaise, 30000);
+        assert.equal(link.payeeName, 'Alice');
+        assert.equal(link.userId, 'carol');
+        assert.equal(await getPaymentLink('../settlements/carol-dinner'), null);
+    });
+
+    it('reads the figures of settlements stored in rupees', async () => {
+        const link = await getPaymentLink(await createPaymentLink('carol-taxi', 'alice'));
+        assert.equal(link.amountPaise, 15050);
+        assert.equal(link.currency, 'INR');
+    });
+
+    it('builds WhatsApp and email messages with the link', async () => {
+        const link = await getPaymentLink(await createPaymentLink('carol-dinner', 'alice'));
+        const url = paymentLinkUrl(link.id, 'https://splitez.example/dashboard.html');
+        assert.equal(url, `https://splitez.example/pay.html?code=${link.id}`);
+
+        const share = buildShareMessages(link, url);
+        assert.equal(share.text, `Hi! Please pay Alice ₹300.00 for "Dinner & drinks" on SplitEZ: ${url}`);
+        assert.equal(share.whatsapp, `https://wa.me/?text=${encodeURIComponent(share.text)}`);
+        assert.match(share.email, /^mailto:\?subject=Payment%20request%3A%20%E2%82%B9300\.00%20for%20%22Dinner%20%26%20drinks%22&body=/);
+    });
+});
@@ -0,0 +1,87 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from '../../memory-store.js';
+import { createRazorpayClient } from '../../functions/razorpay.js';
+import { createPaymentHandlers, PaymentError } from '../../functions/payments.js';
+import { startMockRazorpay } from '../mocks/razorpay-server.js';
+
+const KEYS = { keyId: 'rzp_test_mock', keySecret: 'mock_key_secret', webhookSecret: 'mock_webhook_secret' };
+
+// Carol owes Alice ₹300 for dinner
+const OBLIGATION = {
+    groupId: 'trip',
+    expenseId: 'dinner',
+    userId: 'carol',
+    owedTo: 'alice',
+    amountPaise: 30000,
+    currency: 'INR',
+    description: 'Dinner',
+    status: 'pending',
+    createdAt: '2026-03-14T10:00:00.000Z'
+};
+
+describe('Razorpay payments', () => {
+    let razorpay;
+    let store;
+    let handlers;
+
+    before(async () => {
+        razorpay = await startMockRazorpay(KEYS);
+    });
+
+    after(async () => {
+        await razorpay.close();
+    });
+
+    beforeEach(() => {
+        store = createMemoryStore({
+            docs: {
+                users: { alice: { name: 'Alice' }, carol: { name: 'Carol' } },
+                settlements: { 'carol-dinner': OBLIGATION }
+            }
+        });
+        handlers = createPaymentHandlers({
+            store,
+            razorpay: createRazorpayClient({ ...KEYS, apiUrl: razorpay.url }),
+            ...KEYS
+        });
+    });
+
+    it('creates one order for the debtor and pays the settlement once the signature checks out', async () => {
+        await assert.rejects(handlers.createOrder('alice', { settlementId: 'carol-dinner' }), { code: 'permission-denied' });
+
+        const order = await handlers.createOrder('carol', { settlementId: 'carol-dinner' });
+        assert.equal(order.amount, 30000);
+        assert.equal(order.keyId, KEYS.keyId);
+        // Checkout opened again reuses the unpaid order
+        assert.equal((await handlers.createOrder('carol', { settlementId: 'carol-dinner' })).orderId, order.orderId);
+
+        const { checkout } = razorpay.pay(order.orderId);
+        const forged = { settlementId: 'carol-dinner', orderId: order.orderId, paymentId: checkout.razorpay_payment_id, signature: 'demo_signature' };
+        await assert.rejects(handlers.verifyPayment('carol', forged), { code: 'permission-denied' });
+        assert.equal((await store.get('settlements', 'carol-dinner')).status, 'pending');
+
+        const result = await handlers.verifyPayment('carol', { ...forged, signature: checkout.razorpay_signature });
+        assert.deepEqual(result, { status: 'paid', paymentId: checkout.razorpay_payment_id });
+        const paid = await store.get('settlements', 'carol-dinner');
+        assert.equal(paid.paymentMethod, 'razorpay');
+        assert.equal(paid.razorpayPaymentId, checkout.razorpay_payment_id);
+        const activity = await store.find('activity', [['type', '==', 'payment_recorded']]);
+        assert.equal(activity.length, 1);
+        assert.match(activity[0].summary, /^Carol paid Alice ₹300\.00 for "Dinner"/);
+    });
+
+    it('pays from a signed webhook, once, when checkout never reported back', async () => {
+        const order = await handlers.createOrder('carol', { settlementId: 'carol-dinner' });
+        const { webhook } = razorpay.pay(order.orderId);
+
+        assert.equal((await handlers.handleWebhook(webhook.body, 'bad')).status, 400);
+        assert.equal((await handlers.handleWebhook(webhook.body, webhook.signature)).message, 'Settlement paid');
+        // Razorpay may deliver an event more than once
+        await handlers.handleWebhook(webhook.body, webhook.signature);
+
+        assert.equal((await store.get('settlements', 'carol-dinner')).status, 'paid');
+        assert.equal((await store.find('activity')).length, 1);
+        await assert.rejects(handlers.createOrder('carol', { settlementId: 'carol-dinner' }), PaymentError);
+    });
+});
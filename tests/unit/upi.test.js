@@ -0,0 +1,52 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useStore, settlementsRepo, activityRepo } from '../../repository.js';
+import { createMemoryStore } from '../../memory-store.js';
+import { buildUpiLink, isValidVpa, isValidUtr } from '../../upi.js';
+import { claimSettlementPaid, confirmSettlementPayment } from '../../ledger.js';
+
+describe('UPI settlement', () => {
+    beforeEach(() => {
+        useStore(createMemoryStore({
+            userId: 'carol',
+            docs: {
+                users: { alice: { name: 'Alice', upiId: 'alice@okbank' }, carol: { name: 'Carol' } },
+                settlements: {
+                    'carol-dinner': {
+                        groupId: 'trip', expenseId: 'dinner', userId: 'carol', owedTo: 'alice',
+                        amountPaise: 30050, currency: 'INR', description: 'Dinner', status: 'pending',
+                        createdAt: '2026-03-14T10:00:00.000Z'
+                    }
+                }
+            }
+        }));
+    });
+
+    it('builds a upi://pay link with the payee, amount and note', () => {
+        const link = buildUpiLink({ vpa: ' Alice@OKBank ', name: 'Alice Rao', amountPaise: 30050, note: 'SplitEZ: Dinner & drinks' });
+
+        assert.equal(link, 'upi://pay?pa=alice%40okbank&pn=Alice%20Rao&am=300.50&cu=INR&tn=SplitEZ%3A%20Dinner%20%26%20drinks');
+        assert.equal(isValidVpa('alice@okbank'), true);
+        assert.equal(isValidVpa('alice'), false);
+        assert.equal(isValidUtr('412345678901'), true);
+        assert.equal(isValidUtr('12345'), false);
+    });
+
+    it('keeps a UPI payment owed until the payee confirms it', async () => {
+        await assert.rejects(claimSettlementPaid('carol-dinner', 'alice', { method: 'upi', reference: '412345678901' }));
+        await claimSettlementPaid('carol-dinner', 'carol', { method: 'upi', reference: '412345678901' });
+
+        let settlement = await settlementsRepo.get('carol-dinner');
+        assert.equal(settlement.status, 'claimed');
+        assert.equal(settlement.paymentReference, '412345678901');
+
+        await assert.rejects(confirmSettlementPayment('carol-dinner', 'carol'), /Only the member who is owed/);
+        await confirmSettlementPayment('carol-dinner', 'alice');
+        settlement = await settlementsRepo.get('carol-dinner');
+        assert.equal(settlement.status, 'paid');
+        assert.ok(settlement.confirmedAt);
+
+        const types = (await activityRepo.find([['groupId', '==', 'trip']])).map(a => a.type).sort();
+        assert.deepEqual(types, ['payment_claimed', 'payment_recorded']);
+    });
+});
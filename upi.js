@@ -0,0 +1,82 @@
+import { fromPaise } from './money.js';
+
+// UPI settlement: members store their UPI ID (VPA) on their profile, and a
+// debtor pays it from any UPI app through a upi://pay link or its QR code.
+// The money never passes through SplitEZ, so the debtor then marks the
+// settlement paid with the transaction's UTR for the payee to confirm
+// (claimSettlementPaid / confirmSettlementPayment in ledger.js).
+
+// UPI moves rupees only
+export const UPI_CURRENCY = 'INR';
+
+// QR codes are drawn in the browser; the link never leaves the device
+const QR_SCRIPT = 'https://cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/qrcode.js';
+
+// Longest transaction note UPI apps accept
+const MAX_NOTE_LENGTH = 80;
+
+// "name@bank": 2-255 letters, digits, dots, hyphens or underscores, then
+// the bank's handle (at most 320 characters in all, as the rules allow)
+export function isValidVpa(vpa) {
+    return /^[a-z0-9._-]{2,255}@[a-z][a-z0-9]{1,63}$/i.test(String(vpa || '').trim());
+}
+
+export function normaliseVpa(vpa) {
+    return String(vpa || '').trim().toLowerCase();
+}
+
+// A UTR (the reference a UPI app shows for a transaction) is 12 digits;
+// bank transfers use up to 22 letters and digits
+export function isValidUtr(utr) {
+    return /^[a-z0-9]{12,22}$/i.test(String(utr || '').trim());
+}
+
+// upi://pay link for `amountPaise` to `vpa`, with the payee's name and a
+// note prefilled. There is no transaction reference (tr): that is for
+// merchants, and some apps decline it when paying a person.
+export function buildUpiLink({ vpa, name = '', amountPaise, note = '' }) {
+    const params = [
+        ['pa', normaliseVpa(vpa)],
+        ['pn', name],
+        ['am', fromPaise(amountPaise).toFixed(2)],
+        ['cu', UPI_CURRENCY],
+        ['tn', note.slice(0, MAX_NOTE_LENGTH)]
+    ];
+    // UPI apps expect %20 for spaces, so URLSearchParams' "+" won't do
+    const query = params
+        .filter(([, value]) => value)
+        .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+        .join('&');
+    return `upi://pay?${query}`;
+}
+
+// Load the QR code generator dynamically
+function loadQrGenerator() {
+    return new Promise((resolve, reject) => {
+        if (typeof qrcode !== 'undefined') {
+            resolve();
+            return;
+        }
+        const script = document.createElement('script');
+        script.src = QR_SCRIPT;
+        script.async = true;
+        script.onload = () => {
+            if (typeof qrcode === 'undefined') {
+                reject(new Error('QR code generator failed to load'));
+            } else {
+                resolve();
+            }
+        };
+        script.onerror = () => reject(new Error('Could not load the QR code generator'));
+        document.head.appendChild(script);
+    });
+}
+
+// Draw `link` as a QR code (SVG) inside `container`
+export async function renderUpiQr(container, link) {
+    await loadQrGenerator();
+    const qr = qrcode(0, 'M'); // Smallest version that fits, medium error correction
+    qr.addData(link);
+    qr.make();
+    container.innerHTML = qr.createSvgTag({ cellSize: 4, margin: 4, scalable: true });
+}